@@ -0,0 +1,58 @@
+process.env.DATABASE_PATH = ":memory:";
+
+const mockCollector = {
+  platform: "system",
+  collectAll: jest.fn(async () => ({
+    platform: "system",
+    ports: [
+      { host_ip: "0.0.0.0", host_port: 8080, protocol: "tcp", owner: "nginx", pid: 10, source: "system" },
+      { host_ip: "0.0.0.0", host_port: 8080, protocol: "tcp", owner: "nginx-worker", pid: 11, source: "system" },
+      {
+        host_ip: "/run/docker.sock",
+        host_port: 0,
+        protocol: "unix",
+        socket_type: "stream",
+        owner: "dockerd",
+        pid: 20,
+        source: "system",
+      },
+    ],
+  })),
+};
+
+jest.mock("../collectors", () => ({
+  createCollector: () => mockCollector,
+  detectCollector: async () => mockCollector,
+  getCollectorAsync: async () => mockCollector,
+  getCollectorInstances: () => [mockCollector],
+}));
+
+const { app, runScheduledScan } = require("../index");
+
+describe("GET /api/ports", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("serves the scheduled scan merged by binding, unix sockets included", async () => {
+    await runScheduledScan();
+
+    const res = await fetch(`${baseUrl}/api/ports`);
+    const { data } = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(data).toEqual([
+      expect.objectContaining({ host_port: 8080, protocol: "tcp", owner: "nginx, nginx-worker", pids: [10, 11] }),
+      expect.objectContaining({ host_ip: "/run/docker.sock", host_port: 0, protocol: "unix", owner: "dockerd" }),
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+process.env.DATABASE_PATH = ":memory:";
+process.env.ENABLE_AUTH = "true";
+
+const db = require("../db");
+const apiKeyManager = require("../lib/api-key-manager");
+const { app } = require("../index");
+
+describe("reservations API", () => {
+  let server;
+  let baseUrl;
+
+  const request = (method, path, apiKey, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", "X-API-Key": apiKey },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  const createKey = async (scopes) => (await apiKeyManager.createApiKey({ name: scopes.join(","), scopes })).apiKey;
+  const reservation = { server_id: "local", host_port: 41000, protocol: "tcp", owner: "ci" };
+
+  beforeAll(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.ENABLE_AUTH;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("an API key with notes:write creates, updates and deletes reservations", async () => {
+    const apiKey = await createKey(["notes:write"]);
+
+    const created = await request("POST", "/api/reservations", apiKey, reservation);
+    expect(created.status).toBe(201);
+    const { id } = (await created.json()).reservation;
+
+    const updated = await request("PUT", `/api/reservations/${id}`, apiKey, { owner: "deploy" });
+    expect(updated.status).toBe(200);
+    expect((await updated.json()).reservation.owner).toBe("deploy");
+
+    expect((await request("DELETE", `/api/reservations/${id}`, apiKey)).status).toBe(200);
+    expect(db.prepare("SELECT COUNT(*) AS count FROM port_reservations").get().count).toBe(0);
+    expect(db.prepare("SELECT action, actor_type FROM audit_log ORDER BY id").all()).toEqual([
+      { action: "reservation.create", actor_type: "api_key" },
+      { action: "reservation.update", actor_type: "api_key" },
+      { action: "reservation.delete", actor_type: "api_key" },
+    ]);
+  });
+
+  test("read-only and unknown API keys cannot create reservations", async () => {
+    const apiKey = await createKey(["ports:read"]);
+
+    expect((await request("POST", "/api/reservations", apiKey, reservation)).status).toBe(403);
+    expect((await request("POST", "/api/reservations", "not-a-key", reservation)).status).toBe(401);
+  });
+});
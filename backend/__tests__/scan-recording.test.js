@@ -0,0 +1,78 @@
+process.env.DATABASE_PATH = ":memory:";
+
+/**
+ * A stand-in local collector: TCP ports always, UDP ports only when the scan asks for them
+ */
+const mockCollector = {
+  platform: "system",
+  collectAll: jest.fn(async (options = {}) => ({
+    platform: "system",
+    ports: [
+      { host_ip: "0.0.0.0", host_port: 8080, protocol: "tcp", owner: "nginx", source: "system" },
+      ...(options.includeUdp
+        ? [{ host_ip: "0.0.0.0", host_port: 5353, protocol: "udp", owner: "avahi", source: "system" }]
+        : []),
+    ],
+  })),
+};
+
+jest.mock("../collectors", () => ({
+  createCollector: () => mockCollector,
+  detectCollector: async () => mockCollector,
+  getCollectorAsync: async () => mockCollector,
+  getCollectorInstances: () => [mockCollector],
+}));
+
+const db = require("../db");
+const { app, runScheduledScan } = require("../index");
+
+describe("scan recording", () => {
+  let server;
+  let baseUrl;
+
+  const eventCount = () => db.prepare("SELECT COUNT(*) AS count FROM port_events").get().count;
+  const manualScan = async (query = "") => {
+    const res = await fetch(`${baseUrl}/api/servers/local/scan${query}`);
+    expect(res.status).toBe(200);
+    return res.json();
+  };
+
+  beforeAll(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    delete process.env.INCLUDE_UDP;
+    mockCollector.collectAll.mockClear();
+    await runScheduledScan();
+    db.prepare("DELETE FROM port_events").run();
+  });
+
+  test("alternating scheduled scans and UDP manual scans produce no events", async () => {
+    for (let i = 0; i < 3; i++) {
+      const scan = await manualScan("?includeUdp=true");
+      expect(scan.ports.map((p) => p.protocol)).toEqual(["tcp", "udp"]);
+      await runScheduledScan();
+    }
+
+    expect(eventCount()).toBe(0);
+    expect(mockCollector.collectAll).toHaveBeenCalledWith({ includeUdp: true });
+    expect(process.env.INCLUDE_UDP).toBeUndefined();
+  });
+
+  test("manual scans with the scheduled scan's options are still recorded", async () => {
+    mockCollector.collectAll.mockResolvedValueOnce({ platform: "system", ports: [] });
+
+    await manualScan("?includeUdp=false");
+
+    expect(db.prepare("SELECT event_type, host_port FROM port_events").all()).toEqual([
+      { event_type: "port_closed", host_port: 8080 },
+    ]);
+  });
+});
@@ -0,0 +1,264 @@
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PodmanCollector = require("../podman_collector");
+const { PodmanAPIClient } = require("../../lib/podman-api");
+
+const API_VERSION = "4.9.3";
+
+const WEB_ID = "a".repeat(64);
+const INFRA_ID = "b".repeat(64);
+const GHOST_ID = "c".repeat(64);
+const NOTES_ID = "d".repeat(64);
+const POD_ID = "e".repeat(64);
+
+const BLOG_MAPPING = { host_ip: "0.0.0.0", container_port: 2368, host_port: 2368, range: 1, protocol: "tcp" };
+
+const ROOTFUL = {
+  containers: [
+    {
+      Id: WEB_ID,
+      Names: ["web"],
+      Image: "docker.io/library/nginx:latest",
+      Command: ["nginx", "-g", "daemon off;"],
+      State: "running",
+      Created: "2024-05-01T10:00:00Z",
+      Labels: { "io.podman.compose.project": "site", "io.podman.compose.service": "web" },
+      Ports: [
+        { host_ip: "", container_port: 80, host_port: 8080, range: 1, protocol: "tcp" },
+        { host_ip: "127.0.0.1", container_port: 5000, host_port: 5000, range: 3, protocol: "udp" },
+      ],
+    },
+    {
+      Id: INFRA_ID,
+      Names: ["e1a2b3c4d5e6-infra"],
+      Image: "localhost/podman-pause:4.9.3",
+      State: "running",
+      Created: 1714557600,
+      Pod: POD_ID,
+      PodName: "blog",
+      IsInfra: true,
+      Ports: [BLOG_MAPPING],
+    },
+    {
+      Id: GHOST_ID,
+      Names: ["blog-ghost"],
+      Image: "docker.io/library/ghost:5",
+      State: "running",
+      Created: 1714557601,
+      Pod: POD_ID,
+      PodName: "blog",
+      IsInfra: false,
+      Ports: [BLOG_MAPPING],
+    },
+  ],
+  pods: [
+    {
+      Id: POD_ID,
+      Name: "blog",
+      Status: "Running",
+      Created: "2024-05-01T10:00:00Z",
+      InfraId: INFRA_ID,
+      Containers: [{ Names: "e1a2b3c4d5e6-infra" }, { Names: "blog-ghost" }],
+    },
+  ],
+  inspect: {
+    [WEB_ID]: { Config: { ExposedPorts: { "80/tcp": {}, "9090/tcp": {} } }, NetworkSettings: { Ports: {} } },
+  },
+};
+
+const ROOTLESS = {
+  containers: [
+    {
+      Id: NOTES_ID,
+      Names: ["notes"],
+      Image: "docker.io/library/node:20",
+      State: "running",
+      Created: "2024-05-02T08:00:00Z",
+      Ports: [{ host_ip: "", container_port: 3000, host_port: 3000, range: 1, protocol: "tcp" }],
+    },
+  ],
+  pods: [],
+  inspect: {},
+};
+
+/**
+ * Minimal libpod API serving canned responses for one socket
+ */
+function createPodmanServer(fixture) {
+  return http.createServer((req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === "/libpod/_ping") {
+      res.writeHead(200, { "Libpod-API-Version": API_VERSION });
+      return res.end("OK");
+    }
+
+    const prefix = `/v${API_VERSION}/libpod`;
+    if (!req.url.startsWith(prefix)) return send(404, { message: "not found" });
+    const endpoint = req.url.slice(prefix.length);
+
+    if (endpoint === "/containers/json") return send(200, fixture.containers);
+    if (endpoint === "/pods/json") return send(200, fixture.pods);
+    const inspect = endpoint.match(/^\/containers\/([^/]+)\/json$/);
+    if (inspect) return send(200, fixture.inspect[decodeURIComponent(inspect[1])] || {});
+    return send(404, { message: "not found" });
+  });
+}
+
+function listen(server, socketPath) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(socketPath, resolve);
+  });
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+describe("PodmanCollector", () => {
+  let tmpDir;
+  let servers;
+  let rootfulSocket;
+  let rootlessSocket;
+  let collector;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "portracker-podman-"));
+    rootfulSocket = path.join(tmpDir, "rootful.sock");
+    rootlessSocket = path.join(tmpDir, "rootless.sock");
+    servers = [createPodmanServer(ROOTFUL), createPodmanServer(ROOTLESS)];
+    await listen(servers[0], rootfulSocket);
+    await listen(servers[1], rootlessSocket);
+  });
+
+  afterAll(async () => {
+    await Promise.all(servers.map(close));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.PODMAN_SOCK = rootfulSocket;
+    collector = new PodmanCollector();
+    collector.clients = [
+      new PodmanAPIClient({ socketPath: rootfulSocket }),
+      new PodmanAPIClient({ socketPath: rootlessSocket, rootless: true, uid: 1000 }),
+    ];
+    collector.hostCollector = {
+      getPorts: async () => [
+        collector.normalizePortEntry({ source: "system", owner: "rootlessport", protocol: "tcp", host_ip: "0.0.0.0", host_port: 3000 }),
+        collector.normalizePortEntry({ source: "system", owner: "sshd", protocol: "tcp", host_ip: "0.0.0.0", host_port: 22 }),
+      ],
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.PODMAN_SOCK;
+  });
+
+  const find = (ports, hostPort, protocol = "tcp") =>
+    ports.filter((port) => port.host_port === hostPort && port.protocol === protocol);
+
+  test("initialize connects to every socket", async () => {
+    expect(await collector.initialize()).toBe(true);
+    expect(collector.clients.map((client) => client.apiVersion)).toEqual([API_VERSION, API_VERSION]);
+  });
+
+  test("getPorts maps published ports to their containers", async () => {
+    const ports = await collector.getPorts();
+    const [web] = find(ports, 8080);
+
+    expect(web).toMatchObject({
+      source: "docker",
+      owner: "web",
+      host_ip: "0.0.0.0",
+      container_id: WEB_ID.substring(0, 12),
+      target: `${WEB_ID.substring(0, 12)}:80`,
+      compose_project: "site",
+      compose_service: "web",
+      internal: false,
+    });
+  });
+
+  test("getPorts expands port ranges", async () => {
+    const ports = await collector.getPorts();
+    const udp = ports.filter((port) => port.protocol === "udp" && port.owner === "web");
+
+    expect(udp.map((port) => [port.host_ip, port.host_port, port.target])).toEqual([
+      ["127.0.0.1", 5000, `${WEB_ID.substring(0, 12)}:5000`],
+      ["127.0.0.1", 5001, `${WEB_ID.substring(0, 12)}:5001`],
+      ["127.0.0.1", 5002, `${WEB_ID.substring(0, 12)}:5002`],
+    ]);
+  });
+
+  test("getPorts reports exposed ports without a mapping as internal", async () => {
+    const ports = await collector.getPorts();
+    const internal = ports.filter((port) => port.internal);
+
+    expect(internal).toHaveLength(1);
+    expect(internal[0]).toMatchObject({ owner: "web", host_port: 9090, target: `${WEB_ID.substring(0, 12)}:9090(internal)` });
+  });
+
+  test("getPorts reports pod mappings once, from the infra container under the pod name", async () => {
+    const ports = await collector.getPorts();
+    const blog = find(ports, 2368);
+
+    expect(blog).toHaveLength(1);
+    expect(blog[0]).toMatchObject({ owner: "blog", app_id: "blog", container_id: INFRA_ID.substring(0, 12) });
+  });
+
+  test("getPorts merges rootless containers and folds their helper listeners", async () => {
+    const ports = await collector.getPorts();
+    const notes = find(ports, 3000);
+
+    expect(notes).toHaveLength(1);
+    expect(notes[0]).toMatchObject({ source: "docker", owner: "notes", container_id: NOTES_ID.substring(0, 12) });
+    expect(find(ports, 22)).toEqual([expect.objectContaining({ source: "system", owner: "sshd" })]);
+  });
+
+  test("getPorts skips a socket that fails and keeps the others", async () => {
+    collector.clients.push(new PodmanAPIClient({ socketPath: path.join(tmpDir, "missing.sock"), rootless: true, uid: 1001 }));
+    const ports = await collector.getPorts();
+
+    expect(find(ports, 8080)).toHaveLength(1);
+    expect(find(ports, 3000)).toHaveLength(1);
+  });
+
+  test("getApplications lists containers and pods from both sockets", async () => {
+    const applications = await collector.getApplications();
+    const byName = Object.fromEntries(
+      applications.map((app) => [`${app.platform_data.type}:${app.name}`, app])
+    );
+
+    expect(Object.keys(byName).sort()).toEqual([
+      "container:blog-ghost",
+      "container:e1a2b3c4d5e6-infra",
+      "container:notes",
+      "container:web",
+      "pod:blog",
+    ]);
+    expect(byName["container:web"]).toMatchObject({
+      id: WEB_ID.substring(0, 12),
+      status: "running",
+      command: "nginx -g daemon off;",
+      created: Date.parse("2024-05-01T10:00:00Z") / 1000,
+      platform_data: { pod: null, infra: false, rootless: false, uid: null },
+    });
+    expect(byName["container:e1a2b3c4d5e6-infra"].platform_data).toMatchObject({ pod: "blog", infra: true });
+    expect(byName["container:notes"].platform_data).toMatchObject({ rootless: true, uid: 1000 });
+    expect(byName["pod:blog"]).toMatchObject({
+      id: POD_ID.substring(0, 12),
+      status: "running",
+      platform_data: {
+        containers: ["e1a2b3c4d5e6-infra", "blog-ghost"],
+        infra_id: INFRA_ID.substring(0, 12),
+        rootless: false,
+      },
+    });
+  });
+});
@@ -9,6 +9,14 @@
 const { Logger } = require("../lib/logger");
 const { SimpleTTLCache } = require("../utils/cache");
 
+/**
+ * Map protocol names as reported by tools and /proc ("TCP", "tcp6", "raw6"...) to the
+ * protocol values stored with ports: tcp, udp, sctp, raw or unix
+ */
+function normalizeProtocol(protocol) {
+  return String(protocol || "tcp").trim().toLowerCase().replace(/6$/, "") || "tcp";
+}
+
 class BaseCollector {
   /**
    * Create a new collector instance
@@ -44,9 +52,10 @@ class BaseCollector {
 
   /**
    * Get list of open ports
+   * @param {Object} [options] Scan options, see resolveScanOptions
    * @returns {Promise<Array>} List of port entries
    */
-  async getPorts() {
+  async getPorts(_options = {}) {
     throw new Error("Method not implemented: getPorts()");
   }
 
@@ -58,24 +67,41 @@ class BaseCollector {
     throw new Error("Method not implemented: getVMs()");
   }
 
+  /**
+   * Resolve the options of one scan. Collectors are shared, so options that differ per request
+   * are passed to each call instead of being read from the environment.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeUdp] - Report every UDP port instead of the well-known
+   *   ones, INCLUDE_UDP by default
+   * @param {boolean} [options.disableCache] - Collect fresh data instead of using the cache
+   * @returns {{includeUdp: boolean, disableCache: boolean}}
+   */
+  resolveScanOptions(options = {}) {
+    return {
+      includeUdp: typeof options.includeUdp === "boolean" ? options.includeUdp : process.env.INCLUDE_UDP === "true",
+      disableCache: options.disableCache === true,
+    };
+  }
+
   /**
    * Get all data from this collector
+   * @param {Object} [options] Scan options, see resolveScanOptions
    * @returns {Promise<Object>} All collected data
    */
-  async collectAll() {
+  async collectAll(options = {}) {
     if (
       this.collect &&
       typeof this.collect === "function" &&
       this.collect !== BaseCollector.prototype.collect
     ) {
-      return await this.collect();
+      return await this.collect(options);
     }
 
     try {
       const [systemInfo, applications, ports, vms] = await Promise.allSettled([
         this.getSystemInfo(),
         this.getApplications(),
-        this.getPorts(),
+        this.getPorts(options),
         this.getVMs(),
       ]);
 
@@ -156,7 +182,7 @@ class BaseCollector {
     return {
       source: entry.source || this.platform,
       owner: entry.owner || "unknown",
-      protocol: entry.protocol || "tcp",
+      protocol: normalizeProtocol(entry.protocol),
       host_ip: hostIp,
       host_port: parseInt(entry.host_port, 10) || 0,
       pid: primaryPid,
@@ -172,6 +198,28 @@ class BaseCollector {
     };
   }
 
+  /**
+   * Listeners inside other network namespaces (containers of other runtimes, sandboxed
+   * processes) as internal ports, when INCLUDE_NAMESPACE_PORTS is enabled
+   * @param {Object} [options] Passed to ProcParser.getNamespacePorts
+   * @returns {Promise<Array>} Normalized port entries
+   */
+  async getNamespacePorts(options = {}) {
+    if (process.env.INCLUDE_NAMESPACE_PORTS !== "true" || !this.procParser) {
+      return [];
+    }
+    try {
+      const ports = await this.procParser.getNamespacePorts(options);
+      if (ports.length > 0) {
+        this.log(`Collected ${ports.length} listeners from other network namespaces`);
+      }
+      return ports.map((port) => this.normalizePortEntry({ ...port, source: "system" }));
+    } catch (err) {
+      this.logWarn("Failed to collect ports from other network namespaces:", err.message);
+      return [];
+    }
+  }
+
   /**
    * Info logging helper - always shows important operational information
    * @param {...any} args Arguments to log
@@ -263,11 +263,13 @@ class DockerCollector extends BaseCollector {
 
   /**
    * Get Docker network ports (hybrid: both container and system)
+   * @param {Object} [options] Scan options, see resolveScanOptions
    * @returns {Promise<Array>} List of port entries
    */
-  async getPorts() {
+  async getPorts(options = {}) {
     const ttl = parseInt(process.env.DOCKER_CACHE_PORTS_TTL_MS || '4000', 10);
-    return this.cacheGetOrSet('ports', async () => {
+    const { includeUdp, disableCache } = this.resolveScanOptions(options);
+    return this.cacheGetOrSet(includeUdp ? 'ports:udp' : 'ports', async () => {
       try {
         const allPorts = [];
         const dockerPortsMap = new Map();
@@ -322,7 +324,7 @@ class DockerCollector extends BaseCollector {
         }
 
         try {
-          const systemPorts = await this._getSystemPorts();
+          const systemPorts = await this._getSystemPorts({ includeUdp });
 
           for (const port of systemPorts) {
             const normalizedIp = this._normalizeHostIp(port.host_ip);
@@ -380,8 +382,10 @@ class DockerCollector extends BaseCollector {
         }
 
         const collapsedPorts = this._collapseDockerLogicalDuplicates(allPorts);
-        const deduplicatedPorts =
-          this._collapseProcessLogicalDuplicates(collapsedPorts);
+        const deduplicatedPorts = [
+          ...this._collapseProcessLogicalDuplicates(collapsedPorts),
+          ...(await this.getNamespacePorts({ skipRuntimes: ["docker"] })),
+        ];
         this.logInfo(`Total unique ports collected: ${deduplicatedPorts.length}`);
         return deduplicatedPorts;
       } catch (err) {
@@ -394,7 +398,7 @@ class DockerCollector extends BaseCollector {
           },
         ];
       }
-    }, { ttlMs: ttl });
+    }, { ttlMs: ttl, forceRefresh: disableCache });
   }
 
   /**
@@ -726,25 +730,27 @@ class DockerCollector extends BaseCollector {
 
   /**
    * Get system ports using same logic as SystemCollector
+   * @param {Object} options - { includeUdp }
    * @returns {Promise<Array>} System port entries
    * @private
    */
-  async _getSystemPorts() {
+  async _getSystemPorts(options) {
     const isWindows = os.platform() === "win32";
 
     if (isWindows) {
   return await this._getWindowsSystemPorts();
     } else {
-      return await this._getLinuxSystemPorts();
+      return await this._getLinuxSystemPorts(options);
     }
   }
 
   /**
    * Get Linux system ports
+   * @param {Object} options - { includeUdp }
    * @returns {Promise<Array>} System port entries
    * @private
    */
-  async _getLinuxSystemPorts() {
+  async _getLinuxSystemPorts({ includeUdp }) {
     try {
       this.logInfo("Attempting nsenter method for comprehensive port collection with process names");
       const { stdout } = await execAsync("nsenter -t 1 -n ss -tulpn 2>/dev/null");
@@ -781,11 +787,14 @@ class DockerCollector extends BaseCollector {
             
             if (procWorks) {
               const tcpPorts = await this.procParser.getTcpPorts();
-              const includeAllUdp = process.env.INCLUDE_UDP === 'true';
-              const udpPorts = await this.procParser.getUdpPorts(includeAllUdp);
+              const udpPorts = await this.procParser.getUdpPorts(includeUdp);
               const allPorts = [...tcpPorts, ...udpPorts];
               
               if (allPorts.length >= 2) {
+                allPorts.push(...(await this.procParser.getOtherSockets({
+                  includeRaw: process.env.INCLUDE_RAW_SOCKETS === 'true',
+                  includeUnix: process.env.INCLUDE_UNIX_SOCKETS === 'true',
+                })));
                 for (const port of allPorts) {
                   if (port.pid) {
                     const containerId = await this.procParser.getContainerByPid(port.pid);
@@ -9,12 +9,14 @@ const { Logger } = require("../lib/logger");
 const BaseCollector = require("./base_collector");
 const TrueNASCollector = require("./truenas_collector");
 const DockerCollector = require("./docker_collector");
+const PodmanCollector = require("./podman_collector");
 const SystemCollector = require("./system_collector");
 
 const collectors = {
   base: BaseCollector,
   truenas: TrueNASCollector,
   docker: DockerCollector,
+  podman: PodmanCollector,
   system: SystemCollector,
 };
 
@@ -69,7 +71,7 @@ async function detectCollector(config = {}) {
     logger.debug("Collector detection config:", config);
   }
 
-  const collectorTypes = ["truenas", "docker", "system"];
+  const collectorTypes = ["truenas", "docker", "podman", "system"];
   let bestCollector = null;
   let highestScore = -1;
   let detectionDetails = {};
@@ -118,6 +120,14 @@ function registerCollector(platform, CollectorClass) {
   collectors[platform] = CollectorClass;
 }
 
+/**
+ * List the collector instances created so far
+ * @returns {Array<{platform: string, collector: BaseCollector}>}
+ */
+function getCollectorInstances() {
+  return Array.from(collectorInstances.entries()).map(([platform, collector]) => ({ platform, collector }));
+}
+
 function resetCollectors() {
   collectorInstances.clear();
   collectorInitState.clear();
@@ -130,5 +140,6 @@ module.exports = {
   detectCollector,
   registerCollector,
   collectors,
+  getCollectorInstances,
   resetCollectors,
 };
@@ -0,0 +1,426 @@
+/**
+ * PORTS TRACKER - PODMAN COLLECTOR
+ *
+ * This collector gathers data from Podman through the libpod REST API.
+ * It implements the standard collector interface defined in base_collector.js.
+ * Containers of the rootful service and of every rootless user socket are merged; host
+ * listeners come from the system collector, with the helper processes that publish container
+ * ports (conmon, rootlessport, pasta) folded into the container entries.
+ */
+
+const BaseCollector = require("./base_collector");
+const SystemCollector = require("./system_collector");
+const fs = require("fs");
+const { PodmanAPIClient, discoverPodmanSockets, DOCKER_COMPAT_SOCKET } = require("../lib/podman-api");
+
+class PodmanCollector extends BaseCollector {
+  /**
+   * Create a new Podman collector
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    super(config);
+    this.platform = "podman";
+    this.platformName = "Podman";
+    this.name = "Podman Collector";
+    this.clients = discoverPodmanSockets().map((socket) => new PodmanAPIClient(socket));
+    this.hostCollector = new SystemCollector(config);
+  }
+
+  async initialize() {
+    const results = await Promise.all(this.clients.map((client) => client.connect()));
+    return results.some(Boolean);
+  }
+
+  _normalizeHostIp(ip) {
+    if (!ip || ip === "::" || ip === "::0" || ip === "0.0.0.0") {
+      return "0.0.0.0";
+    }
+    return ip;
+  }
+
+  _toUnixSeconds(value) {
+    if (typeof value === "number") return value;
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+  }
+
+  /**
+   * Running containers from every reachable socket, tagged with the client they came from.
+   * A socket that fails is logged and skipped so one broken user service does not hide the rest.
+   * @private
+   */
+  async _listContainers() {
+    const perClient = await Promise.all(
+      this.clients.map(async (client) => {
+        try {
+          const containers = await client.listContainers();
+          return containers.map((container) => ({ container, client }));
+        } catch (err) {
+          this.logWarn(`Failed to list Podman containers (${client.label}):`, err.message);
+          return [];
+        }
+      })
+    );
+    return perClient.flat();
+  }
+
+  /**
+   * Find the socket a running container belongs to
+   * @param {string} containerId Full or short container ID
+   * @returns {Promise<PodmanAPIClient|null>}
+   * @private
+   */
+  async _findClient(containerId) {
+    const containers = await this._listContainers();
+    const match = containers.find(({ container }) => container.Id.startsWith(containerId));
+    return match ? match.client : null;
+  }
+
+  /**
+   * Whether a running Podman container has this ID
+   * @param {string} containerId Full or short container ID
+   * @returns {Promise<boolean>}
+   */
+  async hasContainer(containerId) {
+    return !!(await this._findClient(containerId));
+  }
+
+  /**
+   * Container state and healthcheck result, in the same shape as DockerAPIClient.getContainerHealth
+   * @param {string} containerId Full or short container ID
+   * @returns {Promise<Object>}
+   */
+  async getContainerHealth(containerId) {
+    const client = await this._findClient(containerId);
+    if (!client) {
+      return { status: "unknown", health: "unknown", startedAt: null, finishedAt: null, restartCount: 0, pid: null };
+    }
+    return client.getContainerHealth(containerId);
+  }
+
+  _containerName(container) {
+    return (Array.isArray(container.Names) ? container.Names.join(",") : container.Names) || container.Id.substring(0, 12);
+  }
+
+  /**
+   * Get Podman host information; container and image counts are summed across sockets
+   * @returns {Promise<Object>} System information
+   */
+  async getSystemInfo() {
+    try {
+      const infos = [];
+      for (const client of this.clients) {
+        try {
+          infos.push({ client, info: await client.getInfo() });
+        } catch (err) {
+          this.logWarn(`Failed to get Podman info (${client.label}):`, err.message);
+        }
+      }
+      if (infos.length === 0) {
+        throw new Error("No Podman socket reachable");
+      }
+
+      const { info } = infos.find((entry) => !entry.client.rootless) || infos[0];
+      const host = info.host || {};
+      const podmanVersion = info.version?.Version || "unknown";
+      const distribution = host.distribution || {};
+      const sum = (read) => infos.reduce((total, entry) => total + (read(entry.info) || 0), 0);
+
+      return {
+        type: "system",
+        hostname: host.hostname || "podman-host",
+        version: podmanVersion,
+        platform: "podman",
+        podman_version: podmanVersion,
+        containers_running: sum((i) => i.store?.containerStore?.running),
+        containers_total: sum((i) => i.store?.containerStore?.number),
+        images: sum((i) => i.store?.imageStore?.number),
+        kernel_version: host.kernel,
+        operating_system: [distribution.distribution, distribution.version].filter(Boolean).join(" ") || host.os,
+        os_type: host.os,
+        architecture: host.arch,
+        ncpu: host.cpus || 0,
+        memory: host.memTotal || 0,
+        platform_data: {
+          description: `Podman ${podmanVersion}`,
+          api_version: info.version?.APIVersion || null,
+          cgroup_version: host.cgroupVersion || null,
+          network_backend: host.networkBackend || null,
+          sockets: infos.map((entry) => ({
+            path: entry.client.socketPath,
+            rootless: entry.client.rootless,
+            uid: entry.client.uid,
+          })),
+        },
+      };
+    } catch (err) {
+      this.logError("Error collecting Podman system info:", err.message, err.stack);
+      return {
+        type: "system",
+        hostname: "Unknown Podman host",
+        version: "unknown",
+        platform: "podman",
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Get Podman containers and pods
+   * @returns {Promise<Array>} List of applications
+   */
+  async getApplications() {
+    try {
+      const containers = await this._listContainers();
+      const applications = containers.map(({ container, client }) => ({
+        type: "application",
+        id: container.Id.substring(0, 12),
+        name: this._containerName(container),
+        status: container.State,
+        version: "N/A",
+        image: container.Image,
+        command: Array.isArray(container.Command) ? container.Command.join(" ") : container.Command,
+        created: this._toUnixSeconds(container.Created),
+        platform: "podman",
+        platform_data: {
+          type: "container",
+          pod: container.PodName || null,
+          infra: !!container.IsInfra,
+          networks: container.Networks,
+          rootless: client.rootless,
+          uid: client.uid,
+        },
+      }));
+
+      for (const client of this.clients) {
+        try {
+          for (const pod of await client.listPods()) {
+            applications.push({
+              type: "application",
+              id: pod.Id.substring(0, 12),
+              name: pod.Name,
+              status: String(pod.Status || "unknown").toLowerCase(),
+              version: "N/A",
+              created: this._toUnixSeconds(pod.Created),
+              platform: "podman",
+              platform_data: {
+                type: "pod",
+                containers: (pod.Containers || []).map((member) => member.Names),
+                infra_id: pod.InfraId ? pod.InfraId.substring(0, 12) : null,
+                rootless: client.rootless,
+                uid: client.uid,
+              },
+            });
+          }
+        } catch (err) {
+          this.logWarn(`Failed to list Podman pods (${client.label}):`, err.message);
+        }
+      }
+
+      return applications;
+    } catch (err) {
+      this.logError("Error collecting Podman applications:", err.message, err.stack);
+      return [
+        {
+          type: "application",
+          name: "Podman containers collection failed",
+          error: err.message,
+          platform: "podman",
+        },
+      ];
+    }
+  }
+
+  /**
+   * Port entries of one container: published mappings (ranges expanded) and exposed ports
+   * without a mapping as internal ports. In a pod every member lists the pod's mappings; they
+   * are reported once, from the infra container and under the pod's name.
+   * @private
+   */
+  async _getContainerPorts(container, client) {
+    const containerId = container.Id.substring(0, 12);
+    const name = container.IsInfra && container.PodName ? container.PodName : this._containerName(container);
+    const labels = container.Labels || {};
+    const base = {
+      source: "docker",
+      owner: name,
+      container_id: containerId,
+      app_id: name,
+      compose_project: labels["com.docker.compose.project"] || labels["io.podman.compose.project"] || null,
+      compose_service: labels["com.docker.compose.service"] || labels["io.podman.compose.service"] || null,
+      created: this._toUnixSeconds(container.Created),
+      pids: container.Pid ? [container.Pid] : [],
+    };
+    const entries = [];
+    const publishedTargets = new Set();
+
+    const reportsMappings = !container.Pod || container.IsInfra;
+    for (const mapping of container.Ports || []) {
+      const range = Math.max(parseInt(mapping.range, 10) || 1, 1);
+      for (let offset = 0; offset < range; offset++) {
+        const hostPort = mapping.host_port + offset;
+        const targetPort = mapping.container_port + offset;
+        if (!hostPort) continue;
+        publishedTargets.add(`${targetPort}/${mapping.protocol || "tcp"}`);
+        if (!reportsMappings) continue;
+        entries.push({
+          ...base,
+          protocol: mapping.protocol || "tcp",
+          host_ip: this._normalizeHostIp(mapping.host_ip),
+          host_port: hostPort,
+          target: `${containerId}:${targetPort}`,
+        });
+      }
+    }
+
+    try {
+      const inspection = await client.inspectContainer(container.Id);
+      const exposed = new Set([
+        ...Object.keys(inspection.Config?.ExposedPorts || {}),
+        ...Object.entries(inspection.NetworkSettings?.Ports || {})
+          .filter(([, bindings]) => !bindings || bindings.length === 0)
+          .map(([portDef]) => portDef),
+      ]);
+      for (const portDef of exposed) {
+        if (publishedTargets.has(portDef)) continue;
+        const [port, protocol] = portDef.split("/");
+        const portNum = parseInt(port, 10);
+        if (Number.isNaN(portNum)) continue;
+        entries.push({
+          ...base,
+          protocol: protocol || "tcp",
+          host_ip: "0.0.0.0",
+          host_port: portNum,
+          target: `${containerId}:${portNum}(internal)`,
+          internal: true,
+        });
+      }
+    } catch (err) {
+      this.logWarn(`Failed to inspect Podman container ${containerId} (${client.label}):`, err.message);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get Podman container ports merged with the host's listeners
+   * @param {Object} [options] Scan options, see resolveScanOptions
+   * @returns {Promise<Array>} List of port entries
+   */
+  async getPorts(options = {}) {
+    const ttl = parseInt(process.env.PODMAN_CACHE_PORTS_TTL_MS || "4000", 10);
+    const { includeUdp, disableCache } = this.resolveScanOptions(options);
+    return this.cacheGetOrSet(includeUdp ? "ports:udp" : "ports", async () => {
+      try {
+        const allPorts = [];
+        const seenKeys = new Set();
+        const containersById = new Map();
+        const addPort = (port, key) => {
+          if (seenKeys.has(key)) return;
+          seenKeys.add(key);
+          allPorts.push(this.normalizePortEntry(port));
+        };
+
+        const containers = await this._listContainers();
+        const containerPorts = await Promise.all(
+          containers.map(({ container, client }) => {
+            containersById.set(container.Id, container);
+            return this._getContainerPorts(container, client);
+          })
+        );
+        for (const port of containerPorts.flat()) {
+          const key = port.internal
+            ? `${port.container_id}:${port.host_port}:${port.protocol}:internal`
+            : `${port.host_ip}:${port.host_port}:${port.protocol}`;
+          addPort(port, key);
+        }
+
+        try {
+          const hostPorts = await this.hostCollector.getPorts({ includeUdp, disableCache });
+          for (const port of hostPorts) {
+            if (port.error) continue;
+            const namespaceContainer = port.internal && port.container_id ? containersById.get(port.container_id) : null;
+            if (namespaceContainer) {
+              const containerId = namespaceContainer.Id.substring(0, 12);
+              const name = namespaceContainer.IsInfra && namespaceContainer.PodName
+                ? namespaceContainer.PodName
+                : this._containerName(namespaceContainer);
+              addPort(
+                { ...port, source: "docker", owner: name, app_id: name, container_id: containerId, target: `${containerId}:${port.host_port}(internal)` },
+                `${containerId}:${port.host_port}:${port.protocol}:internal`
+              );
+              continue;
+            }
+            const hostIp = this._normalizeHostIp(port.host_ip);
+            if (seenKeys.has(`${hostIp}:${port.host_port}:${port.protocol}`)) continue;
+            if (hostIp !== "0.0.0.0" && seenKeys.has(`0.0.0.0:${port.host_port}:${port.protocol}`)) continue;
+            allPorts.push(port);
+          }
+        } catch (hostErr) {
+          this.logWarn("Failed to collect host ports:", hostErr.message);
+        }
+
+        this.logInfo(`Total unique ports collected: ${allPorts.length} (${containers.length} Podman containers)`);
+        return allPorts;
+      } catch (err) {
+        this.logError("Critical error in getPorts:", err.message, err.stack);
+        return [
+          {
+            type: "port",
+            error: `Critical error in getPorts: ${err.message}`,
+            platform: "podman",
+          },
+        ];
+      }
+    }, { ttlMs: ttl, forceRefresh: disableCache });
+  }
+
+  /**
+   * Podman does not manage VMs
+   * @returns {Promise<Array>} Empty list
+   */
+  async getVMs() {
+    return [];
+  }
+
+  /**
+   * Check if Podman is available with confidence score. A reachable socket scores 45, below a
+   * real Docker socket (50); when /var/run/docker.sock is Podman's compatibility socket
+   * (podman-docker, or a Podman socket mounted there) it scores 55, as the Docker collector
+   * would only see Podman anyway.
+   * @returns {Promise<number>} Confidence score 0-100
+   */
+  async isCompatible() {
+    this.logInfo("--- Podman Collector Compatibility Check ---");
+
+    if (this.clients.length === 0) {
+      this.logInfo("No Podman sockets found. Incompatible (score 0).");
+      return 0;
+    }
+
+    const reachable = [];
+    for (const client of this.clients) {
+      if (await client.connect()) reachable.push(client);
+    }
+    if (reachable.length === 0) {
+      this.logInfo("Podman sockets found but none answered. Incompatible (score 0).");
+      return 0;
+    }
+
+    let dockerSocketIsPodman = reachable.some((client) => client.socketPath === DOCKER_COMPAT_SOCKET);
+    try {
+      dockerSocketIsPodman = dockerSocketIsPodman || fs.realpathSync(DOCKER_COMPAT_SOCKET).includes("podman");
+    } catch {
+      void 0;
+    }
+
+    const score = dockerSocketIsPodman ? 55 : 45;
+    this.logInfo(
+      `Podman API reachable on ${reachable.map((client) => `${client.socketPath} (${client.label})`).join(", ")}. Assigning compatibility score (${score}).`
+    );
+    return score;
+  }
+}
+
+module.exports = PodmanCollector;
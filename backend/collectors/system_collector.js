@@ -206,11 +206,13 @@ class SystemCollector extends BaseCollector {
 
   /**
    * Get system ports (using code from the original system scanner)
+   * @param {Object} [options] Scan options, see resolveScanOptions
    * @returns {Promise<Array>} List of port entries
    */
-  async getPorts() {
+  async getPorts(options = {}) {
     const ttl = parseInt(process.env.SYSTEM_CACHE_PORTS_TTL_MS || '5000', 10);
-    return this.cacheGetOrSet('ports', async () => {
+    const { includeUdp, disableCache } = this.resolveScanOptions(options);
+    return this.cacheGetOrSet(includeUdp ? 'ports:udp' : 'ports', async () => {
       try {
         this.log("Collecting system ports");
         let collectedPorts = null;
@@ -223,12 +225,19 @@ class SystemCollector extends BaseCollector {
             if (procWorks) {
               this.log("Attempting to get ports via /proc filesystem");
               const tcpPorts = await this.procParser.getTcpPorts();
-              const includeAllUdp = process.env.INCLUDE_UDP === 'true';
-              const udpPorts = await this.procParser.getUdpPorts(includeAllUdp);
+              const udpPorts = await this.procParser.getUdpPorts(includeUdp);
               const allPorts = [...tcpPorts, ...udpPorts];
 
               if (allPorts.length >= 3) {
                 this.log(`Successfully collected ${allPorts.length} ports via /proc (TCP: ${tcpPorts.length}, UDP: ${udpPorts.length})`);
+                const otherSockets = await this.procParser.getOtherSockets({
+                  includeRaw: process.env.INCLUDE_RAW_SOCKETS === 'true',
+                  includeUnix: process.env.INCLUDE_UNIX_SOCKETS === 'true',
+                });
+                if (otherSockets.length > 0) {
+                  this.log(`Collected ${otherSockets.length} SCTP, raw and Unix sockets via /proc`);
+                  allPorts.push(...otherSockets);
+                }
                 collectedPorts = allPorts.map((port) => this.normalizePortEntry({
                   source: "system",
                   owner: port.owner,
@@ -259,7 +268,8 @@ class SystemCollector extends BaseCollector {
             collectedPorts = await this.getLinuxPorts();
           }
         }
-        return this._collapseProcessLogicalDuplicates(collectedPorts);
+        const namespacePorts = await this.getNamespacePorts();
+        return [...this._collapseProcessLogicalDuplicates(collectedPorts), ...namespacePorts];
       } catch (err) {
         this.logError("Error collecting system ports:", err.message, err.stack);
         return [
@@ -270,7 +280,7 @@ class SystemCollector extends BaseCollector {
           },
         ];
       }
-    }, { ttlMs: ttl });
+    }, { ttlMs: ttl, forceRefresh: disableCache });
   }
 
   /**
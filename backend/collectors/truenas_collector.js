@@ -37,6 +37,7 @@ class TrueNASCollector extends BaseCollector {
     this._clientInitPromise = null;
     this._collectionInProgress = false;
     this._pendingCollectionPromise = null;
+    this._pendingCollectionUdp = null;
   this.procParser = new ProcParser();
   this.dockerApi = new DockerAPIClient();
     this._initializeDocker();
@@ -70,11 +71,12 @@ class TrueNASCollector extends BaseCollector {
 
   /**
    * Return only ports (used for quick port generation flows)
+   * @param {Object} [options] Scan options, see resolveScanOptions
    * @returns {Promise<Array>} List of port entries
    */
-  async getPorts() {
+  async getPorts(options = {}) {
     try {
-      const full = await this.collect();
+      const full = await this.collect(options);
       return full?.ports || [];
     } catch (err) {
       this.logError("Error collecting ports in getPorts:", err.message, err.stack);
@@ -853,9 +855,11 @@ class TrueNASCollector extends BaseCollector {
 
   /**
    * Get system ports using platform-adaptive approach
+   * @param {Object} [options]
+   * @param {boolean} [options.includeUdp] Include UDP sockets
    * @returns {Promise<Array>} List of system ports
    */
-  async _getSystemPorts() {
+  async _getSystemPorts(options = {}) {
     this.logInfo('=== TrueNAS System Ports Collection (Platform-Adaptive) ===');
     
     const isContainerized = this._detectContainerizedEnvironment();
@@ -869,10 +873,13 @@ class TrueNASCollector extends BaseCollector {
         
         if (procWorks) {
           const tcpPorts = await this.procParser.getTcpPorts();
-          const includeUdp = process.env.INCLUDE_UDP === 'true';
-          const udpPorts = await this.procParser.getUdpPorts(includeUdp);
+          const udpPorts = await this.procParser.getUdpPorts(options.includeUdp === true);
+          const otherSockets = await this.procParser.getOtherSockets({
+            includeRaw: process.env.INCLUDE_RAW_SOCKETS === 'true',
+            includeUnix: process.env.INCLUDE_UNIX_SOCKETS === 'true',
+          });
           
-          const allPorts = [...tcpPorts, ...udpPorts].map(port => ({
+          const allPorts = [...tcpPorts, ...udpPorts, ...otherSockets].map(port => ({
             source: 'system',
             owner: port.owner,
             protocol: port.protocol,
@@ -1149,17 +1156,24 @@ class TrueNASCollector extends BaseCollector {
   }
 
   /**
-   * Main collection method - with clean API key separation
+   * Main collection method - with clean API key separation. A collection already in progress
+   * is shared with callers asking for the same UDP setting; others wait for it and run their own.
+   * @param {Object} [options] Scan options, see resolveScanOptions
    * @returns {Promise<Object>} Collection results
    */
-  async collect() {
-    if (this._collectionInProgress) {
-      this.log('Collection already in progress, returning pending promise');
-      return this._pendingCollectionPromise;
+  async collect(options = {}) {
+    const scanOptions = this.resolveScanOptions(options);
+    while (this._collectionInProgress) {
+      if (this._pendingCollectionUdp === scanOptions.includeUdp) {
+        this.log('Collection already in progress, returning pending promise');
+        return this._pendingCollectionPromise;
+      }
+      await this._pendingCollectionPromise.catch(() => {});
     }
 
     this._collectionInProgress = true;
-    this._pendingCollectionPromise = this._performCollection();
+    this._pendingCollectionUdp = scanOptions.includeUdp;
+    this._pendingCollectionPromise = this._performCollection(scanOptions);
 
     try {
       const results = await this._pendingCollectionPromise;
@@ -1167,10 +1181,11 @@ class TrueNASCollector extends BaseCollector {
     } finally {
       this._collectionInProgress = false;
       this._pendingCollectionPromise = null;
+      this._pendingCollectionUdp = null;
     }
   }
 
-  async _performCollection() {
+  async _performCollection(scanOptions) {
     const perf = new PerformanceTracker();
     perf.start("total-collection");
 
@@ -1273,9 +1288,9 @@ class TrueNASCollector extends BaseCollector {
 
         perf.start("system-ports-collection");
         const systemPorts = await this.cacheGetOrSet(
-          "systemPorts",
-          () => this._getSystemPorts(),
-          { ttlMs: 30000 }
+          scanOptions.includeUdp ? "systemPorts:udp" : "systemPorts",
+          () => this._getSystemPorts({ includeUdp: scanOptions.includeUdp }),
+          { ttlMs: 30000, forceRefresh: scanOptions.disableCache }
         );
         perf.end("system-ports-collection");
 
@@ -1372,7 +1387,9 @@ class TrueNASCollector extends BaseCollector {
 
         for (const port of systemPorts) {
           const normalizedIp = this._resolveHostIP(port.host_ip);
-          const key = `${normalizedIp}:${port.host_port}`;
+          const key = ["tcp", "udp"].includes(port.protocol || "tcp")
+            ? `${normalizedIp}:${port.host_port}`
+            : `${normalizedIp}:${port.host_port}:${port.protocol}`;
           const portPid = getPrimaryPid(port);
           port.host_ip = normalizedIp;
           if (uniquePorts.has(key)) {
@@ -1474,7 +1491,7 @@ class TrueNASCollector extends BaseCollector {
         perf.end("self-container-attribution");
 
         perf.start("port-filtering");
-        const includeSystemUdp = process.env.INCLUDE_UDP === "true";
+        const includeSystemUdp = scanOptions.includeUdp;
         const filteredPorts = Array.from(uniquePorts.values())
           .filter((port) => {
             if (port.protocol === "tcp") {
@@ -1508,6 +1525,10 @@ class TrueNASCollector extends BaseCollector {
               return includeSystemUdp;
             }
 
+            if (["sctp", "raw", "unix"].includes(port.protocol)) {
+              return true;
+            }
+
             return false;
           })
           .map((port) => this.normalizePortEntry(port));
@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const Database = require("better-sqlite3");
 const { Logger } = require("./lib/logger");
 
@@ -37,6 +38,8 @@ if (!tableExists) {
       api_key TEXT,
       api_key_created_at TEXT,
       remote_api_key TEXT,
+      port_policy TEXT,
+      last_scan_at TEXT,
       FOREIGN KEY (parentId) REFERENCES servers(id)
     );
     
@@ -107,10 +110,145 @@ if (!tableExists) {
     username TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
     created_at INTEGER NOT NULL,
-    last_login INTEGER
+    last_login INTEGER,
+    role TEXT NOT NULL DEFAULT 'viewer',
+    disabled INTEGER NOT NULL DEFAULT 0,
+    auth_source TEXT NOT NULL DEFAULT 'local',
+    external_id TEXT,
+    totp_secret TEXT,
+    totp_enabled INTEGER NOT NULL DEFAULT 0,
+    totp_required INTEGER NOT NULL DEFAULT 0,
+    totp_last_step INTEGER,
+    totp_recovery_codes TEXT
   );
 `);
   createUsersTable.run();
+
+  const createPortObservationsTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS port_observations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_id TEXT NOT NULL,
+    host_ip TEXT NOT NULL,
+    host_port INTEGER NOT NULL,
+    protocol TEXT NOT NULL DEFAULT 'tcp',
+    container_id TEXT,
+    owner TEXT,
+    source TEXT,
+    internal INTEGER DEFAULT 0,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL,
+    scan_count INTEGER NOT NULL DEFAULT 1,
+    FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+  );
+`);
+  createPortObservationsTable.run();
+  db.prepare(
+    "CREATE INDEX IF NOT EXISTS idx_port_observations_server ON port_observations (server_id, host_port, protocol)"
+  ).run();
+
+  const createPortEventsTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS port_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    host_ip TEXT,
+    host_port INTEGER,
+    protocol TEXT,
+    container_id TEXT,
+    owner TEXT,
+    previous_value TEXT,
+    current_value TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+  );
+`);
+  createPortEventsTable.run();
+  db.prepare(
+    "CREATE INDEX IF NOT EXISTS idx_port_events_server_time ON port_events (server_id, created_at)"
+  ).run();
+
+  const createWebhookTargetsTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS webhook_targets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'generic',
+    url TEXT NOT NULL,
+    token TEXT,
+    triggers TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    last_status TEXT,
+    last_error TEXT,
+    last_sent_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+`);
+  createWebhookTargetsTable.run();
+
+  const createPortReservationsTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS port_reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_id TEXT NOT NULL,
+    host_port INTEGER NOT NULL,
+    protocol TEXT NOT NULL DEFAULT 'tcp',
+    owner TEXT NOT NULL,
+    purpose TEXT,
+    expires_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    UNIQUE (server_id, host_port, protocol),
+    FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+  );
+`);
+  createPortReservationsTable.run();
+
+  const createApiKeysTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_prefix TEXT,
+    key_hash TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    expires_at TEXT,
+    last_used_at TEXT,
+    last_used_ip TEXT,
+    revoked_at TEXT
+  );
+`);
+  createApiKeysTable.run();
+
+  const createAuditLogTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    actor TEXT,
+    actor_type TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    details TEXT,
+    ip TEXT,
+    success INTEGER NOT NULL DEFAULT 1
+  );
+`);
+  createAuditLogTable.run();
+  db.prepare(
+    "CREATE INDEX IF NOT EXISTS idx_audit_log_time ON audit_log (created_at)"
+  ).run();
+
+  const createLoginThrottleTable = db.prepare(`
+  CREATE TABLE IF NOT EXISTS login_throttle (
+    scope TEXT NOT NULL,
+    key TEXT NOT NULL,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failed_at INTEGER NOT NULL,
+    locked_until INTEGER,
+    lockouts INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (scope, key)
+  );
+`);
+  createLoginThrottleTable.run();
 } else {
   try {
     const notesColumns = db.prepare("PRAGMA table_info(notes)").all();
@@ -512,12 +650,46 @@ if (!tableExists) {
           username TEXT UNIQUE NOT NULL,
           password_hash TEXT NOT NULL,
           created_at INTEGER NOT NULL,
-          last_login INTEGER
+          last_login INTEGER,
+          role TEXT NOT NULL DEFAULT 'viewer',
+          disabled INTEGER NOT NULL DEFAULT 0,
+          auth_source TEXT NOT NULL DEFAULT 'local',
+          external_id TEXT,
+          totp_secret TEXT,
+          totp_enabled INTEGER NOT NULL DEFAULT 0,
+          totp_required INTEGER NOT NULL DEFAULT 0,
+          totp_last_step INTEGER,
+          totp_recovery_codes TEXT
         );
       `);
       logger.info('Schema migration: users table created successfully');
     }
 
+    const usersColumns = db.prepare("PRAGMA table_info(users)").all();
+    if (!usersColumns.some((col) => col.name === "role")) {
+      logger.info('Schema migration: Adding "role" column to "users" table');
+      db.prepare("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'viewer'").run();
+      db.prepare("UPDATE users SET role = 'admin'").run();
+      logger.info('Schema migration: existing users promoted to admin');
+    }
+    if (!usersColumns.some((col) => col.name === "disabled")) {
+      logger.info('Schema migration: Adding "disabled" column to "users" table');
+      db.prepare("ALTER TABLE users ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0").run();
+    }
+    if (!usersColumns.some((col) => col.name === "auth_source")) {
+      logger.info('Schema migration: Adding "auth_source" and "external_id" columns to "users" table');
+      db.prepare("ALTER TABLE users ADD COLUMN auth_source TEXT NOT NULL DEFAULT 'local'").run();
+      db.prepare("ALTER TABLE users ADD COLUMN external_id TEXT").run();
+    }
+    if (!usersColumns.some((col) => col.name === "totp_secret")) {
+      logger.info('Schema migration: Adding two-factor authentication columns to "users" table');
+      db.prepare("ALTER TABLE users ADD COLUMN totp_secret TEXT").run();
+      db.prepare("ALTER TABLE users ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0").run();
+      db.prepare("ALTER TABLE users ADD COLUMN totp_required INTEGER NOT NULL DEFAULT 0").run();
+      db.prepare("ALTER TABLE users ADD COLUMN totp_last_step INTEGER").run();
+      db.prepare("ALTER TABLE users ADD COLUMN totp_recovery_codes TEXT").run();
+    }
+
     const serversColumnsForApiKey = db.prepare("PRAGMA table_info(servers)").all();
     if (!serversColumnsForApiKey.some((col) => col.name === "api_key")) {
       logger.info('Schema migration: Adding "api_key" column to "servers" table');
@@ -534,6 +706,216 @@ if (!tableExists) {
       db.prepare("ALTER TABLE servers ADD COLUMN remote_api_key TEXT").run();
       logger.info('Schema migration: remote_api_key column added to servers table');
     }
+    if (!serversColumnsForApiKey.some((col) => col.name === "port_policy")) {
+      logger.info('Schema migration: Adding "port_policy" column to "servers" table');
+      db.prepare("ALTER TABLE servers ADD COLUMN port_policy TEXT").run();
+      logger.info('Schema migration: port_policy column added to servers table');
+    }
+    if (!serversColumnsForApiKey.some((col) => col.name === "last_scan_at")) {
+      logger.info('Schema migration: Adding "last_scan_at" column to "servers" table');
+      db.prepare("ALTER TABLE servers ADD COLUMN last_scan_at TEXT").run();
+      logger.info('Schema migration: last_scan_at column added to servers table');
+    }
+
+    const portObservationsTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='port_observations'"
+      )
+      .get();
+
+    if (!portObservationsTableExists) {
+      logger.info('Schema migration: Creating "port_observations" table for port history');
+      db.exec(`
+        CREATE TABLE port_observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id TEXT NOT NULL,
+          host_ip TEXT NOT NULL,
+          host_port INTEGER NOT NULL,
+          protocol TEXT NOT NULL DEFAULT 'tcp',
+          container_id TEXT,
+          owner TEXT,
+          source TEXT,
+          internal INTEGER DEFAULT 0,
+          first_seen TEXT NOT NULL,
+          last_seen TEXT NOT NULL,
+          scan_count INTEGER NOT NULL DEFAULT 1,
+          FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_port_observations_server ON port_observations (server_id, host_port, protocol);
+      `);
+      logger.info('Schema migration: port_observations table created successfully');
+    }
+
+    const portEventsTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='port_events'"
+      )
+      .get();
+
+    if (!portEventsTableExists) {
+      logger.info('Schema migration: Creating "port_events" table for the activity log');
+      db.exec(`
+        CREATE TABLE port_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          host_ip TEXT,
+          host_port INTEGER,
+          protocol TEXT,
+          container_id TEXT,
+          owner TEXT,
+          previous_value TEXT,
+          current_value TEXT,
+          created_at TEXT NOT NULL,
+          FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_port_events_server_time ON port_events (server_id, created_at);
+      `);
+      logger.info('Schema migration: port_events table created successfully');
+    }
+
+    const webhookTargetsTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='webhook_targets'"
+      )
+      .get();
+
+    if (!webhookTargetsTableExists) {
+      logger.info('Schema migration: Creating "webhook_targets" table for notifications');
+      db.exec(`
+        CREATE TABLE webhook_targets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL DEFAULT 'generic',
+          url TEXT NOT NULL,
+          token TEXT,
+          triggers TEXT NOT NULL,
+          enabled INTEGER DEFAULT 1,
+          last_status TEXT,
+          last_error TEXT,
+          last_sent_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT
+        );
+      `);
+      logger.info('Schema migration: webhook_targets table created successfully');
+    }
+
+    const portReservationsTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='port_reservations'"
+      )
+      .get();
+
+    if (!portReservationsTableExists) {
+      logger.info('Schema migration: Creating "port_reservations" table');
+      db.exec(`
+        CREATE TABLE port_reservations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id TEXT NOT NULL,
+          host_port INTEGER NOT NULL,
+          protocol TEXT NOT NULL DEFAULT 'tcp',
+          owner TEXT NOT NULL,
+          purpose TEXT,
+          expires_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT,
+          UNIQUE (server_id, host_port, protocol),
+          FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+        );
+      `);
+      logger.info('Schema migration: port_reservations table created successfully');
+    }
+
+    const apiKeysTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='api_keys'"
+      )
+      .get();
+
+    if (!apiKeysTableExists) {
+      logger.info('Schema migration: Creating "api_keys" table');
+      db.exec(`
+        CREATE TABLE api_keys (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          key_prefix TEXT,
+          key_hash TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          created_by TEXT,
+          created_at TEXT NOT NULL,
+          expires_at TEXT,
+          last_used_at TEXT,
+          last_used_ip TEXT,
+          revoked_at TEXT
+        );
+      `);
+
+      const legacyKey = db
+        .prepare("SELECT api_key, api_key_created_at FROM servers WHERE id = 'local' AND api_key IS NOT NULL")
+        .get();
+      if (legacyKey) {
+        db.prepare(
+          "INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, created_at) VALUES (?, ?, NULL, ?, ?, ?)"
+        ).run(
+          crypto.randomUUID(),
+          'Peer key',
+          legacyKey.api_key,
+          JSON.stringify(['ports:read', 'ports:generate']),
+          legacyKey.api_key_created_at || new Date().toISOString()
+        );
+        db.prepare("UPDATE servers SET api_key = NULL, api_key_created_at = NULL WHERE id = 'local'").run();
+        logger.info('Schema migration: existing API key moved to api_keys as "Peer key"');
+      }
+      logger.info('Schema migration: api_keys table created successfully');
+    }
+
+    const auditLogTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='audit_log'"
+      )
+      .get();
+
+    if (!auditLogTableExists) {
+      logger.info('Schema migration: Creating "audit_log" table');
+      db.exec(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          created_at TEXT NOT NULL,
+          actor TEXT,
+          actor_type TEXT NOT NULL,
+          action TEXT NOT NULL,
+          target TEXT,
+          details TEXT,
+          ip TEXT,
+          success INTEGER NOT NULL DEFAULT 1
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_log_time ON audit_log (created_at);
+      `);
+      logger.info('Schema migration: audit_log table created successfully');
+    }
+
+    const loginThrottleTableExists = db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='login_throttle'"
+      )
+      .get();
+
+    if (!loginThrottleTableExists) {
+      logger.info('Schema migration: Creating "login_throttle" table');
+      db.exec(`
+        CREATE TABLE login_throttle (
+          scope TEXT NOT NULL,
+          key TEXT NOT NULL,
+          failures INTEGER NOT NULL DEFAULT 0,
+          last_failed_at INTEGER NOT NULL,
+          locked_until INTEGER,
+          lockouts INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (scope, key)
+        );
+      `);
+      logger.info('Schema migration: login_throttle table created successfully');
+    }
 
   } catch (migrationError) {
     logger.error(
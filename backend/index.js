@@ -9,16 +9,35 @@ const fs = require('fs');
 const fetch = (...args) => (globalThis.fetch ? globalThis.fetch(...args) : import('node-fetch').then(m => m.default(...args)));
 const { Logger } = require('./lib/logger');
 const DockerAPIClient = require('./lib/docker-api');
-const { createCollector, detectCollector } = require('./collectors');
+const { createCollector, getCollectorAsync, detectCollector, getCollectorInstances } = require('./collectors');
 const net = require('net');
 const db = require('./db');
 const https = require("https");
 const os = require("os");
-const { requireAuth, requireAuthOrApiKey, checkAuthEnabled, isAuthEnabled } = require('./middleware/auth');
+const { requireAuthOrApiKey, allowApiKey, requireRole, requestHasRole, checkAuthEnabled, isAuthEnabled } = require('./middleware/auth');
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
 const settingsRoutes = require('./routes/settings');
 const autoxposeRoutes = require('./routes/autoxpose');
 const recoveryManager = require('./lib/recovery-manager');
+const portHistory = require('./lib/port-history');
+const portEvents = require('./lib/port-events');
+const notifications = require('./lib/notifications');
+const pingHealth = require('./lib/ping-health');
+const metrics = require('./lib/metrics');
+const PerformanceTracker = require('./utils/performance-tracker');
+const notificationRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
+const backupRoutes = require('./routes/backup');
+const liveUpdates = require('./lib/live-updates');
+const inventoryExport = require('./lib/inventory-export');
+const portReservations = require('./lib/port-reservations');
+const portPolicy = require('./lib/port-policy');
+const composePorts = require('./lib/compose-ports');
+const portConflicts = require('./lib/port-conflicts');
+const { recordAudit } = require('./lib/audit-log');
+const { parseDateParam } = require('./utils/query-params');
+const auditRoutes = require('./routes/audit');
 
 const logger = new Logger("Server", { debug: process.env.DEBUG === 'true' });
 const BASE_DEBUG = process.env.DEBUG === 'true';
@@ -31,6 +50,11 @@ const PORT_SUGGEST_MAX = parseInt(process.env.GENERATE_PORT_MAX || '60999', 10);
 const PORT_SUGGEST_BIND_HOST = process.env.GENERATE_PORT_BIND_HOST || '0.0.0.0';
 const HOST_OVERRIDE = process.env.HOST_OVERRIDE || '';
 const PORT_SUGGEST_MAX_RANDOM_ATTEMPTS = 60;
+const SCAN_INTERVAL_MS = parseInt(process.env.SCAN_INTERVAL_MS || '60000', 10);
+const PEER_FETCH_TIMEOUT_MS = parseInt(process.env.PEER_FETCH_TIMEOUT_MS || '15000', 10);
+const PEER_MAX_DEPTH = 4;
+const PEER_VISITED_HEADER = 'X-Portracker-Visited';
+const INSTANCE_ID = require('crypto').randomUUID();
 
 if (isAuthEnabled()) {
   logger.info('Authentication is ENABLED - Login required for dashboard access');
@@ -573,6 +597,7 @@ app.use(cors({
   origin: true,
   credentials: true
 }));
+app.use('/api/restore', express.json({ limit: '20mb' }));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -606,8 +631,13 @@ if (isAuthEnabled()) {
 app.use(checkAuthEnabled);
 
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/autoxpose', autoxposeRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api', backupRoutes);
 
 const PORT = process.env.PORT || 3000;
 
@@ -619,10 +649,20 @@ app.get("/api/ports", requireAuthOrApiKey, async (req, res) => {
   if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(debug);
   const cacheKey = 'endpoint:ports:local';
   if (!debug && process.env.DISABLE_CACHE !== 'true') {
+      const scheduled = scanResultCache.get("local");
+      if (scheduled?.data) {
+        if (process.env.DEBUG === 'true') logger.debug('ports-endpoint served from scheduled scan');
+        return res.json({
+          cached: true,
+          ttlMs: SCAN_INTERVAL_MS,
+          collected_at: scheduled.collected_at,
+          data: mergePortEntriesByBinding(scheduled.data),
+        });
+      }
       const cached = responseCache.get(cacheKey);
       if (cached) {
         if (process.env.DEBUG === 'true') logger.debug('ports-endpoint cache hit local');
-        return res.json({ cached: true, ttlMs: RESP_TTL_PORTS, data: cached });
+        return res.json({ cached: true, ttlMs: RESP_TTL_PORTS, collected_at: cached.collected_at, data: cached.data });
       }
       if (process.env.DEBUG === 'true') logger.debug('ports-endpoint cache miss local');
   }
@@ -638,35 +678,12 @@ app.get("/api/ports", requireAuthOrApiKey, async (req, res) => {
     const systemPorts = await systemCollector.getPorts();
     entries.push(...systemPorts);
 
-    const normalized = entries
-      .filter((e) => e.host_port && e.host_ip)
-      .reduce((acc, entry) => {
-        const key = `${entry.host_ip}:${entry.host_port}:${entry.protocol}`;
-        if (!acc[key]) {
-          acc[key] = {
-            ...entry,
-            owners: [entry.owner],
-            pids: [entry.pid].filter(Boolean),
-          };
-        } else {
-          if (!acc[key].owners.includes(entry.owner)) {
-            acc[key].owners.push(entry.owner);
-          }
-          if (entry.pid && !acc[key].pids.includes(entry.pid)) {
-            acc[key].pids.push(entry.pid);
-          }
-        }
-        return acc;
-      }, {});
-
-    const payload = Object.values(normalized).map((e) => ({
-      ...e,
-      owner: e.owners.join(", "),
-    }));
+    const payload = mergePortEntriesByBinding(entries);
+    const collectedAt = new Date().toISOString();
     if (!debug && process.env.DISABLE_CACHE !== 'true') {
-      responseCache.set(cacheKey, payload, RESP_TTL_PORTS);
+      responseCache.set(cacheKey, { data: payload, collected_at: collectedAt }, RESP_TTL_PORTS);
     }
-    res.json({ cached: false, ttlMs: RESP_TTL_PORTS, data: payload });
+    res.json({ cached: false, ttlMs: RESP_TTL_PORTS, collected_at: collectedAt, data: payload });
   } catch (error) {
     logger.error("Error in GET /api/ports:", error.message);
     logger.debug("Stack trace:", error.stack || "");
@@ -679,40 +696,111 @@ app.get("/api/ports", requireAuthOrApiKey, async (req, res) => {
 });
 
 /**
- * New peer-based endpoint to replace remote API connectivity.
+ * Merges port entries that share the same host binding (ip:port:protocol), combining owners and pids.
+ * @param {Array} entries - Port entries from one or more collectors
+ * @returns {Array} One entry per binding with a comma-separated owner list
+ */
+function mergePortEntriesByBinding(entries) {
+  const normalized = entries
+    .filter((e) => e.host_port != null && e.host_ip)
+    .reduce((acc, entry) => {
+      const key = `${entry.host_ip}:${entry.host_port}:${entry.protocol}`;
+      if (!acc[key]) {
+        acc[key] = {
+          ...entry,
+          owners: [entry.owner],
+          pids: [entry.pid].filter(Boolean),
+        };
+      } else {
+        if (!acc[key].owners.includes(entry.owner)) {
+          acc[key].owners.push(entry.owner);
+        }
+        if (entry.pid && !acc[key].pids.includes(entry.pid)) {
+          acc[key].pids.push(entry.pid);
+        }
+      }
+      return acc;
+    }, {});
+
+  return Object.values(normalized).map((e) => ({
+    ...e,
+    owner: e.owners.join(", "),
+  }));
+}
+
+/**
+ * Fleet-wide inventory. Fans out to every peer concurrently with a per-peer timeout;
+ * failed peers are reported per entry (falling back to the last scheduled result).
+ * With recursive=true each peer is asked for its own /api/all-ports, so peers of peers
+ * are included as children (parentId) and loops are broken via the visited header.
  */
 app.get("/api/all-ports", requireAuthOrApiKey, async (req, res) => {
   const debug = req.query.debug === "true" || process.env.DEBUG === 'true';
   if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(debug);
   
   logger.debug(`GET /api/all-ports called with debug=${debug}`);
+
+  const visited = (req.get(PEER_VISITED_HEADER) || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (visited.includes(INSTANCE_ID)) {
+    logger.warn(`Peer loop detected in /api/all-ports (path: ${visited.join(" -> ")})`);
+    if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(BASE_DEBUG);
+    return res.status(508).json({ error: "Peer loop detected", instance_id: INSTANCE_ID });
+  }
+
+  const recursive = req.query.recursive === "true";
+  const refresh = req.query.refresh === "true";
+  const depth = Math.max(0, parseInt(req.query.depth, 10) || 0);
+  const requestedTimeout = parseInt(req.query.timeout, 10);
+  const timeoutMs = Number.isInteger(requestedTimeout) && requestedTimeout >= 1000
+    ? Math.min(requestedTimeout, PEER_FETCH_TIMEOUT_MS * 4)
+    : PEER_FETCH_TIMEOUT_MS;
   
   try {
     const servers = db.prepare("SELECT * FROM servers").all();
+    const cyclicIds = findParentCycles(servers);
+    const peerOptions = {
+      timeoutMs,
+      recursive: recursive && depth < PEER_MAX_DEPTH,
+      refresh,
+      depth,
+      visited: [...visited, INSTANCE_ID],
+    };
 
-    const results = servers.map((s) => ({
-      id: s.id,
-      server: s.label,
-      ok: s.id === "local",
-      error: s.id !== "local" ? "Peer communication not yet implemented" : null,
-      data: s.id === "local" ? [] : [],
-      parentId: s.parentId,
-      platform_type: s.platform_type || "unknown",
-    }));
+    const groups = await Promise.all(servers.map(async (s) => {
+      const base = {
+        id: s.id,
+        server: s.label,
+        parentId: cyclicIds.has(s.id) ? null : s.parentId,
+        platform_type: s.platform_type || "unknown",
+      };
+      if (cyclicIds.has(s.id)) base.warning = "parentId cycle detected; shown at top level";
 
-    const localServerResult = results.find((s) => s.id === "local");
-    if (localServerResult) {
-      try {
-        const localPorts = await getLocalPortsUsingCollectors({ debug });
-        localServerResult.data = localPorts;
-        localServerResult.ok = true;
-      } catch (localError) {
-        logger.error("Failed to get local ports for /api/all-ports:", localError.message);
-        localServerResult.ok = false;
-        localServerResult.error = `Failed to collect local ports: ${localError.message}`;
+      if (s.id === "local") {
+        return [{ ...base, instance_id: INSTANCE_ID, ...(await collectLocalAllPortsEntry({ debug })) }];
+      }
+      if (s.type !== "peer" || !s.url) {
+        const scheduled = scanResultCache.get(s.id);
+        return [{
+          ...base,
+          ok: !!scheduled?.ok,
+          error: scheduled?.error || (scheduled ? null : "Server type not scannable or misconfigured"),
+          data: scheduled?.data || [],
+          collected_at: scheduled?.collected_at || null,
+        }];
       }
+      return collectPeerAllPortsEntries(s, base, peerOptions);
+    }));
+
+    const results = dedupeFleetEntries(groups.flat());
+    const failed = results.filter((r) => !r.ok).length;
+    if (failed > 0) {
+      logger.debug(`/api/all-ports: ${failed}/${results.length} server(s) failed`);
     }
 
+    res.set("X-Portracker-Failed-Servers", String(failed));
     res.json(results);
   } catch (error) {
     logger.error("Error in GET /api/all-ports:", error.message);
@@ -725,6 +813,136 @@ app.get("/api/all-ports", requireAuthOrApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Returns the ids of servers whose parentId chain loops back on itself.
+ * @param {Array} servers - Server rows
+ * @return {Set<string>}
+ */
+function findParentCycles(servers) {
+  const parentOf = new Map(servers.map((s) => [s.id, s.parentId || null]));
+  const cyclic = new Set();
+  for (const server of servers) {
+    const seen = new Set();
+    let current = server.id;
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      current = parentOf.get(current) || null;
+    }
+    if (current && current === server.id) cyclic.add(server.id);
+  }
+  return cyclic;
+}
+
+/**
+ * Builds the all-ports entry for the local server, preferring the scheduler cache.
+ */
+async function collectLocalAllPortsEntry({ debug = false } = {}) {
+  const scheduled = scanResultCache.get("local");
+  if (scheduled) {
+    return {
+      ok: scheduled.ok,
+      error: scheduled.error,
+      data: scheduled.data || [],
+      collected_at: scheduled.collected_at,
+      last_attempt_at: scheduled.last_attempt_at,
+      stale: !scheduled.ok && !!scheduled.data,
+    };
+  }
+  try {
+    const localPorts = await getLocalPortsUsingCollectors({ debug });
+    return { ok: true, error: null, data: localPorts, collected_at: new Date().toISOString() };
+  } catch (localError) {
+    logger.error("Failed to get local ports for /api/all-ports:", localError.message);
+    return { ok: false, error: `Failed to collect local ports: ${localError.message}`, data: [], collected_at: null };
+  }
+}
+
+/**
+ * Fetches one peer for /api/all-ports. Returns the peer's own entry followed by its
+ * children when running recursively. A failed fetch falls back to the cached scan.
+ * @param {Object} server - Server row
+ * @param {Object} base - Common entry fields (id, server, parentId, platform_type)
+ * @param {Object} options - { timeoutMs, recursive, refresh, depth, visited }
+ * @return {Promise<Array>}
+ */
+async function collectPeerAllPortsEntries(server, base, { timeoutMs, recursive, refresh, depth, visited }) {
+  const scheduled = scanResultCache.get(server.id);
+  const freshWindow = Math.max(SCAN_INTERVAL_MS, 5000) * 2;
+  const cacheIsFresh = scheduled?.ok && scheduled.collected_at &&
+    Date.now() - new Date(scheduled.collected_at).getTime() < freshWindow;
+
+  if (!recursive && !refresh && cacheIsFresh) {
+    return [{ ...base, ok: true, error: null, data: scheduled.data, collected_at: scheduled.collected_at }];
+  }
+
+  try {
+    if (!recursive) {
+      const peerScanData = await fetchPeerScan(server, { timeoutMs });
+      const ports = Array.isArray(peerScanData?.ports) ? peerScanData.ports : [];
+      updateScanResultCache(server.id, { ok: true, data: ports });
+      return [{ ...base, ok: true, error: null, data: ports, collected_at: new Date().toISOString() }];
+    }
+
+    const remote = await fetchPeerAllPorts(server, { timeoutMs, depth: depth + 1, visited });
+    const remoteLocal = remote.find((entry) => entry.id === "local");
+    const entries = [{
+      ...base,
+      instance_id: remoteLocal?.instance_id || null,
+      ok: !!remoteLocal?.ok,
+      error: remoteLocal ? remoteLocal.error : "Peer did not report its local server",
+      data: remoteLocal?.data || [],
+      collected_at: remoteLocal?.collected_at || new Date().toISOString(),
+    }];
+    if (remoteLocal?.ok) updateScanResultCache(server.id, { ok: true, data: entries[0].data });
+
+    for (const child of remote) {
+      if (child.id === "local") continue;
+      entries.push({
+        ...child,
+        id: `${server.id}/${child.id}`,
+        parentId: child.parentId && child.parentId !== "local" ? `${server.id}/${child.parentId}` : server.id,
+        via: server.id,
+      });
+    }
+    return entries;
+  } catch (error) {
+    logger.warn(`/api/all-ports: peer ${server.label} (${server.id}) failed:`, error.message);
+    return [{
+      ...base,
+      instance_id: error.loop ? error.instanceId : undefined,
+      ok: false,
+      error: error.loop ? "Peer loop detected" : `Failed to reach peer: ${error.message}`,
+      data: scheduled?.data || [],
+      collected_at: scheduled?.collected_at || null,
+      stale: !!scheduled?.data,
+    }];
+  }
+}
+
+/**
+ * Drops servers that were reached more than once through different peers (same instance_id),
+ * together with everything nested below them. Parents always precede their children.
+ * Loop-backs carry the instance_id of the peer that refused, so they are dropped here too.
+ */
+function dedupeFleetEntries(entries) {
+  const seenInstances = new Set();
+  const dropped = new Set();
+  return entries.filter((entry) => {
+    if (entry.parentId && dropped.has(entry.parentId)) {
+      dropped.add(entry.id);
+      return false;
+    }
+    if (entry.instance_id) {
+      if (seenInstances.has(entry.instance_id)) {
+        dropped.add(entry.id);
+        return false;
+      }
+      seenInstances.add(entry.instance_id);
+    }
+    return true;
+  });
+}
+
 /**
  * Collects and returns the list of open ports on the local system using the most suitable platform-specific collector.
  * @param {Object} [options] - Optional settings for port collection.
@@ -751,6 +969,254 @@ async function getLocalPortsUsingCollectors(options = {}) {
   }
 }
 
+/**
+ * Last good scan result per server, maintained by the background scheduler.
+ * Entries: { ok, error, data, collected_at, last_attempt_at }
+ */
+const scanResultCache = new Map();
+let scanSchedulerRunning = false;
+let lastScanDurations = [];
+
+/**
+ * Runs the detected (or configured) collector for the local server.
+ * @param {Object} [options]
+ * @param {boolean} [options.debug] - Enables debug logging if true.
+ * @return {Promise<Object>} The collector's collectAll() result.
+ */
+async function collectLocalScan({ debug = false } = {}) {
+  const server = db.prepare("SELECT platform_type FROM servers WHERE id = 'local'").get();
+  const platformType = server?.platform_type || "auto";
+  const collector = platformType === "auto"
+    ? await detectCollector({ debug })
+    : createCollector(platformType, { debug });
+  return collector.collectAll();
+}
+
+/**
+ * Sends a request to a peer, authenticated with its API key. The request and reading its body
+ * share one timeout; the body is parsed as JSON when it is JSON and returned as text otherwise.
+ * @param {Object} server - Server row with url and optional remote_api_key.
+ * @param {string} path - Path and query on the peer, e.g. /api/servers/local/scan.
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method, GET by default.
+ * @param {*} [options.body] - Sent as JSON when given.
+ * @param {Object} [options.headers] - Extra request headers.
+ * @param {number} [options.timeoutMs] - Abort the request after this many milliseconds.
+ * @return {Promise<{ok: boolean, status: number, body: *}>}
+ * @throws {Error} When the peer cannot be reached or does not answer in time.
+ */
+async function requestPeer(server, path, { method = "GET", body, headers = {}, timeoutMs = PEER_FETCH_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  const fetchHeaders = { ...headers };
+  if (body !== undefined) {
+    fetchHeaders['Content-Type'] = 'application/json';
+  }
+  if (server.remote_api_key) {
+    fetchHeaders['X-API-Key'] = server.remote_api_key;
+  }
+
+  try {
+    const peerResponse = await fetch(new URL(path, server.url).href, {
+      method,
+      signal: controller.signal,
+      headers: fetchHeaders,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await peerResponse.text();
+    let payload = text;
+    try {
+      payload = text ? JSON.parse(text) : null;
+    } catch { void 0; }
+    return { ok: peerResponse.ok, status: peerResponse.status, body: payload };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetches a peer's local scan through its /api/servers/local/scan endpoint.
+ * @param {Object} server - Server row with url and optional remote_api_key.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Abort the request after this many milliseconds.
+ * @return {Promise<Object>} The peer's scan payload.
+ */
+async function fetchPeerScan(server, { timeoutMs = PEER_FETCH_TIMEOUT_MS } = {}) {
+  const peerResponse = await requestPeer(server, "/api/servers/local/scan", { timeoutMs });
+  if (!peerResponse.ok) {
+    throw new Error(`Peer responded with status ${peerResponse.status}`);
+  }
+  return peerResponse.body;
+}
+
+/**
+ * Fetches a peer's /api/all-ports recursively. The visited chain of instance ids is
+ * forwarded so a peer that is already part of the chain answers 508 instead of recursing.
+ * @param {Object} server - Server row with url and optional remote_api_key.
+ * @param {Object} options - { timeoutMs, depth, visited }
+ * @return {Promise<Array>} The peer's fleet entries.
+ */
+async function fetchPeerAllPorts(server, { timeoutMs = PEER_FETCH_TIMEOUT_MS, depth = 1, visited = [] } = {}) {
+  const query = new URLSearchParams({
+    recursive: "true",
+    depth: String(depth),
+    timeout: String(Math.max(1000, timeoutMs - 2000)),
+  });
+  const peerResponse = await requestPeer(server, `/api/all-ports?${query}`, {
+    timeoutMs,
+    headers: { [PEER_VISITED_HEADER]: visited.join(",") },
+  });
+  if (peerResponse.status === 508) {
+    const loopError = new Error("Peer loop detected");
+    loopError.loop = true;
+    loopError.instanceId = peerResponse.body?.instance_id || null;
+    throw loopError;
+  }
+  if (!peerResponse.ok) {
+    throw new Error(`Peer responded with status ${peerResponse.status}`);
+  }
+  if (!Array.isArray(peerResponse.body)) {
+    throw new Error("Peer returned an unexpected all-ports payload");
+  }
+  return peerResponse.body;
+}
+
+/**
+ * Stores the outcome of a scheduled scan. Failures keep the previous good data.
+ */
+function updateScanResultCache(serverId, { ok, data = null, error = null }) {
+  const now = new Date().toISOString();
+  const previous = scanResultCache.get(serverId);
+  if (ok) {
+    scanResultCache.set(serverId, { ok: true, error: null, data, collected_at: now, last_attempt_at: now });
+  } else {
+    scanResultCache.set(serverId, {
+      ok: false,
+      error,
+      data: previous?.data || null,
+      collected_at: previous?.collected_at || null,
+      last_attempt_at: now,
+    });
+  }
+}
+
+/**
+ * Keeps the servers.unreachable column in sync with scheduled scans and
+ * sends a peer_unreachable notification when a reachable peer stops responding.
+ */
+function setPeerReachability(server, reachable, reason = null) {
+  const wasUnreachable = !!server.unreachable;
+  if (reachable === !wasUnreachable) return;
+
+  db.prepare("UPDATE servers SET unreachable = ? WHERE id = ?").run(reachable ? 0 : 1, server.id);
+  liveUpdates.publish("server", { server_id: server.id, reachable, error: reachable ? null : reason });
+  if (reachable) {
+    logger.info(`Peer ${server.label} (${server.id}) is reachable again`);
+    return;
+  }
+
+  logger.warn(`Peer ${server.label} (${server.id}) marked unreachable: ${reason}`);
+  notifications.notify({
+    trigger: "peer_unreachable",
+    title: `Peer unreachable: ${server.label}`,
+    message: `${server.label} (${server.url}) could not be scanned: ${reason}`,
+    server_id: server.id,
+    details: { url: server.url, error: reason },
+  });
+}
+
+/**
+ * Scans the local server and every peer with a URL once, updating the result cache,
+ * port history and activity log.
+ */
+async function runScheduledScan() {
+  if (scanSchedulerRunning) {
+    logger.debug("Scheduled scan skipped: previous run still in progress");
+    return;
+  }
+  scanSchedulerRunning = true;
+  const started = Date.now();
+  const tracker = new PerformanceTracker();
+
+  try {
+    const servers = db.prepare("SELECT * FROM servers").all();
+    const knownIds = new Set(servers.map((s) => s.id));
+    for (const id of scanResultCache.keys()) {
+      if (!knownIds.has(id)) scanResultCache.delete(id);
+    }
+
+    const tasks = servers.map(async (server) => {
+      if (server.id === "local") {
+        tracker.start("local");
+        try {
+          const collectData = await collectLocalScan();
+          const ports = Array.isArray(collectData.ports) ? collectData.ports : [];
+          updateScanResultCache("local", { ok: true, data: ports });
+          if (!collectData.errors?.ports) recordScanResult("local", ports);
+        } catch (error) {
+          logger.warn("Scheduled local scan failed:", error.message);
+          updateScanResultCache("local", { ok: false, error: `Failed to collect local ports: ${error.message}` });
+        } finally {
+          tracker.end("local");
+        }
+        return;
+      }
+
+      if (server.type !== "peer" || !server.url) return;
+
+      tracker.start(server.id);
+      try {
+        const peerScanData = await fetchPeerScan(server);
+        const ports = Array.isArray(peerScanData?.ports) ? peerScanData.ports : [];
+        updateScanResultCache(server.id, { ok: true, data: ports });
+        if (!peerScanData?.errors?.ports) recordScanResult(server.id, ports);
+        setPeerReachability(server, true);
+      } catch (error) {
+        logger.warn(`Scheduled scan of peer ${server.label} (${server.id}) failed:`, error.message);
+        updateScanResultCache(server.id, { ok: false, error: `Failed to reach peer: ${error.message}` });
+        setPeerReachability(server, false, error.message);
+      } finally {
+        tracker.end(server.id);
+      }
+    });
+
+    await Promise.allSettled(tasks);
+    lastScanDurations = tracker.getSummary();
+    logger.debug(`Scheduled scan of ${servers.length} server(s) completed in ${Date.now() - started}ms`);
+  } catch (error) {
+    logger.error("Scheduled scan failed:", error.message);
+    logger.debug("Stack trace:", error.stack || "");
+  } finally {
+    scanSchedulerRunning = false;
+  }
+}
+
+/**
+ * Starts the background scan loop. SCAN_INTERVAL_MS=0 disables it.
+ * Runs are chained with setTimeout so a slow scan never overlaps the next one.
+ */
+function startScanScheduler() {
+  if (!Number.isInteger(SCAN_INTERVAL_MS) || SCAN_INTERVAL_MS <= 0) {
+    logger.info("Background scan scheduler disabled (SCAN_INTERVAL_MS=0)");
+    return;
+  }
+  const interval = Math.max(SCAN_INTERVAL_MS, 5000);
+  logger.info(`Background scan scheduler started (interval ${interval}ms)`);
+  liveUpdates.setSchedulerInterval(interval);
+
+  const tick = async () => {
+    await runScheduledScan();
+    setTimeout(tick, interval);
+  };
+  setTimeout(tick, 0);
+}
+
 function getPortRangeForSuggestion() {
   const floor = 1024;
   const ceiling = 65535;
@@ -819,74 +1285,105 @@ function reservePortsAndMerge(reserved, used) {
   }
 }
 
-async function generateUnusedPortWithSet(usedPortsInput, { bindCheck = false, method = "scan-only" } = {}) {
+/**
+ * Picks free ports following the server's suggestion policy (see lib/port-policy.js).
+ * Ports in usedPortsInput, the built-in reserved set, active reservations of serverId and the
+ * exclude list are never returned. `policy` overrides the stored policy (used when a peer
+ * forwards its policy for this instance); category, count, after and mode refine the search.
+ */
+async function generateUnusedPortWithSet(
+  usedPortsInput,
+  { bindCheck = false, method = "scan-only", serverId = null, exclude = [], policy = undefined, category = null, count = 1, after = null, mode = null } = {}
+) {
   const { min, max } = getPortRangeForSuggestion();
+  const effectivePolicy = portPolicy.normalizePolicy(
+    policy === undefined ? portPolicy.getServerPolicy(serverId) : policy,
+    { min, max }
+  );
+  const searchMode = mode || effectivePolicy.mode;
+  const startAfter = Number.isInteger(after) ? after : effectivePolicy.sequential_start;
+
   const reservedPorts = buildReservedPortSet();
   const usedPorts = new Set(usedPortsInput || []);
   reservePortsAndMerge(reservedPorts, usedPorts);
+  const plannedPorts = portReservations.getReservedPorts(serverId);
+  exclude.forEach((p) => plannedPorts.add(p));
+  reservePortsAndMerge(plannedPorts, usedPorts);
 
-  const rangeSize = max - min + 1;
-  if (rangeSize <= 0) {
-    throw new Error("Invalid port range for generation");
+  const plan = portPolicy.buildSearchPlan(effectivePolicy, { category });
+  if (plan.length === 0) {
+    throw new Error("The port policy leaves no ports to suggest");
   }
 
-  const seen = new Set();
-  const attemptLimit = Math.min(rangeSize, PORT_SUGGEST_MAX_RANDOM_ATTEMPTS);
-
   const isCandidateFree = async (candidate) => {
     if (usedPorts.has(candidate)) return false;
     if (!bindCheck) return true;
     return testTcpPortAvailable(candidate);
   };
 
-  for (let i = 0; i < attemptLimit; i++) {
-    const candidate = min + Math.floor(Math.random() * rangeSize);
-    if (seen.has(candidate)) continue;
-    seen.add(candidate);
-
-    if (await isCandidateFree(candidate)) {
-      return {
-        port: candidate,
-        meta: {
-          range: { min, max },
-          attempts: i + 1,
-          method,
-          bindHost: PORT_SUGGEST_BIND_HOST,
-          checkedPorts: Array.from(seen.values()),
-          usedCount: usedPorts.size,
-        },
-      };
-    }
-  }
-
-  for (let candidate = min; candidate <= max; candidate++) {
-    if (await isCandidateFree(candidate)) {
-      return {
-        port: candidate,
-        meta: {
-          range: { min, max },
-          attempts: attemptLimit + (candidate - min + 1),
-          method,
-          bindHost: PORT_SUGGEST_BIND_HOST,
-          checkedPorts: Array.from(seen.values()).concat(candidate),
-          usedCount: usedPorts.size,
+  let attempts = 0;
+  for (const step of plan) {
+    const found = await portPolicy.findFreePorts(step.ranges, isCandidateFree, {
+      mode: searchMode,
+      count,
+      after: startAfter,
+      maxRandomAttempts: PORT_SUGGEST_MAX_RANDOM_ATTEMPTS,
+    });
+    if (!found) continue;
+    attempts += found.attempts;
+    return {
+      port: found.ports[0],
+      ...(count > 1 ? { ports: found.ports } : {}),
+      meta: {
+        range: { min: step.ranges[0].start, max: step.ranges[step.ranges.length - 1].end },
+        attempts,
+        method,
+        bindHost: PORT_SUGGEST_BIND_HOST,
+        usedCount: usedPorts.size,
+        reservedCount: plannedPorts.size,
+        policy: {
+          mode: searchMode,
+          category: category || null,
+          preferredBlock: step.preferred,
+          after: searchMode === "sequential" ? startAfter : null,
         },
-      };
-    }
+      },
+    };
   }
 
-  throw new Error("No available port found in the configured range");
+  throw new Error(
+    count > 1
+      ? `No ${count} contiguous free ports found in the allowed ranges`
+      : "No available port found in the configured range"
+  );
 }
 
-async function generateUnusedPortLocal({ debug = false, bindCheck = true } = {}) {
+async function generateUnusedPortLocal({ debug = false, bindCheck = true, ...options } = {}) {
   const ports = await getLocalPortsUsingCollectors({ debug });
   const usedPorts = getUsedPortsFromEntries(ports);
-  return generateUnusedPortWithSet(usedPorts, { bindCheck, method: bindCheck ? "scan+bind" : "scan-only" });
+  return generateUnusedPortWithSet(usedPorts, { ...options, bindCheck, method: bindCheck ? "scan+bind" : "scan-only", serverId: "local" });
 }
 
-async function generateUnusedPortFromPortList(portEntries, { bindCheck = false, method = "scan-only" } = {}) {
+async function generateUnusedPortFromPortList(portEntries, { bindCheck = false, method = "scan-only", serverId = null, ...options } = {}) {
   const usedPorts = getUsedPortsFromEntries(portEntries || []);
-  return generateUnusedPortWithSet(usedPorts, { bindCheck, method });
+  return generateUnusedPortWithSet(usedPorts, { ...options, bindCheck, method, serverId });
+}
+
+/**
+ * Records a completed scan: diffs it against the previous scan into the event log,
+ * then updates the port history observations. Callers skip scans whose port
+ * collection failed, since an empty result would read as every port closing.
+ * @param {string} serverId - The scanned server
+ * @param {Array} ports - Ports returned by the scan
+ * @returns {Array} Events produced by the diff
+ */
+function recordScanResult(serverId, ports) {
+  const previous = portHistory.getLatestSnapshot(serverId);
+  const events = portEvents.recordScanEvents(serverId, previous, ports);
+  portHistory.recordObservations(serverId, ports);
+  notifications.notifyPortEvents(serverId, events);
+  if (events.length > 0) liveUpdates.publishPortChanges(serverId, previous, ports);
+  return events;
 }
 
 /**
@@ -896,34 +1393,18 @@ app.get("/api/servers/:id/scan", requireAuthOrApiKey, async (req, res) => {
   const serverId = req.params.id;
   const currentDebug = req.query.debug === "true" || process.env.DEBUG === 'true';
   
-  const originalIncludeUdp = process.env.INCLUDE_UDP;
-  const originalDisableCache = process.env.DISABLE_CACHE;
-  
-  if (req.query.includeUdp === 'true') {
-    process.env.INCLUDE_UDP = 'true';
-  } else if (req.query.includeUdp === 'false') {
-    process.env.INCLUDE_UDP = 'false';
-  }
-  
-  if (req.query.disableCache === 'true') {
-    process.env.DISABLE_CACHE = 'true';
-  } else if (req.query.disableCache === 'false') {
-    process.env.DISABLE_CACHE = 'false';
+  const scanOptions = {};
+  if (req.query.includeUdp === 'true' || req.query.includeUdp === 'false') {
+    scanOptions.includeUdp = req.query.includeUdp === 'true';
   }
-  
-  const restoreEnv = () => {
-    if (originalIncludeUdp !== undefined) {
-      process.env.INCLUDE_UDP = originalIncludeUdp;
-    } else {
-      delete process.env.INCLUDE_UDP;
-    }
-    if (originalDisableCache !== undefined) {
-      process.env.DISABLE_CACHE = originalDisableCache;
-    } else {
-      delete process.env.DISABLE_CACHE;
-    }
-  };
-  
+  if (req.query.disableCache === 'true') scanOptions.disableCache = true;
+  /**
+   * Only a scan with the scheduled scan's UDP setting is recorded; anything else would
+   * read as UDP ports opening and closing between scans.
+   */
+  const recordable = scanOptions.includeUdp === undefined
+    || scanOptions.includeUdp === (process.env.INCLUDE_UDP === 'true');
+
   if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(currentDebug);
   
   logger.debug(`GET /api/servers/${serverId}/scan called with debug=${currentDebug}`);
@@ -950,7 +1431,7 @@ app.get("/api/servers/:id/scan", requireAuthOrApiKey, async (req, res) => {
         collector = createCollector(platformType, { debug: currentDebug });
       }
 
-      const collectData = await collector.collectAll();
+      const collectData = await collector.collectAll(scanOptions);
 
       if (collectData.ports && Array.isArray(collectData.ports)) {
         const enrichedPorts = collectData.ports.map((port) => {
@@ -974,6 +1455,7 @@ app.get("/api/servers/:id/scan", requireAuthOrApiKey, async (req, res) => {
         
         const autoxposeClient = require('./lib/autoxpose-client');
         collectData.ports = await autoxposeClient.enrichPorts(enrichedPorts);
+        if (recordable && !collectData.errors?.ports) recordScanResult("local", collectData.ports);
       }
 
       if (
@@ -1032,6 +1514,9 @@ app.get("/api/servers/:id/scan", requireAuthOrApiKey, async (req, res) => {
           }
 
           const peerScanData = await peerResponse.json();
+          if (Array.isArray(peerScanData?.ports) && !peerScanData.errors?.ports) {
+            recordScanResult(serverId, peerScanData.ports);
+          }
           
           logger.debug(`Peer scan complete: ${server.label} (${serverId})`);
           return res.json(peerScanData);
@@ -1061,38 +1546,677 @@ app.get("/api/servers/:id/scan", requireAuthOrApiKey, async (req, res) => {
           peerUrl: server.url,
         });
       }
-    } else {
-      logger.warn(
-        `[GET /api/servers/${serverId}/scan] Cannot scan server: Not 'local' and not a valid 'peer' with a URL.`
-      );
-      return res.status(501).json({
-        error:
-          "Server scanning not possible for this server type or configuration",
+    } else {
+      logger.warn(
+        `[GET /api/servers/${serverId}/scan] Cannot scan server: Not 'local' and not a valid 'peer' with a URL.`
+      );
+      return res.status(501).json({
+        error:
+          "Server scanning not possible for this server type or configuration",
+        server_id: serverId,
+      });
+    }
+  } catch (error) {
+    logger.error(`Error in GET /api/servers/${serverId}/scan: ${error.message}`);
+    logger.debug("Stack trace:", error.stack || "");
+    res
+      .status(500)
+      .json({ error: "Failed to scan server", details: error.message });
+  } finally {
+    if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(BASE_DEBUG);
+  }
+});
+
+/**
+ * Get the recorded port history (first seen, last seen, scan count) for a server.
+ * Observations are recorded by this instance whenever the server is scanned.
+ */
+app.get("/api/servers/:id/history", requireAuthOrApiKey, validateServerIdParam, (req, res) => {
+  const serverId = req.params.id;
+
+  try {
+    const server = db.prepare("SELECT id FROM servers WHERE id = ?").get(serverId);
+    if (!server) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    let port = null;
+    if (req.query.port !== undefined) {
+      port = parseInt(req.query.port, 10);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: "port must be an integer between 1 and 65535",
+          field: "port",
+        });
+      }
+    }
+
+    let since = null;
+    if (req.query.since) {
+      const sinceDate = new Date(req.query.since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: "since must be a valid date",
+          field: "since",
+        });
+      }
+      since = sinceDate.toISOString();
+    }
+
+    const history = portHistory.getHistory(serverId, { since, port, limit: req.query.limit });
+    res.json({ server_id: serverId, ...history });
+  } catch (error) {
+    logger.error(`Error in GET /api/servers/${serverId}/history:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to fetch port history", details: error.message });
+  }
+});
+
+/**
+ * Client connections of a TCP port listening on a server's host network: ESTABLISHED and
+ * TIME_WAIT sockets and the busiest peers, read from /proc. Container ports use the
+ * connections flag of /api/containers/:id/details instead. Peers are asked through their own
+ * endpoint. connections is null with a reason (not_listening, proc_unavailable) when there is
+ * nothing to report.
+ */
+app.get("/api/servers/:id/ports/:port/connections", requireAuthOrApiKey, validateServerIdParam, async (req, res) => {
+  const serverId = req.params.id;
+  const port = parseInt(req.params.port, 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535 || String(port) !== req.params.port) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: "port must be an integer between 1 and 65535",
+      field: "port",
+    });
+  }
+
+  try {
+    const server = db.prepare("SELECT * FROM servers WHERE id = ?").get(serverId);
+    if (!server) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    if (serverId === "local") {
+      const collector = await getCollectorAsync("system");
+      if (!collector.procParser || !(await collector.procParser.testProcAccess())) {
+        return res.json({ server_id: serverId, port, connections: null, reason: "proc_unavailable", sampled_at: null });
+      }
+      const summaries = await collector.procParser.getPortConnections();
+      const connections = summaries.find((summary) => summary.port === port) || null;
+      return res.json({
+        server_id: serverId,
+        port,
+        connections,
+        reason: connections ? null : "not_listening",
+        sampled_at: new Date().toISOString(),
+      });
+    }
+
+    if (server.type !== "peer" || !server.url) {
+      return res.status(501).json({ error: "Connection summaries are not supported for this server type", server_id: serverId });
+    }
+
+    let peerResponse;
+    try {
+      peerResponse = await requestPeer(server, `/api/servers/local/ports/${port}/connections`);
+    } catch (error) {
+      logger.warn(`[port-connections] Failed to reach peer ${server.label}: ${error.message}`);
+      return res.status(502).json({ error: "Failed to reach peer", details: error.message });
+    }
+    if (peerResponse.ok) {
+      return res.json({ ...peerResponse.body, server_id: serverId });
+    }
+    if ([404, 405, 501].includes(peerResponse.status)) {
+      return res.status(501).json({ error: "Peer does not support connection summaries", server_id: serverId });
+    }
+    return res.status(502).json({ error: "Peer connection summary failed", details: `Status ${peerResponse.status}` });
+  } catch (error) {
+    logger.error(`Error in GET /api/servers/${serverId}/ports/${port}/connections:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to read port connections", details: error.message });
+  }
+});
+
+/**
+ * Get the port activity log. Supports filtering by server, time window and event type.
+ * Query: server_id, since, until, type (comma-separated), limit
+ */
+app.get("/api/events", requireAuthOrApiKey, (req, res) => {
+  try {
+    const { server_id: serverId, type, limit } = req.query;
+
+    const since = parseDateParam(req.query, "since");
+    const until = parseDateParam(req.query, "until");
+    for (const result of [since, until]) {
+      if (result.error) {
+        return res.status(400).json({ error: "Validation failed", details: result.error, field: result.field });
+      }
+    }
+
+    let types = null;
+    if (type) {
+      types = String(type).split(",").map((t) => t.trim()).filter(Boolean);
+      const invalid = types.filter((t) => !portEvents.EVENT_TYPES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: `Unknown event type(s): ${invalid.join(", ")}. Allowed: ${portEvents.EVENT_TYPES.join(", ")}`,
+          field: "type",
+        });
+      }
+    }
+
+    const events = portEvents.getEvents({
+      serverId: serverId || null,
+      since: since.value,
+      until: until.value,
+      types,
+      limit,
+    });
+    res.json({ events });
+  } catch (error) {
+    logger.error("Error in GET /api/events:", error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to fetch events", details: error.message });
+  }
+});
+
+/**
+ * Collects export rows for one server. Peers are asked for their own JSON export so their
+ * notes and custom names come along; if that fails the last scheduled scan is used instead.
+ * @param {Object} server - Server row
+ * @return {Promise<{server: Object, rows: Array}>}
+ */
+async function collectExportRows(server) {
+  const summary = { id: server.id, label: server.label, ok: true, error: null };
+
+  if (server.id === "local") {
+    const scheduled = scanResultCache.get("local");
+    const ports = Array.isArray(scheduled?.data) ? scheduled.data : await getLocalPortsUsingCollectors();
+    const enriched = await autoxposeClient.enrichPorts(ports);
+    const rows = inventoryExport.buildExportRows(server, enriched, inventoryExport.loadPortMetadata("local"));
+    return { server: summary, rows };
+  }
+
+  if (server.type !== "peer" || !server.url) {
+    return { server: { ...summary, ok: false, error: "Server type not exportable" }, rows: [] };
+  }
+
+  try {
+    const peerResponse = await requestPeer(server, "/api/export?format=json&server_id=local");
+    if (!peerResponse.ok) {
+      throw new Error(`Peer responded with status ${peerResponse.status}`);
+    }
+    const body = peerResponse.body;
+    const rows = (Array.isArray(body?.ports) ? body.ports : []).map((row) => ({
+      ...row,
+      server_id: server.id,
+      server: server.label,
+    }));
+    return { server: summary, rows };
+  } catch (error) {
+    const reason = error.message;
+    logger.debug(`Export from peer ${server.label} failed, using last scan: ${reason}`);
+    const scheduled = scanResultCache.get(server.id);
+    if (!Array.isArray(scheduled?.data)) {
+      return { server: { ...summary, ok: false, error: `Failed to reach peer: ${reason}` }, rows: [] };
+    }
+    const rows = inventoryExport.buildExportRows(server, scheduled.data, inventoryExport.loadPortMetadata(server.id));
+    return { server: { ...summary, error: `Peer export unavailable (${reason}); using last scan` }, rows };
+  }
+}
+
+/**
+ * Export the port inventory of one or all servers.
+ * Query: format (csv, json, md, yaml), server_id, sources (comma-separated), search
+ */
+app.get("/api/export", requireAuthOrApiKey, async (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  const formatInfo = inventoryExport.EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: `format must be one of: ${Object.keys(inventoryExport.EXPORT_FORMATS).join(", ")}`,
+      field: "format",
+    });
+  }
+
+  const sources = req.query.sources
+    ? String(req.query.sources).split(",").map((s) => s.trim()).filter(Boolean)
+    : null;
+  const search = req.query.search ? String(req.query.search).trim() : null;
+
+  try {
+    let servers;
+    if (req.query.server_id) {
+      const server = db.prepare("SELECT * FROM servers WHERE id = ?").get(req.query.server_id);
+      if (!server) {
+        return res.status(404).json({ error: "Server not found" });
+      }
+      servers = [server];
+    } else {
+      servers = db.prepare("SELECT * FROM servers").all();
+    }
+
+    const results = await Promise.all(servers.map(async (server) => {
+      try {
+        return await collectExportRows(server);
+      } catch (error) {
+        logger.warn(`Export of ${server.label} (${server.id}) failed:`, error.message);
+        return { server: { id: server.id, label: server.label, ok: false, error: error.message }, rows: [] };
+      }
+    }));
+
+    const rows = inventoryExport.filterExportRows(results.flatMap((r) => r.rows), { sources, search });
+    const generatedAt = new Date().toISOString();
+    const body = inventoryExport.formatExport(format, rows, {
+      generatedAt,
+      servers: results.map((r) => r.server),
+    });
+
+    const stamp = generatedAt.slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+    res.set("Content-Type", formatInfo.contentType);
+    res.set("Content-Disposition", `attachment; filename="portracker-export-${stamp}.${formatInfo.extension}"`);
+    res.send(body);
+  } catch (error) {
+    logger.error("Error in GET /api/export:", error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to export inventory", details: error.message });
+  }
+});
+
+/**
+ * Loads the current ports of a server for conflict analysis: a live collector run for the
+ * local server, the peer's scan for peers, falling back to the last scheduled scan.
+ * @returns {Promise<{ports: Array, stale: boolean, error: string|null}>}
+ */
+async function loadServerPortsForAnalysis(server) {
+  try {
+    if (server.id === "local") {
+      return { ports: await getLocalPortsUsingCollectors(), stale: false, error: null };
+    }
+    if (server.type === "peer" && server.url) {
+      const scan = await fetchPeerScan(server);
+      return { ports: Array.isArray(scan?.ports) ? scan.ports : [], stale: false, error: null };
+    }
+    throw new Error("Server type does not support port scans");
+  } catch (error) {
+    const scheduled = scanResultCache.get(server.id);
+    if (Array.isArray(scheduled?.data)) {
+      return { ports: scheduled.data, stale: true, error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turns the `ports` list of a conflict analysis request into port requests.
+ * Accepts numbers, "8080/udp", "8000-8010" and { host_port, protocol, host_ip } objects.
+ * @returns {{requests: Array, errors: Array<string>}}
+ */
+function parseDesiredPorts(ports) {
+  const requests = [];
+  const errors = [];
+  for (const entry of ports) {
+    const isObject = entry && typeof entry === "object";
+    const spec = composePorts.parsePortSpec(
+      isObject ? `${entry.host_port}${entry.protocol ? `/${entry.protocol}` : ""}` : entry
+    );
+    if (!spec) {
+      errors.push(`Invalid port "${isObject ? JSON.stringify(entry) : entry}"`);
+      continue;
+    }
+    for (let port = spec.start; port <= spec.end; port++) {
+      requests.push({
+        service: isObject && entry.service ? String(entry.service) : null,
+        raw: isObject ? JSON.stringify(entry) : String(entry),
+        host_ip: isObject && entry.host_ip ? String(entry.host_ip) : null,
+        host_port: port,
+        protocol: spec.protocol,
+        container_port: null,
+        ephemeral: false,
+        range: spec.end > spec.start ? `${spec.start}-${spec.end}` : null,
+      });
+    }
+  }
+  return { requests, errors };
+}
+
+/**
+ * Checks requested host ports with portConflicts.checkPortRequests (the same checks the
+ * compose pre-flight uses) and proposes a free alternative for every request that cannot
+ * be used as is.
+ * Status is the most severe of: in_use, duplicate, reservation, reserved, available
+ * (or ephemeral for mappings without a fixed host port).
+ */
+async function analyzePortConflicts(server, requests, livePorts, { bindCheck = false, project = null } = {}) {
+  const checks = portConflicts.checkPortRequests(requests, livePorts, {
+    reservations: portReservations.listReservations({ serverId: server.id, includeExpired: false }),
+    builtInReserved: buildReservedPortSet(),
+    project,
+  });
+  const results = checks.map(({ duplicate, ...check }) => ({
+    ...check,
+    status: check.ephemeral ? "ephemeral" : check.reasons[0] || "available",
+    duplicate_of: duplicate ? duplicate.service || duplicate.raw : null,
+    alternative: null,
+  }));
+
+  const taken = getUsedPortsFromEntries(livePorts);
+  for (const result of results) {
+    if (result.host_port) taken.add(result.host_port);
+  }
+  for (const result of results) {
+    if (result.status === "available" || result.status === "ephemeral") continue;
+    try {
+      const suggestion = await generateUnusedPortWithSet(taken, {
+        bindCheck,
+        method: bindCheck ? "scan+bind" : "scan-only",
+        serverId: server.id,
+      });
+      result.alternative = suggestion.port;
+      taken.add(suggestion.port);
+    } catch (error) {
+      logger.warn(`[port-conflicts] No alternative for ${result.host_port}/${result.protocol}: ${error.message}`);
+    }
+  }
+
+  const conflicts = results.filter((r) => r.status !== "available" && r.status !== "ephemeral").length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      available: results.filter((r) => r.status === "available").length,
+      conflicts,
+    },
+  };
+}
+
+/**
+ * Analyse whether a set of host ports can be used on a server.
+ * Body: { ports: [8080, "53/udp", "9000-9005", { host_port, protocol, host_ip, service }] }
+ *   or { compose: "<docker-compose.yml contents>", env: { VAR: "value" } }
+ */
+app.post("/api/servers/:id/port-conflicts", requireAuthOrApiKey, validateServerIdParam, async (req, res) => {
+  const serverId = req.params.id;
+  const { ports, compose, env } = req.body || {};
+
+  if (!Array.isArray(ports) && typeof compose !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: "Provide either a ports array or a compose file",
+      field: "ports",
+    });
+  }
+  if (env !== undefined && (env === null || typeof env !== "object" || Array.isArray(env))) {
+    return res.status(400).json({ error: "Validation failed", details: "env must be an object", field: "env" });
+  }
+
+  try {
+    const server = db.prepare("SELECT * FROM servers WHERE id = ?").get(serverId);
+    if (!server) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    let parsed;
+    try {
+      if (Array.isArray(ports)) {
+        parsed = parseDesiredPorts(ports);
+      } else {
+        const composeResult = composePorts.parseComposePorts(compose, { env: env || {} });
+        parsed = { requests: composeResult.mappings, errors: composeResult.errors, project: composeResult.project };
+      }
+    } catch (error) {
+      if (error instanceof composePorts.ComposeParseError) {
+        return res.status(400).json({ error: "Invalid compose file", details: error.message, field: "compose" });
+      }
+      throw error;
+    }
+    if (parsed.requests.length > composePorts.MAX_RANGE_EXPANSION) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: `At most ${composePorts.MAX_RANGE_EXPANSION} ports can be analysed at once`,
+        field: "ports",
+      });
+    }
+
+    let portState;
+    try {
+      portState = await loadServerPortsForAnalysis(server);
+    } catch (error) {
+      return res.status(502).json({ error: "Failed to load ports for server", details: error.message });
+    }
+
+    const analysis = await analyzePortConflicts(server, parsed.requests, portState.ports, {
+      bindCheck: serverId === "local",
+      project: parsed.project || null,
+    });
+    res.json({
+      server_id: serverId,
+      server: server.label,
+      input: Array.isArray(ports) ? "ports" : "compose",
+      stale: portState.stale,
+      scan_error: portState.error,
+      checked_at: new Date().toISOString(),
+      errors: parsed.errors,
+      ...analysis,
+    });
+  } catch (error) {
+    logger.error(`Error in POST /api/servers/${serverId}/port-conflicts:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to analyse port conflicts", details: error.message });
+  }
+});
+
+/**
+ * Pre-flight check of a docker-compose file's published ports against a server, using the
+ * same conflict checks as /port-conflicts (lib/port-conflicts).
+ * - For local: checks the same port list as /port-conflicts (loadServerPortsForAnalysis).
+ * - For peers: forwards the file to the peer's own pre-flight endpoint, falling back to its scan.
+ * Body: { compose: "<docker-compose.yml contents>", env: { VAR: "value" }, project: "stack-name" }
+ * The project defaults to the file's top-level name.
+ */
+app.post("/api/servers/:id/compose-preflight", requireAuthOrApiKey, validateServerIdParam, async (req, res) => {
+  const serverId = req.params.id;
+  const { compose, env, project } = req.body || {};
+
+  if (typeof compose !== "string" || compose.trim().length === 0) {
+    return res.status(400).json({ error: "Validation failed", details: "compose must be a non-empty string", field: "compose" });
+  }
+  if (env !== undefined && (env === null || typeof env !== "object" || Array.isArray(env))) {
+    return res.status(400).json({ error: "Validation failed", details: "env must be an object", field: "env" });
+  }
+  if (project !== undefined && project !== null && typeof project !== "string") {
+    return res.status(400).json({ error: "Validation failed", details: "project must be a string", field: "project" });
+  }
+
+  try {
+    const server = db.prepare("SELECT * FROM servers WHERE id = ?").get(serverId);
+    if (!server) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    let parsed;
+    try {
+      parsed = composePorts.parseComposePorts(compose, { env: env || {} });
+    } catch (error) {
+      if (error instanceof composePorts.ComposeParseError) {
+        return res.status(400).json({ error: "Invalid compose file", details: error.message, field: "compose" });
+      }
+      throw error;
+    }
+
+    const projectName = project || parsed.project;
+    const respond = (livePorts, source, extra = {}) => {
+      const report = portConflicts.preflightComposePorts(parsed, livePorts, {
+        project: projectName,
+        reservations: portReservations.listReservations({ serverId, includeExpired: false }),
+        builtInReserved: buildReservedPortSet(),
+      });
+      return res.json({
         server_id: serverId,
+        server: server.label,
+        project: projectName,
+        source,
+        checked_at: new Date().toISOString(),
+        errors: parsed.errors,
+        ...extra,
+        ...report,
+      });
+    };
+
+    if (serverId === "local") {
+      let portState;
+      try {
+        portState = await loadServerPortsForAnalysis(server);
+      } catch (error) {
+        return res.status(502).json({ error: "Failed to load ports for server", details: error.message });
+      }
+      return respond(portState.ports, "collector", portState.stale ? { stale: true, scan_error: portState.error } : {});
+    }
+
+    if (server.type !== "peer" || !server.url) {
+      return res.status(501).json({ error: "Pre-flight checks are not supported for this server type", server_id: serverId });
+    }
+
+    let peerResponse;
+    try {
+      peerResponse = await requestPeer(server, "/api/servers/local/compose-preflight", {
+        method: "POST",
+        body: { compose, env, project },
+      });
+    } catch (error) {
+      logger.warn(`[compose-preflight] Failed to reach peer ${server.label}: ${error.message}`);
+      const scheduled = scanResultCache.get(serverId);
+      if (!Array.isArray(scheduled?.data)) {
+        return res.status(502).json({ error: "Failed to reach peer for pre-flight check", details: error.message });
+      }
+      return respond(scheduled.data, "cache", { stale: true, scan_error: error.message });
+    }
+    if (peerResponse.ok) {
+      return res.json({ ...peerResponse.body, server_id: serverId, server: server.label, source: "peer" });
+    }
+    if (![404, 405, 501].includes(peerResponse.status)) {
+      const errorBody = peerResponse.body && typeof peerResponse.body === "object" ? peerResponse.body : {};
+      return res.status(peerResponse.status === 400 ? 400 : 502).json({
+        error: errorBody.error || "Peer pre-flight check failed",
+        details: errorBody.details || `Status ${peerResponse.status}`,
       });
     }
+    logger.debug(`[compose-preflight] Peer ${server.label} has no pre-flight endpoint, checking its scan`);
+
+    const scan = await fetchPeerScan(server);
+    return respond(Array.isArray(scan?.ports) ? scan.ports : [], "peer-scan");
   } catch (error) {
-    logger.error(`Error in GET /api/servers/${serverId}/scan: ${error.message}`);
+    logger.error(`Error in POST /api/servers/${serverId}/compose-preflight:`, error.message);
     logger.debug("Stack trace:", error.stack || "");
-    res
-      .status(500)
-      .json({ error: "Failed to scan server", details: error.message });
-  } finally {
-    restoreEnv();
-    if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(BASE_DEBUG);
+    res.status(500).json({ error: "Failed to run pre-flight check", details: error.message });
   }
 });
 
+/**
+ * Validates the optional search fields of a generate-port request.
+ * @returns {{details: string, field: string}|null}
+ */
+function validateSuggestionOptions(body) {
+  if (body.category != null && !portPolicy.POLICY_CATEGORIES.includes(body.category)) {
+    return { details: `category must be one of: ${portPolicy.POLICY_CATEGORIES.join(", ")}`, field: "category" };
+  }
+  if (body.count !== undefined && (!Number.isInteger(body.count) || body.count < 1 || body.count > portPolicy.MAX_CONTIGUOUS_PORTS)) {
+    return { details: `count must be an integer between 1 and ${portPolicy.MAX_CONTIGUOUS_PORTS}`, field: "count" };
+  }
+  if (body.after != null && (!Number.isInteger(body.after) || body.after < 1 || body.after > 65535)) {
+    return { details: "after must be a port between 1 and 65535", field: "after" };
+  }
+  if (body.mode != null && !portPolicy.POLICY_MODES.includes(body.mode)) {
+    return { details: `mode must be one of: ${portPolicy.POLICY_MODES.join(", ")}`, field: "mode" };
+  }
+  if (body.policy !== undefined) {
+    const policyError = portPolicy.validatePolicy(body.policy);
+    if (policyError) return { details: policyError, field: "policy" };
+  }
+  return null;
+}
+
 /**
  * Generate an unused TCP port for the given server.
  * - For local: uses collectors to find used ports, excludes well-known/reserved, then validates with a TCP bind test.
- * - For peers: forwards the request to the peer's /api/servers/local/generate-port endpoint.
+ * - For peers: forwards the request to the peer's /api/servers/local/generate-port endpoint,
+ *   passing this instance's reservations for the peer as exclusions.
+ * Body (optional): exclude (ports to skip), reserve ({ owner, purpose, expires_at }) to reserve the suggested port(s),
+ * category (web, db, monitoring) to prefer that block of the server's policy, count for N contiguous ports,
+ * mode (random, sequential) and after (sequential: first free port after this one) to override the policy.
+ * Peers also receive this instance's policy for them; the local endpoint accepts it as `policy`.
+ * Requires a signed-in user or an API key with the ports:generate scope; reserve additionally
+ * requires the editor role, which API keys get from the notes:write or admin scope.
  */
-app.post("/api/servers/:id/generate-port", async (req, res) => {
+app.post("/api/servers/:id/generate-port", allowApiKey("ports:generate"), async (req, res) => {
   const serverId = req.params.id;
   const currentDebug = req.query.debug === "true" || process.env.DEBUG === 'true';
-  if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(currentDebug);
 
+  const body = req.body || {};
+  if (body.exclude !== undefined && !Array.isArray(body.exclude)) {
+    return res.status(400).json({ error: "Validation failed", details: "exclude must be an array of ports", field: "exclude" });
+  }
+  const exclude = (body.exclude || [])
+    .map((p) => parseInt(p, 10))
+    .filter((p) => Number.isInteger(p) && p >= 1 && p <= 65535);
+
+  const searchError = validateSuggestionOptions(body);
+  if (searchError) {
+    return res.status(400).json({ error: "Validation failed", details: searchError.details, field: searchError.field });
+  }
+  const searchOptions = {
+    category: body.category || null,
+    count: body.count === undefined ? 1 : body.count,
+    after: body.after ?? null,
+    mode: body.mode || null,
+  };
+
+  const reserve = body.reserve || null;
+  if (reserve && !requestHasRole(req, "editor")) {
+    return res.status(403).json({ error: "Insufficient permissions", details: "Reserving ports requires the editor role" });
+  }
+  if (reserve) {
+    const reserveError = portReservations.validateReservation(
+      { owner: reserve.owner ?? "", purpose: reserve.purpose, expires_at: reserve.expires_at },
+      true
+    );
+    if (reserveError) {
+      return res.status(400).json({ error: "Validation failed", details: reserveError, field: "reserve" });
+    }
+  }
+
+  const sendSuggestion = (payload) => {
+    if (!reserve) return res.json(payload);
+    try {
+      const reservations = db.transaction((ports) =>
+        ports.map((port) =>
+          portReservations.createReservation({
+            server_id: serverId,
+            host_port: port,
+            protocol: "tcp",
+            owner: reserve.owner,
+            purpose: reserve.purpose,
+            expires_at: reserve.expires_at,
+          })
+        )
+      )(payload.ports || [payload.port]);
+      for (const reservation of reservations) {
+        recordAudit(req, "reservation.create", { target: auditReservationTarget(reservation), details: { id: reservation.id } });
+      }
+      return res.json({ ...payload, reservation: reservations[0], reservations });
+    } catch (error) {
+      if (error.code === "RESERVATION_EXISTS") {
+        return res.status(409).json({ error: error.message, reservation: error.reservation });
+      }
+      throw error;
+    }
+  };
+
+  if (Object.prototype.hasOwnProperty.call(req.query, 'debug')) logger.setDebugEnabled(currentDebug);
   try {
     const server = db.prepare("SELECT * FROM servers WHERE id = ?").get(serverId);
     if (!server) {
@@ -1100,69 +2224,66 @@ app.post("/api/servers/:id/generate-port", async (req, res) => {
     }
 
     if (serverId === "local") {
-      const suggestion = await generateUnusedPortLocal({ debug: currentDebug, bindCheck: true });
-      return res.json({
-        port: suggestion.port,
-        meta: suggestion.meta,
+      const suggestion = await generateUnusedPortLocal({
+        debug: currentDebug,
+        bindCheck: true,
+        exclude,
+        ...searchOptions,
+        ...(body.policy !== undefined ? { policy: body.policy } : {}),
       });
+      return sendSuggestion(suggestion);
     }
 
     if (server.type === "peer" && server.url) {
-      const peerUrl = new URL("/api/servers/local/generate-port", server.url).href;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-      const peerHeaders = {};
-      if (server.remote_api_key) {
-        peerHeaders['X-API-Key'] = server.remote_api_key;
-      }
+      const peerExclude = Array.from(new Set([...portReservations.getReservedPorts(serverId), ...exclude]));
+      const peerPolicy = portPolicy.getServerPolicy(serverId);
+      const peerBody = { exclude: peerExclude, ...searchOptions };
+      if (peerPolicy) peerBody.policy = peerPolicy;
 
+      let peerResponse;
       try {
-        const peerResponse = await fetch(peerUrl, { method: "POST", signal: controller.signal, headers: peerHeaders });
-        clearTimeout(timeoutId);
-
-        if (peerResponse.ok) {
-          const payload = await peerResponse.json();
-          return res.json(payload);
-        }
-
-        if (peerResponse.status === 404 || peerResponse.status === 405 || peerResponse.status === 501) {
-          logger.warn(`[generate-port] Peer ${server.label} missing generate endpoint, falling back to scan.`);
-          try {
-            const scanUrl = new URL("/api/servers/local/scan", server.url).href;
-            const scanResponse = await fetch(scanUrl, { method: "GET", signal: controller.signal, headers: peerHeaders });
-
-            if (scanResponse.ok) {
-              const scanData = await scanResponse.json();
-              const suggestion = await generateUnusedPortFromPortList(scanData?.ports || [], { bindCheck: false, method: "scan-only-peer-fallback" });
-              return res.json({
-                port: suggestion.port,
-                meta: {
-                  ...suggestion.meta,
-                  fallbackUsed: true,
-                  fallbackReason: "peer-generate-port-missing",
-                },
-              });
-            }
-          } catch (fallbackError) {
-            logger.warn(`[generate-port] Peer scan fallback failed for ${server.label}: ${fallbackError.message}`);
-          }
-        }
-
-        const body = await peerResponse.text().catch(() => "");
-        return res.status(peerResponse.status).json({
-          error: "Peer port generation failed",
-          details: body || `Status ${peerResponse.status}`,
-        });
+        peerResponse = await requestPeer(server, "/api/servers/local/generate-port", { method: "POST", body: peerBody });
       } catch (err) {
-        clearTimeout(timeoutId);
-        const errMsg = err.name === "AbortError" ? "Peer request timed out" : err.message;
-        logger.error(`[generate-port] Failed to reach peer ${server.label} (${server.url}): ${errMsg}`);
+        logger.error(`[generate-port] Failed to reach peer ${server.label} (${server.url}): ${err.message}`);
         return res.status(502).json({
           error: "Failed to reach peer for port generation",
-          details: errMsg,
+          details: err.message,
         });
       }
+
+      if (peerResponse.ok) {
+        return sendSuggestion(peerResponse.body);
+      }
+
+      if (peerResponse.status === 404 || peerResponse.status === 405 || peerResponse.status === 501) {
+        logger.warn(`[generate-port] Peer ${server.label} missing generate endpoint, falling back to scan.`);
+        try {
+          const scanData = await fetchPeerScan(server);
+          const suggestion = await generateUnusedPortFromPortList(scanData?.ports || [], {
+            bindCheck: false,
+            method: "scan-only-peer-fallback",
+            serverId,
+            exclude,
+            ...searchOptions,
+          });
+          return sendSuggestion({
+            ...suggestion,
+            meta: {
+              ...suggestion.meta,
+              fallbackUsed: true,
+              fallbackReason: "peer-generate-port-missing",
+            },
+          });
+        } catch (fallbackError) {
+          logger.warn(`[generate-port] Peer scan fallback failed for ${server.label}: ${fallbackError.message}`);
+        }
+      }
+
+      const errorBody = typeof peerResponse.body === "string" ? peerResponse.body : JSON.stringify(peerResponse.body ?? "");
+      return res.status(peerResponse.status).json({
+        error: "Peer port generation failed",
+        details: errorBody || `Status ${peerResponse.status}`,
+      });
     }
 
     return res.status(501).json({
@@ -1181,6 +2302,188 @@ app.post("/api/servers/:id/generate-port", async (req, res) => {
   }
 });
 
+/**
+ * Get the port suggestion policy of a server. `policy` is the stored policy (null when the
+ * server uses the global GENERATE_PORT_MIN/MAX range) and `effective` has the defaults filled in.
+ */
+app.get("/api/servers/:id/port-policy", requireAuthOrApiKey, validateServerIdParam, (req, res) => {
+  const serverId = req.params.id;
+  try {
+    const server = db.prepare("SELECT id FROM servers WHERE id = ?").get(serverId);
+    if (!server) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+    const policy = portPolicy.getServerPolicy(serverId);
+    res.json({
+      server_id: serverId,
+      policy,
+      effective: portPolicy.normalizePolicy(policy, getPortRangeForSuggestion()),
+      categories: portPolicy.POLICY_CATEGORIES,
+      modes: portPolicy.POLICY_MODES,
+    });
+  } catch (error) {
+    logger.error(`Error in GET /api/servers/${serverId}/port-policy:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to load port policy", details: error.message });
+  }
+});
+
+/**
+ * Replace the port suggestion policy of a server. Body: { policy } where null resets to the defaults.
+ */
+app.put("/api/servers/:id/port-policy", allowApiKey("admin"), requireRole("admin"), validateServerIdParam, (req, res) => {
+  const serverId = req.params.id;
+  const policy = req.body?.policy === undefined ? null : req.body.policy;
+  const validationError = portPolicy.validatePolicy(policy);
+  if (validationError) {
+    return res.status(400).json({ error: "Validation failed", details: validationError, field: "policy" });
+  }
+
+  try {
+    if (!portPolicy.setServerPolicy(serverId, policy)) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+    logger.info(`Port suggestion policy ${policy ? "updated" : "reset"} for server ${serverId}`);
+    recordAudit(req, "port_policy.update", { target: serverId, details: { reset: !policy } });
+    const stored = portPolicy.getServerPolicy(serverId);
+    res.json({
+      server_id: serverId,
+      policy: stored,
+      effective: portPolicy.normalizePolicy(stored, getPortRangeForSuggestion()),
+    });
+  } catch (error) {
+    logger.error(`Error in PUT /api/servers/${serverId}/port-policy:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to save port policy", details: error.message });
+  }
+});
+
+/**
+ * Describes a reservation for the audit log, e.g. "local 8080/tcp".
+ */
+function auditReservationTarget(reservation) {
+  return `${reservation.server_id} ${reservation.host_port}/${reservation.protocol}`;
+}
+
+function parseReservationId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: "Validation failed", details: "Invalid reservation ID", field: "id" });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * List port reservations. Each reservation carries a status computed against the last
+ * scheduled scan of its server: reserved, in_use, conflict, expired or unknown.
+ * Query: server_id, status (comma-separated), include_expired (default true)
+ */
+app.get("/api/reservations", requireAuthOrApiKey, (req, res) => {
+  try {
+    const serverId = req.query.server_id || null;
+    let statuses = null;
+    if (req.query.status) {
+      statuses = String(req.query.status).split(",").map((t) => t.trim()).filter(Boolean);
+      const invalid = statuses.filter((t) => !portReservations.RESERVATION_STATUSES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: `Unknown status(es): ${invalid.join(", ")}. Allowed: ${portReservations.RESERVATION_STATUSES.join(", ")}`,
+          field: "status",
+        });
+      }
+    }
+
+    const reservations = portReservations.listReservations({
+      serverId,
+      includeExpired: req.query.include_expired !== "false",
+    });
+    const byServer = new Map();
+    for (const reservation of reservations) {
+      if (!byServer.has(reservation.server_id)) byServer.set(reservation.server_id, []);
+      byServer.get(reservation.server_id).push(reservation);
+    }
+
+    let annotated = [];
+    for (const [id, list] of byServer) {
+      const scheduled = scanResultCache.get(id);
+      annotated = annotated.concat(
+        portReservations.annotateReservations(list, Array.isArray(scheduled?.data) ? scheduled.data : null)
+      );
+    }
+    if (statuses) annotated = annotated.filter((r) => statuses.includes(r.status));
+
+    res.json({ reservations: annotated });
+  } catch (error) {
+    logger.error("Error in GET /api/reservations:", error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to fetch reservations", details: error.message });
+  }
+});
+
+app.post("/api/reservations", allowApiKey("notes:write"), requireRole("editor"), (req, res) => {
+  try {
+    const validationError = portReservations.validateReservation(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: "Validation failed", details: validationError });
+    }
+    const reservation = portReservations.createReservation(req.body);
+    recordAudit(req, "reservation.create", { target: auditReservationTarget(reservation), details: { id: reservation.id } });
+    res.status(201).json({ success: true, reservation });
+  } catch (error) {
+    if (error.code === "RESERVATION_EXISTS") {
+      return res.status(409).json({ error: error.message, reservation: error.reservation });
+    }
+    logger.error("Error in POST /api/reservations:", error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to create reservation", details: error.message });
+  }
+});
+
+app.put("/api/reservations/:id", allowApiKey("notes:write"), requireRole("editor"), (req, res) => {
+  const id = parseReservationId(req, res);
+  if (id === null) return;
+
+  try {
+    const validationError = portReservations.validateReservation(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: "Validation failed", details: validationError });
+    }
+    const reservation = portReservations.updateReservation(id, req.body);
+    if (!reservation) {
+      return res.status(404).json({ error: "Reservation not found" });
+    }
+    recordAudit(req, "reservation.update", { target: auditReservationTarget(reservation), details: { id } });
+    res.json({ success: true, reservation });
+  } catch (error) {
+    if (error.code === "RESERVATION_EXISTS") {
+      return res.status(409).json({ error: error.message, reservation: error.reservation });
+    }
+    logger.error(`Error in PUT /api/reservations/${id}:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to update reservation", details: error.message });
+  }
+});
+
+app.delete("/api/reservations/:id", allowApiKey("notes:write"), requireRole("editor"), (req, res) => {
+  const id = parseReservationId(req, res);
+  if (id === null) return;
+
+  try {
+    if (!portReservations.deleteReservation(id)) {
+      return res.status(404).json({ error: "Reservation not found" });
+    }
+    logger.info(`Port reservation deleted: ${id}`);
+    recordAudit(req, "reservation.delete", { target: String(id) });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error in DELETE /api/reservations/${id}:`, error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to delete reservation", details: error.message });
+  }
+});
+
 function validateServerInput(req, res, next) {
   const { label, url, type, platform_type } = req.body;
   if (!label || typeof label !== "string" || label.trim().length === 0) {
@@ -1229,6 +2532,18 @@ function validateServerInput(req, res, next) {
   next();
 }
 
+/**
+ * Protocols a port entry can have. Raw sockets use the IP protocol number as host_port; Unix
+ * sockets use the socket path as host_ip and 0 as host_port.
+ */
+const PORT_PROTOCOLS = ["tcp", "udp", "sctp", "raw", "unix"];
+
+function isValidHostPort(hostPort, protocol) {
+  if (!Number.isInteger(hostPort)) return false;
+  if (protocol === "unix") return hostPort === 0;
+  return hostPort > 0 && hostPort <= 65535;
+}
+
 function validateNoteInput(req, res, next) {
   const { server_id, host_ip, host_port, protocol, container_id, internal } = req.body;
   if (!server_id || typeof server_id !== "string") {
@@ -1263,12 +2578,12 @@ function validateNoteInput(req, res, next) {
         field: "host_port",
       });
   }
-  if (!protocol || typeof protocol !== "string" || (protocol !== "tcp" && protocol !== "udp")) {
+  if (!protocol || typeof protocol !== "string" || !PORT_PROTOCOLS.includes(protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "Field 'protocol' is required and must be either 'tcp' or 'udp'",
+        details: `Field 'protocol' is required and must be one of: ${PORT_PROTOCOLS.join(", ")}`,
         field: "protocol",
       });
   }
@@ -1305,6 +2620,13 @@ function validateNoteInput(req, res, next) {
   next();
 }
 
+/**
+ * Describes a port for the audit log, e.g. "local 0.0.0.0:80/tcp (container abc123)".
+ */
+function auditPortTarget(serverId, hostIp, hostPort, protocol, containerId) {
+  return `${serverId} ${hostIp}:${hostPort}/${protocol}${containerId ? ` (container ${containerId})` : ""}`;
+}
+
 /**
  * Middleware that validates the presence and format of the server ID parameter in the request.
  * Responds with a 400 error if the ID is missing or not a non-empty string.
@@ -1355,22 +2677,22 @@ function validateCustomServiceNameInput(req, res, next) {
       });
   }
 
-  if (host_port == null || !Number.isInteger(host_port) || host_port <= 0 || host_port > 65535) {
+  if (host_port == null || !isValidHostPort(host_port, protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "host_port is required and must be a valid port number (1-65535)",
+        details: "host_port is required and must be a valid port number (1-65535, or 0 for Unix sockets)",
         field: "host_port",
       });
   }
 
-  if (!protocol || typeof protocol !== "string" || (protocol !== "tcp" && protocol !== "udp")) {
+  if (!protocol || typeof protocol !== "string" || !PORT_PROTOCOLS.includes(protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "Field 'protocol' is required and must be either 'tcp' or 'udp'",
+        details: `Field 'protocol' is required and must be one of: ${PORT_PROTOCOLS.join(", ")}`,
         field: "protocol",
       });
   }
@@ -1435,22 +2757,22 @@ function validateIgnoreInput(req, res, next) {
       });
   }
 
-  if (host_port == null || !Number.isInteger(host_port) || host_port <= 0 || host_port > 65535) {
+  if (host_port == null || !isValidHostPort(host_port, protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "host_port is required and must be a valid port number (1-65535)",
+        details: "host_port is required and must be a valid port number (1-65535, or 0 for Unix sockets)",
         field: "host_port",
       });
   }
 
-  if (!protocol || typeof protocol !== "string" || (protocol !== "tcp" && protocol !== "udp")) {
+  if (!protocol || typeof protocol !== "string" || !PORT_PROTOCOLS.includes(protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "Field 'protocol' is required and must be either 'tcp' or 'udp'",
+        details: `Field 'protocol' is required and must be one of: ${PORT_PROTOCOLS.join(", ")}`,
         field: "protocol",
       });
   }
@@ -1515,22 +2837,22 @@ function validateCustomServiceNameDeleteInput(req, res, next) {
       });
   }
 
-  if (host_port == null || !Number.isInteger(host_port) || host_port <= 0 || host_port > 65535) {
+  if (host_port == null || !isValidHostPort(host_port, protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "host_port is required and must be a valid port number (1-65535)",
+        details: "host_port is required and must be a valid port number (1-65535, or 0 for Unix sockets)",
         field: "host_port",
       });
   }
 
-  if (!protocol || typeof protocol !== "string" || (protocol !== "tcp" && protocol !== "udp")) {
+  if (!protocol || typeof protocol !== "string" || !PORT_PROTOCOLS.includes(protocol)) {
     return res
       .status(400)
       .json({
         error: "Validation failed",
-        details: "Field 'protocol' is required and must be either 'tcp' or 'udp'",
+        details: `Field 'protocol' is required and must be one of: ${PORT_PROTOCOLS.join(", ")}`,
         field: "protocol",
       });
   }
@@ -1558,7 +2880,7 @@ function validateCustomServiceNameDeleteInput(req, res, next) {
   next();
 }
 
-app.get("/api/servers", requireAuth, (req, res) => {
+app.get("/api/servers", requireAuthOrApiKey, (req, res) => {
   logger.debug("GET /api/servers");
   try {
     const stmt = db.prepare(
@@ -1576,7 +2898,7 @@ app.get("/api/servers", requireAuth, (req, res) => {
   }
 });
 
-app.post("/api/servers", requireAuth, validateServerInput, (req, res) => {
+app.post("/api/servers", allowApiKey("admin"), requireRole("admin"), validateServerInput, (req, res) => {
   const { id, label, url, parentId, type, unreachable, platform_type, apiKey } =
     req.body;
 
@@ -1626,6 +2948,7 @@ app.post("/api/servers", requireAuth, validateServerInput, (req, res) => {
         );
       }
       logger.info(`Server updated successfully. ID: ${id}, Label: "${label}"`);
+      recordAudit(req, "server.update", { target: id, details: { label, url, type } });
       res.status(200).json({ message: "Server updated successfully", id });
     } else {
       db.prepare(
@@ -1641,6 +2964,7 @@ app.post("/api/servers", requireAuth, validateServerInput, (req, res) => {
         apiKey || null
       );
       logger.info(`Server added successfully. ID: ${id}, Label: "${label}"`);
+      recordAudit(req, "server.create", { target: id, details: { label, url, type } });
       res.status(201).json({ message: "Server added successfully", id });
     }
   } catch (error) {
@@ -1671,7 +2995,7 @@ app.post("/api/servers", requireAuth, validateServerInput, (req, res) => {
   }
 });
 
-app.delete("/api/servers/:id", requireAuth, validateServerIdParam, (req, res) => {
+app.delete("/api/servers/:id", allowApiKey("admin"), requireRole("admin"), validateServerIdParam, (req, res) => {
   const serverId = req.params.id;
   const currentDebug = req.query.debug === "true";
   
@@ -1703,11 +3027,15 @@ app.delete("/api/servers/:id", requireAuth, validateServerIdParam, (req, res) =>
       );
       db.prepare("DELETE FROM notes WHERE server_id = ?").run(serverId);
       db.prepare("DELETE FROM ignores WHERE server_id = ?").run(serverId);
+      portHistory.clearHistory(serverId);
+      portEvents.clearEvents(serverId);
+      portReservations.clearReservations(serverId);
       db.prepare("DELETE FROM servers WHERE id = ?").run(serverId);
     });
     deleteTransaction();
 
     logger.info(`Server deleted successfully. ID: ${serverId}, Label: "${server.label}"`);
+    recordAudit(req, "server.delete", { target: serverId, details: { label: server.label } });
     res.json({
       success: true,
       message: `Server '${server.label}' (ID: ${serverId}) deleted successfully`,
@@ -1737,7 +3065,7 @@ app.delete("/api/servers/:id", requireAuth, validateServerIdParam, (req, res) =>
   }
 });
 
-app.post("/api/notes", requireAuth, validateNoteInput, (req, res) => {
+app.post("/api/notes", allowApiKey("notes:write"), requireRole("editor"), validateNoteInput, (req, res) => {
   const { server_id, host_ip, host_port, protocol, note, container_id, internal } = req.body;
   const currentDebug = req.query.debug === "true";
   const noteTrimmed = note ? note.trim() : "";
@@ -1771,6 +3099,12 @@ app.post("/api/notes", requireAuth, validateNoteInput, (req, res) => {
       ).run(server_id, host_ip, host_port, protocol, container_id || null, internalFlag, noteTrimmed);
       logger.info(`Note created for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''} (internal: ${internalFlag})`);
     }
+    if (existing || noteTrimmed !== "") {
+      recordAudit(req, "note.update", {
+        target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id),
+        details: { note: noteTrimmed || null },
+      });
+    }
     res.status(200).json({ success: true, message: "Note saved successfully" });
   } catch (err) {
     logger.error(`Database error in POST /api/notes: ${err.message}`);
@@ -1786,7 +3120,7 @@ app.post("/api/notes", requireAuth, validateNoteInput, (req, res) => {
   }
 });
 
-app.get("/api/notes", requireAuth, (req, res) => {
+app.get("/api/notes", requireAuthOrApiKey, (req, res) => {
   const { server_id } = req.query;
   const currentDebug = req.query.debug === "true";
 
@@ -1819,7 +3153,7 @@ app.get("/api/notes", requireAuth, (req, res) => {
   }
 });
 
-app.post("/api/ignores", requireAuth, validateIgnoreInput, (req, res) => {
+app.post("/api/ignores", allowApiKey("notes:write"), requireRole("editor"), validateIgnoreInput, (req, res) => {
   const { server_id, host_ip, host_port, protocol, ignored, container_id, internal } = req.body;
   const currentDebug = req.query.debug === "true";
 
@@ -1841,6 +3175,7 @@ app.post("/api/ignores", requireAuth, validateIgnoreInput, (req, res) => {
           "INSERT INTO ignores (server_id, host_ip, host_port, protocol, container_id, internal) VALUES (?, ?, ?, ?, ?, ?)"
         ).run(server_id, host_ip, host_port, protocol, container_id || null, internalFlag);
         logger.info(`Port ignored for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''} (internal: ${internalFlag})`);
+        recordAudit(req, "port.hide", { target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id) });
       } else {
         logger.debug(`Port already ignored for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''} (internal: ${internalFlag}), no change.`);
       }
@@ -1850,6 +3185,7 @@ app.post("/api/ignores", requireAuth, validateIgnoreInput, (req, res) => {
           "DELETE FROM ignores WHERE server_id = ? AND host_ip = ? AND host_port = ? AND protocol = ? AND (container_id = ? OR (container_id IS NULL AND ? IS NULL)) AND internal = ?"
         ).run(server_id, host_ip, host_port, protocol, container_id || null, container_id || null, internalFlag);
         logger.info(`Port un-ignored for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''} (internal: ${internalFlag})`);
+        recordAudit(req, "port.unhide", { target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id) });
       } else {
         logger.debug(`Port already not ignored for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''} (internal: ${internalFlag}), no change.`);
       }
@@ -1869,7 +3205,7 @@ app.post("/api/ignores", requireAuth, validateIgnoreInput, (req, res) => {
   }
 });
 
-app.get("/api/ignores", requireAuth, (req, res) => {
+app.get("/api/ignores", requireAuthOrApiKey, (req, res) => {
   const { server_id } = req.query;
   const currentDebug = req.query.debug === "true";
 
@@ -1903,7 +3239,7 @@ app.get("/api/ignores", requireAuth, (req, res) => {
   }
 });
 
-app.post("/api/custom-service-names", requireAuth, validateCustomServiceNameInput, (req, res) => {
+app.post("/api/custom-service-names", allowApiKey("notes:write"), requireRole("editor"), validateCustomServiceNameInput, (req, res) => {
   const { server_id, host_ip, host_port, protocol, custom_name, original_name, container_id, internal } = req.body;
   const currentDebug = req.query.debug === "true";
 
@@ -1930,6 +3266,10 @@ app.post("/api/custom-service-names", requireAuth, validateCustomServiceNameInpu
       ).run(server_id, host_ip, host_port, protocol, container_id || null, internalFlag, custom_name, original_name || null);
       logger.info(`Custom service name created for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''} (internal: ${internalFlag})`);
     }
+    recordAudit(req, "service.rename", {
+      target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id),
+      details: { name: custom_name, original_name: original_name || null },
+    });
 
     if (!container_id && !internal && host_ip === "0.0.0.0") {
       const ipv6Existing = db
@@ -1994,7 +3334,7 @@ app.post("/api/custom-service-names", requireAuth, validateCustomServiceNameInpu
   }
 });
 
-app.get("/api/custom-service-names", requireAuth, (req, res) => {
+app.get("/api/custom-service-names", requireAuthOrApiKey, (req, res) => {
   const { server_id } = req.query;
   const currentDebug = req.query.debug === "true";
 
@@ -2027,7 +3367,7 @@ app.get("/api/custom-service-names", requireAuth, (req, res) => {
   }
 });
 
-app.delete("/api/custom-service-names", requireAuth, validateCustomServiceNameDeleteInput, (req, res) => {
+app.delete("/api/custom-service-names", allowApiKey("notes:write"), requireRole("editor"), validateCustomServiceNameDeleteInput, (req, res) => {
   const { server_id, host_ip, host_port, protocol, container_id, internal } = req.body;
   const currentDebug = req.query.debug === "true";
 
@@ -2077,6 +3417,10 @@ app.delete("/api/custom-service-names", requireAuth, validateCustomServiceNameDe
 
     if (deletedCount > 0) {
       logger.info(`Custom service name deleted for ${server_id} ${host_ip}:${host_port}/${protocol}${container_id ? ` (container: ${container_id})` : ''}`);
+      recordAudit(req, "service.rename", {
+        target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id),
+        details: { name: null },
+      });
       
       responseCache.delete('endpoint:ports:local');
       
@@ -2098,7 +3442,7 @@ app.delete("/api/custom-service-names", requireAuth, validateCustomServiceNameDe
   }
 });
 
-app.post("/api/custom-service-names/batch", requireAuth, (req, res) => {
+app.post("/api/custom-service-names/batch", allowApiKey("notes:write"), requireRole("editor"), (req, res) => {
   const { server_id, operations } = req.body;
   const currentDebug = req.query.debug === "true";
 
@@ -2140,16 +3484,16 @@ app.post("/api/custom-service-names/batch", requireAuth, (req, res) => {
         .json({ error: `Operation at index ${i}: host_ip is required and must be a non-empty string` });
     }
 
-    if (host_port == null || !Number.isInteger(host_port) || host_port <= 0 || host_port > 65535) {
+    if (host_port == null || !isValidHostPort(host_port, protocol)) {
       return res
         .status(400)
-        .json({ error: `Operation at index ${i}: host_port must be a valid port number (1-65535)` });
+        .json({ error: `Operation at index ${i}: host_port must be a valid port number (1-65535, or 0 for Unix sockets)` });
     }
 
-    if (!protocol || typeof protocol !== "string" || (protocol !== "tcp" && protocol !== "udp")) {
+    if (!protocol || typeof protocol !== "string" || !PORT_PROTOCOLS.includes(protocol)) {
       return res
         .status(400)
-        .json({ error: `Operation at index ${i}: protocol is required and must be either 'tcp' or 'udp'` });
+        .json({ error: `Operation at index ${i}: protocol is required and must be one of: ${PORT_PROTOCOLS.join(", ")}` });
     }
 
     if (action === "set" && (custom_name == null || typeof custom_name !== "string" || custom_name.trim().length === 0)) {
@@ -2211,6 +3555,13 @@ app.post("/api/custom-service-names/batch", requireAuth, (req, res) => {
     }
 
     logger.info(`Batch custom service name operation completed for ${server_id}. ${results.length} operations processed.`);
+    operations.forEach((op, i) => {
+      if (results[i].action === "not_found") return;
+      recordAudit(req, "service.rename", {
+        target: auditPortTarget(server_id, op.host_ip, op.host_port, op.protocol, op.container_id),
+        details: { name: op.action === "set" ? op.custom_name : null, batch: true },
+      });
+    });
     
     responseCache.delete('endpoint:ports:local');
     
@@ -2229,7 +3580,7 @@ app.post("/api/custom-service-names/batch", requireAuth, (req, res) => {
   }
 });
 
-app.post("/api/notes/batch", requireAuth, (req, res) => {
+app.post("/api/notes/batch", allowApiKey("notes:write"), requireRole("editor"), (req, res) => {
   const { server_id, operations } = req.body;
   const currentDebug = req.query.debug === "true";
 
@@ -2252,13 +3603,13 @@ app.post("/api/notes/batch", requireAuth, (req, res) => {
         continue;
       }
 
-      if (!Number.isInteger(host_port) || host_port <= 0 || host_port > 65535) {
-        results.push({ success: false, error: "host_port must be a valid port number (1-65535)" });
+      if (!isValidHostPort(host_port, protocol)) {
+        results.push({ success: false, error: "host_port must be a valid port number (1-65535, or 0 for Unix sockets)" });
         continue;
       }
 
-      if (!protocol || typeof protocol !== "string" || (protocol !== "tcp" && protocol !== "udp")) {
-        results.push({ success: false, error: "protocol is required and must be either 'tcp' or 'udp'" });
+      if (!protocol || typeof protocol !== "string" || !PORT_PROTOCOLS.includes(protocol)) {
+        results.push({ success: false, error: `protocol is required and must be one of: ${PORT_PROTOCOLS.join(", ")}` });
         continue;
       }
 
@@ -2280,12 +3631,22 @@ app.post("/api/notes/batch", requireAuth, (req, res) => {
                 .run(server_id, host_ip, host_port, protocol, container_id || null, internalFlag, noteTrimmed);
             }
             results.push({ success: true, action: "set", host_ip, host_port, container_id, internal: internalFlag });
+            recordAudit(req, "note.update", {
+              target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id),
+              details: { note: noteTrimmed, batch: true },
+            });
           }
         } else if (action === "delete") {
           const result = db
             .prepare("DELETE FROM notes WHERE server_id = ? AND host_ip = ? AND host_port = ? AND protocol = ? AND (container_id = ? OR (container_id IS NULL AND ? IS NULL)) AND internal = ?")
             .run(server_id, host_ip, host_port, protocol, container_id || null, container_id || null, internalFlag);
           results.push({ success: true, action: "delete", host_ip, host_port, container_id, internal: internalFlag, deletedCount: result.changes });
+          if (result.changes > 0) {
+            recordAudit(req, "note.update", {
+              target: auditPortTarget(server_id, host_ip, host_port, protocol, container_id),
+              details: { note: null, batch: true },
+            });
+          }
         }
       } catch (opError) {
         logger.error(`Error in batch note operation: ${opError.message}`);
@@ -2310,6 +3671,34 @@ app.post("/api/notes/batch", requireAuth, (req, res) => {
   }
 });
 
+/**
+ * Records a ping colour, streams colour changes to live clients and notifies
+ * ping_red targets when a service turns red. Services whose first known state is red do not notify.
+ */
+function trackPingHealth(service, color, title) {
+  const { previous } = pingHealth.recordPingResult(service, color);
+  if (previous !== null && previous !== color) {
+    liveUpdates.publish("ping", {
+      server_id: service.serverId || "local",
+      host_ip: service.host_ip,
+      host_port: parseInt(service.host_port, 10),
+      previous,
+      color,
+      title,
+    });
+  }
+  if (color !== "red" || previous === null || previous === "red") return;
+
+  const name = service.owner || `port ${service.host_port}`;
+  notifications.notify({
+    trigger: "ping_red",
+    title: `Service down: ${name}`,
+    message: `${name} at ${service.host_ip}:${service.host_port} turned red (${title})`,
+    server_id: service.serverId || "local",
+    details: { ...service, previous_color: previous, color },
+  });
+}
+
 app.get("/api/ping", requireAuthOrApiKey, async (req, res) => {
   const { host_ip, host_port, target_server_url, owner, internal, container_id, source } = req.query;
   const serverId = req.query.server_id;
@@ -2356,12 +3745,18 @@ app.get("/api/ping", requireAuthOrApiKey, async (req, res) => {
         return res.status(502).json({ error: 'failed to proxy remote ping' });
       }
     }
-    try {
-      await dockerApi._ensureConnected?.();
-    } catch {
-      void 0;
+    const podmanCollector = getCollectorInstances().find(({ platform }) => platform === 'podman')?.collector;
+    let health;
+    if (podmanCollector && (await podmanCollector.hasContainer(container_id))) {
+      health = await podmanCollector.getContainerHealth(container_id);
+    } else {
+      try {
+        await dockerApi._ensureConnected?.();
+      } catch {
+        void 0;
+      }
+      health = await (dockerApi.getContainerHealth ? dockerApi.getContainerHealth(container_id) : Promise.resolve({ status: 'unknown', health: 'unknown' }));
     }
-    const health = await (dockerApi.getContainerHealth ? dockerApi.getContainerHealth(container_id) : Promise.resolve({ status: 'unknown', health: 'unknown' }));
 
     const state = (health.status || '').toLowerCase();
     const h = (health.health || '').toLowerCase();
@@ -2396,6 +3791,8 @@ app.get("/api/ping", requireAuthOrApiKey, async (req, res) => {
       title = 'Container not running';
     }
 
+    trackPingHealth({ serverId, host_ip, host_port, owner }, color, title);
+
     return res.json({
       reachable: color === 'green' || color === 'yellow',
       status,
@@ -2477,6 +3874,8 @@ app.get("/api/ping", requireAuthOrApiKey, async (req, res) => {
     logger.debug(`Service status for ${pingable_host_ip}:${portNum} -> ${result.status} (${result.color})`);
   }
   
+  trackPingHealth({ serverId, host_ip, host_port, owner }, result.color, result.title);
+
   res.json({
     reachable: result.status !== 'unreachable',
     status: result.status,
@@ -2493,6 +3892,70 @@ app.get("/api/ping", requireAuthOrApiKey, async (req, res) => {
   if (currentDebug) logger.setDebugEnabled(process.env.DEBUG === 'true');
 });
 
+/**
+ * Prometheus scrape endpoint. Port counts come from the background scan cache,
+ * so values are as fresh as the last scheduled scan.
+ */
+app.get("/metrics", requireAuthOrApiKey, (req, res) => {
+  try {
+    const servers = db.prepare("SELECT id, label, type, url, unreachable FROM servers").all();
+    const labelFor = new Map(servers.map((s) => [s.id, s.label || s.id]));
+
+    const portSamples = [];
+    for (const [serverId, entry] of scanResultCache.entries()) {
+      if (!Array.isArray(entry.data)) continue;
+      for (const { protocol, source, count } of metrics.countPorts(entry.data)) {
+        portSamples.push({
+          labels: { server: serverId, server_label: labelFor.get(serverId) || serverId, protocol, source },
+          value: count,
+        });
+      }
+    }
+
+    const reachabilitySamples = servers
+      .filter((s) => s.type === "peer" && s.url)
+      .map((s) => ({ labels: { server: s.id, server_label: s.label || s.id }, value: s.unreachable ? 0 : 1 }));
+
+    const pingSamples = pingHealth.getPingStates().map((state) => ({
+      labels: {
+        server: state.server_id,
+        host: state.host_ip,
+        port: state.host_port,
+        service: state.owner || "",
+        color: state.color,
+      },
+      value: metrics.PING_COLOR_VALUES[state.color] ?? metrics.PING_COLOR_VALUES.gray,
+    }));
+
+    const durationSamples = lastScanDurations.map(({ operation, duration }) => ({
+      labels: { server: operation },
+      value: duration / 1000,
+    }));
+
+    const caches = [{ name: "response", cache: responseCache }, { name: "docker_api", cache: dockerApi.cache }];
+    for (const { platform, collector } of getCollectorInstances()) {
+      caches.push({ name: `collector_${platform}`, cache: collector._cache });
+    }
+    caches.push({ name: "autoxpose", cache: autoxposeClient.cache });
+    const cacheSamples = caches
+      .filter(({ cache }) => cache && typeof cache.getStats === "function")
+      .map(({ name, cache }) => ({ labels: { cache: name }, value: cache.getStats().hitRatio }));
+
+    res.set("Content-Type", metrics.CONTENT_TYPE);
+    res.send(metrics.renderGauges([
+      { name: "portracker_ports", help: "Open ports per server, protocol and source from the last scan.", samples: portSamples },
+      { name: "portracker_peer_reachable", help: "Whether a peer server responded to its last scan (1) or not (0).", samples: reachabilitySamples },
+      { name: "portracker_ping_health", help: "Last health check colour per service (0=green, 1=yellow, 2=red, 3=gray).", samples: pingSamples },
+      { name: "portracker_collector_duration_seconds", help: "Duration of the last scheduled collection per server.", samples: durationSamples },
+      { name: "portracker_cache_hit_ratio", help: "Hit ratio of in-memory TTL caches since startup.", samples: cacheSamples },
+    ]));
+  } catch (error) {
+    logger.error("Error generating metrics:", error.message);
+    logger.debug("Stack trace:", error.stack || "");
+    res.status(500).json({ error: "Failed to generate metrics", details: error.message });
+  }
+});
+
 app.get("/api/health", (req, res) => {
   logger.debug("Health check requested");
   try {
@@ -2563,6 +4026,7 @@ app.get("/api/containers/:id/details", requireAuthOrApiKey, async (req, res) =>
   const includeRaw = req.query.raw === 'true';
   const includeSize = req.query.size === 'true';
   const includeStats = req.query.stats === 'true';
+  const includeConnections = req.query.connections === 'true';
   const exportJson = req.query.export === 'true';
 
   if (!containerId) {
@@ -2579,7 +4043,7 @@ app.get("/api/containers/:id/details", requireAuthOrApiKey, async (req, res) =>
           return res.status(400).json({ error: 'server url not found for remote details' });
         }
         const base = row.url.replace(/\/$/, '');
-  const forwardable = ['raw','size','stats','export','debug'];
+  const forwardable = ['raw','size','stats','connections','export','debug'];
   const qsFlags = forwardable.filter(f => req.query[f] === 'true').map(f => `${f}=true`);
   const url = `${base}/api/containers/${encodeURIComponent(containerId)}/details${qsFlags.length ? '?' + qsFlags.join('&') : ''}`;
   const remoteResp = await fetch(url, { method: 'GET', headers: { 'accept': 'application/json' } });
@@ -2614,6 +4078,22 @@ app.get("/api/containers/:id/details", requireAuthOrApiKey, async (req, res) =>
     }
   }
 
+  let connections = null;
+  let connectionsUnavailableReason = null;
+  if (includeConnections) {
+    if (!insp.State?.Running || !insp.State?.Pid) {
+      connectionsUnavailableReason = `container_not_running:${insp.State?.Status || 'unknown'}`;
+    } else {
+      try {
+        const collector = await getCollectorAsync("docker");
+        connections = await collector.procParser.getPortConnections({ pid: insp.State.Pid });
+      } catch (connErr) {
+        logger.warn(`Failed to read connections of container ${containerId}:`, connErr.message);
+        connectionsUnavailableReason = `proc_error:${connErr.message}`;
+      }
+    }
+  }
+
     const portsObj = insp.NetworkSettings?.Ports || {};
     const portMappings = [];
     const exposedUnmapped = [];
@@ -2686,6 +4166,9 @@ app.get("/api/containers/:id/details", requireAuthOrApiKey, async (req, res) =>
   stats,
   statsUnavailableReason,
       statsSampledAt: stats?.read || null,
+      connections: includeConnections ? connections : undefined,
+      connectionsUnavailableReason: includeConnections ? connectionsUnavailableReason : undefined,
+      connectionsSampledAt: connections ? new Date().toISOString() : undefined,
       exportedAt: exportJson ? new Date().toISOString() : undefined
     };
     if (includeRaw) {
@@ -2741,33 +4224,42 @@ app.use((err, req, res, next) => {
   }
 });
 
-logger.info(`About to call app.listen on port ${PORT}`);
+const autoxposeClient = require('./lib/autoxpose-client');
 
-if (isAuthEnabled() && recoveryManager.isRecoveryModeEnabled()) {
-  recoveryManager.generateKey();
-}
+/**
+ * Listens and starts the scan scheduler when run as the server; tests import the app instead.
+ */
+if (require.main === module) {
+  logger.info(`About to call app.listen on port ${PORT}`);
 
-const autoxposeClient = require('./lib/autoxpose-client');
-autoxposeClient.initialize().catch(err => {
-  logger.warn('Failed to initialize autoxpose client:', err.message);
-});
+  if (isAuthEnabled() && recoveryManager.isRecoveryModeEnabled()) {
+    recoveryManager.generateKey();
+  }
 
-try {
-  app.listen(PORT, "0.0.0.0", () => {
-    logger.info(`Server is now listening on http://0.0.0.0:${PORT}`);
-    logger.info("Full startup message complete.");
+  autoxposeClient.initialize().catch(err => {
+    logger.warn('Failed to initialize autoxpose client:', err.message);
   });
-} catch (listenError) {
-  logger.fatal("app.listen failed to start:", listenError.message);
-  logger.debug("Stack trace:", listenError.stack || "");
-  process.exit(1);
-}
 
-process.on("unhandledRejection", (reason, promise) => {
-  logger.fatal("Unhandled Rejection at:", promise, "reason:", reason);
-});
+  try {
+    app.listen(PORT, "0.0.0.0", () => {
+      logger.info(`Server is now listening on http://0.0.0.0:${PORT}`);
+      logger.info("Full startup message complete.");
+      startScanScheduler();
+    });
+  } catch (listenError) {
+    logger.fatal("app.listen failed to start:", listenError.message);
+    logger.debug("Stack trace:", listenError.stack || "");
+    process.exit(1);
+  }
 
-process.on("uncaughtException", (error) => {
-  logger.fatal("Uncaught Exception:", error.stack || error.message);
-  process.exit(1);
-});
+  process.on("unhandledRejection", (reason, promise) => {
+    logger.fatal("Unhandled Rejection at:", promise, "reason:", reason);
+  });
+
+  process.on("uncaughtException", (error) => {
+    logger.fatal("Uncaught Exception:", error.stack || error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, runScheduledScan };
@@ -0,0 +1,214 @@
+const {
+  ComposeParseError,
+  MAX_COMPOSE_MAPPINGS,
+  MAX_RANGE_EXPANSION,
+  parseComposePorts,
+  parsePortSpec,
+} = require("../compose-ports");
+
+const ports = (yaml, options) => parseComposePorts(yaml, options).mappings;
+
+const pick = (mappings) =>
+  mappings.map(({ service, host_ip, host_port, container_port, protocol }) => [
+    service,
+    host_ip,
+    host_port,
+    container_port,
+    protocol,
+  ]);
+
+describe("parseComposePorts", () => {
+  test("reads the short syntax", () => {
+    const mappings = ports(`
+services:
+  web:
+    image: nginx
+    ports:
+      - "8080:80"
+      - 127.0.0.1:8443:443
+      - "53:53/udp"
+      - "9000"
+`);
+
+    expect(pick(mappings)).toEqual([
+      ["web", null, 8080, 80, "tcp"],
+      ["web", "127.0.0.1", 8443, 443, "tcp"],
+      ["web", null, 53, 53, "udp"],
+      ["web", null, null, 9000, "tcp"],
+    ]);
+    expect(mappings[3]).toMatchObject({ ephemeral: true });
+    expect(mappings.map((m) => m.entry)).toEqual([0, 1, 2, 3]);
+  });
+
+  test("reads the long syntax", () => {
+    const mappings = ports(`
+services:
+  dns:
+    ports:
+      - target: 53
+        published: "5353"
+        protocol: udp
+        host_ip: 10.0.0.2
+      - target: 80
+`);
+
+    expect(pick(mappings)).toEqual([
+      ["dns", "10.0.0.2", 5353, 53, "udp"],
+      ["dns", null, null, 80, "tcp"],
+    ]);
+  });
+
+  test("expands ranges", () => {
+    const mappings = ports(`
+services:
+  app:
+    ports: ["8000-8002:9000-9002", "7000-7001:7000"]
+`);
+
+    expect(pick(mappings)).toEqual([
+      ["app", null, 8000, 9000, "tcp"],
+      ["app", null, 8001, 9001, "tcp"],
+      ["app", null, 8002, 9002, "tcp"],
+      ["app", null, 7000, 7000, "tcp"],
+      ["app", null, 7001, 7000, "tcp"],
+    ]);
+    expect(mappings[0].range).toBe("8000-8002");
+  });
+
+  test("reports mismatched and oversized ranges", () => {
+    const result = parseComposePorts(`
+services:
+  app:
+    ports: ["8000-8002:9000-9001", "1-${MAX_RANGE_EXPANSION + 1}:80"]
+`);
+
+    expect(result.mappings).toEqual([]);
+    expect(result.errors).toEqual([
+      'app: host and container ranges differ in size in "8000-8002:9000-9001"',
+      `app: range in "1-${MAX_RANGE_EXPANSION + 1}:80" exceeds ${MAX_RANGE_EXPANSION} ports`,
+    ]);
+  });
+
+  test("reads bracketed and bare IPv6 host addresses", () => {
+    const mappings = ports(`
+services:
+  app:
+    ports:
+      - "[::1]:8080:80"
+      - "fe80::1:9090:90/udp"
+`);
+
+    expect(pick(mappings)).toEqual([
+      ["app", "::1", 8080, 80, "tcp"],
+      ["app", "fe80::1", 9090, 90, "udp"],
+    ]);
+  });
+
+  test("interpolates variables with defaults", () => {
+    const yaml = `
+services:
+  app:
+    ports:
+      - "\${HTTP_PORT:-8080}:80"
+      - "\${ADMIN_PORT-9000}:9000"
+      - target: 443
+        published: "\${TLS_PORT}"
+`;
+
+    expect(ports(yaml, { env: { TLS_PORT: "8443" } }).map((m) => m.host_port)).toEqual([8080, 9000, 8443]);
+    expect(ports(yaml, { env: { HTTP_PORT: "81", TLS_PORT: "8443" } })[0].host_port).toBe(81);
+
+    const unresolved = parseComposePorts(yaml);
+    expect(unresolved.mappings).toHaveLength(2);
+    expect(unresolved.errors).toEqual([expect.stringContaining("Unresolved variable in app ports entry")]);
+  });
+
+  test("applies merge keys and aliases", () => {
+    const result = parseComposePorts(`
+name: stack
+x-web: &web
+  image: nginx
+  ports: ["8080:80"]
+services:
+  first:
+    <<: *web
+  second:
+    <<: *web
+    ports: ["8081:80"]
+`);
+
+    expect(result.project).toBe("stack");
+    expect(pick(result.mappings)).toEqual([
+      ["first", null, 8080, 80, "tcp"],
+      ["second", null, 8081, 80, "tcp"],
+    ]);
+  });
+
+  test("skips host network services", () => {
+    const result = parseComposePorts(`
+services:
+  host:
+    network_mode: host
+    ports: ["80:80"]
+  web:
+    ports: ["81:80"]
+`);
+
+    expect(result.services).toEqual(["host", "web"]);
+    expect(pick(result.mappings)).toEqual([["web", null, 81, 80, "tcp"]]);
+  });
+
+  test("rejects port entries that are neither scalars nor mappings", () => {
+    const result = parseComposePorts(`
+services:
+  app:
+    ports:
+      - ["8080:80"]
+      - target: 80
+        published: [8080]
+`);
+
+    expect(result.mappings).toEqual([]);
+    expect(result.errors).toEqual([
+      "app: ports entries must be a string, number or mapping",
+      "app: ports entries may only hold scalar values",
+    ]);
+  });
+
+  test("rejects alias bombs without expanding them", () => {
+    let yaml = 'x-bomb:\n  a0: &a0 ["80", "80", "80", "80", "80", "80", "80", "80", "80"]\n';
+    for (let i = 1; i <= 8; i++) {
+      yaml += `  a${i}: &a${i} [${Array(9).fill(`*a${i - 1}`).join(", ")}]\n`;
+    }
+    yaml += "services:\n  app:\n    ports: *a8\n";
+
+    expect(() => parseComposePorts(yaml)).toThrow(ComposeParseError);
+  });
+
+  test("rejects files that publish too many ports", () => {
+    const entries = Array.from({ length: MAX_COMPOSE_MAPPINGS / MAX_RANGE_EXPANSION + 1 }, (_, i) => {
+      const start = 1 + i * MAX_RANGE_EXPANSION;
+      return `"${start}-${start + MAX_RANGE_EXPANSION - 1}:80"`;
+    });
+
+    expect(() => parseComposePorts(`services:\n  app:\n    ports: [${entries.join(", ")}]\n`)).toThrow(
+      `Compose file publishes more than ${MAX_COMPOSE_MAPPINGS} ports`
+    );
+  });
+
+  test("reports syntax errors with their line", () => {
+    expect(() => parseComposePorts("services:\n  app:\n    ports: [\"80:80\"\n")).toThrow(/\(line \d+\)$/);
+    expect(() => parseComposePorts("- a\n- b\n")).toThrow("Compose file must be a mapping");
+    expect(() => parseComposePorts("name: x\n")).toThrow("Compose file has no services");
+  });
+});
+
+describe("parsePortSpec", () => {
+  test("parses ports, protocols and ranges", () => {
+    expect(parsePortSpec(8080)).toEqual({ start: 8080, end: 8080, protocol: "tcp" });
+    expect(parsePortSpec("53/UDP")).toEqual({ start: 53, end: 53, protocol: "udp" });
+    expect(parsePortSpec("9000-9005")).toEqual({ start: 9000, end: 9005, protocol: "tcp" });
+    expect(parsePortSpec("70000")).toBeNull();
+    expect(parsePortSpec("80/icmp")).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+process.env.DATABASE_PATH = ":memory:";
+
+const db = require("../../db");
+const loginThrottle = require("../login-throttle");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const attempt = { ip: "192.0.2.10", username: "Alice" };
+
+function fail(times, who = attempt) {
+  for (let i = 0; i < times; i++) {
+    expect(loginThrottle.checkLogin(who)).toBeNull();
+    loginThrottle.recordLoginFailure(who);
+  }
+}
+
+describe("login throttle", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    db.prepare("DELETE FROM login_throttle").run();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("allows two failures, then backs off exponentially", () => {
+    fail(2);
+    expect(loginThrottle.checkLogin(attempt)).toBeNull();
+
+    loginThrottle.recordLoginFailure(attempt);
+    expect(loginThrottle.checkLogin(attempt)).toMatchObject({ scope: "user", code: "LOGIN_THROTTLED", retryAfter: 2 });
+
+    jest.advanceTimersByTime(2000);
+    expect(loginThrottle.checkLogin(attempt)).toBeNull();
+    loginThrottle.recordLoginFailure(attempt);
+    expect(loginThrottle.checkLogin(attempt)).toMatchObject({ code: "LOGIN_THROTTLED", retryAfter: 4 });
+  });
+
+  test("locks the username at the attempt limit and lifts it after the lockout", () => {
+    for (let i = 0; i < 5; i++) {
+      jest.advanceTimersByTime(60 * 1000);
+      loginThrottle.recordLoginFailure(attempt);
+    }
+
+    const locked = loginThrottle.checkLogin({ ip: "192.0.2.99", username: "alice" });
+    expect(locked).toMatchObject({ scope: "user", code: "ACCOUNT_LOCKED", retryAfter: LOCKOUT_MS / 1000 });
+    expect(locked.error).toMatch(/locked for 15 minutes/);
+
+    jest.advanceTimersByTime(LOCKOUT_MS - 1000);
+    expect(loginThrottle.checkLogin(attempt)).toMatchObject({ code: "ACCOUNT_LOCKED", retryAfter: 1 });
+
+    jest.advanceTimersByTime(1000);
+    expect(loginThrottle.checkLogin(attempt)).toBeNull();
+  });
+
+  test("doubles the lockout when it happens again", () => {
+    const lockOut = () => {
+      for (let i = 0; i < 5; i++) {
+        jest.advanceTimersByTime(60 * 1000);
+        loginThrottle.recordLoginFailure(attempt);
+      }
+    };
+
+    lockOut();
+    jest.advanceTimersByTime(LOCKOUT_MS);
+    lockOut();
+
+    expect(loginThrottle.checkLogin(attempt)).toMatchObject({ code: "ACCOUNT_LOCKED", retryAfter: (2 * LOCKOUT_MS) / 1000 });
+  });
+
+  test("locks an IP across usernames", () => {
+    for (let i = 0; i < 20; i++) {
+      jest.advanceTimersByTime(60 * 1000);
+      loginThrottle.recordLoginFailure({ ip: attempt.ip, username: `user${i}` });
+    }
+
+    expect(loginThrottle.checkLogin({ ip: attempt.ip, username: "someone-else" })).toMatchObject({
+      scope: "ip",
+      code: "IP_LOCKED",
+    });
+    expect(loginThrottle.checkLogin({ ip: "192.0.2.11", username: "someone-else" })).toBeNull();
+  });
+
+  test("forgets failures once a lockout period has passed without one", () => {
+    fail(2);
+    loginThrottle.recordLoginFailure(attempt);
+    jest.advanceTimersByTime(LOCKOUT_MS);
+
+    fail(2);
+    expect(loginThrottle.checkLogin(attempt)).toBeNull();
+  });
+
+  test("resets the username on success but keeps the IP counter", () => {
+    fail(2);
+    loginThrottle.recordLoginFailure(attempt);
+    loginThrottle.recordLoginSuccess(attempt);
+
+    expect(loginThrottle.checkLogin({ ip: "192.0.2.99", username: attempt.username })).toBeNull();
+    expect(loginThrottle.checkLogin({ ip: attempt.ip, username: "bob" })).toMatchObject({ scope: "ip", code: "LOGIN_THROTTLED" });
+  });
+
+  test("counts attempts in progress before their outcome is recorded", () => {
+    const running = [1, 2, 3].map(() => loginThrottle.reserveLogin(attempt));
+    expect(running.map((reservation) => reservation.throttled)).toEqual([null, null, null]);
+
+    const fourth = loginThrottle.reserveLogin(attempt);
+    expect(fourth.throttled).toMatchObject({ code: "LOGIN_THROTTLED", retryAfter: 1 });
+
+    running.forEach((reservation) => reservation.release());
+    const next = loginThrottle.reserveLogin(attempt);
+    expect(next.throttled).toBeNull();
+    next.release();
+  });
+
+  test("does not let parallel attempts run past the lockout limit", () => {
+    for (let i = 0; i < 4; i++) {
+      jest.advanceTimersByTime(60 * 1000);
+      loginThrottle.recordLoginFailure(attempt);
+    }
+    jest.advanceTimersByTime(60 * 1000);
+
+    const last = loginThrottle.reserveLogin(attempt);
+    expect(last.throttled).toBeNull();
+    expect(loginThrottle.reserveLogin(attempt).throttled).toMatchObject({ code: "LOGIN_THROTTLED" });
+
+    last.release();
+    loginThrottle.recordLoginFailure(attempt);
+    expect(loginThrottle.reserveLogin(attempt).throttled).toMatchObject({ code: "ACCOUNT_LOCKED" });
+  });
+
+  test("lists and clears lockouts", () => {
+    for (let i = 0; i < 5; i++) {
+      jest.advanceTimersByTime(60 * 1000);
+      loginThrottle.recordLoginFailure(attempt);
+    }
+
+    expect(loginThrottle.listLockouts()).toEqual(
+      expect.arrayContaining([expect.objectContaining({ scope: "user", key: "alice", code: "ACCOUNT_LOCKED", failures: 5 })])
+    );
+    expect(loginThrottle.clearLockout("user", "ALICE")).toBe(true);
+    expect(loginThrottle.checkLogin({ ip: "192.0.2.99", username: "alice" })).toBeNull();
+  });
+});
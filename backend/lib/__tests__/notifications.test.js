@@ -0,0 +1,265 @@
+process.env.DATABASE_PATH = ":memory:";
+process.env.NOTIFICATION_TIMEOUT_MS = "200";
+
+const http = require("http");
+const db = require("../../db");
+const notifications = require("../notifications");
+
+/**
+ * Records every request it receives. Paths under /status/<code> answer with that code and
+ * /slow never answers, so the sender has to time out.
+ */
+function createReceiver() {
+  const receiver = { requests: [], waiters: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      receiver.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      receiver.waiters = receiver.waiters.filter((waiter) => !waiter());
+      if (req.url === "/slow") return;
+      const status = req.url.startsWith("/status/") ? parseInt(req.url.slice(8), 10) : 200;
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  receiver.waitFor = (count) =>
+    new Promise((resolve) => {
+      const check = () => {
+        if (receiver.requests.length < count) return false;
+        resolve(receiver.requests);
+        return true;
+      };
+      if (!check()) receiver.waiters.push(check);
+    });
+
+  return receiver;
+}
+
+describe("notifications", () => {
+  let receiver;
+  let baseUrl;
+
+  const notification = {
+    trigger: "port_opened",
+    title: "Port opened on Local Server",
+    message: "8080/tcp on 0.0.0.0 is now published by nginx",
+    server_id: "local",
+    server: "Local Server",
+    timestamp: "2026-01-01T00:00:00.000Z",
+    details: { host_port: 8080 },
+  };
+
+  const target = (overrides = {}) =>
+    notifications.createTarget({
+      name: "receiver",
+      type: "generic",
+      url: `${baseUrl}/hook`,
+      triggers: ["port_opened"],
+      ...overrides,
+    });
+
+  const stored = (id) => db.prepare("SELECT * FROM webhook_targets WHERE id = ?").get(id);
+
+  beforeAll(async () => {
+    db.prepare("INSERT INTO servers (id, label, url, type) VALUES ('local', 'Local Server', 'http://localhost:4999', 'local')").run();
+    receiver = createReceiver();
+    await new Promise((resolve) => receiver.server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${receiver.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    receiver.server.closeAllConnections();
+    await new Promise((resolve) => receiver.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    db.prepare("DELETE FROM webhook_targets").run();
+    receiver.requests = [];
+    receiver.waiters = [];
+  });
+
+  describe("payloads", () => {
+    test("generic targets receive the full event as JSON with a bearer token", () => {
+      const request = notifications.buildRequest(
+        { type: "generic", url: "https://hooks.test/in", token: "abc" },
+        notification
+      );
+
+      expect(request.url).toBe("https://hooks.test/in");
+      expect(request.headers).toEqual({ "Content-Type": "application/json", Authorization: "Bearer abc" });
+      expect(JSON.parse(request.body)).toEqual({
+        event: "port_opened",
+        title: notification.title,
+        message: notification.message,
+        text: `${notification.title}\n${notification.message}`,
+        server_id: "local",
+        server: "Local Server",
+        timestamp: notification.timestamp,
+        details: { host_port: 8080 },
+      });
+    });
+
+    test("slack and discord targets receive formatted text", () => {
+      const slack = notifications.buildRequest({ type: "slack", url: "https://hooks.slack.test/x" }, notification);
+      expect(JSON.parse(slack.body)).toEqual({ text: `*${notification.title}*\n${notification.message}` });
+
+      const discord = notifications.buildRequest(
+        { type: "discord", url: "https://discord.test/x" },
+        { ...notification, message: "x".repeat(3000) }
+      );
+      const { content } = JSON.parse(discord.body);
+      expect(content.startsWith(`**${notification.title}**\n`)).toBe(true);
+      expect(content).toHaveLength(2000);
+    });
+
+    test("ntfy targets receive plain text with priority headers", () => {
+      const info = notifications.buildRequest({ type: "ntfy", url: "https://ntfy.test/ports" }, notification);
+      expect(info.body).toBe(notification.message);
+      expect(info.headers).toEqual({
+        "Content-Type": "text/plain",
+        Title: notification.title,
+        Priority: "default",
+        Tags: "information_source",
+      });
+
+      const urgent = notifications.buildRequest(
+        { type: "ntfy", url: "https://ntfy.test/ports", token: "tk" },
+        { ...notification, trigger: "port_closed" }
+      );
+      expect(urgent.headers).toMatchObject({ Priority: "high", Tags: "warning", Authorization: "Bearer tk" });
+    });
+
+    test("gotify targets post to the message endpoint with the app key", () => {
+      const request = notifications.buildRequest(
+        { type: "gotify", url: "https://gotify.test/", token: "app-token" },
+        { ...notification, trigger: "peer_unreachable" }
+      );
+
+      expect(request.url).toBe("https://gotify.test/message");
+      expect(request.headers).toEqual({ "Content-Type": "application/json", "X-Gotify-Key": "app-token" });
+      expect(JSON.parse(request.body)).toEqual({ title: notification.title, message: notification.message, priority: 8 });
+      expect(notifications.buildRequest({ type: "gotify", url: "https://gotify.test/message" }, notification).url).toBe(
+        "https://gotify.test/message"
+      );
+    });
+
+    test("delivers the built request to the target", async () => {
+      target({ type: "ntfy", url: `${baseUrl}/ports`, token: "tk" });
+
+      await expect(notifications.notify(notification)).resolves.toBe(1);
+
+      expect(receiver.requests).toEqual([
+        expect.objectContaining({
+          method: "POST",
+          path: "/ports",
+          body: notification.message,
+          headers: expect.objectContaining({ title: notification.title, authorization: "Bearer tk" }),
+        }),
+      ]);
+    });
+  });
+
+  describe("trigger filtering", () => {
+    test("only notifies enabled targets subscribed to the trigger", async () => {
+      target({ name: "opened", url: `${baseUrl}/opened` });
+      target({ name: "closed", url: `${baseUrl}/closed`, triggers: ["port_closed"] });
+      target({ name: "both", url: `${baseUrl}/both`, triggers: ["port_closed", "port_opened"] });
+      target({ name: "disabled", url: `${baseUrl}/disabled`, enabled: false });
+
+      await expect(notifications.notify({ trigger: "port_opened", title: "t", message: "m" })).resolves.toBe(2);
+
+      expect(receiver.requests.map((r) => r.path).sort()).toEqual(["/both", "/opened"]);
+    });
+
+    test("does nothing when no target wants the trigger", async () => {
+      target({ triggers: ["ping_red"] });
+
+      await expect(notifications.notify(notification)).resolves.toBe(0);
+      expect(receiver.requests).toHaveLength(0);
+    });
+
+    test("turns port events into notifications and skips other event types", async () => {
+      target({ triggers: ["port_closed"] });
+
+      notifications.notifyPortEvents("local", [
+        { event_type: "port_opened", host_port: 80, protocol: "tcp", host_ip: "0.0.0.0", owner: "nginx" },
+        { event_type: "owner_changed", host_port: 81, protocol: "tcp", host_ip: "0.0.0.0" },
+        { event_type: "port_closed", host_port: 53, protocol: "udp", host_ip: "0.0.0.0", owner: "dnsmasq" },
+      ]);
+      const [request] = await receiver.waitFor(1);
+
+      expect(JSON.parse(request.body)).toMatchObject({
+        event: "port_closed",
+        title: "Port closed on Local Server",
+        message: "53/udp on 0.0.0.0 (dnsmasq) is no longer published",
+        server_id: "local",
+        details: { host_port: 53 },
+      });
+      expect(receiver.requests).toHaveLength(1);
+    });
+  });
+
+  describe("delivery status", () => {
+    test("records success", async () => {
+      const { id } = target();
+
+      await expect(notifications.sendTest(id)).resolves.toEqual({ success: true });
+
+      expect(JSON.parse(receiver.requests[0].body)).toMatchObject({ event: "test", server: "Local Server" });
+      expect(stored(id)).toMatchObject({ last_status: "ok", last_error: null });
+    });
+
+    test("records HTTP errors", async () => {
+      const { id } = target({ url: `${baseUrl}/status/503` });
+
+      await expect(notifications.sendTest(id)).resolves.toEqual({ success: false, error: "HTTP 503" });
+      expect(stored(id)).toMatchObject({ last_status: "error", last_error: "HTTP 503" });
+    });
+
+    test("times out targets that never answer", async () => {
+      const { id } = target({ url: `${baseUrl}/slow` });
+
+      await expect(notifications.sendTest(id)).resolves.toEqual({ success: false, error: "Request timeout" });
+      expect(stored(id)).toMatchObject({ last_status: "error", last_error: "Request timeout" });
+    });
+
+    test("a slow target does not block the others", async () => {
+      target({ name: "slow", url: `${baseUrl}/slow` });
+      target({ name: "fast", url: `${baseUrl}/fast` });
+
+      await expect(notifications.notify(notification)).resolves.toBe(1);
+    });
+
+    test("returns null for an unknown target", async () => {
+      await expect(notifications.sendTest(9999)).resolves.toBeNull();
+    });
+  });
+
+  describe("validation", () => {
+    test("rejects bad input", () => {
+      const valid = { name: "x", type: "generic", url: "https://hooks.test", triggers: ["port_opened"] };
+
+      expect(notifications.validateTarget(valid)).toBeNull();
+      expect(notifications.validateTarget({ ...valid, type: "email" })).toMatch(/^Type must be one of/);
+      expect(notifications.validateTarget({ ...valid, url: "ftp://hooks.test" })).toBe("URL must use http or https");
+      expect(notifications.validateTarget({ ...valid, triggers: [] })).toBe("Select at least one trigger");
+      expect(notifications.validateTarget({ ...valid, triggers: ["port_opened", "reboot"] })).toBe(
+        "Unknown trigger(s): reboot"
+      );
+      expect(notifications.validateTarget({ url: "https://other.test" }, true)).toBeNull();
+    });
+
+    test("never returns the stored token", () => {
+      const created = target({ token: "secret" });
+
+      expect(created.hasToken).toBe(true);
+      expect(created).not.toHaveProperty("token");
+      expect(notifications.updateTarget(created.id, { token: "" }).hasToken).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,394 @@
+const crypto = require("crypto");
+const http = require("http");
+const oidc = require("../oidc");
+
+const CLIENT_ID = "portracker";
+const CLIENT_SECRET = "s3cret";
+
+const rsaKeys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const ecKeys = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+const otherKeys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * Signs a JWT with the given algorithm: RS256 and ES256 use the provider keys, HS256 the client secret
+ */
+function signJwt(payload, { alg = "RS256", kid = "rsa-1", key, header = {} } = {}) {
+  const encodedHeader = base64url(JSON.stringify({ alg, typ: "JWT", kid, ...header }));
+  const encodedPayload = base64url(JSON.stringify(payload));
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  let signature;
+  if (alg === "HS256") {
+    signature = crypto.createHmac("sha256", key || CLIENT_SECRET).update(data).digest();
+  } else if (alg === "ES256") {
+    signature = crypto.sign("sha256", data, { key: key || ecKeys.privateKey, dsaEncoding: "ieee-p1363" });
+  } else if (alg === "none") {
+    signature = Buffer.alloc(0);
+  } else {
+    signature = crypto.sign("sha256", data, key || rsaKeys.privateKey);
+  }
+  return `${encodedHeader}.${encodedPayload}.${base64url(signature)}`;
+}
+
+/**
+ * Minimal OIDC provider: discovery, JWKS, a token endpoint that checks the client and the
+ * PKCE verifier, and userinfo
+ */
+function createProvider() {
+  const provider = {
+    issuer: null,
+    codes: new Map(),
+    claims: {},
+    userinfo: {},
+    tokenRequests: [],
+  };
+
+  provider.authorize = (authorizationUrl) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = base64url(crypto.randomBytes(12));
+    provider.codes.set(code, {
+      challenge: params.get("code_challenge"),
+      method: params.get("code_challenge_method"),
+      nonce: params.get("nonce"),
+      redirectUri: params.get("redirect_uri"),
+    });
+    return { code, state: params.get("state") };
+  };
+
+  provider.server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === "/.well-known/openid-configuration") {
+      return send(200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        userinfo_endpoint: `${provider.issuer}/userinfo`,
+        jwks_uri: `${provider.issuer}/jwks`,
+      });
+    }
+    if (req.url === "/jwks") {
+      return send(200, {
+        keys: [
+          { ...rsaKeys.publicKey.export({ format: "jwk" }), kid: "rsa-1", use: "sig", alg: "RS256" },
+          { ...ecKeys.publicKey.export({ format: "jwk" }), kid: "ec-1", use: "sig", alg: "ES256" },
+        ],
+      });
+    }
+    if (req.url === "/userinfo") {
+      if (req.headers.authorization !== "Bearer access-token") return send(401, { error: "invalid_token" });
+      return send(200, provider.userinfo);
+    }
+    if (req.url === "/token" && req.method === "POST") {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        const params = new URLSearchParams(body);
+        provider.tokenRequests.push({ params, authorization: req.headers.authorization });
+        const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64")}`;
+        if (req.headers.authorization !== expectedAuth) return send(401, { error: "invalid_client" });
+
+        const grant = provider.codes.get(params.get("code"));
+        provider.codes.delete(params.get("code"));
+        if (!grant || grant.redirectUri !== params.get("redirect_uri")) {
+          return send(400, { error: "invalid_grant", error_description: "Unknown code" });
+        }
+        const challenge = base64url(crypto.createHash("sha256").update(params.get("code_verifier") || "").digest());
+        if (grant.method !== "S256" || challenge !== grant.challenge) {
+          return send(400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = signJwt({
+          iss: provider.issuer,
+          aud: CLIENT_ID,
+          sub: "user-1",
+          nonce: grant.nonce,
+          iat: now,
+          exp: now + 300,
+          preferred_username: "alice",
+          ...provider.claims,
+        });
+        return send(200, { access_token: "access-token", token_type: "Bearer", id_token: idToken });
+      });
+      return undefined;
+    }
+    return send(404, { error: "not_found" });
+  });
+
+  return provider;
+}
+
+const OIDC_ENV = [
+  "OIDC_ISSUER",
+  "OIDC_CLIENT_ID",
+  "OIDC_CLIENT_SECRET",
+  "OIDC_REDIRECT_URI",
+  "OIDC_USERNAME_CLAIM",
+  "OIDC_ROLE_CLAIM",
+  "OIDC_ADMIN_VALUES",
+  "OIDC_EDITOR_VALUES",
+  "OIDC_VIEWER_VALUES",
+  "OIDC_DEFAULT_ROLE",
+];
+
+describe("oidc", () => {
+  let provider;
+  const request = { protocol: "http", get: () => "portracker.test" };
+
+  beforeAll(async () => {
+    provider = createProvider();
+    await new Promise((resolve) => provider.server.listen(0, "127.0.0.1", resolve));
+    provider.issuer = `http://127.0.0.1:${provider.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => provider.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_CLIENT_SECRET = CLIENT_SECRET;
+    provider.claims = {};
+    provider.userinfo = { sub: "user-1", groups: ["staff"] };
+    provider.tokenRequests = [];
+  });
+
+  afterEach(() => {
+    for (const name of OIDC_ENV) delete process.env[name];
+  });
+
+  async function login(tamper = (callback) => callback) {
+    const { url, pending } = await oidc.createAuthorizationRequest(request);
+    const callback = provider.authorize(url);
+    const tampered = tamper({ query: callback, pending });
+    return oidc.handleCallback(tampered.query, tampered.pending);
+  }
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const validClaims = (overrides = {}) => ({
+    iss: provider.issuer,
+    aud: CLIENT_ID,
+    sub: "user-1",
+    nonce: "n-1",
+    exp: now() + 300,
+    ...overrides,
+  });
+
+  describe("discovery", () => {
+    test("loads the provider metadata", async () => {
+      const metadata = await oidc.discover();
+
+      expect(metadata).toMatchObject({
+        issuer: provider.issuer,
+        token_endpoint: `${provider.issuer}/token`,
+        jwks_uri: `${provider.issuer}/jwks`,
+      });
+    });
+
+    test("rejects a document for a different issuer", async () => {
+      process.env.OIDC_ISSUER = `${provider.issuer}/realms/other`;
+
+      await expect(oidc.discover()).rejects.toThrow(/returned 404/);
+    });
+
+    test("is enabled only with an issuer and client id", () => {
+      expect(oidc.isOidcEnabled()).toBe(true);
+      delete process.env.OIDC_CLIENT_ID;
+      expect(oidc.isOidcEnabled()).toBe(false);
+    });
+  });
+
+  describe("authorization code flow", () => {
+    test("builds an authorization request with state, nonce and a S256 challenge", async () => {
+      const { url, pending } = await oidc.createAuthorizationRequest(request);
+      const params = new URL(url).searchParams;
+
+      expect(url.startsWith(`${provider.issuer}/authorize?`)).toBe(true);
+      expect(params.get("client_id")).toBe(CLIENT_ID);
+      expect(params.get("redirect_uri")).toBe("http://portracker.test/api/auth/oidc/callback");
+      expect(params.get("state")).toBe(pending.state);
+      expect(params.get("nonce")).toBe(pending.nonce);
+      expect(params.get("code_challenge_method")).toBe("S256");
+      expect(params.get("code_challenge")).toBe(
+        crypto.createHash("sha256").update(pending.codeVerifier).digest("base64url")
+      );
+    });
+
+    test("exchanges the code and merges userinfo claims", async () => {
+      const claims = await login();
+
+      expect(claims).toMatchObject({ sub: "user-1", preferred_username: "alice", groups: ["staff"] });
+      const [tokenRequest] = provider.tokenRequests;
+      expect(tokenRequest.params.get("grant_type")).toBe("authorization_code");
+      expect(tokenRequest.params.get("client_id")).toBe(CLIENT_ID);
+    });
+
+    test("ignores userinfo for a different subject", async () => {
+      provider.userinfo = { sub: "someone-else", groups: ["admins"] };
+
+      const claims = await login();
+
+      expect(claims.sub).toBe("user-1");
+      expect(claims.groups).toBeUndefined();
+    });
+
+    test("rejects a state mismatch before calling the provider", async () => {
+      await expect(login(({ query, pending }) => ({ query: { ...query, state: "forged" }, pending }))).rejects.toThrow(
+        "Login state does not match"
+      );
+      expect(provider.tokenRequests).toHaveLength(0);
+    });
+
+    test("rejects an expired login request", async () => {
+      await expect(
+        login(({ query, pending }) => ({ query, pending: { ...pending, createdAt: Date.now() - 11 * 60 * 1000 } }))
+      ).rejects.toThrow("Login request expired");
+    });
+
+    test("fails when the PKCE verifier does not match the challenge", async () => {
+      await expect(
+        login(({ query, pending }) => ({ query, pending: { ...pending, codeVerifier: base64url(crypto.randomBytes(48)) } }))
+      ).rejects.toThrow(/PKCE verification failed/);
+    });
+
+    test("fails when the ID token nonce does not match the request", async () => {
+      await expect(login(({ query, pending }) => ({ query, pending: { ...pending, nonce: "other" } }))).rejects.toThrow(
+        "ID token nonce does not match"
+      );
+    });
+
+    test("reports provider errors from the redirect", async () => {
+      await expect(oidc.handleCallback({ error: "access_denied", error_description: "User cancelled" }, {})).rejects.toThrow(
+        "User cancelled"
+      );
+    });
+  });
+
+  describe("ID token verification", () => {
+    test("accepts RS256, ES256 and HS256 tokens", async () => {
+      const claims = validClaims();
+
+      await expect(oidc.verifyIdToken(signJwt(claims), "n-1")).resolves.toMatchObject({ sub: "user-1" });
+      await expect(oidc.verifyIdToken(signJwt(claims, { alg: "ES256", kid: "ec-1" }), "n-1")).resolves.toMatchObject({
+        sub: "user-1",
+      });
+      await expect(oidc.verifyIdToken(signJwt(claims, { alg: "HS256" }), "n-1")).resolves.toMatchObject({ sub: "user-1" });
+    });
+
+    test("rejects a signature from another key", async () => {
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { key: otherKeys.privateKey }), "n-1")).rejects.toThrow(
+        "ID token signature is invalid"
+      );
+    });
+
+    test("rejects a tampered payload", async () => {
+      const [header, , signature] = signJwt(validClaims()).split(".");
+      const forged = `${header}.${base64url(JSON.stringify(validClaims({ sub: "admin" })))}.${signature}`;
+
+      await expect(oidc.verifyIdToken(forged, "n-1")).rejects.toThrow("ID token signature is invalid");
+    });
+
+    test("rejects unsigned tokens and unknown algorithms", async () => {
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { alg: "none" }), "n-1")).rejects.toThrow(
+        "Unsupported ID token algorithm: none"
+      );
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { alg: "HS1" }), "n-1")).rejects.toThrow(
+        "Unsupported ID token algorithm: HS1"
+      );
+    });
+
+    test("rejects HMAC tokens without a client secret", async () => {
+      delete process.env.OIDC_CLIENT_SECRET;
+
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { alg: "HS256", key: "" }), "n-1")).rejects.toThrow(
+        "HS256 ID tokens require OIDC_CLIENT_SECRET"
+      );
+    });
+
+    test("rejects a key of another type or algorithm than the header names", async () => {
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { alg: "ES256", kid: "rsa-1" }), "n-1")).rejects.toThrow(
+        "Signing key rsa-1 cannot verify ES256 ID tokens"
+      );
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { alg: "RS256", kid: "ec-1" }), "n-1")).rejects.toThrow(
+        "Signing key ec-1 cannot verify RS256 ID tokens"
+      );
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { alg: "PS256" }), "n-1")).rejects.toThrow(
+        "Signing key rsa-1 cannot verify PS256 ID tokens"
+      );
+    });
+
+    test("rejects an unknown key id", async () => {
+      await expect(oidc.verifyIdToken(signJwt(validClaims(), { kid: "missing" }), "n-1")).rejects.toThrow(
+        "No signing key found for kid missing"
+      );
+    });
+
+    test("rejects a wrong issuer or audience", async () => {
+      await expect(oidc.verifyIdToken(signJwt(validClaims({ iss: "https://evil.test" })), "n-1")).rejects.toThrow(
+        "ID token issuer does not match"
+      );
+      await expect(oidc.verifyIdToken(signJwt(validClaims({ aud: "another-client" })), "n-1")).rejects.toThrow(
+        "ID token audience does not match"
+      );
+      await expect(oidc.verifyIdToken(signJwt(validClaims({ aud: ["another-client", CLIENT_ID] })), "n-1")).resolves.toBeTruthy();
+    });
+
+    test("rejects expired tokens beyond the clock skew", async () => {
+      await expect(oidc.verifyIdToken(signJwt(validClaims({ exp: now() - 120 })), "n-1")).rejects.toThrow(
+        "ID token has expired"
+      );
+      await expect(oidc.verifyIdToken(signJwt(validClaims({ exp: now() - 30 })), "n-1")).resolves.toBeTruthy();
+      await expect(oidc.verifyIdToken(signJwt(validClaims({ exp: undefined })), "n-1")).rejects.toThrow(
+        "ID token has expired"
+      );
+    });
+
+    test("rejects malformed tokens", async () => {
+      await expect(oidc.verifyIdToken("not-a-jwt", "n-1")).rejects.toThrow("ID token is not a JWT");
+    });
+  });
+
+  describe("claim mapping", () => {
+    test("maps the highest matching role", () => {
+      process.env.OIDC_ADMIN_VALUES = "admins";
+      process.env.OIDC_EDITOR_VALUES = "staff, ops";
+
+      expect(oidc.mapClaimsToRole({ groups: ["staff", "admins"] })).toBe("admin");
+      expect(oidc.mapClaimsToRole({ groups: ["ops"] })).toBe("editor");
+      expect(oidc.mapClaimsToRole({ groups: "users ops" })).toBe("editor");
+      expect(oidc.mapClaimsToRole({ groups: ["users"] })).toBe("viewer");
+    });
+
+    test("reads dotted claim paths", () => {
+      process.env.OIDC_ROLE_CLAIM = "realm_access.roles";
+      process.env.OIDC_ADMIN_VALUES = "portracker-admin";
+
+      expect(oidc.mapClaimsToRole({ realm_access: { roles: ["portracker-admin"] } })).toBe("admin");
+    });
+
+    test("falls back to the default role or denies with none", () => {
+      process.env.OIDC_DEFAULT_ROLE = "editor";
+      expect(oidc.mapClaimsToRole({})).toBe("editor");
+
+      process.env.OIDC_DEFAULT_ROLE = "none";
+      expect(oidc.mapClaimsToRole({ groups: ["users"] })).toBeNull();
+    });
+
+    test("picks the username claim with fallbacks", () => {
+      expect(oidc.getUsername({ preferred_username: " alice ", email: "a@example.com", sub: "1" })).toBe("alice");
+      expect(oidc.getUsername({ email: "a@example.com", sub: "1" })).toBe("a@example.com");
+      expect(oidc.getUsername({ sub: "1" })).toBe("1");
+
+      process.env.OIDC_USERNAME_CLAIM = "email";
+      expect(oidc.getUsername({ preferred_username: "alice", email: "a@example.com" })).toBe("a@example.com");
+    });
+  });
+});
@@ -0,0 +1,487 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ProcParser = require("../proc-parser");
+
+const TCP_HEADER =
+  "  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode";
+
+/** One /proc/net/tcp[6] line; only the address, state and inode columns matter to the parser */
+const tcpLine = (sl, local, remote, state, inode) =>
+  `   ${sl}: ${local} ${remote} ${state} 00000000:00000000 00:00000000 00000000     0        0 ${inode} 1 0000000000000000 100 0 0 10 0`;
+
+/** Addresses as the kernel prints them: IPv4 and each 32-bit IPv6 word in little-endian order */
+const HEX = {
+  any4: "00000000",
+  loopback4: "0100007F",
+  lan4: "0A00000A",
+  client4: "070200C0",
+  any6: "00000000000000000000000000000000",
+  loopback6: "00000000000000000000000001000000",
+  server6: "B80D0120000000000000000005000000",
+  client6: "B80D0120000000000000000009000000",
+  other6: "B80D012000000000000000000A000000",
+  mapped6: "0000000000000000FFFF0000070200C0",
+};
+
+const SCTP_HEADER = " ENDPT     SOCK   STY SST HBKT LPORT   UID INODE LADDRS";
+
+/** One /proc/net/sctp/eps line, with ports and addresses in decimal */
+const sctpLine = (port, inode, ...addresses) =>
+  `ffff88017e0a0200 ffff880299f7fa00 2   10  29   ${port}     0 ${inode} ${addresses.join(" ")}`;
+
+const UNIX_HEADER = "Num       RefCount Protocol Flags    Type St Inode Path";
+
+/** One /proc/net/unix line; the path column is left out for unbound sockets */
+const unixLine = (flags, type, state, inode, socketPath = "") =>
+  `0000000000000000: 00000002 00000000 ${flags} ${type} ${state} ${inode} ${socketPath}`.trimEnd();
+
+/**
+ * Lay out a fake /proc tree; keys are paths relative to the root, values file contents, or
+ * for links the target they point to (e.g. "net:[4026531840]" for ns/net)
+ */
+function createProc(files, links = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "portracker-proc-"));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  for (const [link, target] of Object.entries(links)) {
+    fs.mkdirSync(path.dirname(path.join(root, link)), { recursive: true });
+    fs.symlinkSync(target, path.join(root, link));
+  }
+  return root;
+}
+
+/** A parser reading the fake tree, with socket owners taken from the given inode map */
+function createParser(root, owners = {}) {
+  const parser = new ProcParser(root);
+  const inodeMap = new Map(Object.entries(owners).map(([inode, owner]) => [parseInt(inode, 10), owner]));
+  jest.spyOn(parser, "_buildInodeMap").mockResolvedValue(inodeMap);
+  jest.spyOn(parser, "_buildInodeMapForInodes").mockResolvedValue(new Map());
+  return parser;
+}
+
+describe("ProcParser", () => {
+  const roots = [];
+  const proc = (files, links) => {
+    const root = createProc(files, links);
+    roots.push(root);
+    return root;
+  };
+
+  beforeAll(() => {
+    delete process.env.HOST_PROC;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    for (const root of roots) fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe("address parsing", () => {
+    test("reads IPv4 addresses in kernel byte order", () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER }));
+
+      expect(parser._parseHexAddress(HEX.loopback4)).toBe("127.0.0.1");
+      expect(parser._parseHexAddress(HEX.any4)).toBe("0.0.0.0");
+      expect(parser._parseHexAddress(HEX.loopback6)).toBe("::");
+    });
+
+    test("reads full IPv6 addresses, compressing zeros and unmapping IPv4", () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER }));
+
+      expect(parser._parseFullHexAddress(HEX.any6)).toBe("::");
+      expect(parser._parseFullHexAddress(HEX.loopback6)).toBe("::1");
+      expect(parser._parseFullHexAddress(HEX.server6)).toBe("2001:db8::5");
+      expect(parser._parseFullHexAddress(HEX.mapped6)).toBe("192.0.2.7");
+      expect(parser._parseFullHexAddress(HEX.lan4)).toBe("10.0.0.10");
+    });
+  });
+
+  describe("tcp", () => {
+    const tcp = [
+      TCP_HEADER,
+      tcpLine(0, `${HEX.any4}:0050`, `${HEX.any4}:0000`, "0A", 1001),
+      tcpLine(1, `${HEX.loopback4}:1538`, `${HEX.any4}:0000`, "0A", 1002),
+      tcpLine(2, `${HEX.any4}:0000`, `${HEX.any4}:0000`, "0A", 1003),
+      tcpLine(3, `${HEX.lan4}:0050`, `${HEX.client4}:C350`, "01", 1004),
+      tcpLine(4, `${HEX.lan4}:0050`, `${HEX.client4}:C351`, "06", 0),
+      tcpLine(5, `${HEX.loopback4}:1538`, `${HEX.loopback4}:D000`, "01", 1005),
+      tcpLine(6, `${HEX.lan4}:1538`, `${HEX.client4}:C352`, "01", 1006),
+      tcpLine(7, `${HEX.lan4}:9C40`, `${HEX.client4}:0050`, "01", 1007),
+    ].join("\n");
+
+    const tcp6 = [
+      TCP_HEADER,
+      tcpLine(0, `${HEX.any6}:0050`, `${HEX.any6}:0000`, "0A", 2001),
+      tcpLine(1, `${HEX.loopback6}:1F90`, `${HEX.any6}:0000`, "0A", 2002),
+      tcpLine(2, `${HEX.server6}:1F90`, `${HEX.any6}:0000`, "0A", 2003),
+      tcpLine(3, `${HEX.loopback6}:1F90`, `${HEX.loopback6}:D000`, "01", 2004),
+      tcpLine(4, `${HEX.server6}:1F90`, `${HEX.client6}:D001`, "01", 2005),
+      tcpLine(5, `${HEX.server6}:1F90`, `${HEX.client6}:D002`, "01", 2006),
+      tcpLine(6, `${HEX.server6}:1F90`, `${HEX.other6}:D003`, "06", 0),
+      tcpLine(7, `${HEX.mapped6}:0050`, `${HEX.mapped6}:D004`, "01", 2007),
+    ].join("\n");
+
+    test("keeps listening sockets with their owners", async () => {
+      const parser = createParser(proc({ "net/tcp": tcp, "net/tcp6": tcp6 }), { 1001: { pid: 10, name: "nginx" } });
+
+      const ports = await parser.getTcpPorts();
+
+      expect(ports.map(({ host_ip, host_port, inode, owner }) => [host_ip, host_port, inode, owner])).toEqual([
+        ["0.0.0.0", 80, 1001, "nginx"],
+        ["127.0.0.1", 5432, 1002, "unknown"],
+        ["::", 80, 2001, "unknown"],
+        ["::", 8080, 2002, "unknown"],
+        ["::", 8080, 2003, "unknown"],
+      ]);
+      expect(ports[0]).toMatchObject({ protocol: "tcp", pid: 10 });
+      expect(ports[0]).not.toHaveProperty("connections");
+    });
+
+    test("counts connections on wildcard and bound IPv4 listeners", async () => {
+      const parser = createParser(proc({ "net/tcp": tcp, "net/tcp6": TCP_HEADER }));
+
+      const [http, postgres] = await parser.getTcpPorts({ includeConnections: true });
+
+      expect(http.connections).toEqual({
+        established: 1,
+        time_wait: 1,
+        clients: 1,
+        peers: [{ ip: "192.0.2.7", established: 1, time_wait: 1 }],
+        peers_truncated: false,
+      });
+      expect(postgres.connections).toMatchObject({
+        established: 1,
+        clients: 1,
+        peers: [{ ip: "127.0.0.1", established: 1, time_wait: 0 }],
+      });
+    });
+
+    test("matches IPv6 listeners on their full address", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER, "net/tcp6": tcp6 }));
+
+      const [wildcard, loopback, server] = await parser.getTcpPorts({ includeConnections: true });
+
+      expect(loopback.connections).toMatchObject({ established: 1, time_wait: 0, peers: [{ ip: "::1" }] });
+      expect(server.connections).toMatchObject({
+        established: 2,
+        time_wait: 1,
+        clients: 1,
+        peers: [
+          { ip: "2001:db8::9", established: 2, time_wait: 0 },
+          { ip: "2001:db8::a", established: 0, time_wait: 1 },
+        ],
+      });
+      expect(wildcard.connections.peers).toEqual([{ ip: "192.0.2.7", established: 1, time_wait: 0 }]);
+    });
+
+    test("merges IPv4 and IPv6 listeners per port", async () => {
+      const parser = createParser(proc({ "net/tcp": tcp, "net/tcp6": tcp6 }), { 2002: { pid: 20, name: "app" } });
+
+      const summaries = await parser.getPortConnections();
+
+      expect(summaries.map(({ port, host_ips, owner, established, time_wait, clients }) => [
+        port, host_ips, owner, established, time_wait, clients,
+      ])).toEqual([
+        [80, ["0.0.0.0", "::"], "unknown", 2, 1, 1],
+        [5432, ["127.0.0.1"], "unknown", 1, 0, 1],
+        [8080, ["::"], "app", 3, 1, 2],
+      ]);
+      expect(summaries[0].peers).toEqual([{ ip: "192.0.2.7", established: 2, time_wait: 1 }]);
+    });
+
+    test("reads another namespace through the process directory", async () => {
+      const root = proc({ "net/tcp": TCP_HEADER, "42/net/tcp": tcp, "42/net/tcp6": TCP_HEADER });
+      const parser = createParser(root);
+
+      await expect(parser.getTcpPorts({ pid: 42 })).resolves.toHaveLength(2);
+      await expect(parser.getPortConnections({ pid: 43 })).rejects.toThrow(/ENOENT/);
+    });
+
+    test("caps the peer list", () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER }));
+      const peers = Array.from({ length: 60 }, (_, i) => ({ ip: `192.0.2.${i}`, established: i % 3, time_wait: 1 }));
+
+      const summary = parser._summarizePeers(peers);
+
+      expect(summary).toMatchObject({ established: 60, time_wait: 60, clients: 40, peers_truncated: true });
+      expect(summary.peers).toHaveLength(50);
+      expect(summary.peers[0].established).toBe(2);
+    });
+  });
+
+  describe("unix", () => {
+    const unix = [
+      UNIX_HEADER,
+      unixLine("00010000", "0001", "01", 3001, "/run/docker.sock"),
+      unixLine("00010000", "0001", "01", 3002, "/var/run/postgresql/.s.PGSQL.5432"),
+      unixLine("00010000", "0005", "01", 3003, "/run/seq.sock"),
+      unixLine("00000000", "0002", "07", 3004, "/run/systemd/notify"),
+      unixLine("00000000", "0001", "03", 3005, "/run/docker.sock"),
+      unixLine("00010000", "0001", "01", 3006, "@/tmp/.X11-unix/X0"),
+      unixLine("00000000", "0001", "03", 3007),
+      unixLine("00000000", "0001", "03", 3008, "/run/client.sock"),
+      unixLine("00010000", "0001", "01", 3009, "/run/docker.sock"),
+      unixLine("00010000", "0003", "01", 3010, "/run/raw.sock"),
+      unixLine("00010000", "0001", "01", 3011, "/run/my app/api.sock"),
+    ].join("\n");
+
+    test("keeps bound paths of listening and datagram sockets", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER, "net/unix": unix }), {
+        3001: { pid: 1, name: "dockerd" },
+      });
+
+      const sockets = await parser.getUnixSockets();
+
+      expect(sockets.map(({ host_ip, socket_type, inode, owner }) => [host_ip, socket_type, inode, owner])).toEqual([
+        ["/run/docker.sock", "stream", 3001, "dockerd"],
+        ["/var/run/postgresql/.s.PGSQL.5432", "stream", 3002, "unknown"],
+        ["/run/seq.sock", "seqpacket", 3003, "unknown"],
+        ["/run/systemd/notify", "dgram", 3004, "unknown"],
+        ["/run/my app/api.sock", "stream", 3011, "unknown"],
+      ]);
+      expect(sockets[0]).toEqual({
+        protocol: "unix",
+        host_ip: "/run/docker.sock",
+        host_port: 0,
+        socket_type: "stream",
+        inode: 3001,
+        pid: 1,
+        owner: "dockerd",
+      });
+    });
+
+    test("returns nothing when the file cannot be read", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER }));
+
+      await expect(parser.getUnixSockets()).resolves.toEqual([]);
+    });
+
+    test("are only included in other sockets when asked for", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER, "net/unix": unix }));
+
+      await expect(parser.getOtherSockets()).resolves.toEqual([]);
+      await expect(parser.getOtherSockets({ includeUnix: true })).resolves.toHaveLength(5);
+    });
+  });
+
+  describe("sctp", () => {
+    const eps = [
+      SCTP_HEADER,
+      sctpLine(3868, 4001, "10.0.0.1"),
+      sctpLine(2905, 4002, "10.0.0.1", "192.168.1.10"),
+      sctpLine(0, 4003, "10.0.0.1"),
+      sctpLine(70000, 4004, "10.0.0.1"),
+      "ffff88017e0a0200 ffff880299f7fa00 2 10 29 36412 0 4005",
+    ].join("\n");
+
+    test("reads endpoints and reports multi-homed ones as a wildcard", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER, "net/sctp/eps": eps }), {
+        4001: { pid: 30, name: "diameter" },
+      });
+
+      await expect(parser.getSctpPorts()).resolves.toEqual([
+        { protocol: "sctp", host_ip: "10.0.0.1", host_port: 3868, inode: 4001, pid: 30, owner: "diameter" },
+        { protocol: "sctp", host_ip: "0.0.0.0", host_port: 2905, inode: 4002, pid: undefined, owner: "unknown" },
+      ]);
+    });
+
+    test("returns nothing without the sctp module", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER }));
+
+      await expect(parser.getSctpPorts()).resolves.toEqual([]);
+    });
+  });
+
+  describe("raw", () => {
+    const raw = [
+      TCP_HEADER,
+      tcpLine(0, `${HEX.any4}:0001`, `${HEX.any4}:0000`, "07", 5001),
+      tcpLine(1, `${HEX.lan4}:0070`, `${HEX.any4}:0000`, "07", 5002),
+      tcpLine(2, `${HEX.any4}:0000`, `${HEX.any4}:0000`, "07", 5003),
+    ].join("\n");
+    const raw6 = [TCP_HEADER, tcpLine(0, `${HEX.any6}:003A`, `${HEX.any6}:0000`, "07", 5004)].join("\n");
+    const eps = [SCTP_HEADER, sctpLine(3868, 4001, "10.0.0.1")].join("\n");
+
+    test("uses the IP protocol number as the port", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER, "net/raw": raw, "net/raw6": raw6 }), {
+        5002: { pid: 40, name: "keepalived" },
+      });
+
+      const sockets = await parser.getRawSockets();
+
+      expect(sockets.map(({ protocol, host_ip, host_port, owner }) => [protocol, host_ip, host_port, owner])).toEqual([
+        ["raw", "0.0.0.0", 1, "unknown"],
+        ["raw", "10.0.0.10", 112, "keepalived"],
+        ["raw", "::", 58, "unknown"],
+      ]);
+    });
+
+    test("are only included in other sockets when asked for", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER, "net/raw": raw, "net/raw6": raw6, "net/sctp/eps": eps }));
+
+      const sockets = await parser.getOtherSockets();
+      expect(sockets.map((socket) => socket.protocol)).toEqual(["sctp"]);
+
+      const withRaw = await parser.getOtherSockets({ includeRaw: true });
+      expect(withRaw.map((socket) => socket.protocol)).toEqual(["sctp", "raw", "raw", "raw"]);
+    });
+  });
+
+  describe("network namespaces", () => {
+    const HOST_NS = "net:[4026531840]";
+    const PODMAN_ID = "a".repeat(64);
+    const DOCKER_ID = "b".repeat(64);
+    const POD_ID = "c".repeat(64);
+
+    const listeners = [
+      TCP_HEADER,
+      tcpLine(0, `${HEX.any4}:0050`, `${HEX.any4}:0000`, "0A", 6001),
+      tcpLine(1, `${HEX.loopback4}:1F90`, `${HEX.any4}:0000`, "0A", 6002),
+    ].join("\n");
+    const listeners6 = [TCP_HEADER, tcpLine(0, `${HEX.any6}:0050`, `${HEX.any6}:0000`, "0A", 6003)].join("\n");
+
+    /** A process in its own namespace, with the listeners above */
+    const namespaced = (pid, { cgroup = "0::/user.slice", environ, comm = "app" } = {}) => ({
+      [`${pid}/cgroup`]: cgroup,
+      [`${pid}/comm`]: `${comm}\n`,
+      [`${pid}/net/tcp`]: listeners,
+      [`${pid}/net/tcp6`]: listeners6,
+      ...(environ ? { [`${pid}/environ`]: environ.join("\0") } : {}),
+    });
+
+    const tree = () =>
+      proc(
+        {
+          "net/tcp": TCP_HEADER,
+          "1/net/tcp": TCP_HEADER,
+          "1/cgroup": "0::/init.scope",
+          ...namespaced(200, { cgroup: `0::/machine.slice/libpod-${PODMAN_ID}.scope/container` }),
+          "201/environ": ["PATH=/usr/bin", "HOSTNAME=web", "HOME=/root"].join("\0"),
+          ...namespaced(300, { cgroup: `0::/system.slice/docker-${DOCKER_ID}.scope` }),
+          ...namespaced(400, { cgroup: "0::/lxc.payload.web01/init.scope" }),
+          ...namespaced(500, { cgroup: "0::/machine.slice/systemd-nspawn@debian\\x2dtest.service/payload" }),
+          ...namespaced(600, {
+            cgroup: `0::/kubepods.slice/kubepods-besteffort.slice/kubepods-besteffort-pod1.slice/cri-containerd-${POD_ID}.scope`,
+            environ: ["HOSTNAME=api-7d9f"],
+          }),
+          ...namespaced(700, { comm: "vpn-agent" }),
+        },
+        {
+          "1/ns/net": HOST_NS,
+          "2/ns/net": HOST_NS,
+          "200/ns/net": "net:[4026532200]",
+          "201/ns/net": "net:[4026532200]",
+          "300/ns/net": "net:[4026532300]",
+          "400/ns/net": "net:[4026532400]",
+          "500/ns/net": "net:[4026532500]",
+          "600/ns/net": "net:[4026532600]",
+          "700/ns/net": "net:[4026532700]",
+          "800/ns/net": "mnt:[4026532800]",
+        }
+      );
+
+    test("groups processes by namespace, leaving out the host", async () => {
+      const parser = createParser(tree());
+      fs.mkdirSync(path.join(parser.procPath, "900"));
+
+      await expect(parser._listNetworkNamespaces()).resolves.toEqual([
+        { inode: 4026532200, pids: [200, 201] },
+        { inode: 4026532300, pids: [300] },
+        { inode: 4026532400, pids: [400] },
+        { inode: 4026532500, pids: [500] },
+        { inode: 4026532600, pids: [600] },
+        { inode: 4026532700, pids: [700] },
+      ]);
+    });
+
+    test("falls back to our own namespace when PID 1 is hidden", async () => {
+      const parser = createParser(
+        proc({ "net/tcp": TCP_HEADER }, { "self/ns/net": HOST_NS, "10/ns/net": HOST_NS, "20/ns/net": "net:[4026532020]" })
+      );
+
+      await expect(parser._listNetworkNamespaces()).resolves.toEqual([{ inode: 4026532020, pids: [20] }]);
+
+      parser.isContainerized = true;
+      await expect(parser._listNetworkNamespaces()).resolves.toEqual([]);
+    });
+
+    test("names the owner from the cgroup and environment", async () => {
+      const parser = createParser(tree());
+
+      await expect(parser._describeNamespaceOwner([200, 201])).resolves.toEqual({
+        runtime: "podman",
+        id: PODMAN_ID,
+        name: "web",
+      });
+      await expect(parser._describeNamespaceOwner([300])).resolves.toEqual({
+        runtime: "docker",
+        id: DOCKER_ID,
+        name: DOCKER_ID.substring(0, 12),
+      });
+      await expect(parser._describeNamespaceOwner([400])).resolves.toEqual({ runtime: "lxc", id: "web01", name: "web01" });
+      await expect(parser._describeNamespaceOwner([500])).resolves.toEqual({
+        runtime: "nspawn",
+        id: "debian-test",
+        name: "debian-test",
+      });
+      await expect(parser._describeNamespaceOwner([600])).resolves.toEqual({
+        runtime: "kubernetes",
+        id: POD_ID,
+        name: "api-7d9f",
+      });
+      await expect(parser._describeNamespaceOwner([700])).resolves.toEqual({ runtime: "process", id: null, name: "vpn-agent" });
+      await expect(parser._describeNamespaceOwner([999])).resolves.toEqual({ runtime: "process", id: null, name: "unknown" });
+    });
+
+    test("reads single environment variables", async () => {
+      const parser = createParser(tree());
+
+      await expect(parser._readEnvironValue(201, "HOSTNAME")).resolves.toBe("web");
+      await expect(parser._readEnvironValue(201, "HOST")).resolves.toBeNull();
+      await expect(parser._readEnvironValue(999, "HOSTNAME")).resolves.toBeNull();
+    });
+
+    test("reports namespace listeners as internal ports of their owner", async () => {
+      const parser = createParser(tree(), { 6001: { pid: 200, name: "nginx" } });
+
+      const ports = await parser.getNamespacePorts({ skipRuntimes: ["docker"] });
+
+      expect(ports.map(({ host_ip, host_port, owner, target }) => [host_ip, host_port, owner, target])).toEqual([
+        ["0.0.0.0", 80, "web", "aaaaaaaaaaaa:80(internal)"],
+        ["127.0.0.1", 8080, "web", "aaaaaaaaaaaa:8080(internal)"],
+        ["0.0.0.0", 80, "web01", "web01:80(internal)"],
+        ["127.0.0.1", 8080, "web01", "web01:8080(internal)"],
+        ["0.0.0.0", 80, "debian-test", "debian-test:80(internal)"],
+        ["127.0.0.1", 8080, "debian-test", "debian-test:8080(internal)"],
+        ["0.0.0.0", 80, "api-7d9f", "cccccccccccc:80(internal)"],
+        ["127.0.0.1", 8080, "api-7d9f", "cccccccccccc:8080(internal)"],
+        ["0.0.0.0", 80, "nginx", "netns-4026532700:80(internal)"],
+        ["127.0.0.1", 8080, "unknown", "netns-4026532700:8080(internal)"],
+      ]);
+      expect(ports[0]).toMatchObject({
+        protocol: "tcp",
+        container_id: PODMAN_ID,
+        app_id: "web",
+        internal: true,
+        namespace: { inode: 4026532200, runtime: "podman", id: PODMAN_ID, name: "web", pid: 200 },
+      });
+      expect(ports[8]).toMatchObject({
+        container_id: null,
+        app_id: null,
+        namespace: { inode: 4026532700, runtime: "process", id: null, name: "vpn-agent", pid: 700 },
+      });
+    });
+
+    test("finds nothing when the host namespace cannot be read", async () => {
+      const parser = createParser(proc({ "net/tcp": TCP_HEADER }, { "20/ns/net": "net:[4026532020]" }));
+
+      await expect(parser.getNamespacePorts()).resolves.toEqual([]);
+    });
+  });
+});
@@ -6,97 +6,199 @@ const { Logger } = require('./logger');
 const logger = new Logger('ApiKeyManager', { debug: process.env.DEBUG === 'true' });
 const API_KEY_LENGTH = 32;
 const BCRYPT_ROUNDS = 10;
+const KEY_PREFIX_LENGTH = 8;
+const MAX_NAME_LENGTH = 64;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API key scopes. admin implies every other scope.
+ * ports:read      read ports, scans, history, events and exports (what peers need)
+ * notes:write     change notes, custom service names and hidden ports
+ * ports:generate  suggest free ports
+ * admin           manage servers, port policies, backups and notifications
+ */
+const SCOPES = ['ports:read', 'notes:write', 'ports:generate', 'admin'];
+
+/**
+ * The user role each scope stands in for on routes that also check a role, e.g. reserving
+ * through generate-port needs the editor role, so a key needs notes:write or admin for it.
+ */
+const SCOPE_ROLES = {
+  'ports:read': 'viewer',
+  'ports:generate': 'viewer',
+  'notes:write': 'editor',
+  admin: 'admin'
+};
 
-async function generateApiKey(serverId) {
-  if (!serverId) {
-    logger.warn('generateApiKey called without serverId');
-    return null;
-  }
+const KEY_COLUMNS = 'id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, last_used_ip, revoked_at';
+
+function toKeyInfo(row) {
+  const expired = !!row.expires_at && new Date(row.expires_at).getTime() <= Date.now();
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at,
+    status: row.revoked_at ? 'revoked' : expired ? 'expired' : 'active'
+  };
+}
+
+/**
+ * Check whether a key's scopes grant the required scope
+ */
+function hasScope(scopes, requiredScope) {
+  return Array.isArray(scopes) && (scopes.includes('admin') || scopes.includes(requiredScope));
+}
 
-  const server = db.prepare('SELECT id FROM servers WHERE id = ?').get(serverId);
-  if (!server) {
-    logger.warn(`Server not found for API key generation: ${serverId}`);
-    return null;
+/**
+ * Validates the input for a new API key. Returns an error message or null.
+ */
+function validateApiKeyInput({ name, scopes, expiresAt } = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
   }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${SCOPES.join(', ')}`;
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const time = new Date(expiresAt).getTime();
+    if (Number.isNaN(time)) {
+      return 'expiresAt must be a valid date';
+    }
+    if (time <= Date.now()) {
+      return 'expiresAt must be in the future';
+    }
+  }
+  return null;
+}
 
+/**
+ * Creates a named API key. The plain key is only returned here; only its hash is stored.
+ * @param {Object} options
+ * @param {string} options.name - Label, e.g. the peer or script using the key
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {string|null} [options.expiresAt] - Expiry date, or null for no expiry
+ * @param {string|null} [options.createdBy] - Username of the creator
+ * @returns {Promise<{apiKey: string, key: Object}>}
+ */
+async function createApiKey({ name, scopes, expiresAt = null, createdBy = null }) {
   const apiKey = crypto.randomBytes(API_KEY_LENGTH).toString('hex');
-  const createdAt = new Date().toISOString();
+  const id = crypto.randomUUID();
   const hashedKey = await bcrypt.hash(apiKey, BCRYPT_ROUNDS);
 
-  db.prepare('UPDATE servers SET api_key = ?, api_key_created_at = ? WHERE id = ?')
-    .run(hashedKey, createdAt, serverId);
-
-  logger.info(`API key generated for server: ${serverId}`);
-  return { apiKey, createdAt };
+  db.prepare(
+    `INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, created_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    name.trim(),
+    apiKey.slice(0, KEY_PREFIX_LENGTH),
+    hashedKey,
+    JSON.stringify([...new Set(scopes)]),
+    createdBy,
+    new Date().toISOString(),
+    expiresAt ? new Date(expiresAt).toISOString() : null
+  );
+
+  logger.info(`API key created: ${name.trim()} (${scopes.join(', ')})`);
+  return { apiKey, key: getApiKey(id) };
 }
 
-async function validateApiKey(serverId, providedKey) {
-  if (!serverId || !providedKey) {
-    return false;
-  }
-
-  const server = db.prepare('SELECT api_key FROM servers WHERE id = ?').get(serverId);
-  if (!server || !server.api_key) {
-    return false;
-  }
+function getApiKey(id) {
+  const row = db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = ?`).get(id);
+  return row ? toKeyInfo(row) : null;
+}
 
-  return bcrypt.compare(providedKey, server.api_key);
+function listApiKeys() {
+  return db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`).all().map(toKeyInfo);
 }
 
-async function validateAnyApiKey(providedKey) {
-  if (!providedKey) {
-    return { valid: false, serverId: null };
+/**
+ * Validates a presented key against all active keys.
+ * Keys are looked up by their prefix; keys created before named keys existed have none and are always checked.
+ * @param {string} providedKey
+ * @param {string|null} [ip] - Client address recorded as last use
+ * @returns {Promise<{valid: boolean, serverId: string|null, key: Object|null}>}
+ */
+async function validateAnyApiKey(providedKey, ip = null) {
+  if (!providedKey || typeof providedKey !== 'string') {
+    return { valid: false, serverId: null, key: null };
   }
 
-  const servers = db.prepare('SELECT id, api_key FROM servers WHERE api_key IS NOT NULL').all();
+  const candidates = db.prepare(
+    `SELECT ${KEY_COLUMNS}, key_hash FROM api_keys
+     WHERE revoked_at IS NULL AND (key_prefix = ? OR key_prefix IS NULL)
+     ORDER BY key_prefix IS NULL`
+  ).all(providedKey.slice(0, KEY_PREFIX_LENGTH));
 
-  for (const server of servers) {
-    const isValid = await bcrypt.compare(providedKey, server.api_key);
-    if (isValid) {
-      return { valid: true, serverId: server.id };
+  for (const row of candidates) {
+    if (!(await bcrypt.compare(providedKey, row.key_hash))) {
+      continue;
+    }
+    const key = toKeyInfo(row);
+    if (key.status !== 'active') {
+      logger.debug(`Rejected ${key.status} API key: ${key.name}`);
+      return { valid: false, serverId: null, key: null };
     }
-  }
-
-  return { valid: false, serverId: null };
-}
-
-function getApiKeyInfo(serverId) {
-  if (!serverId) {
-    return null;
-  }
 
-  const server = db.prepare('SELECT api_key, api_key_created_at FROM servers WHERE id = ?').get(serverId);
-  if (!server) {
-    return null;
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_INTERVAL_MS || row.last_used_ip !== ip) {
+      db.prepare('UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?')
+        .run(new Date().toISOString(), ip, row.id);
+    }
+    return { valid: true, serverId: 'local', key };
   }
 
-  return {
-    hasApiKey: !!server.api_key,
-    createdAt: server.api_key_created_at || null
-  };
+  return { valid: false, serverId: null, key: null };
 }
 
-function revokeApiKey(serverId) {
-  if (!serverId) {
-    logger.warn('revokeApiKey called without serverId');
-    return false;
-  }
-
-  const result = db.prepare('UPDATE servers SET api_key = NULL, api_key_created_at = NULL WHERE id = ?')
-    .run(serverId);
+function revokeApiKey(id) {
+  const result = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+    .run(new Date().toISOString(), id);
 
   if (result.changes > 0) {
-    logger.info(`API key revoked for server: ${serverId}`);
+    logger.info(`API key revoked: ${id}`);
     return true;
   }
 
   return false;
 }
 
+/**
+ * Permanently removes a key. Only revoked or expired keys can be deleted.
+ */
+function deleteApiKey(id) {
+  const key = getApiKey(id);
+  if (!key || key.status === 'active') {
+    return false;
+  }
+  db.prepare('DELETE FROM api_keys WHERE id = ?').run(id);
+  logger.info(`API key deleted: ${key.name}`);
+  return true;
+}
+
 module.exports = {
-  generateApiKey,
-  validateApiKey,
+  SCOPES,
+  SCOPE_ROLES,
+  hasScope,
+  validateApiKeyInput,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
   validateAnyApiKey,
-  getApiKeyInfo,
-  revokeApiKey
+  revokeApiKey,
+  deleteApiKey
 };
@@ -0,0 +1,180 @@
+const db = require('../db');
+const { Logger } = require('./logger');
+const { clientIp } = require('./trusted-proxies');
+
+const logger = new Logger('AuditLog', { debug: process.env.DEBUG === 'true' });
+
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.logout',
+  'auth.lockout',
+  'auth.unlock',
+  'auth.2fa_enable',
+  'auth.2fa_disable',
+  'auth.2fa_recovery_codes',
+  'auth.password_change',
+  'server.create',
+  'server.update',
+  'server.delete',
+  'note.update',
+  'service.rename',
+  'port.hide',
+  'port.unhide',
+  'settings.update',
+  'port_policy.update',
+  'reservation.create',
+  'reservation.update',
+  'reservation.delete',
+  'notification.create',
+  'notification.update',
+  'notification.delete',
+  'notification.test',
+  'autoxpose.connect',
+  'autoxpose.disconnect',
+  'autoxpose.update',
+  'api_key.create',
+  'api_key.revoke',
+  'api_key.delete',
+  'user.create',
+  'user.update',
+  'backup.restore',
+];
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '365', 10);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPrunedAt = 0;
+
+/**
+ * Works out who made a request: the API key by name, else the signed-in user.
+ * Relies on the auth middleware having resolved the request first.
+ */
+function actorOf(req) {
+  if (req?.apiKey) {
+    return { actor: req.apiKey.name, actorType: 'api_key' };
+  }
+  const username = req?.user?.username || req?.session?.username;
+  if (username) {
+    return { actor: username, actorType: 'user' };
+  }
+  return { actor: null, actorType: 'anonymous' };
+}
+
+/**
+ * Records an audit entry. Never throws: a failing audit write must not fail the action itself.
+ * @param {Object} req - Express request the action came from (for actor and IP)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [entry]
+ * @param {string} [entry.target] - What the action applied to, e.g. a server ID or "local 0.0.0.0:80/tcp"
+ * @param {Object} [entry.details] - Extra context, stored as JSON
+ * @param {string} [entry.actor] - Overrides the actor, e.g. the username of a login attempt
+ * @param {boolean} [entry.success=true] - Whether the action succeeded
+ */
+function recordAudit(req, action, { target = null, details = null, actor, success = true } = {}) {
+  try {
+    const resolved = actorOf(req);
+    db.prepare(
+      `INSERT INTO audit_log (created_at, actor, actor_type, action, target, details, ip, success)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      new Date().toISOString(),
+      actor !== undefined ? actor : resolved.actor,
+      actor !== undefined ? 'user' : resolved.actorType,
+      action,
+      target,
+      details ? JSON.stringify(details) : null,
+      clientIp(req),
+      success ? 1 : 0
+    );
+    pruneAudit();
+  } catch (error) {
+    logger.error(`Failed to record audit entry ${action}:`, error.message);
+    logger.debug('Stack trace:', error.stack || '');
+  }
+}
+
+/**
+ * Removes entries older than AUDIT_RETENTION_DAYS, at most once an hour. A value of 0 keeps entries forever.
+ */
+function pruneAudit() {
+  if (!Number.isInteger(AUDIT_RETENTION_DAYS) || AUDIT_RETENTION_DAYS <= 0) return;
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM audit_log WHERE created_at < ?').run(cutoff);
+}
+
+function toEntry(row) {
+  return {
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+    success: !!row.success,
+  };
+}
+
+/**
+ * Queries the audit log, newest first.
+ * @param {Object} [filters]
+ * @param {Array<string>} [filters.actions] - Only these actions
+ * @param {string} [filters.actor] - Only entries by this user or API key name
+ * @param {string} [filters.target] - Only entries whose target contains this text
+ * @param {string} [filters.since] - Only entries at or after this ISO timestamp
+ * @param {string} [filters.until] - Only entries at or before this ISO timestamp
+ * @param {boolean} [filters.success] - Only successful (true) or failed (false) actions
+ * @param {number} [filters.limit] - Maximum number of entries to return
+ * @param {number} [filters.offset] - Number of entries to skip
+ * @returns {{entries: Array, total: number, limit: number, offset: number}}
+ */
+function getAuditEntries(filters = {}) {
+  const { actions = null, actor = null, target = null, since = null, until = null, success = null } = filters;
+  let limit = parseInt(filters.limit, 10);
+  if (!Number.isInteger(limit) || limit <= 0) limit = DEFAULT_AUDIT_LIMIT;
+  if (limit > MAX_AUDIT_LIMIT) limit = MAX_AUDIT_LIMIT;
+  let offset = parseInt(filters.offset, 10);
+  if (!Number.isInteger(offset) || offset < 0) offset = 0;
+
+  const clauses = [];
+  const params = [];
+  if (Array.isArray(actions) && actions.length > 0) {
+    clauses.push(`action IN (${actions.map(() => '?').join(', ')})`);
+    params.push(...actions);
+  }
+  if (actor) {
+    clauses.push('actor = ?');
+    params.push(actor);
+  }
+  if (target) {
+    clauses.push('target LIKE ?');
+    params.push(`%${target}%`);
+  }
+  if (since) {
+    clauses.push('created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    clauses.push('created_at <= ?');
+    params.push(until);
+  }
+  if (success !== null) {
+    clauses.push('success = ?');
+    params.push(success ? 1 : 0);
+  }
+
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) as count FROM audit_log ${where}`).get(...params).count;
+  const entries = db
+    .prepare(`SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset)
+    .map(toEntry);
+
+  return { entries, total, limit, offset };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  clientIp,
+  recordAudit,
+  getAuditEntries
+};
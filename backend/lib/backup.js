@@ -0,0 +1,246 @@
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Backup', { debug: process.env.DEBUG === 'true' });
+
+const BACKUP_FORMAT = 'portracker-backup';
+const BACKUP_VERSION = 1;
+const RESTORE_MODES = ['merge', 'replace'];
+const MAX_REPORTED_CONFLICTS = 100;
+
+const PORT_KEY = ['server_id', 'host_ip', 'host_port', 'protocol', 'container_id', 'internal'];
+
+/**
+ * Tables included in a backup, in restore order.
+ * key: columns identifying a row across instances
+ * secrets: columns dropped when secrets are excluded and preserved on restore when missing
+ * omit: columns never exported (local ids and runtime state). The legacy servers.api_key
+ * columns are omitted too: this instance's own keys live in api_keys, which is not backed up.
+ */
+const TABLES = [
+  { name: 'servers', key: ['id'], secrets: ['remote_api_key'], omit: ['last_scan_at', 'api_key', 'api_key_created_at'] },
+  { name: 'notes', key: PORT_KEY, secrets: [], omit: [] },
+  { name: 'ignores', key: PORT_KEY, secrets: [], omit: [] },
+  { name: 'custom_service_names', key: PORT_KEY, secrets: [], omit: [] },
+  { name: 'user_settings', key: ['user_id', 'setting_key'], secrets: [], omit: ['id'] },
+  { name: 'port_reservations', key: ['server_id', 'host_port', 'protocol'], secrets: [], omit: ['id'] },
+  { name: 'webhook_targets', key: ['name', 'url'], secrets: ['token'], omit: ['id', 'last_status', 'last_error', 'last_sent_at'] },
+];
+
+function tableExists(name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name = ?").get(name);
+}
+
+function tableColumns(name) {
+  return db.prepare(`PRAGMA table_info(${name})`).all().map((col) => col.name);
+}
+
+function exportedColumns(table, includeSecrets) {
+  return tableColumns(table.name).filter(
+    (col) => !table.omit.includes(col) && (includeSecrets || !table.secrets.includes(col))
+  );
+}
+
+/**
+ * Builds a versioned backup bundle of all user data.
+ * @param {Object} options
+ * @param {boolean} options.includeSecrets - Include peer API keys and webhook tokens
+ * @param {string} options.appVersion - portracker version that produced the backup
+ * @returns {Object}
+ */
+function createBackup({ includeSecrets = false, appVersion = null } = {}) {
+  const tables = {};
+  for (const table of TABLES) {
+    if (!tableExists(table.name)) {
+      tables[table.name] = [];
+      continue;
+    }
+    const columns = exportedColumns(table, includeSecrets);
+    tables[table.name] = db.prepare(`SELECT ${columns.join(', ')} FROM ${table.name}`).all();
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    app_version: appVersion,
+    created_at: new Date().toISOString(),
+    includes_secrets: includeSecrets,
+    tables,
+  };
+}
+
+/**
+ * Validates a backup bundle. Returns an error message, or null when the bundle can be restored.
+ */
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object') return 'Backup must be a JSON object';
+  if (backup.format !== BACKUP_FORMAT) return `Not a portracker backup (format must be "${BACKUP_FORMAT}")`;
+  if (!Number.isInteger(backup.version) || backup.version < 1) return 'Backup version is missing or invalid';
+  if (backup.version > BACKUP_VERSION) {
+    return `Backup version ${backup.version} is newer than this instance supports (${BACKUP_VERSION})`;
+  }
+  if (!backup.tables || typeof backup.tables !== 'object') return 'Backup has no tables';
+  for (const table of TABLES) {
+    const rows = backup.tables[table.name];
+    if (rows !== undefined && !Array.isArray(rows)) return `Table "${table.name}" must be an array`;
+  }
+  if (Array.isArray(backup.tables.servers) && backup.tables.servers.some((row) => !row || typeof row.id !== 'string')) {
+    return 'Every server must have an id';
+  }
+  return null;
+}
+
+function keyWhere(table) {
+  return table.key.map((col) => `${col} IS ?`).join(' AND ');
+}
+
+function keyValues(table, row) {
+  return table.key.map((col) => (row[col] === undefined ? null : row[col]));
+}
+
+function describeKey(table, row) {
+  return table.key.map((col) => row[col] ?? '').join(':');
+}
+
+function differingColumns(existing, incoming, columns) {
+  return columns.filter((col) => {
+    const a = existing[col] === undefined ? null : existing[col];
+    const b = incoming[col] === undefined ? null : incoming[col];
+    return String(a) !== String(b);
+  });
+}
+
+/**
+ * Restores a backup bundle inside a single transaction.
+ *
+ * merge: new rows are inserted; rows that exist with different values are reported as
+ * conflicts and kept unless overwrite is true.
+ * replace: existing rows of every included table are removed first (the local server row
+ * is updated in place). Secrets absent from the backup are carried over from the current
+ * rows with the same key.
+ *
+ * The local server's URL is never restored: it belongs to this instance, not to the data
+ * being moved.
+ *
+ * @param {Object} backup - A bundle produced by createBackup()
+ * @param {Object} options
+ * @param {string} options.mode - merge or replace
+ * @param {boolean} options.overwrite - In merge mode, apply incoming values to conflicting rows
+ * @param {boolean} options.dryRun - Compute the report without writing anything
+ * @returns {Object} Report per table: { inserted, updated, unchanged, skipped, conflicts[] }
+ */
+function restoreBackup(backup, { mode = 'merge', overwrite = false, dryRun = false } = {}) {
+  const report = { mode, dry_run: dryRun, tables: {} };
+
+  const run = () => {
+    for (const table of TABLES) {
+      const incomingRows = backup.tables[table.name];
+      const tableReport = { inserted: 0, updated: 0, unchanged: 0, skipped: 0, conflicts: [], conflict_count: 0 };
+      report.tables[table.name] = tableReport;
+      if (!Array.isArray(incomingRows) || !tableExists(table.name)) continue;
+
+      const columns = tableColumns(table.name).filter((col) => !table.omit.includes(col));
+      const selectExisting = db.prepare(`SELECT * FROM ${table.name} WHERE ${keyWhere(table)}`);
+
+      const preservedSecrets = new Map();
+      if (mode === 'replace') {
+        if (table.secrets.length > 0) {
+          for (const row of db.prepare(`SELECT * FROM ${table.name}`).all()) {
+            preservedSecrets.set(describeKey(table, row), row);
+          }
+        }
+        if (table.name === 'servers') {
+          db.prepare("DELETE FROM servers WHERE id != 'local'").run();
+        } else {
+          db.prepare(`DELETE FROM ${table.name}`).run();
+        }
+      }
+
+      for (const raw of incomingRows) {
+        if (!raw || typeof raw !== 'object') {
+          tableReport.skipped++;
+          continue;
+        }
+        const row = {};
+        for (const col of columns) {
+          if (raw[col] !== undefined) row[col] = raw[col];
+        }
+        if (table.name === 'servers' && row.id === 'local') {
+          delete row.url;
+        }
+        const existing = selectExisting.get(...keyValues(table, row));
+        const secretSource = existing || preservedSecrets.get(describeKey(table, row));
+        for (const col of table.secrets) {
+          if (row[col] === undefined && secretSource && secretSource[col] !== undefined) {
+            row[col] = secretSource[col];
+          }
+        }
+        const rowColumns = Object.keys(row);
+
+        if (!existing) {
+          db.prepare(
+            `INSERT INTO ${table.name} (${rowColumns.join(', ')}) VALUES (${rowColumns.map(() => '?').join(', ')})`
+          ).run(...rowColumns.map((col) => row[col]));
+          tableReport.inserted++;
+          continue;
+        }
+
+        const changed = differingColumns(existing, row, rowColumns.filter((col) => !table.secrets.includes(col)));
+        if (changed.length === 0) {
+          tableReport.unchanged++;
+          continue;
+        }
+
+        if (mode === 'merge' && !overwrite) {
+          tableReport.conflict_count++;
+          if (tableReport.conflicts.length < MAX_REPORTED_CONFLICTS) {
+            tableReport.conflicts.push({
+              key: describeKey(table, row),
+              fields: changed.map((col) => ({ field: col, current: existing[col], incoming: row[col] })),
+            });
+          }
+          tableReport.skipped++;
+          continue;
+        }
+
+        const updateColumns = rowColumns.filter((col) => !table.key.includes(col));
+        if (updateColumns.length > 0) {
+          db.prepare(
+            `UPDATE ${table.name} SET ${updateColumns.map((col) => `${col} = ?`).join(', ')} WHERE ${keyWhere(table)}`
+          ).run(...updateColumns.map((col) => row[col]), ...keyValues(table, row));
+        }
+        tableReport.updated++;
+      }
+    }
+
+    if (dryRun) {
+      const rollback = new Error('dry run');
+      rollback.dryRun = true;
+      throw rollback;
+    }
+  };
+
+  try {
+    db.transaction(run)();
+  } catch (error) {
+    if (!error.dryRun) throw error;
+  }
+
+  if (!dryRun) {
+    const totals = Object.values(report.tables).reduce(
+      (acc, t) => ({ inserted: acc.inserted + t.inserted, updated: acc.updated + t.updated, conflicts: acc.conflicts + t.conflict_count }),
+      { inserted: 0, updated: 0, conflicts: 0 }
+    );
+    logger.info(`Backup restored (${mode}): ${totals.inserted} inserted, ${totals.updated} updated, ${totals.conflicts} conflict(s)`);
+  }
+  return report;
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  createBackup,
+  validateBackup,
+  restoreBackup
+};
@@ -0,0 +1,257 @@
+/**
+ * Extracts published port mappings from docker-compose files.
+ */
+
+const { parseDocument, LineCounter } = require('yaml');
+
+const MAX_RANGE_EXPANSION = 1024;
+const MAX_COMPOSE_MAPPINGS = 4096;
+const MAX_ALIAS_COUNT = 100;
+const PROTOCOLS = ['tcp', 'udp', 'sctp'];
+
+class ComposeParseError extends Error {
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'ComposeParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parses a YAML document with merge keys enabled, as compose files rely on them.
+ * Alias expansion is capped so a small file cannot expand into an unbounded tree.
+ * @param {string} text
+ * @returns {*}
+ * @throws {ComposeParseError}
+ */
+function parseYaml(text) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(String(text), { merge: true, uniqueKeys: false, prettyErrors: false, lineCounter });
+  if (doc.errors.length > 0) {
+    const [first] = doc.errors;
+    const line = Array.isArray(first.pos) ? lineCounter.linePos(first.pos[0]).line : null;
+    throw new ComposeParseError(first.message.split('\n')[0], line);
+  }
+  try {
+    return doc.toJS({ maxAliasCount: MAX_ALIAS_COUNT });
+  } catch (error) {
+    throw new ComposeParseError(error.message);
+  }
+}
+
+/**
+ * Resolves ${VAR}, ${VAR:-default} and ${VAR-default} using the supplied variables.
+ * Returns null when a variable without a default is not set.
+ */
+function interpolate(value, env) {
+  let unresolved = false;
+  const result = String(value).replace(/\$\$|\$\{([^}:-]+)(?::?-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, braced, fallback, bare) => {
+    if (match === '$$') return '$';
+    const name = braced || bare;
+    if (env[name] !== undefined && env[name] !== '') return env[name];
+    if (fallback !== undefined) return fallback;
+    unresolved = true;
+    return match;
+  });
+  return unresolved ? null : result;
+}
+
+function parsePortRange(text) {
+  const match = String(text).trim().match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : start;
+  if (start < 1 || end > 65535 || end < start) return null;
+  return { start, end };
+}
+
+/**
+ * Parses a desired host port such as 8080, "8080/udp" or "8000-8010/tcp".
+ * @param {number|string} value
+ * @returns {{start: number, end: number, protocol: string}|null}
+ */
+function parsePortSpec(value) {
+  const [portPart, protocolPart] = String(value).trim().split('/');
+  const protocol = (protocolPart || 'tcp').toLowerCase();
+  if (!PROTOCOLS.includes(protocol)) return null;
+  const range = parsePortRange(portPart);
+  return range ? { ...range, protocol } : null;
+}
+
+/**
+ * Parses the short port syntax: [HOST_IP:][HOST_PORT[-END]:]CONTAINER_PORT[-END][/PROTOCOL].
+ * HOST_IP may be a bracketed IPv6 address; with more than three fields, everything before
+ * the last two is taken as an unbracketed IPv6 address. An empty host port means an
+ * ephemeral port.
+ */
+function parseShortPortSyntax(text) {
+  let rest = String(text).trim();
+  let protocol = 'tcp';
+  const slash = rest.lastIndexOf('/');
+  if (slash !== -1) {
+    protocol = rest.slice(slash + 1).toLowerCase();
+    rest = rest.slice(0, slash);
+  }
+
+  let hostIp = null;
+  const ipv6 = rest.match(/^\[([^\]]+)\]:(.*)$/);
+  if (ipv6) {
+    hostIp = ipv6[1];
+    rest = ipv6[2];
+  }
+
+  const parts = rest.split(':');
+  let hostPart = null;
+  let containerPart;
+  if (parts.length === 1) {
+    containerPart = parts[0];
+  } else if (parts.length === 2) {
+    [hostPart, containerPart] = parts;
+  } else if (parts.length === 3 && !hostIp) {
+    [hostIp, hostPart, containerPart] = parts;
+  } else if (!hostIp && parts.length > 3) {
+    containerPart = parts.pop();
+    hostPart = parts.pop();
+    hostIp = parts.join(':');
+  } else {
+    return { error: `Unrecognised port mapping "${text}"` };
+  }
+
+  return { hostIp: hostIp || null, hostPart: hostPart === '' ? null : hostPart, containerPart, protocol };
+}
+
+function normalizeLongPortSyntax(entry) {
+  return {
+    hostIp: entry.host_ip ? String(entry.host_ip) : null,
+    hostPart: entry.published !== undefined && entry.published !== null && entry.published !== '' ? String(entry.published) : null,
+    containerPart: entry.target !== undefined && entry.target !== null ? String(entry.target) : '',
+    protocol: String(entry.protocol || 'tcp').toLowerCase(),
+  };
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Expands one compose port entry into host port mappings.
+ * @returns {{mappings: Array, error: string|null}}
+ */
+function expandPortEntry(service, entry, env) {
+  const resolveText = (value) => (value === null || value === undefined ? value : interpolate(value, env));
+
+  let spec;
+  let raw;
+  if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+    if (!Object.values(entry).every(isScalar)) {
+      return { mappings: [], error: `${service}: ports entries may only hold scalar values` };
+    }
+    raw = JSON.stringify(entry);
+    const resolved = {};
+    for (const [key, value] of Object.entries(entry)) {
+      resolved[key] = typeof value === 'string' ? resolveText(value) : value;
+      if (resolved[key] === null && value !== null) {
+        return { mappings: [], error: `Unresolved variable in ${service} ports entry ${raw}` };
+      }
+    }
+    spec = normalizeLongPortSyntax(resolved);
+  } else if (typeof entry === 'string' || typeof entry === 'number') {
+    raw = String(entry);
+    const resolved = resolveText(raw);
+    if (resolved === null) return { mappings: [], error: `Unresolved variable in ${service} port "${raw}"` };
+    spec = parseShortPortSyntax(resolved);
+    if (spec.error) return { mappings: [], error: `${service}: ${spec.error}` };
+  } else {
+    return { mappings: [], error: `${service}: ports entries must be a string, number or mapping` };
+  }
+
+  if (!PROTOCOLS.includes(spec.protocol)) {
+    return { mappings: [], error: `${service}: unsupported protocol "${spec.protocol}" in "${raw}"` };
+  }
+  const container = parsePortRange(spec.containerPart);
+  if (!container) return { mappings: [], error: `${service}: invalid container port in "${raw}"` };
+
+  const base = { service, raw, host_ip: spec.hostIp, protocol: spec.protocol };
+  if (!spec.hostPart) {
+    return {
+      mappings: [{ ...base, host_port: null, container_port: container.start, ephemeral: true, range: null }],
+      error: null,
+    };
+  }
+
+  const host = parsePortRange(spec.hostPart);
+  if (!host) return { mappings: [], error: `${service}: invalid host port in "${raw}"` };
+
+  const hostCount = host.end - host.start + 1;
+  const containerCount = container.end - container.start + 1;
+  if (hostCount > MAX_RANGE_EXPANSION) {
+    return { mappings: [], error: `${service}: range in "${raw}" exceeds ${MAX_RANGE_EXPANSION} ports` };
+  }
+  if (containerCount > 1 && hostCount !== containerCount) {
+    return { mappings: [], error: `${service}: host and container ranges differ in size in "${raw}"` };
+  }
+
+  const mappings = [];
+  for (let i = 0; i < hostCount; i++) {
+    mappings.push({
+      ...base,
+      host_port: host.start + i,
+      container_port: containerCount > 1 ? container.start + i : container.start,
+      ephemeral: false,
+      range: hostCount > 1 ? `${host.start}-${host.end}` : null,
+    });
+  }
+  return { mappings, error: null };
+}
+
+/**
+ * Extracts the published ports of every service in a compose file.
+ * Services using network_mode: host are reported without mappings since compose ignores their ports.
+ * Files that publish more than MAX_COMPOSE_MAPPINGS ports in total are rejected.
+ * @param {string} text - docker-compose.yml contents
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Variables for ${VAR} interpolation (e.g. from a .env file)
+ * @returns {{project: string|null, services: Array<string>, mappings: Array<Object>, errors: Array<string>}}
+ * @throws {ComposeParseError} When the file cannot be parsed, has no services or publishes too many ports
+ */
+function parseComposePorts(text, { env = {} } = {}) {
+  const doc = parseYaml(text);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new ComposeParseError('Compose file must be a mapping');
+  }
+  if (!doc.services || typeof doc.services !== 'object' || Array.isArray(doc.services)) {
+    throw new ComposeParseError('Compose file has no services');
+  }
+
+  const mappings = [];
+  const errors = [];
+  let entryIndex = 0;
+  const services = Object.keys(doc.services);
+  for (const service of services) {
+    const definition = doc.services[service] || {};
+    if (definition.network_mode === 'host') continue;
+    if (definition.ports === undefined || definition.ports === null) continue;
+    if (!Array.isArray(definition.ports)) {
+      errors.push(`${service}: ports must be a list`);
+      continue;
+    }
+    for (const entry of definition.ports) {
+      const result = expandPortEntry(service, entry, env);
+      if (result.error) errors.push(result.error);
+      if (mappings.length + result.mappings.length > MAX_COMPOSE_MAPPINGS) {
+        throw new ComposeParseError(`Compose file publishes more than ${MAX_COMPOSE_MAPPINGS} ports`);
+      }
+      mappings.push(...result.mappings.map((mapping) => ({ ...mapping, entry: entryIndex })));
+      entryIndex++;
+    }
+  }
+  return { project: typeof doc.name === 'string' ? doc.name : null, services, mappings, errors };
+}
+
+module.exports = {
+  ComposeParseError,
+  MAX_RANGE_EXPANSION,
+  MAX_COMPOSE_MAPPINGS,
+  parsePortSpec,
+  parseComposePorts
+};
@@ -0,0 +1,78 @@
+/**
+ * External User Provisioning
+ *
+ * Creates and updates local user rows for accounts authenticated elsewhere (OIDC single sign-on,
+ * trusted reverse-proxy headers).
+ * External users are matched by (auth_source, external_id) and get an unusable password hash,
+ * so they can only sign in through their provider. Their role follows the provider on every login.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('ExternalUsers', { debug: process.env.DEBUG === 'true' });
+
+const UNUSABLE_PASSWORD_HASH = '!';
+
+function provisioningError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Finds or creates the user for an external identity and records the login.
+ * @param {Object} identity
+ * @param {string} identity.source - Provider type, e.g. 'oidc' or 'proxy'
+ * @param {string} identity.externalId - Stable ID from the provider (the OIDC subject)
+ * @param {string} identity.username - Display/login name
+ * @param {string} identity.role - Role granted by the provider
+ * @returns {Object} The user row
+ * @throws {Error} code USER_DISABLED or USERNAME_TAKEN
+ */
+function provisionExternalUser({ source, externalId, username, role }) {
+  const now = Date.now();
+  const existing = db
+    .prepare('SELECT * FROM users WHERE auth_source = ? AND external_id = ?')
+    .get(source, externalId);
+
+  if (existing) {
+    if (existing.disabled) {
+      throw provisioningError('This account has been disabled', 'USER_DISABLED');
+    }
+    if (existing.role !== role) {
+      logger.info(`Role of ${existing.username} changed by ${source}: ${existing.role} -> ${role}`);
+    }
+    db.prepare('UPDATE users SET role = ?, last_login = ? WHERE id = ?').run(role, now, existing.id);
+    return { ...existing, role, last_login: now };
+  }
+
+  const clash = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+  if (clash) {
+    throw provisioningError(`Username "${username}" is already used by another account`, 'USERNAME_TAKEN');
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    password_hash: UNUSABLE_PASSWORD_HASH,
+    created_at: now,
+    last_login: now,
+    role,
+    disabled: 0,
+    auth_source: source,
+    external_id: externalId,
+  };
+  db.prepare(
+    `INSERT INTO users (id, username, password_hash, created_at, last_login, role, disabled, auth_source, external_id)
+     VALUES (@id, @username, @password_hash, @created_at, @last_login, @role, @disabled, @auth_source, @external_id)`
+  ).run(user);
+
+  logger.info(`Provisioned ${source} user: ${username} (${role})`);
+  return user;
+}
+
+module.exports = {
+  provisionExternalUser
+};
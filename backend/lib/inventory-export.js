@@ -0,0 +1,196 @@
+const db = require('../db');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  yaml: { contentType: 'application/yaml; charset=utf-8', extension: 'yaml' },
+};
+
+const EXPORT_COLUMNS = [
+  'server_id',
+  'server',
+  'host_ip',
+  'host_port',
+  'protocol',
+  'source',
+  'service',
+  'owner',
+  'custom_name',
+  'container_id',
+  'internal',
+  'ignored',
+  'note',
+  'autoxpose_url',
+];
+
+function metadataKey(hostIp, hostPort, protocol, containerId, internal) {
+  return `${hostIp}:${parseInt(hostPort, 10)}:${protocol || 'tcp'}:${containerId || ''}:${internal ? 1 : 0}`;
+}
+
+/**
+ * Loads notes, ignores and custom service names stored for a server.
+ * @param {string} serverId - The server ID as stored in this instance's database
+ * @returns {{notes: Map, ignores: Set, customNames: Map}}
+ */
+function loadPortMetadata(serverId) {
+  const notes = new Map();
+  const ignores = new Set();
+  const customNames = new Map();
+
+  for (const row of db.prepare('SELECT host_ip, host_port, protocol, container_id, internal, note FROM notes WHERE server_id = ?').all(serverId)) {
+    notes.set(metadataKey(row.host_ip, row.host_port, row.protocol, row.container_id, row.internal), row.note);
+  }
+  for (const row of db.prepare('SELECT host_ip, host_port, protocol, container_id, internal FROM ignores WHERE server_id = ?').all(serverId)) {
+    ignores.add(metadataKey(row.host_ip, row.host_port, row.protocol, row.container_id, row.internal));
+  }
+  for (const row of db.prepare('SELECT host_ip, host_port, protocol, container_id, internal, custom_name FROM custom_service_names WHERE server_id = ?').all(serverId)) {
+    customNames.set(metadataKey(row.host_ip, row.host_port, row.protocol, row.container_id, row.internal), row.custom_name);
+  }
+  return { notes, ignores, customNames };
+}
+
+/**
+ * Turns collector port entries into export rows. Values already present on the entry
+ * (note, ignored, autoxpose from a peer's own scan) win over the local metadata.
+ * @param {Object} server - { id, label }
+ * @param {Array} ports - Port entries
+ * @param {Object} metadata - Result of loadPortMetadata()
+ * @returns {Array<Object>}
+ */
+function buildExportRows(server, ports, metadata) {
+  return (ports || [])
+    .filter((port) => port && port.host_ip && parseInt(port.host_port, 10) > 0)
+    .map((port) => {
+      const key = metadataKey(port.host_ip, port.host_port, port.protocol, port.container_id, port.internal);
+      const customName = port.customServiceName || metadata.customNames.get(key) || null;
+      return {
+        server_id: server.id,
+        server: server.label,
+        host_ip: port.host_ip,
+        host_port: parseInt(port.host_port, 10),
+        protocol: port.protocol || 'tcp',
+        source: port.source || null,
+        service: customName || port.owner || null,
+        owner: port.owner || null,
+        custom_name: customName,
+        container_id: port.container_id || null,
+        internal: !!port.internal,
+        ignored: port.ignored !== undefined ? !!port.ignored : metadata.ignores.has(key),
+        note: port.note || metadata.notes.get(key) || null,
+        autoxpose_url: port.autoxpose?.publicUrl || null,
+      };
+    })
+    .sort((a, b) => a.server_id.localeCompare(b.server_id) || a.host_port - b.host_port || a.host_ip.localeCompare(b.host_ip));
+}
+
+/**
+ * Applies the dashboard's source filter and search to export rows.
+ * The search matches the same fields as the dashboard: port, owner, custom name, IP and note.
+ * @param {Array} rows - Export rows
+ * @param {Object} filters
+ * @param {Array<string>|null} filters.sources - Allowed sources (e.g. ['docker', 'system'])
+ * @param {string|null} filters.search - Case-insensitive search term
+ */
+function filterExportRows(rows, { sources = null, search = null } = {}) {
+  const term = search ? search.toLowerCase() : null;
+  return rows.filter((row) => {
+    if (sources && !sources.includes(row.source)) return false;
+    if (!term) return true;
+    return (
+      String(row.host_port).includes(term) ||
+      (row.owner && row.owner.toLowerCase().includes(term)) ||
+      (row.custom_name && row.custom_name.toLowerCase().includes(term)) ||
+      (row.host_ip && row.host_ip.includes(term)) ||
+      (row.note && row.note.toLowerCase().includes(term))
+    );
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  const guarded = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(guarded) ? `"${guarded.replace(/"/g, '""')}"` : guarded;
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map((col) => csvCell(row[col])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined || value === '') return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdown(rows, { generatedAt }) {
+  const lines = [
+    '# portracker inventory',
+    '',
+    `Generated ${generatedAt} · ${rows.length} port${rows.length === 1 ? '' : 's'}`,
+    '',
+    `| ${EXPORT_COLUMNS.join(' | ')} |`,
+    `| ${EXPORT_COLUMNS.map(() => '---').join(' | ')} |`,
+  ];
+  for (const row of rows) {
+    lines.push(`| ${EXPORT_COLUMNS.map((col) => markdownCell(row[col])).join(' | ')} |`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function toYaml(rows, { generatedAt, servers }) {
+  const lines = [`generated_at: ${yamlScalar(generatedAt)}`, 'servers:'];
+  if (servers.length === 0) lines[lines.length - 1] += ' []';
+  for (const server of servers) {
+    lines.push(`  - id: ${yamlScalar(server.id)}`);
+    lines.push(`    label: ${yamlScalar(server.label)}`);
+    lines.push(`    ok: ${yamlScalar(server.ok)}`);
+    lines.push(`    error: ${yamlScalar(server.error)}`);
+  }
+  lines.push(rows.length === 0 ? 'ports: []' : 'ports:');
+  for (const row of rows) {
+    EXPORT_COLUMNS.forEach((col, index) => {
+      lines.push(`${index === 0 ? '  - ' : '    '}${col}: ${yamlScalar(row[col])}`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialises export rows.
+ * @param {string} format - csv, json, md or yaml
+ * @param {Array} rows - Export rows
+ * @param {Object} context - { generatedAt, servers: [{ id, label, ok, error }] }
+ * @returns {string}
+ */
+function formatExport(format, rows, context) {
+  switch (format) {
+    case 'csv':
+      return toCsv(rows);
+    case 'md':
+      return toMarkdown(rows, context);
+    case 'yaml':
+      return toYaml(rows, context);
+    default:
+      return JSON.stringify({ generated_at: context.generatedAt, servers: context.servers, ports: rows }, null, 2);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  loadPortMetadata,
+  buildExportRows,
+  filterExportRows,
+  formatExport
+};
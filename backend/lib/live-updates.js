@@ -0,0 +1,105 @@
+/**
+ * In-process publish/subscribe hub for the /api/stream Server-Sent Events endpoint.
+ * Events: ports (incremental additions/removals), ping (health colour changes)
+ * and server (peer reachability changes).
+ */
+const { EventEmitter } = require('events');
+const { eventKey } = require('./port-events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let sequence = 0;
+let schedulerIntervalMs = null;
+
+/**
+ * Broadcasts an event to every connected stream.
+ * @param {string} type - ports, ping or server
+ * @param {Object} data - Event payload
+ */
+function publish(type, data) {
+  sequence++;
+  emitter.emit('event', { id: sequence, type, data, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Registers a listener for all published events.
+ * @param {Function} listener - Receives { id, type, data, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+function subscriberCount() {
+  return emitter.listenerCount('event');
+}
+
+/**
+ * Records whether the background scan scheduler runs. Without it no scan-driven
+ * ports events are pushed, so clients have to keep polling.
+ * @param {number|null} intervalMs - Scan interval, or null when the scheduler is disabled
+ */
+function setSchedulerInterval(intervalMs) {
+  schedulerIntervalMs = intervalMs;
+}
+
+/**
+ * @returns {{enabled: boolean, intervalMs: number|null}} Background scan scheduler state
+ */
+function getSchedulerState() {
+  return { enabled: schedulerIntervalMs !== null, intervalMs: schedulerIntervalMs };
+}
+
+/**
+ * Publishes the ports that appeared, disappeared or changed owner/container between two scans.
+ * Changed ports are sent in both removed (old identity) and added (new entry) so clients can
+ * apply the delta with a plain remove-then-add.
+ * @param {string} serverId - The server the scan belongs to
+ * @param {Array} previousPorts - Ports from the previous scan
+ * @param {Array} currentPorts - Ports from the current scan
+ */
+function publishPortChanges(serverId, previousPorts, currentPorts) {
+  if (subscriberCount() === 0) return;
+
+  const before = new Map((previousPorts || []).map((p) => [eventKey(p), p]));
+  const after = new Map((currentPorts || []).map((p) => [eventKey(p), p]));
+  const added = [];
+  const removed = [];
+
+  for (const [key, port] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push(port);
+    } else if ((prev.container_id || null) !== (port.container_id || null) || (prev.owner || null) !== (port.owner || null)) {
+      removed.push(prev);
+      added.push(port);
+    }
+  }
+  for (const [key, port] of before) {
+    if (!after.has(key)) removed.push(port);
+  }
+  if (added.length === 0 && removed.length === 0) return;
+
+  publish('ports', {
+    server_id: serverId,
+    added,
+    removed: removed.map((p) => ({
+      host_ip: p.host_ip,
+      host_port: parseInt(p.host_port, 10),
+      protocol: p.protocol || 'tcp',
+      container_id: p.container_id || null,
+      internal: !!p.internal,
+    })),
+  });
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  subscriberCount,
+  setSchedulerInterval,
+  getSchedulerState,
+  publishPortChanges
+};
@@ -0,0 +1,275 @@
+/**
+ * Login Throttle
+ *
+ * Brute-force protection for password and two-factor sign-ins, counted per client IP and per
+ * username. From the third failure on, each attempt has to wait twice as long as the last
+ * (2s, 4s, 8s, ... up to a minute). Reaching the attempt limit locks the username or IP for
+ * LOGIN_LOCKOUT_MINUTES, doubling with every lockout in a row (up to a day). Counters live in
+ * SQLite, so a restart does not reset them. Password checks in progress are counted as
+ * possible failures, so a burst of parallel attempts cannot get past the limits before the
+ * first failure is recorded.
+ */
+
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('LoginThrottle', { debug: process.env.DEBUG === 'true' });
+
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+const USER_MAX_ATTEMPTS = readPositiveInt('LOGIN_MAX_ATTEMPTS', 5);
+const IP_MAX_ATTEMPTS = readPositiveInt('LOGIN_IP_MAX_ATTEMPTS', 20);
+const LOCKOUT_MS = readPositiveInt('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const FREE_ATTEMPTS = 2;
+const MAX_BACKOFF_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const SCOPES = {
+  user: { maxAttempts: USER_MAX_ATTEMPTS, lockedCode: 'ACCOUNT_LOCKED' },
+  ip: { maxAttempts: IP_MAX_ATTEMPTS, lockedCode: 'IP_LOCKED' }
+};
+
+let lastPrunedAt = 0;
+const inFlight = new Map();
+
+function normalizeUsername(username) {
+  return typeof username === 'string' && username.trim() ? username.trim().toLowerCase() : null;
+}
+
+function keysFor({ ip, username }) {
+  const keys = [];
+  const userKey = normalizeUsername(username);
+  if (userKey) keys.push({ scope: 'user', key: userKey });
+  if (ip) keys.push({ scope: 'ip', key: ip });
+  return keys;
+}
+
+function backoffMs(failures) {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_BACKOFF_MS);
+}
+
+function lockoutMs(lockouts) {
+  return Math.min(LOCKOUT_MS * 2 ** Math.max(lockouts - 1, 0), MAX_LOCKOUT_MS);
+}
+
+/**
+ * Returns the stored counters, treating failures older than a lockout period (and lockout
+ * streaks older than a day) as forgotten
+ */
+function getRecord(scope, key, now = Date.now()) {
+  const row = db.prepare('SELECT * FROM login_throttle WHERE scope = ? AND key = ?').get(scope, key);
+  if (!row) return null;
+  if (row.locked_until && row.locked_until > now) return row;
+
+  const idle = now - row.last_failed_at;
+  return {
+    ...row,
+    failures: idle >= LOCKOUT_MS ? 0 : row.failures,
+    locked_until: null,
+    lockouts: idle > MAX_LOCKOUT_MS ? 0 : row.lockouts
+  };
+}
+
+function blockFor(scope, record, now) {
+  if (!record) return null;
+  if (record.locked_until && record.locked_until > now) {
+    return { scope, code: SCOPES[scope].lockedCode, retryAfterMs: record.locked_until - now };
+  }
+  const waitUntil = record.last_failed_at + backoffMs(record.failures);
+  if (waitUntil > now) {
+    return { scope, code: 'LOGIN_THROTTLED', retryAfterMs: waitUntil - now };
+  }
+  return null;
+}
+
+function describeBlock(block) {
+  const seconds = Math.ceil(block.retryAfterMs / 1000);
+  const wait = seconds > 90 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} second${seconds === 1 ? '' : 's'}`;
+  if (block.code === 'ACCOUNT_LOCKED') {
+    return `Too many failed sign-in attempts. This account is locked for ${wait}`;
+  }
+  if (block.code === 'IP_LOCKED') {
+    return `Too many failed sign-in attempts from your network address. Try again in ${wait}`;
+  }
+  return `Too many failed sign-in attempts. Wait ${wait} before trying again`;
+}
+
+function toThrottled(block) {
+  return {
+    scope: block.scope,
+    code: block.code,
+    retryAfter: Math.ceil(block.retryAfterMs / 1000),
+    error: describeBlock(block)
+  };
+}
+
+/**
+ * Checks whether a sign-in attempt may go ahead.
+ * @param {Object} attempt
+ * @param {string} attempt.ip - Client IP
+ * @param {string} [attempt.username] - Username being signed in to
+ * @returns {Object|null} null when allowed, else { scope, code, retryAfter (seconds), error }
+ *   with code LOGIN_THROTTLED, ACCOUNT_LOCKED or IP_LOCKED
+ */
+function checkLogin(attempt) {
+  const now = Date.now();
+  let longest = null;
+  for (const { scope, key } of keysFor(attempt)) {
+    const block = blockFor(scope, getRecord(scope, key, now), now);
+    if (block && (!longest || block.retryAfterMs > longest.retryAfterMs)) {
+      longest = block;
+    }
+  }
+  return longest ? toThrottled(longest) : null;
+}
+
+/**
+ * Like checkLogin, but also holds a slot for the attempt until release() is called, for checks
+ * that await (e.g. bcrypt). A further attempt is throttled as if the attempts still in
+ * progress had failed: once they would start a backoff or reach the lockout limit, it has to
+ * wait for them. Call release() before recording the outcome.
+ * @param {Object} attempt - { ip, username } as for checkLogin
+ * @returns {{throttled: Object|null, release: Function}}
+ */
+function reserveLogin(attempt) {
+  const throttled = checkLogin(attempt);
+  if (throttled) return { throttled, release: () => {} };
+
+  const now = Date.now();
+  const keys = keysFor(attempt);
+  for (const { scope, key } of keys) {
+    const pending = inFlight.get(`${scope}:${key}`) || 0;
+    if (pending === 0) continue;
+    const record = getRecord(scope, key, now);
+    const failures = (record ? record.failures : 0) + pending;
+    if (backoffMs(failures) > 0 || failures >= SCOPES[scope].maxAttempts) {
+      return { throttled: toThrottled({ scope, code: 'LOGIN_THROTTLED', retryAfterMs: 1000 }), release: () => {} };
+    }
+  }
+
+  for (const { scope, key } of keys) {
+    inFlight.set(`${scope}:${key}`, (inFlight.get(`${scope}:${key}`) || 0) + 1);
+  }
+  let released = false;
+  return {
+    throttled: null,
+    release: () => {
+      if (released) return;
+      released = true;
+      for (const { scope, key } of keys) {
+        const id = `${scope}:${key}`;
+        const pending = (inFlight.get(id) || 1) - 1;
+        if (pending > 0) inFlight.set(id, pending);
+        else inFlight.delete(id);
+      }
+    }
+  };
+}
+
+/**
+ * Counts a failed sign-in against the IP and username, locking either once it reaches its limit.
+ * @returns {Array<{scope: string, key: string, lockedUntil: number}>} Lockouts started by this failure
+ */
+function recordLoginFailure(attempt) {
+  const now = Date.now();
+  const locked = [];
+
+  for (const { scope, key } of keysFor(attempt)) {
+    const record = getRecord(scope, key, now);
+    const failures = (record ? record.failures : 0) + 1;
+    let lockouts = record ? record.lockouts : 0;
+    let lockedUntil = record ? record.locked_until : null;
+
+    if (!lockedUntil && failures >= SCOPES[scope].maxAttempts) {
+      lockouts += 1;
+      lockedUntil = now + lockoutMs(lockouts);
+      locked.push({ scope, key, lockedUntil });
+      logger.warn(`Sign-in locked for ${scope} ${key} until ${new Date(lockedUntil).toISOString()} after ${failures} failed attempts`);
+    }
+
+    db.prepare(
+      `INSERT INTO login_throttle (scope, key, failures, last_failed_at, locked_until, lockouts)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(scope, key) DO UPDATE SET
+         failures = excluded.failures,
+         last_failed_at = excluded.last_failed_at,
+         locked_until = excluded.locked_until,
+         lockouts = excluded.lockouts`
+    ).run(scope, key, failures, now, lockedUntil, lockouts);
+  }
+
+  pruneThrottle(now);
+  return locked;
+}
+
+/**
+ * Forgets the failures of a username after it signed in. The IP counter is left alone, so one
+ * valid account cannot be used to keep guessing others.
+ */
+function recordLoginSuccess({ username }) {
+  const userKey = normalizeUsername(username);
+  if (userKey) {
+    db.prepare("DELETE FROM login_throttle WHERE scope = 'user' AND key = ?").run(userKey);
+  }
+}
+
+function pruneThrottle(now) {
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  db.prepare('DELETE FROM login_throttle WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)')
+    .run(now - MAX_LOCKOUT_MS, now);
+}
+
+/**
+ * Lists usernames and IPs that are locked out or waiting out a backoff, for admins
+ * @returns {Array<{scope: string, key: string, code: string, failures: number, lockouts: number, lastFailedAt: number, lockedUntil: number|null, retryAfter: number}>}
+ */
+function listLockouts() {
+  const now = Date.now();
+  return db
+    .prepare('SELECT scope, key FROM login_throttle ORDER BY last_failed_at DESC')
+    .all()
+    .map(({ scope, key }) => {
+      const record = getRecord(scope, key, now);
+      const block = blockFor(scope, record, now);
+      if (!block) return null;
+      return {
+        scope,
+        key,
+        code: block.code,
+        failures: record.failures,
+        lockouts: record.lockouts,
+        lastFailedAt: record.last_failed_at,
+        lockedUntil: record.locked_until || null,
+        retryAfter: Math.ceil(block.retryAfterMs / 1000)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Lifts a lockout and forgets the failures behind it
+ * @param {string} scope - 'user' or 'ip'
+ * @param {string} key - Username or IP
+ * @returns {boolean} Whether there was anything to clear
+ */
+function clearLockout(scope, key) {
+  const storedKey = scope === 'user' ? normalizeUsername(key) : key;
+  const result = db.prepare('DELETE FROM login_throttle WHERE scope = ? AND key = ?').run(scope, storedKey);
+  return result.changes > 0;
+}
+
+module.exports = {
+  THROTTLE_SCOPES: Object.keys(SCOPES),
+  checkLogin,
+  reserveLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockouts,
+  clearLockout
+};
@@ -0,0 +1,67 @@
+/**
+ * Minimal Prometheus text exposition (format 0.0.4) for the /metrics endpoint.
+ * Only gauges are produced; values are computed from in-memory state on each scrape.
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const PING_COLOR_VALUES = { green: 0, yellow: 1, red: 2, gray: 3 };
+
+function escapeLabelValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (!Number.isFinite(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Renders gauge families to Prometheus text.
+ * @param {Array<{name: string, help: string, samples: Array<{labels?: Object, value: number}>}>} gauges
+ * @returns {string}
+ */
+function renderGauges(gauges) {
+  const lines = [];
+  for (const gauge of gauges) {
+    lines.push(`# HELP ${gauge.name} ${gauge.help}`);
+    lines.push(`# TYPE ${gauge.name} gauge`);
+    for (const sample of gauge.samples) {
+      lines.push(`${gauge.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Counts port entries by protocol and source (docker vs system).
+ * @param {Array} ports - Port entries from a collector or peer scan
+ * @returns {Array<{protocol: string, source: string, count: number}>}
+ */
+function countPorts(ports) {
+  const counts = new Map();
+  for (const port of ports || []) {
+    const protocol = port.protocol || 'tcp';
+    const source = port.source === 'docker' ? 'docker' : 'system';
+    const key = `${protocol}:${source}`;
+    const current = counts.get(key) || { protocol, source, count: 0 };
+    current.count++;
+    counts.set(key, current);
+  }
+  return Array.from(counts.values());
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  PING_COLOR_VALUES,
+  renderGauges,
+  countPorts
+};
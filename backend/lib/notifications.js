@@ -0,0 +1,317 @@
+/**
+ * Webhook notifications to Slack, Discord, ntfy, Gotify or generic JSON targets.
+ * Sent when a scan opens or closes a port, a peer becomes unreachable or a ping turns red.
+ */
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Notifications', { debug: process.env.DEBUG === 'true' });
+
+const TARGET_TYPES = ['generic', 'slack', 'discord', 'ntfy', 'gotify'];
+const TRIGGERS = ['port_opened', 'port_closed', 'peer_unreachable', 'ping_red'];
+const URGENT_TRIGGERS = new Set(['port_closed', 'peer_unreachable', 'ping_red']);
+const SEND_TIMEOUT_MS = parseInt(process.env.NOTIFICATION_TIMEOUT_MS || '10000', 10);
+
+function parseTriggers(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((t) => TRIGGERS.includes(t)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Maps a database row to the API shape. The token is never returned, only whether one is set.
+ */
+function toTarget(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    url: row.url,
+    hasToken: !!row.token,
+    triggers: parseTriggers(row.triggers),
+    enabled: !!row.enabled,
+    last_status: row.last_status,
+    last_error: row.last_error,
+    last_sent_at: row.last_sent_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Validates target input. Returns an error message, or null when the input is valid.
+ * @param {Object} input - Target fields
+ * @param {boolean} partial - When true, only the provided fields are validated
+ */
+function validateTarget(input, partial = false) {
+  if (!input || typeof input !== 'object') return 'Invalid target data';
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) return 'Name is required';
+    if (input.name.length > 100) return 'Name must be 100 characters or less';
+  }
+  if (!partial || input.type !== undefined) {
+    if (!TARGET_TYPES.includes(input.type)) return `Type must be one of: ${TARGET_TYPES.join(', ')}`;
+  }
+  if (!partial || input.url !== undefined) {
+    try {
+      const parsed = new URL(input.url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return 'URL must use http or https';
+    } catch {
+      return 'URL must be a valid URL';
+    }
+  }
+  if (!partial || input.triggers !== undefined) {
+    if (!Array.isArray(input.triggers) || input.triggers.length === 0) return 'Select at least one trigger';
+    const invalid = input.triggers.filter((t) => !TRIGGERS.includes(t));
+    if (invalid.length > 0) return `Unknown trigger(s): ${invalid.join(', ')}`;
+  }
+  if (input.token !== undefined && input.token !== null && typeof input.token !== 'string') {
+    return 'Token must be a string';
+  }
+  return null;
+}
+
+function listTargets() {
+  return db.prepare('SELECT * FROM webhook_targets ORDER BY id').all().map(toTarget);
+}
+
+function getTarget(id) {
+  return toTarget(db.prepare('SELECT * FROM webhook_targets WHERE id = ?').get(id));
+}
+
+function createTarget(input) {
+  const now = new Date().toISOString();
+  const result = db
+    .prepare(
+      'INSERT INTO webhook_targets (name, type, url, token, triggers, enabled, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    )
+    .run(
+      input.name.trim(),
+      input.type,
+      input.url.trim(),
+      input.token || null,
+      JSON.stringify(input.triggers),
+      input.enabled === false ? 0 : 1,
+      now,
+      now
+    );
+  logger.info(`Webhook target created: ${input.name} (${input.type})`);
+  return getTarget(result.lastInsertRowid);
+}
+
+/**
+ * Updates a target. Omitted fields are kept; an empty token string clears the stored token.
+ */
+function updateTarget(id, input) {
+  const existing = db.prepare('SELECT * FROM webhook_targets WHERE id = ?').get(id);
+  if (!existing) return null;
+
+  const token = input.token === undefined ? existing.token : (input.token || null);
+  db.prepare(
+    'UPDATE webhook_targets SET name = ?, type = ?, url = ?, token = ?, triggers = ?, enabled = ?, updated_at = ? WHERE id = ?'
+  ).run(
+    input.name !== undefined ? input.name.trim() : existing.name,
+    input.type !== undefined ? input.type : existing.type,
+    input.url !== undefined ? input.url.trim() : existing.url,
+    token,
+    input.triggers !== undefined ? JSON.stringify(input.triggers) : existing.triggers,
+    input.enabled !== undefined ? (input.enabled ? 1 : 0) : existing.enabled,
+    new Date().toISOString(),
+    id
+  );
+  return getTarget(id);
+}
+
+function deleteTarget(id) {
+  return db.prepare('DELETE FROM webhook_targets WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Builds the HTTP request for a target type.
+ * @param {Object} target - Target row including token
+ * @param {Object} notification - { trigger, title, message, server_id, server, timestamp, details }
+ * @returns {{url: string, headers: Object, body: string}}
+ */
+function buildRequest(target, notification) {
+  const urgent = URGENT_TRIGGERS.has(notification.trigger);
+  const text = `${notification.title}\n${notification.message}`;
+
+  switch (target.type) {
+    case 'slack':
+      return {
+        url: target.url,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: `*${notification.title}*\n${notification.message}` }),
+      };
+    case 'discord':
+      return {
+        url: target.url,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: `**${notification.title}**\n${notification.message}`.slice(0, 2000) }),
+      };
+    case 'ntfy': {
+      const headers = {
+        'Content-Type': 'text/plain',
+        Title: notification.title,
+        Priority: urgent ? 'high' : 'default',
+        Tags: urgent ? 'warning' : 'information_source',
+      };
+      if (target.token) headers.Authorization = `Bearer ${target.token}`;
+      return { url: target.url, headers, body: notification.message };
+    }
+    case 'gotify': {
+      const headers = { 'Content-Type': 'application/json' };
+      if (target.token) headers['X-Gotify-Key'] = target.token;
+      const base = target.url.replace(/\/+$/, '');
+      return {
+        url: base.endsWith('/message') ? base : `${base}/message`,
+        headers,
+        body: JSON.stringify({ title: notification.title, message: notification.message, priority: urgent ? 8 : 4 }),
+      };
+    }
+    default: {
+      const headers = { 'Content-Type': 'application/json' };
+      if (target.token) headers.Authorization = `Bearer ${target.token}`;
+      return {
+        url: target.url,
+        headers,
+        body: JSON.stringify({
+          event: notification.trigger,
+          title: notification.title,
+          message: notification.message,
+          text,
+          server_id: notification.server_id || null,
+          server: notification.server || null,
+          timestamp: notification.timestamp,
+          details: notification.details || {},
+        }),
+      };
+    }
+  }
+}
+
+async function sendToTarget(target, notification) {
+  const request = buildRequest(target, notification);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  const sentAt = new Date().toISOString();
+
+  try {
+    const res = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: request.body,
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}`);
+    }
+    db.prepare('UPDATE webhook_targets SET last_status = ?, last_error = NULL, last_sent_at = ? WHERE id = ?')
+      .run('ok', sentAt, target.id);
+    return { success: true };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Request timeout' : error.message;
+    logger.warn(`Webhook "${target.name}" failed: ${message}`);
+    db.prepare('UPDATE webhook_targets SET last_status = ?, last_error = ?, last_sent_at = ? WHERE id = ?')
+      .run('error', message, sentAt, target.id);
+    return { success: false, error: message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function resolveServerLabel(serverId) {
+  if (!serverId) return null;
+  const row = db.prepare('SELECT label FROM servers WHERE id = ?').get(serverId);
+  return row?.label || serverId;
+}
+
+/**
+ * Sends a notification to every enabled target subscribed to its trigger.
+ * Never throws; delivery failures are logged and stored on the target.
+ * @param {Object} notification - { trigger, title, message, server_id?, details? }
+ * @returns {Promise<number>} Number of targets notified successfully
+ */
+async function notify(notification) {
+  try {
+    const targets = db
+      .prepare('SELECT * FROM webhook_targets WHERE enabled = 1')
+      .all()
+      .filter((row) => parseTriggers(row.triggers).includes(notification.trigger));
+    if (targets.length === 0) return 0;
+
+    const payload = {
+      ...notification,
+      server: notification.server || resolveServerLabel(notification.server_id),
+      timestamp: new Date().toISOString(),
+    };
+    const results = await Promise.all(targets.map((target) => sendToTarget(target, payload)));
+    const delivered = results.filter((r) => r.success).length;
+    logger.debug(`Notification ${notification.trigger} delivered to ${delivered}/${targets.length} target(s)`);
+    return delivered;
+  } catch (error) {
+    logger.error('Failed to dispatch notification:', error.message);
+    logger.debug('Stack trace:', error.stack || '');
+    return 0;
+  }
+}
+
+/**
+ * Sends a test message to a single target regardless of its triggers.
+ */
+async function sendTest(id) {
+  const row = db.prepare('SELECT * FROM webhook_targets WHERE id = ?').get(id);
+  if (!row) return null;
+  return sendToTarget(row, {
+    trigger: 'test',
+    title: 'portracker test notification',
+    message: `Webhook "${row.name}" is configured correctly.`,
+    server_id: 'local',
+    server: resolveServerLabel('local'),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Turns activity log events into notifications for the port_opened and port_closed triggers.
+ * @param {string} serverId - The server the events belong to
+ * @param {Array} events - Events from port-events
+ */
+function notifyPortEvents(serverId, events) {
+  for (const event of events || []) {
+    if (event.event_type !== 'port_opened' && event.event_type !== 'port_closed') continue;
+    const opened = event.event_type === 'port_opened';
+    const server = resolveServerLabel(serverId);
+    const binding = `${event.host_port}/${event.protocol} on ${event.host_ip}`;
+    notify({
+      trigger: event.event_type,
+      title: opened ? `Port opened on ${server}` : `Port closed on ${server}`,
+      message: opened
+        ? `${binding} is now published by ${event.owner || 'an unknown process'}`
+        : `${binding} (${event.owner || 'unknown'}) is no longer published`,
+      server_id: serverId,
+      server,
+      details: event,
+    });
+  }
+}
+
+module.exports = {
+  TARGET_TYPES,
+  TRIGGERS,
+  validateTarget,
+  listTargets,
+  getTarget,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  buildRequest,
+  notify,
+  notifyPortEvents,
+  sendTest
+};
@@ -0,0 +1,353 @@
+/**
+ * OpenID Connect Client
+ *
+ * Single sign-on against an OIDC provider (Authelia, Keycloak, Authentik, ...) using the
+ * authorization code flow with PKCE. Configured through environment variables:
+ *
+ *   OIDC_ISSUER          Issuer URL, used for discovery (/.well-known/openid-configuration)
+ *   OIDC_CLIENT_ID       Client ID registered with the provider
+ *   OIDC_CLIENT_SECRET   Client secret (omit for public clients)
+ *   OIDC_REDIRECT_URI    Callback URL, defaults to <request origin>/api/auth/oidc/callback
+ *   OIDC_SCOPES          Requested scopes (default: "openid profile email groups")
+ *   OIDC_USERNAME_CLAIM  Claim used as the username (default: preferred_username)
+ *   OIDC_ROLE_CLAIM      Claim holding groups or roles, dotted paths allowed (default: groups)
+ *   OIDC_ADMIN_VALUES    Comma-separated claim values that map to the admin role
+ *   OIDC_EDITOR_VALUES   Comma-separated claim values that map to the editor role
+ *   OIDC_VIEWER_VALUES   Comma-separated claim values that map to the viewer role
+ *   OIDC_DEFAULT_ROLE    Role when no value matches: viewer (default), editor, admin or none to deny
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+
+const logger = new Logger('OIDC', { debug: process.env.DEBUG === 'true' });
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const JWT_ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  RS384: { kty: 'RSA', hash: 'sha384' },
+  RS512: { kty: 'RSA', hash: 'sha512' },
+  PS256: { kty: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { kty: 'RSA', hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { kty: 'RSA', hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { kty: 'EC', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { kty: 'EC', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { kty: 'EC', hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { kty: 'OKP', hash: null },
+  HS256: { hmac: 'sha256' },
+  HS384: { hmac: 'sha384' },
+  HS512: { hmac: 'sha512' },
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function splitList(value) {
+  return (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+function getConfig() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+    roleValues: {
+      admin: splitList(process.env.OIDC_ADMIN_VALUES),
+      editor: splitList(process.env.OIDC_EDITOR_VALUES),
+      viewer: splitList(process.env.OIDC_VIEWER_VALUES),
+    },
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer',
+  };
+}
+
+/**
+ * Check if OIDC login is configured
+ */
+function isOidcEnabled() {
+  const config = getConfig();
+  return !!(config.issuer && config.clientId);
+}
+
+async function fetchJson(url, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      body = null;
+    }
+    if (!response.ok) {
+      const detail = body?.error_description || body?.error || text.slice(0, 200) || response.statusText;
+      throw new Error(`${url} returned ${response.status}: ${detail}`);
+    }
+    if (!body) {
+      throw new Error(`${url} did not return JSON`);
+    }
+    return body;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${url} timed out`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Loads the provider metadata, cached for an hour
+ */
+async function discover() {
+  const { issuer } = getConfig();
+  if (discoveryCache && discoveryCache.issuer === issuer && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL_MS) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if ((metadata.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw new Error(`Discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`Discovery document is missing ${field}`);
+    }
+  }
+
+  discoveryCache = { issuer, metadata, fetchedAt: Date.now() };
+  jwksCache = null;
+  logger.info(`OIDC provider discovered: ${issuer}`);
+  return metadata;
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function getRedirectUri(req) {
+  const { redirectUri } = getConfig();
+  if (redirectUri) return redirectUri;
+  return `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+}
+
+/**
+ * Starts a login: returns the provider URL to redirect to and the values to keep in the
+ * session until the callback (state, nonce and the PKCE code verifier)
+ */
+async function createAuthorizationRequest(req) {
+  const metadata = await discover();
+  const config = getConfig();
+
+  const pending = {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier: base64url(crypto.randomBytes(48)),
+    redirectUri: getRedirectUri(req),
+    createdAt: Date.now(),
+  };
+  const codeChallenge = base64url(crypto.createHash('sha256').update(pending.codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', pending.redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', pending.state);
+  url.searchParams.set('nonce', pending.nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.href, pending };
+}
+
+/**
+ * Returns the JWKS key for the token's kid. The key has to be of the algorithm's type and, when
+ * it names an algorithm, of the token's, so a token cannot pick how a key is used.
+ */
+async function getSigningKey(kid, alg, forceRefresh = false) {
+  const metadata = await discover();
+  if (!jwksCache || forceRefresh) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    jwksCache = Array.isArray(jwks.keys) ? jwks.keys : [];
+  }
+  const candidates = jwksCache.filter((key) => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+  if (candidates.length === 0) {
+    if (!forceRefresh) return getSigningKey(kid, alg, true);
+    throw new Error(`No signing key found for kid ${kid || '(none)'}`);
+  }
+  const key = candidates.find(
+    (candidate) => candidate.kty === JWT_ALGORITHMS[alg].kty && (!candidate.alg || candidate.alg === alg)
+  );
+  if (!key) {
+    throw new Error(`Signing key ${kid || '(none)'} cannot verify ${alg} ID tokens`);
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Verifies the ID token signature and standard claims, returning its payload
+ */
+async function verifyIdToken(idToken, nonce) {
+  const config = getConfig();
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  const signature = Buffer.from(parts[2], 'base64url');
+  const signedData = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  let valid;
+  if (algorithm.hmac) {
+    if (!config.clientSecret) {
+      throw new Error(`${header.alg} ID tokens require OIDC_CLIENT_SECRET`);
+    }
+    const expected = crypto.createHmac(algorithm.hmac, config.clientSecret).update(signedData).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    const key = await getSigningKey(header.kid, header.alg);
+    const keyOptions = { key };
+    if (algorithm.padding) keyOptions.padding = algorithm.padding;
+    if (algorithm.dsaEncoding) keyOptions.dsaEncoding = algorithm.dsaEncoding;
+    valid = crypto.verify(algorithm.hash, signedData, keyOptions, signature);
+  }
+  if (!valid) {
+    throw new Error('ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if ((payload.iss || '').replace(/\/+$/, '') !== config.issuer) {
+    throw new Error('ID token issuer does not match');
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(config.clientId)) {
+    throw new Error('ID token audience does not match');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('ID token has expired');
+  }
+  if (payload.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  if (!payload.sub) {
+    throw new Error('ID token has no subject');
+  }
+  return payload;
+}
+
+/**
+ * Completes a login: checks the state, exchanges the code and returns the verified claims,
+ * merged with the userinfo endpoint when the provider has one. Userinfo often carries claims
+ * (like groups) that the ID token leaves out; it is ignored when its subject differs.
+ */
+async function handleCallback(query, pending) {
+  if (query.error) {
+    throw new Error(query.error_description || query.error);
+  }
+  if (!pending || Date.now() - pending.createdAt > PENDING_LOGIN_TTL_MS) {
+    throw new Error('Login request expired, please try again');
+  }
+  if (!query.state || query.state !== pending.state) {
+    throw new Error('Login state does not match');
+  }
+  if (!query.code) {
+    throw new Error('Provider did not return an authorization code');
+  }
+
+  const metadata = await discover();
+  const config = getConfig();
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: query.code,
+    redirect_uri: pending.redirectUri,
+    client_id: config.clientId,
+    code_verifier: pending.codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.clientSecret) {
+    const basic = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+  if (!tokens.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+      });
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+      logger.warn('Ignoring userinfo response with a different subject');
+    } catch (error) {
+      logger.warn('Failed to load userinfo:', error.message);
+    }
+  }
+  return claims;
+}
+
+function readClaim(claims, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * Maps the configured role claim to a portracker role. The highest matching role wins.
+ * Returns null when nothing matches and OIDC_DEFAULT_ROLE is "none".
+ */
+function mapClaimsToRole(claims) {
+  const config = getConfig();
+  const raw = readClaim(claims, config.roleClaim);
+  const values = new Set(
+    (Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/[\s,]+/) : [])
+      .filter((v) => typeof v === 'string' && v)
+  );
+
+  for (const role of ['admin', 'editor', 'viewer']) {
+    if (config.roleValues[role].some((value) => values.has(value))) {
+      return role;
+    }
+  }
+  return ['admin', 'editor', 'viewer'].includes(config.defaultRole) ? config.defaultRole : null;
+}
+
+/**
+ * Picks the username for a set of claims, falling back to email and then the subject
+ */
+function getUsername(claims) {
+  const { usernameClaim } = getConfig();
+  const value = readClaim(claims, usernameClaim) || claims.preferred_username || claims.email || claims.sub;
+  return String(value).trim();
+}
+
+module.exports = {
+  isOidcEnabled,
+  discover,
+  createAuthorizationRequest,
+  handleCallback,
+  verifyIdToken,
+  mapClaimsToRole,
+  getUsername
+};
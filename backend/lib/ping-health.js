@@ -0,0 +1,51 @@
+/**
+ * In-memory record of the last /api/ping colour per service, used to detect
+ * health transitions for notifications and to report health in metrics.
+ */
+const MAX_TRACKED_SERVICES = 5000;
+
+const states = new Map();
+
+function serviceKey({ serverId, host_ip, host_port }) {
+  return `${serverId || 'local'}:${host_ip}:${host_port}`;
+}
+
+/**
+ * Stores the latest ping colour for a service.
+ * @param {Object} service - { serverId, host_ip, host_port, owner }
+ * @param {string} color - green, yellow, red or gray
+ * @returns {{previous: string|null, current: string}} The colour before and after this result
+ */
+function recordPingResult(service, color) {
+  const key = serviceKey(service);
+  const previous = states.get(key)?.color || null;
+
+  if (!states.has(key) && states.size >= MAX_TRACKED_SERVICES) {
+    const oldestKey = states.keys().next().value;
+    states.delete(oldestKey);
+  }
+
+  states.set(key, {
+    server_id: service.serverId || 'local',
+    host_ip: service.host_ip,
+    host_port: parseInt(service.host_port, 10),
+    owner: service.owner || null,
+    color,
+    updated_at: new Date().toISOString(),
+  });
+
+  return { previous, current: color };
+}
+
+/**
+ * Returns the last known ping state of every tracked service.
+ * @returns {Array<{server_id, host_ip, host_port, owner, color, updated_at}>}
+ */
+function getPingStates() {
+  return Array.from(states.values());
+}
+
+module.exports = {
+  recordPingResult,
+  getPingStates
+};
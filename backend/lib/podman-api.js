@@ -0,0 +1,219 @@
+/**
+ * Podman API Client
+ *
+ * Talks to the Podman libpod REST API over its Unix socket. Podman has no central daemon: the
+ * rootful service listens on /run/podman/podman.sock and every user running rootless containers
+ * has their own socket under /run/user/<uid>/podman/. discoverPodmanSockets() finds all of them
+ * so the collector can merge their containers.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+const { SimpleTTLCache } = require('../utils/cache');
+
+const ROOTFUL_SOCKETS = ['/run/podman/podman.sock', '/var/run/podman/podman.sock'];
+const USER_RUNTIME_ROOT = '/run/user';
+const DOCKER_COMPAT_SOCKET = '/var/run/docker.sock';
+const DEFAULT_API_VERSION = '4.0.0';
+const REQUEST_TIMEOUT_MS = 10000;
+
+function isSocket(socketPath) {
+  try {
+    return fs.statSync(socketPath).isSocket();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the Podman sockets to query. PODMAN_SOCK, or CONTAINER_HOST=unix://..., names a single
+ * socket and skips discovery; otherwise the rootful socket and each user's rootless socket are
+ * returned, deduplicated by their real path. When there are none, /var/run/docker.sock is
+ * returned as a candidate, since Podman's Docker-compatible socket is often mounted there; it
+ * only counts once it answers the libpod ping.
+ * @returns {Array<{socketPath: string, rootless: boolean, uid: number|null}>}
+ */
+function discoverPodmanSockets() {
+  const explicit = process.env.PODMAN_SOCK ||
+    (process.env.CONTAINER_HOST?.startsWith('unix://') ? process.env.CONTAINER_HOST.replace(/^unix:\/\//, '') : null);
+  if (explicit) {
+    const match = explicit.match(/\/run\/user\/(\d+)\//);
+    return [{ socketPath: explicit, rootless: !!match, uid: match ? parseInt(match[1], 10) : null }];
+  }
+
+  const candidates = ROOTFUL_SOCKETS.map(socketPath => ({ socketPath, rootless: false, uid: null }));
+  try {
+    for (const dir of fs.readdirSync(USER_RUNTIME_ROOT)) {
+      if (!/^\d+$/.test(dir)) continue;
+      candidates.push({
+        socketPath: path.join(USER_RUNTIME_ROOT, dir, 'podman', 'podman.sock'),
+        rootless: true,
+        uid: parseInt(dir, 10)
+      });
+    }
+  } catch {
+    void 0;
+  }
+
+  const seen = new Set();
+  const sockets = candidates.filter(candidate => {
+    if (!isSocket(candidate.socketPath)) return false;
+    let realPath = candidate.socketPath;
+    try {
+      realPath = fs.realpathSync(candidate.socketPath);
+    } catch {
+      void 0;
+    }
+    if (seen.has(realPath)) return false;
+    seen.add(realPath);
+    return true;
+  });
+
+  if (sockets.length === 0 && isSocket(DOCKER_COMPAT_SOCKET)) {
+    sockets.push({ socketPath: DOCKER_COMPAT_SOCKET, rootless: false, uid: null });
+  }
+  return sockets;
+}
+
+class PodmanAPIClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.socketPath - Path of the Podman API socket
+   * @param {boolean} [options.rootless=false] - Whether the socket belongs to a rootless user service
+   * @param {number|null} [options.uid=null] - Owner of a rootless socket
+   */
+  constructor({ socketPath, rootless = false, uid = null }) {
+    this.logger = new Logger('PodmanAPI', { debug: process.env.DEBUG === 'true' });
+    this.socketPath = socketPath;
+    this.rootless = rootless;
+    this.uid = uid;
+    this.apiVersion = null;
+    this.isConnected = false;
+    this.cache = new SimpleTTLCache();
+    this.ttl = {
+      containers: parseInt(process.env.PODMAN_CACHE_CONTAINERS_TTL_MS || '4000', 10),
+      inspect: parseInt(process.env.PODMAN_CACHE_INSPECT_TTL_MS || '5000', 10)
+    };
+  }
+
+  /** Short label for logs, e.g. "rootless uid 1000" */
+  get label() {
+    return this.rootless ? `rootless${this.uid !== null ? ` uid ${this.uid}` : ''}` : 'rootful';
+  }
+
+  /**
+   * Send a request to the socket and resolve with the status, headers and raw body
+   * @private
+   */
+  _send(method, requestPath) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        { socketPath: this.socketPath, path: requestPath, method, headers: { accept: 'application/json' } },
+        (res) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          }));
+          res.on('error', reject);
+        }
+      );
+      req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`Podman API request timed out: ${requestPath}`)));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  /**
+   * Call a libpod endpoint under the negotiated API version and parse the JSON response
+   * @param {string} endpoint - Path below /libpod, e.g. "/containers/json"
+   */
+  async request(endpoint) {
+    await this._ensureConnected();
+    const { status, body } = await this._send('GET', `/v${this.apiVersion}/libpod${endpoint}`);
+    let data = null;
+    try {
+      data = body ? JSON.parse(body) : null;
+    } catch {
+      data = null;
+    }
+    if (status < 200 || status >= 300) {
+      throw new Error(data?.message || `Podman API returned HTTP ${status} for ${endpoint}`);
+    }
+    return data;
+  }
+
+  /** Ping the socket, taking the API version to use from the Libpod-API-Version header */
+  async connect() {
+    try {
+      const { status, headers } = await this._send('GET', '/libpod/_ping');
+      if (status !== 200) {
+        throw new Error(`HTTP ${status}`);
+      }
+      this.apiVersion = headers['libpod-api-version'] || DEFAULT_API_VERSION;
+      this.isConnected = true;
+      this.logger.debug(`Podman API connected at ${this.socketPath} (${this.label}, API ${this.apiVersion})`);
+      return true;
+    } catch (error) {
+      this.logger.debug(`Podman API connection failed at ${this.socketPath}:`, error.message);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  async _ensureConnected() {
+    if (!this.isConnected && !(await this.connect())) {
+      throw new Error(`Podman API connection failed (${this.socketPath})`);
+    }
+  }
+
+  async getVersion() {
+    return this.request('/version');
+  }
+
+  async getInfo() {
+    return this.request('/info');
+  }
+
+  /** Running containers, with pod membership and port mappings */
+  async listContainers() {
+    return this.cache.getOrSet('containers', this.ttl.containers, async () => (await this.request('/containers/json')) || []);
+  }
+
+  async inspectContainer(containerId) {
+    return this.cache.getOrSet(`inspect:${containerId}`, this.ttl.inspect, () =>
+      this.request(`/containers/${encodeURIComponent(containerId)}/json`)
+    );
+  }
+
+  async listPods() {
+    return (await this.request('/pods/json')) || [];
+  }
+
+  /**
+   * Container state and healthcheck result, in the same shape as DockerAPIClient.getContainerHealth
+   */
+  async getContainerHealth(containerId) {
+    try {
+      const inspection = await this.inspectContainer(containerId);
+      const health = inspection.State?.Health || inspection.State?.Healthcheck;
+      return {
+        status: inspection.State?.Status || 'unknown',
+        health: health?.Status || 'none',
+        startedAt: inspection.State?.StartedAt || null,
+        finishedAt: inspection.State?.FinishedAt || null,
+        restartCount: inspection.RestartCount || 0,
+        pid: inspection.State?.Pid || null
+      };
+    } catch (error) {
+      this.logger.warn(`getContainerHealth failed for ${containerId}:`, error.message);
+      return { status: 'unknown', health: 'unknown', startedAt: null, finishedAt: null, restartCount: 0, pid: null };
+    }
+  }
+}
+
+module.exports = { PodmanAPIClient, discoverPodmanSockets, DOCKER_COMPAT_SOCKET };
@@ -0,0 +1,207 @@
+/**
+ * Port conflict checks shared by POST /api/servers/:id/port-conflicts and the compose
+ * pre-flight check, so both report the same clashes for the same ports.
+ */
+
+const WILDCARD_IPS = new Set(['', '0.0.0.0', '::', '*']);
+
+function normalizeBindIp(ip) {
+  return String(ip || '').replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Whether two bind addresses can collide: either side binds all interfaces, or both are the same.
+ */
+function bindAddressesOverlap(a, b) {
+  const left = normalizeBindIp(a);
+  const right = normalizeBindIp(b);
+  return WILDCARD_IPS.has(left) || WILDCARD_IPS.has(right) || left === right;
+}
+
+function describeHolder(port) {
+  return {
+    owner: port.owner || null,
+    host_ip: port.host_ip || null,
+    source: port.source || null,
+    container_id: port.container_id || null,
+    compose_project: port.compose_project || null,
+    compose_service: port.compose_service || null,
+  };
+}
+
+/**
+ * Whether a bound port belongs to the compose service making the request, and to its
+ * project when one is given. Redeploying that service frees the port first.
+ */
+function heldByOwnService(port, request, project) {
+  return !!request.service &&
+    port.compose_service === request.service &&
+    (!project || port.compose_project === project);
+}
+
+/**
+ * Checks requested host ports against a server's bound ports, its port reservations,
+ * the built-in reserved set and the requests before them. Bound ports and other requests
+ * only clash when their bind addresses overlap. A reservation owned by the requesting
+ * service does not count.
+ * @param {Array} requests - { service, raw, host_ip, host_port, protocol, ephemeral, entry }
+ * @param {Array} livePorts - Port entries from the server's collector
+ * @param {Object} [options]
+ * @param {Array} [options.reservations] - Active port reservations of the server
+ * @param {Set<number>} [options.builtInReserved] - Ports the generator never suggests
+ * @param {string} [options.project] - Compose project the requests belong to
+ * @returns {Array} Each request with reasons (most severe first: in_use, duplicate,
+ *   reservation, reserved), bound_by (holders that clash), held_by (holders that are the
+ *   requesting service itself), duplicate (the earlier request) and reservation
+ */
+function checkPortRequests(requests, livePorts, { reservations = [], builtInReserved = new Set(), project = null } = {}) {
+  const ports = (livePorts || []).filter((port) => port && !port.error && !port.internal);
+  const earlier = [];
+
+  return requests.map((request) => {
+    if (request.ephemeral) {
+      return { ...request, reasons: [], bound_by: [], held_by: [], duplicate: null, reservation: null };
+    }
+
+    const holders = ports.filter(
+      (port) =>
+        parseInt(port.host_port, 10) === request.host_port &&
+        (port.protocol || 'tcp') === request.protocol &&
+        bindAddressesOverlap(port.host_ip, request.host_ip)
+    );
+    const boundBy = holders.filter((port) => !heldByOwnService(port, request, project)).map(describeHolder);
+    const heldBy = holders.filter((port) => heldByOwnService(port, request, project)).map(describeHolder);
+
+    const duplicate = earlier.find(
+      (other) =>
+        (request.entry === undefined || other.entry !== request.entry) &&
+        other.host_port === request.host_port &&
+        other.protocol === request.protocol &&
+        bindAddressesOverlap(other.host_ip, request.host_ip)
+    ) || null;
+    earlier.push(request);
+
+    const reservation = reservations.find(
+      (r) =>
+        r.host_port === request.host_port &&
+        r.protocol === request.protocol &&
+        !(request.service && String(r.owner).toLowerCase() === String(request.service).toLowerCase())
+    ) || null;
+
+    const reasons = [];
+    if (boundBy.length > 0) reasons.push('in_use');
+    if (duplicate) reasons.push('duplicate');
+    if (reservation) reasons.push('reservation');
+    if (builtInReserved.has(request.host_port)) reasons.push('reserved');
+
+    return { ...request, reasons, bound_by: boundBy, held_by: heldBy, duplicate, reservation };
+  });
+}
+
+/**
+ * Turns the checks of one compose mapping into a pre-flight verdict. Bound ports and
+ * duplicates fail, reservations warn, and ports held by the service being deployed pass
+ * (or warn without a project name, since the service name alone may match another stack).
+ * Ports in the built-in reserved set pass with a note.
+ */
+function toPreflightCheck(check, project) {
+  const base = { host_port: check.host_port, holder: null };
+  if (check.ephemeral) {
+    return { ...base, host_port: null, result: 'pass', reason: 'ephemeral', message: 'Docker assigns a free host port' };
+  }
+  if (check.reasons.includes('in_use')) {
+    const holder = check.bound_by[0];
+    return {
+      ...base,
+      result: 'fail',
+      reason: 'bound',
+      message: `Already bound by ${holder.owner || 'another process'} on ${holder.host_ip || 'all interfaces'}`,
+      holder,
+    };
+  }
+  if (check.reasons.includes('duplicate')) {
+    return {
+      ...base,
+      result: 'fail',
+      reason: 'duplicate',
+      message: `Also published by ${check.duplicate.service} ("${check.duplicate.raw}") in this file`,
+    };
+  }
+  if (check.held_by.length > 0) {
+    const holder = check.held_by[0];
+    return project
+      ? {
+        ...base,
+        result: 'pass',
+        reason: 'same_stack',
+        message: `Held by this stack's running ${holder.owner || 'container'}; freed on redeploy`,
+        holder,
+      }
+      : {
+        ...base,
+        result: 'warn',
+        reason: 'same_service',
+        message: `Bound by ${holder.owner || 'a container'} of a service named "${check.service}"; set the project name to confirm it belongs to this stack`,
+        holder,
+      };
+  }
+  if (check.reasons.includes('reservation')) {
+    const { reservation } = check;
+    return {
+      ...base,
+      result: 'warn',
+      reason: 'reservation',
+      message: `Reserved for ${reservation.owner}${reservation.purpose ? ` (${reservation.purpose})` : ''}`,
+    };
+  }
+  if (check.reasons.includes('reserved')) {
+    return { ...base, result: 'pass', reason: 'reserved', message: 'Free; well-known or commonly used port' };
+  }
+  return { ...base, result: 'pass', reason: 'free', message: 'Free' };
+}
+
+const RESULT_SEVERITY = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * Checks parsed compose mappings against the ports currently bound on a server, using the
+ * same checks as the port conflict analysis.
+ * @param {{mappings: Array, errors: Array}} parsed - Result of parseComposePorts()
+ * @param {Array} livePorts - Port entries from the server's collector
+ * @param {Object} [options]
+ * @param {string} [options.project] - Compose project name of the stack being deployed
+ * @param {Array} [options.reservations] - Active port reservations of the server
+ * @param {Set<number>} [options.builtInReserved] - Ports the generator never suggests
+ * @returns {{passed: boolean, summary: Object, mappings: Array}} One report entry per compose ports entry
+ */
+function preflightComposePorts(parsed, livePorts, { project = null, reservations = [], builtInReserved = new Set() } = {}) {
+  const checks = checkPortRequests(parsed.mappings, livePorts, { reservations, builtInReserved, project });
+  const entries = new Map();
+  checks.forEach((checked) => {
+    const check = toPreflightCheck(checked, project);
+    if (!entries.has(checked.entry)) {
+      entries.set(checked.entry, {
+        service: checked.service,
+        raw: checked.raw,
+        host_ip: checked.host_ip,
+        protocol: checked.protocol,
+        host_ports: checked.ephemeral ? null : (checked.range || String(checked.host_port)),
+        result: 'pass',
+        checks: [],
+      });
+    }
+    const entry = entries.get(checked.entry);
+    entry.checks.push({ ...check, container_port: checked.container_port });
+    if (RESULT_SEVERITY[check.result] > RESULT_SEVERITY[entry.result]) entry.result = check.result;
+  });
+
+  const mappings = Array.from(entries.values());
+  const summary = { pass: 0, warn: 0, fail: 0, errors: parsed.errors.length };
+  mappings.forEach((entry) => summary[entry.result]++);
+  return { passed: summary.fail === 0 && summary.errors === 0, summary, mappings };
+}
+
+module.exports = {
+  bindAddressesOverlap,
+  checkPortRequests,
+  preflightComposePorts
+};
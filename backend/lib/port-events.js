@@ -0,0 +1,210 @@
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('PortEvents', { debug: process.env.DEBUG === 'true' });
+
+const EVENT_TYPES = ['port_opened', 'port_closed', 'owner_changed', 'container_changed'];
+const DEFAULT_EVENTS_LIMIT = 200;
+const MAX_EVENTS_LIMIT = 2000;
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS || '30', 10);
+
+/**
+ * Builds the identity used to match a port across scans. Published ports are matched on
+ * host binding alone so a container swap shows up as container_changed; internal ports are
+ * only meaningful per container so the container is part of their identity.
+ */
+function eventKey(port) {
+  const base = `${port.host_ip}:${parseInt(port.host_port, 10)}:${port.protocol || 'tcp'}`;
+  return port.internal ? `${base}:internal:${port.container_id || ''}` : base;
+}
+
+function indexPorts(ports) {
+  const map = new Map();
+  for (const port of ports || []) {
+    if (!port || !port.host_ip || !Number.isInteger(parseInt(port.host_port, 10))) continue;
+    const key = eventKey(port);
+    if (!map.has(key)) map.set(key, port);
+  }
+  return map;
+}
+
+function ownerOf(port) {
+  return port.customServiceName || port.owner || null;
+}
+
+/**
+ * Compares two scan results and returns the differences as event objects.
+ * @param {Array} previous - Ports from the previous scan
+ * @param {Array} current - Ports from the current scan
+ * @returns {Array} Events with event_type, host_ip, host_port, protocol, container_id, owner, previous_value, current_value
+ */
+function diffScans(previous, current) {
+  const before = indexPorts(previous);
+  const after = indexPorts(current);
+  const events = [];
+
+  const base = (port) => ({
+    host_ip: port.host_ip,
+    host_port: parseInt(port.host_port, 10),
+    protocol: port.protocol || 'tcp',
+    container_id: port.container_id || null,
+    owner: ownerOf(port),
+  });
+
+  for (const [key, port] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      events.push({ event_type: 'port_opened', ...base(port), previous_value: null, current_value: ownerOf(port) });
+      continue;
+    }
+    const prevContainer = prev.container_id || null;
+    const currContainer = port.container_id || null;
+    if (prevContainer !== currContainer) {
+      events.push({ event_type: 'container_changed', ...base(port), previous_value: prevContainer, current_value: currContainer });
+    } else if ((ownerOf(prev) || null) !== (ownerOf(port) || null)) {
+      events.push({ event_type: 'owner_changed', ...base(port), previous_value: ownerOf(prev), current_value: ownerOf(port) });
+    }
+  }
+
+  for (const [key, port] of before) {
+    if (!after.has(key)) {
+      events.push({ event_type: 'port_closed', ...base(port), previous_value: ownerOf(port), current_value: null });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Persists a list of events for a server.
+ * @param {string} serverId - The server ID
+ * @param {Array} events - Events produced by diffScans
+ * @param {Date} [occurredAt] - Event timestamp, defaults to now
+ * @returns {Array} The stored events including id, server_id and created_at
+ */
+function saveEvents(serverId, events, occurredAt = new Date()) {
+  if (!Array.isArray(events) || events.length === 0) return [];
+
+  const createdAt = occurredAt.toISOString();
+  const insertStmt = db.prepare(
+    'INSERT INTO port_events (server_id, event_type, host_ip, host_port, protocol, container_id, owner, previous_value, current_value, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  );
+
+  const stored = [];
+  const transaction = db.transaction(() => {
+    for (const event of events) {
+      const result = insertStmt.run(
+        serverId,
+        event.event_type,
+        event.host_ip ?? null,
+        event.host_port ?? null,
+        event.protocol ?? null,
+        event.container_id ?? null,
+        event.owner ?? null,
+        event.previous_value ?? null,
+        event.current_value ?? null,
+        createdAt
+      );
+      stored.push({ id: Number(result.lastInsertRowid), server_id: serverId, ...event, created_at: createdAt });
+    }
+  });
+  transaction();
+  return stored;
+}
+
+/**
+ * Diffs a fresh scan against the last recorded scan of the server and stores the changes.
+ * Must be called before the scan is recorded into port history. The first scan of a server
+ * produces no events; an empty scan closes every port of the previous one.
+ * @param {string} serverId - The server ID
+ * @param {Array} previousPorts - Ports from the previous scan, or null if there is none
+ * @param {Array} currentPorts - Ports from the current scan
+ * @returns {Array} The stored events
+ */
+function recordScanEvents(serverId, previousPorts, currentPorts) {
+  if (!serverId || previousPorts === null || !Array.isArray(currentPorts)) {
+    return [];
+  }
+
+  try {
+    const events = diffScans(previousPorts, currentPorts);
+    const stored = saveEvents(serverId, events);
+    if (stored.length > 0) {
+      logger.debug(`Recorded ${stored.length} port events for server ${serverId}`);
+    }
+    pruneEvents();
+    return stored;
+  } catch (error) {
+    logger.error(`Failed to record port events for server ${serverId}:`, error.message);
+    logger.debug('Stack trace:', error.stack || '');
+    return [];
+  }
+}
+
+/**
+ * Removes events older than EVENT_RETENTION_DAYS. A value of 0 keeps events forever.
+ */
+function pruneEvents() {
+  if (!Number.isInteger(EVENT_RETENTION_DAYS) || EVENT_RETENTION_DAYS <= 0) return;
+  const cutoff = new Date(Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM port_events WHERE created_at < ?').run(cutoff);
+}
+
+/**
+ * Queries the event log, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.serverId] - Only events for this server
+ * @param {string} [filters.since] - Only events at or after this ISO timestamp
+ * @param {string} [filters.until] - Only events at or before this ISO timestamp
+ * @param {Array<string>} [filters.types] - Only these event types
+ * @param {number} [filters.limit] - Maximum number of events to return
+ * @returns {Array}
+ */
+function getEvents(filters = {}) {
+  const { serverId = null, since = null, until = null, types = null } = filters;
+  let limit = parseInt(filters.limit, 10);
+  if (!Number.isInteger(limit) || limit <= 0) limit = DEFAULT_EVENTS_LIMIT;
+  if (limit > MAX_EVENTS_LIMIT) limit = MAX_EVENTS_LIMIT;
+
+  const clauses = [];
+  const params = [];
+  if (serverId) {
+    clauses.push('server_id = ?');
+    params.push(serverId);
+  }
+  if (since) {
+    clauses.push('created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    clauses.push('created_at <= ?');
+    params.push(until);
+  }
+  if (Array.isArray(types) && types.length > 0) {
+    clauses.push(`event_type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  params.push(limit);
+
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  return db
+    .prepare(`SELECT * FROM port_events ${where} ORDER BY created_at DESC, id DESC LIMIT ?`)
+    .all(...params);
+}
+
+/**
+ * Removes all events for a server.
+ * @param {string} serverId - The server ID
+ */
+function clearEvents(serverId) {
+  db.prepare('DELETE FROM port_events WHERE server_id = ?').run(serverId);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  eventKey,
+  diffScans,
+  recordScanEvents,
+  getEvents,
+  clearEvents
+};
@@ -0,0 +1,173 @@
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('PortHistory', { debug: process.env.DEBUG === 'true' });
+
+const DEFAULT_HISTORY_LIMIT = 500;
+const MAX_HISTORY_LIMIT = 5000;
+
+/**
+ * Returns the time of the last recorded scan of a server. Servers scanned before
+ * last_scan_at existed fall back to their newest observation.
+ * @param {string} serverId - The server ID
+ * @returns {string|null} ISO timestamp, or null if the server was never scanned
+ */
+function getLastScanTime(serverId) {
+  const row = db
+    .prepare(
+      'SELECT s.last_scan_at, (SELECT MAX(last_seen) FROM port_observations WHERE server_id = s.id) AS last_seen FROM servers s WHERE s.id = ?'
+    )
+    .get(serverId);
+  return row?.last_scan_at || row?.last_seen || null;
+}
+
+/**
+ * Records a scan result for a server. Each (host_ip, host_port, protocol, container_id)
+ * seen in the scan gets its last_seen bumped and scan_count incremented, or a new
+ * observation row is created with first_seen set to the scan time. The scan time is
+ * stored on the server even when the scan found no ports, so an empty scan becomes
+ * the latest snapshot.
+ * @param {string} serverId - The server the ports were collected from
+ * @param {Array} ports - Normalized port entries from a collector or peer scan
+ * @param {Date} [scannedAt] - Scan timestamp, defaults to now
+ * @returns {number} Number of observations written
+ */
+function recordObservations(serverId, ports, scannedAt = new Date()) {
+  if (!serverId || !Array.isArray(ports)) {
+    return 0;
+  }
+
+  const timestamp = scannedAt.toISOString();
+  const findStmt = db.prepare(
+    'SELECT id FROM port_observations WHERE server_id = ? AND host_ip = ? AND host_port = ? AND protocol = ? AND (container_id = ? OR (container_id IS NULL AND ? IS NULL))'
+  );
+  const updateStmt = db.prepare(
+    'UPDATE port_observations SET last_seen = ?, scan_count = scan_count + 1, owner = ?, source = ?, internal = ? WHERE id = ?'
+  );
+  const insertStmt = db.prepare(
+    'INSERT INTO port_observations (server_id, host_ip, host_port, protocol, container_id, owner, source, internal, first_seen, last_seen, scan_count) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)'
+  );
+  const scanStmt = db.prepare('UPDATE servers SET last_scan_at = ? WHERE id = ?');
+
+  const seen = new Set();
+  let written = 0;
+
+  const transaction = db.transaction(() => {
+    for (const port of ports) {
+      const hostPort = parseInt(port?.host_port, 10);
+      if (!port || !port.host_ip || !Number.isInteger(hostPort)) continue;
+
+      const protocol = port.protocol || 'tcp';
+      const containerId = port.container_id || null;
+      const key = `${port.host_ip}:${hostPort}:${protocol}:${containerId || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const owner = port.customServiceName || port.owner || null;
+      const internal = port.internal ? 1 : 0;
+      const existing = findStmt.get(serverId, port.host_ip, hostPort, protocol, containerId, containerId);
+
+      if (existing) {
+        updateStmt.run(timestamp, owner, port.source || null, internal, existing.id);
+      } else {
+        insertStmt.run(serverId, port.host_ip, hostPort, protocol, containerId, owner, port.source || null, internal, timestamp, timestamp);
+      }
+      written++;
+    }
+    scanStmt.run(timestamp, serverId);
+  });
+
+  try {
+    transaction();
+    logger.debug(`Recorded ${written} port observations for server ${serverId}`);
+  } catch (error) {
+    logger.error(`Failed to record port observations for server ${serverId}:`, error.message);
+    logger.debug('Stack trace:', error.stack || '');
+    return 0;
+  }
+
+  return written;
+}
+
+/**
+ * Returns the recorded port history for a server, newest activity first.
+ * Observations whose last_seen matches the server's most recent scan are flagged as active.
+ * @param {string} serverId - The server ID
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only include observations seen at or after this ISO timestamp
+ * @param {number} [options.port] - Only include observations for this host port
+ * @param {number} [options.limit] - Maximum number of rows to return
+ * @returns {{lastScan: string|null, observations: Array}}
+ */
+function getHistory(serverId, options = {}) {
+  const { since = null, port = null } = options;
+  let limit = parseInt(options.limit, 10);
+  if (!Number.isInteger(limit) || limit <= 0) limit = DEFAULT_HISTORY_LIMIT;
+  if (limit > MAX_HISTORY_LIMIT) limit = MAX_HISTORY_LIMIT;
+
+  const lastScan = getLastScanTime(serverId);
+
+  const clauses = ['server_id = ?'];
+  const params = [serverId];
+  if (since) {
+    clauses.push('last_seen >= ?');
+    params.push(since);
+  }
+  if (port != null) {
+    clauses.push('host_port = ?');
+    params.push(port);
+  }
+  params.push(limit);
+
+  const rows = db
+    .prepare(
+      `SELECT server_id, host_ip, host_port, protocol, container_id, owner, source, internal, first_seen, last_seen, scan_count
+       FROM port_observations WHERE ${clauses.join(' AND ')}
+       ORDER BY last_seen DESC, first_seen DESC LIMIT ?`
+    )
+    .all(...params);
+
+  return {
+    lastScan,
+    observations: rows.map((row) => ({
+      ...row,
+      internal: !!row.internal,
+      active: lastScan !== null && row.last_seen === lastScan,
+    })),
+  };
+}
+
+/**
+ * Returns the ports seen in the most recent recorded scan of a server.
+ * @param {string} serverId - The server ID
+ * @returns {Array|null} Observation rows from the last scan (empty if it found nothing), or null if the server was never scanned
+ */
+function getLatestSnapshot(serverId) {
+  const lastScan = getLastScanTime(serverId);
+  if (!lastScan) return null;
+
+  return db
+    .prepare(
+      'SELECT host_ip, host_port, protocol, container_id, owner, source, internal FROM port_observations WHERE server_id = ? AND last_seen = ?'
+    )
+    .all(serverId, lastScan)
+    .map((row) => ({ ...row, internal: !!row.internal }));
+}
+
+/**
+ * Removes all recorded observations for a server.
+ * @param {string} serverId - The server ID
+ */
+function clearHistory(serverId) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM port_observations WHERE server_id = ?').run(serverId);
+    db.prepare('UPDATE servers SET last_scan_at = NULL WHERE id = ?').run(serverId);
+  })();
+}
+
+module.exports = {
+  recordObservations,
+  getHistory,
+  getLatestSnapshot,
+  clearHistory
+};
@@ -0,0 +1,262 @@
+/**
+ * Per-server port suggestion policies.
+ *
+ * A policy is stored as JSON in servers.port_policy:
+ * {
+ *   mode: 'random' | 'sequential',
+ *   allowed_ranges: [{ start, end }],      // defaults to GENERATE_PORT_MIN..GENERATE_PORT_MAX
+ *   excluded_ranges: [{ start, end }],
+ *   sequential_start: 40000,               // sequential mode: next free port after this one
+ *   categories: { web: { start, end }, db: { start, end }, monitoring: { start, end } }
+ * }
+ */
+const db = require('../db');
+
+const POLICY_MODES = ['random', 'sequential'];
+const POLICY_CATEGORIES = ['web', 'db', 'monitoring'];
+const MAX_RANGES = 32;
+const MAX_CONTIGUOUS_PORTS = 100;
+const PORT_FLOOR = 1024;
+
+function isPort(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+function validateRange(range, label) {
+  if (!range || typeof range !== 'object') return `${label} must be an object with start and end`;
+  if (!isPort(range.start) || !isPort(range.end)) return `${label} start and end must be ports between 1 and 65535`;
+  if (range.start > range.end) return `${label} start must not be greater than end`;
+  return null;
+}
+
+function validateRangeList(list, label) {
+  if (!Array.isArray(list)) return `${label} must be an array`;
+  if (list.length > MAX_RANGES) return `${label} can have at most ${MAX_RANGES} entries`;
+  for (let i = 0; i < list.length; i++) {
+    const error = validateRange(list[i], `${label}[${i}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Validates a policy. Returns an error message, or null when the policy is valid.
+ * @param {Object|null} policy - null resets the server to the global defaults
+ */
+function validatePolicy(policy) {
+  if (policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'Policy must be an object';
+
+  if (policy.mode !== undefined && !POLICY_MODES.includes(policy.mode)) {
+    return `mode must be one of: ${POLICY_MODES.join(', ')}`;
+  }
+  if (policy.allowed_ranges !== undefined) {
+    const error = validateRangeList(policy.allowed_ranges, 'allowed_ranges');
+    if (error) return error;
+  }
+  if (policy.excluded_ranges !== undefined) {
+    const error = validateRangeList(policy.excluded_ranges, 'excluded_ranges');
+    if (error) return error;
+  }
+  if (policy.sequential_start !== undefined && policy.sequential_start !== null && !isPort(policy.sequential_start)) {
+    return 'sequential_start must be a port between 1 and 65535';
+  }
+  if (policy.categories !== undefined) {
+    if (!policy.categories || typeof policy.categories !== 'object' || Array.isArray(policy.categories)) {
+      return 'categories must be an object';
+    }
+    for (const [category, range] of Object.entries(policy.categories)) {
+      if (!POLICY_CATEGORIES.includes(category)) {
+        return `Unknown category "${category}". Allowed: ${POLICY_CATEGORIES.join(', ')}`;
+      }
+      if (range === null) continue;
+      const error = validateRange(range, `categories.${category}`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fills in defaults so callers always get a complete policy.
+ * @param {Object|null} policy - Stored or requested policy
+ * @param {{min: number, max: number}} defaultRange - Global suggestion range
+ */
+function normalizePolicy(policy, defaultRange) {
+  const source = policy || {};
+  const categories = {};
+  for (const category of POLICY_CATEGORIES) {
+    const range = source.categories?.[category];
+    if (range) categories[category] = { start: range.start, end: range.end };
+  }
+  return {
+    mode: source.mode || 'random',
+    allowed_ranges: source.allowed_ranges?.length
+      ? source.allowed_ranges.map((r) => ({ start: r.start, end: r.end }))
+      : [{ start: defaultRange.min, end: defaultRange.max }],
+    excluded_ranges: (source.excluded_ranges || []).map((r) => ({ start: r.start, end: r.end })),
+    sequential_start: source.sequential_start ?? null,
+    categories,
+  };
+}
+
+function getServerPolicy(serverId) {
+  if (!serverId) return null;
+  const row = db.prepare('SELECT port_policy FROM servers WHERE id = ?').get(serverId);
+  if (!row || !row.port_policy) return null;
+  try {
+    return JSON.parse(row.port_policy);
+  } catch {
+    return null;
+  }
+}
+
+function setServerPolicy(serverId, policy) {
+  const value = policy && Object.keys(policy).length > 0 ? JSON.stringify(policy) : null;
+  return db.prepare('UPDATE servers SET port_policy = ? WHERE id = ?').run(value, serverId).changes > 0;
+}
+
+/**
+ * Sorts ranges and merges the ones that overlap or touch. Starts are raised to the 1024
+ * floor first, so ports below 1024 are never suggested, whatever the policy allows.
+ * @param {Array<{start: number, end: number}>} ranges
+ * @returns {Array<{start: number, end: number}>}
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .map((r) => ({ start: Math.max(r.start, PORT_FLOOR), end: r.end }))
+    .filter((r) => r.start <= r.end)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  return merged;
+}
+
+function subtractRanges(ranges, excluded) {
+  let result = ranges;
+  for (const cut of excluded) {
+    const next = [];
+    for (const range of result) {
+      if (cut.end < range.start || cut.start > range.end) {
+        next.push(range);
+        continue;
+      }
+      if (cut.start > range.start) next.push({ start: range.start, end: cut.start - 1 });
+      if (cut.end < range.end) next.push({ start: cut.end + 1, end: range.end });
+    }
+    result = next;
+  }
+  return result;
+}
+
+function intersectRanges(ranges, bounds) {
+  const result = [];
+  for (const range of ranges) {
+    for (const bound of bounds) {
+      const start = Math.max(range.start, bound.start);
+      const end = Math.min(range.end, bound.end);
+      if (start <= end) result.push({ start, end });
+    }
+  }
+  return mergeRanges(result);
+}
+
+/**
+ * Resolves the ranges to search, in order. A category's preferred block is searched first
+ * (limited to the allowed ranges) and the remaining allowed ranges after it.
+ * @returns {Array<{ranges: Array, preferred: boolean}>}
+ */
+function buildSearchPlan(policy, { category = null } = {}) {
+  const allowed = subtractRanges(mergeRanges(policy.allowed_ranges), policy.excluded_ranges);
+  const plan = [];
+  const block = category ? policy.categories[category] : null;
+  if (block) {
+    const preferred = intersectRanges(allowed, [block]);
+    if (preferred.length > 0) plan.push({ ranges: preferred, preferred: true });
+    const rest = subtractRanges(allowed, [block]);
+    if (rest.length > 0) plan.push({ ranges: rest, preferred: false });
+  } else if (allowed.length > 0) {
+    plan.push({ ranges: allowed, preferred: false });
+  }
+  return plan;
+}
+
+async function isRunFree(start, count, ranges, isFree) {
+  const range = ranges.find((r) => start >= r.start && start + count - 1 <= r.end);
+  if (!range) return false;
+  for (let port = start; port < start + count; port++) {
+    if (!(await isFree(port))) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds `count` contiguous ports for which isFree resolves true.
+ * random: tries random starting points first, then scans sequentially.
+ * sequential: scans upwards from `after + 1` (or the start of the ranges). Once it passes the
+ * end of the ranges it wraps around to their start and continues up to `after`.
+ * @param {Array} ranges - Non-overlapping, sorted ranges to search
+ * @param {Function} isFree - async (port) => boolean
+ * @param {Object} options - { mode, count, after, maxRandomAttempts }
+ * @returns {Promise<{ports: Array<number>, attempts: number}|null>}
+ */
+async function findFreePorts(ranges, isFree, { mode = 'random', count = 1, after = null, maxRandomAttempts = 60 } = {}) {
+  let attempts = 0;
+  const starts = ranges
+    .map((r) => ({ start: r.start, end: r.end - count + 1 }))
+    .filter((r) => r.start <= r.end);
+  if (starts.length === 0) return null;
+
+  if (mode === 'random') {
+    const total = starts.reduce((sum, r) => sum + (r.end - r.start + 1), 0);
+    const tried = new Set();
+    const limit = Math.min(total, maxRandomAttempts);
+    for (let i = 0; i < limit; i++) {
+      let offset = Math.floor(Math.random() * total);
+      const range = starts.find((r) => {
+        const size = r.end - r.start + 1;
+        if (offset < size) return true;
+        offset -= size;
+        return false;
+      });
+      const candidate = range.start + offset;
+      if (tried.has(candidate)) continue;
+      tried.add(candidate);
+      attempts++;
+      if (await isRunFree(candidate, count, ranges, isFree)) {
+        return { ports: Array.from({ length: count }, (_, k) => candidate + k), attempts };
+      }
+    }
+  }
+
+  const floor = mode === 'sequential' && Number.isInteger(after) ? after + 1 : 0;
+  const passes = floor > 0 ? [[floor, Infinity], [0, floor - 1]] : [[0, Infinity]];
+  for (const [from, to] of passes) {
+    for (const range of starts) {
+      const last = Math.min(range.end, to);
+      for (let candidate = Math.max(range.start, from); candidate <= last; candidate++) {
+        attempts++;
+        if (await isRunFree(candidate, count, ranges, isFree)) {
+          return { ports: Array.from({ length: count }, (_, k) => candidate + k), attempts };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  POLICY_MODES,
+  POLICY_CATEGORIES,
+  MAX_CONTIGUOUS_PORTS,
+  validatePolicy,
+  normalizePolicy,
+  getServerPolicy,
+  setServerPolicy,
+  buildSearchPlan,
+  findFreePorts
+};
@@ -0,0 +1,237 @@
+const db = require('../db');
+const { Logger } = require('./logger');
+
+const logger = new Logger('PortReservations', { debug: process.env.DEBUG === 'true' });
+
+const RESERVATION_PROTOCOLS = ['tcp', 'udp'];
+const RESERVATION_STATUSES = ['reserved', 'in_use', 'conflict', 'expired', 'unknown'];
+
+function isExpired(row, now = Date.now()) {
+  return !!row.expires_at && new Date(row.expires_at).getTime() <= now;
+}
+
+function toReservation(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    server_id: row.server_id,
+    host_port: row.host_port,
+    protocol: row.protocol,
+    owner: row.owner,
+    purpose: row.purpose,
+    expires_at: row.expires_at,
+    expired: isExpired(row),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Validates reservation input. Returns an error message, or null when the input is valid.
+ * @param {Object} input - Reservation fields
+ * @param {boolean} partial - When true, only the provided fields are validated
+ */
+function validateReservation(input, partial = false) {
+  if (!input || typeof input !== 'object') return 'Invalid reservation data';
+
+  if (!partial) {
+    if (typeof input.server_id !== 'string' || input.server_id.length === 0) return 'server_id is required';
+    if (!db.prepare('SELECT id FROM servers WHERE id = ?').get(input.server_id)) return 'Server not found';
+  }
+  if (!partial || input.host_port !== undefined) {
+    const port = Number(input.host_port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return 'host_port must be an integer between 1 and 65535';
+  }
+  if (input.protocol !== undefined && !RESERVATION_PROTOCOLS.includes(input.protocol)) {
+    return `protocol must be one of: ${RESERVATION_PROTOCOLS.join(', ')}`;
+  }
+  if (!partial || input.owner !== undefined) {
+    if (typeof input.owner !== 'string' || input.owner.trim().length === 0) return 'Owner is required';
+    if (input.owner.length > 100) return 'Owner must be 100 characters or less';
+  }
+  if (input.purpose !== undefined && input.purpose !== null) {
+    if (typeof input.purpose !== 'string') return 'Purpose must be a string';
+    if (input.purpose.length > 500) return 'Purpose must be 500 characters or less';
+  }
+  if (input.expires_at !== undefined && input.expires_at !== null && input.expires_at !== '') {
+    const expiry = new Date(input.expires_at);
+    if (Number.isNaN(expiry.getTime())) return 'expires_at must be a valid date';
+    if (expiry.getTime() <= Date.now()) return 'expires_at must be in the future';
+  }
+  return null;
+}
+
+function normalizeExpiry(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Lists reservations ordered by port.
+ * @param {Object} filters
+ * @param {string} filters.serverId - Only reservations for this server
+ * @param {boolean} filters.includeExpired - Include reservations past their expiry
+ */
+function listReservations({ serverId = null, includeExpired = true } = {}) {
+  const rows = serverId
+    ? db.prepare('SELECT * FROM port_reservations WHERE server_id = ? ORDER BY host_port, protocol').all(serverId)
+    : db.prepare('SELECT * FROM port_reservations ORDER BY server_id, host_port, protocol').all();
+  const now = Date.now();
+  return rows.filter((row) => includeExpired || !isExpired(row, now)).map(toReservation);
+}
+
+function getReservation(id) {
+  return toReservation(db.prepare('SELECT * FROM port_reservations WHERE id = ?').get(id));
+}
+
+/**
+ * Creates a reservation. An expired reservation for the same port is replaced; an active
+ * one makes the call fail with error.code === 'RESERVATION_EXISTS' and error.reservation set.
+ */
+function createReservation(input) {
+  const serverId = input.server_id;
+  const hostPort = Number(input.host_port);
+  const protocol = input.protocol || 'tcp';
+
+  const create = db.transaction(() => {
+    const existing = db
+      .prepare('SELECT * FROM port_reservations WHERE server_id = ? AND host_port = ? AND protocol = ?')
+      .get(serverId, hostPort, protocol);
+    if (existing && !isExpired(existing)) {
+      const error = new Error(`Port ${hostPort}/${protocol} is already reserved by ${existing.owner}`);
+      error.code = 'RESERVATION_EXISTS';
+      error.reservation = toReservation(existing);
+      throw error;
+    }
+    if (existing) {
+      db.prepare('DELETE FROM port_reservations WHERE id = ?').run(existing.id);
+    }
+
+    const now = new Date().toISOString();
+    return db
+      .prepare(
+        'INSERT INTO port_reservations (server_id, host_port, protocol, owner, purpose, expires_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+      )
+      .run(serverId, hostPort, protocol, input.owner.trim(), input.purpose?.trim() || null, normalizeExpiry(input.expires_at), now, now)
+      .lastInsertRowid;
+  });
+
+  const reservation = getReservation(create());
+  logger.info(`Port ${hostPort}/${protocol} reserved on ${serverId} for ${reservation.owner}`);
+  return reservation;
+}
+
+/**
+ * Updates a reservation. Omitted fields are kept; expires_at null or '' removes the expiry.
+ * Moving to a port that is actively reserved fails like createReservation().
+ */
+function updateReservation(id, input) {
+  const existing = db.prepare('SELECT * FROM port_reservations WHERE id = ?').get(id);
+  if (!existing) return null;
+
+  const hostPort = input.host_port !== undefined ? Number(input.host_port) : existing.host_port;
+  const protocol = input.protocol !== undefined ? input.protocol : existing.protocol;
+
+  db.transaction(() => {
+    const clash = db
+      .prepare('SELECT * FROM port_reservations WHERE server_id = ? AND host_port = ? AND protocol = ? AND id != ?')
+      .get(existing.server_id, hostPort, protocol, id);
+    if (clash && !isExpired(clash)) {
+      const error = new Error(`Port ${hostPort}/${protocol} is already reserved by ${clash.owner}`);
+      error.code = 'RESERVATION_EXISTS';
+      error.reservation = toReservation(clash);
+      throw error;
+    }
+    if (clash) {
+      db.prepare('DELETE FROM port_reservations WHERE id = ?').run(clash.id);
+    }
+
+    db.prepare(
+      'UPDATE port_reservations SET host_port = ?, protocol = ?, owner = ?, purpose = ?, expires_at = ?, updated_at = ? WHERE id = ?'
+    ).run(
+      hostPort,
+      protocol,
+      input.owner !== undefined ? input.owner.trim() : existing.owner,
+      input.purpose !== undefined ? (input.purpose?.trim() || null) : existing.purpose,
+      input.expires_at !== undefined ? normalizeExpiry(input.expires_at) : existing.expires_at,
+      new Date().toISOString(),
+      id
+    );
+  })();
+  return getReservation(id);
+}
+
+function deleteReservation(id) {
+  return db.prepare('DELETE FROM port_reservations WHERE id = ?').run(id).changes > 0;
+}
+
+function clearReservations(serverId) {
+  db.prepare('DELETE FROM port_reservations WHERE server_id = ?').run(serverId);
+}
+
+/**
+ * Returns the ports with an active (unexpired) reservation on a server, for port generation.
+ * @param {string} serverId
+ * @returns {Set<number>}
+ */
+function getReservedPorts(serverId) {
+  const ports = new Set();
+  if (!serverId) return ports;
+  for (const reservation of listReservations({ serverId, includeExpired: false })) {
+    ports.add(reservation.host_port);
+  }
+  return ports;
+}
+
+function ownerMatches(reservationOwner, port) {
+  const wanted = String(reservationOwner || '').toLowerCase();
+  if (!wanted) return false;
+  return [port.owner, port.customServiceName, port.container_name]
+    .filter(Boolean)
+    .map((name) => String(name).toLowerCase())
+    .some((name) => name.includes(wanted) || wanted.includes(name));
+}
+
+/**
+ * Adds a status to each reservation by comparing it with the ports currently listening:
+ * reserved (nothing listening yet), in_use (the listener's name matches the reservation owner),
+ * conflict (something else listens on the port), expired, or unknown when no scan is available.
+ * @param {Array} reservations - Result of listReservations()
+ * @param {Array|null} ports - Port entries of the same server, or null when unknown
+ * @returns {Array}
+ */
+function annotateReservations(reservations, ports) {
+  return reservations.map((reservation) => {
+    if (reservation.expired) return { ...reservation, status: 'expired', listener: null };
+    if (!Array.isArray(ports)) return { ...reservation, status: 'unknown', listener: null };
+
+    const listeners = ports.filter(
+      (port) =>
+        !port.internal &&
+        parseInt(port.host_port, 10) === reservation.host_port &&
+        (port.protocol || 'tcp') === reservation.protocol
+    );
+    if (listeners.length === 0) return { ...reservation, status: 'reserved', listener: null };
+
+    const match = listeners.find((port) => ownerMatches(reservation.owner, port));
+    const listener = match || listeners[0];
+    return {
+      ...reservation,
+      status: match ? 'in_use' : 'conflict',
+      listener: { owner: listener.owner || null, source: listener.source || null, container_id: listener.container_id || null },
+    };
+  });
+}
+
+module.exports = {
+  RESERVATION_PROTOCOLS,
+  RESERVATION_STATUSES,
+  validateReservation,
+  listReservations,
+  getReservation,
+  createReservation,
+  updateReservation,
+  deleteReservation,
+  clearReservations,
+  getReservedPorts,
+  annotateReservations
+};
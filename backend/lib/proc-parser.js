@@ -4,6 +4,27 @@ const fs = require('fs').promises;
 const path = require('path');
 const { Logger } = require('./logger');
 
+/** Socket states counted in connections mode, by their /proc/net/tcp state code */
+const CONNECTION_STATES = { '01': 'established', '06': 'time_wait' };
+const MAX_PEERS = 50;
+
+/** Unix socket types by their /proc/net/unix code, and the __SO_ACCEPTCON flag of listening sockets */
+const UNIX_SOCKET_TYPES = { '0001': 'stream', '0002': 'dgram', '0005': 'seqpacket' };
+const UNIX_ACCEPTCON = 0x10000;
+
+/**
+ * Container runtimes recognised from the cgroup path of a process in a network namespace,
+ * checked in order (a Kubernetes pod container can also carry a docker- or crio- prefix)
+ */
+const NAMESPACE_RUNTIMES = [
+  { runtime: 'kubernetes', pattern: /kubepods[^\n]*?([a-f0-9]{64})/ },
+  { runtime: 'podman', pattern: /libpod-(?:conmon-)?([a-f0-9]{64})/ },
+  { runtime: 'docker', pattern: /docker[/-]([a-f0-9]{64})/ },
+  { runtime: 'lxc', pattern: /\/lxc(?:\.payload)?[./]([^/\n]+)/ },
+  { runtime: 'nspawn', pattern: /machine\.slice\/(?:machine-|systemd-nspawn@)([^/\n]+?)\.(?:scope|service)/ },
+];
+const NAMESPACE_NAME_PROBES = 5;
+
 class ProcParser {
   constructor(procPath = '/proc') {
     this.logger = new Logger("ProcParser", { debug: process.env.DEBUG === 'true' });
@@ -93,8 +114,15 @@ class ProcParser {
     return path.join(this.procPath, 'net', protocol);
   }
 
-  /** Parse /proc/net/tcp and /proc/net/tcp6 */
-  async getTcpPorts() {
+  /**
+   * Parse /proc/net/tcp and /proc/net/tcp6
+   * @param {Object} [options]
+   * @param {boolean} [options.includeConnections=false] - Also read ESTABLISHED and TIME_WAIT
+   *   sockets and attach a `connections` summary to each listener (see _attachConnections)
+   * @param {number} [options.pid] - Read the network namespace of this process instead of the host's
+   */
+  async getTcpPorts(options = {}) {
+  const { includeConnections = false, pid = null } = options;
   const ports = [];
   const prelim = [];
   const inodeMap = await this._buildInodeMap();
@@ -102,9 +130,11 @@ class ProcParser {
     
     for (const file of ['tcp', 'tcp6']) {
       try {
-        const filePath = this._getNetworkFilePath(file);
+        const filePath = pid ? path.join(this.procPath, String(pid), 'net', file) : this._getNetworkFilePath(file);
         const content = await fs.readFile(filePath, 'utf8');
   const lines = content.trim().split('\n').slice(1);
+        const fileListeners = [];
+        const fileConnections = [];
         
         for (const line of lines) {
           const parts = line.trim().split(/\s+/);
@@ -114,6 +144,12 @@ class ProcParser {
           const state = parts[3];
           const inode = parts[9];
 
+          if (includeConnections && CONNECTION_STATES[state]) {
+            const connection = this._parseConnection(localAddress, parts[2], CONNECTION_STATES[state]);
+            if (connection) fileConnections.push(connection);
+            continue;
+          }
+
           if (state !== '0A') continue;
 
           const [addrHex, portHex] = localAddress.split(':');
@@ -135,8 +171,13 @@ class ProcParser {
             owner: processInfo?.name || 'unknown'
           };
           ports.push(entry);
+          fileListeners.push({ listener: entry, address: this._parseFullHexAddress(addrHex) });
           prelim.push({ inode: inodeNum });
         }
+
+        if (includeConnections) {
+          this._attachConnections(fileListeners, fileConnections);
+        }
       } catch (err) {
         this.logger.warn(`Warning reading network file ${file}:`, err.message);
       }
@@ -175,6 +216,89 @@ class ProcParser {
     return ports;
   }
 
+  /**
+   * Summarise client connections per listening TCP port, merging the IPv4 and IPv6 listeners
+   * of a port. Takes the same options as getTcpPorts; throws when the namespace of options.pid
+   * cannot be read (e.g. portracker does not share the host PID namespace).
+   * @returns {Promise<Array<{port: number, host_ips: string[], owner: string, established: number, time_wait: number, clients: number, peers: Array<{ip: string, established: number, time_wait: number}>}>>}
+   */
+  async getPortConnections(options = {}) {
+    if (options.pid) {
+      await fs.access(path.join(this.procPath, String(options.pid), 'net', 'tcp'));
+    }
+    const listeners = await this.getTcpPorts({ ...options, includeConnections: true });
+    const byPort = new Map();
+    for (const listener of listeners) {
+      let summary = byPort.get(listener.host_port);
+      if (!summary) {
+        summary = { port: listener.host_port, host_ips: [], owner: listener.owner, peers: new Map() };
+        byPort.set(listener.host_port, summary);
+      }
+      if (!summary.host_ips.includes(listener.host_ip)) summary.host_ips.push(listener.host_ip);
+      if (summary.owner === 'unknown') summary.owner = listener.owner;
+      for (const peer of listener.connections.peers) {
+        const merged = summary.peers.get(peer.ip) || { ip: peer.ip, established: 0, time_wait: 0 };
+        merged.established += peer.established;
+        merged.time_wait += peer.time_wait;
+        summary.peers.set(peer.ip, merged);
+      }
+    }
+
+    return Array.from(byPort.values())
+      .map(({ peers, ...summary }) => ({ ...summary, ...this._summarizePeers(Array.from(peers.values())) }))
+      .sort((a, b) => a.port - b.port);
+  }
+
+  /** Parse one non-listening socket line into local and remote endpoints */
+  _parseConnection(localAddress, remoteAddress, state) {
+    const [localHex, localPortHex] = localAddress.split(':');
+    const [remoteHex, remotePortHex] = remoteAddress.split(':');
+    const localPort = parseInt(localPortHex, 16);
+    if (!localPort || !remoteHex || !remotePortHex) return null;
+    return {
+      state,
+      local_ip: this._parseFullHexAddress(localHex),
+      local_port: localPort,
+      remote_ip: this._parseFullHexAddress(remoteHex),
+    };
+  }
+
+  /**
+   * Attach a `connections` summary to each listener: counts of ESTABLISHED and TIME_WAIT
+   * sockets on its port, the number of distinct client IPs with an open connection, and the
+   * busiest remote peers. Connections must come from the same file as the listeners.
+   * host_ip collapses every IPv6 address to '::', so listeners are matched on their full
+   * local address instead.
+   * @param {Array<{listener: Object, address: string}>} listeners - Listener entries with the
+   *   address from _parseFullHexAddress
+   * @param {Array} connections - Sockets from _parseConnection
+   */
+  _attachConnections(listeners, connections) {
+    for (const { listener, address } of listeners) {
+      const wildcard = address === '0.0.0.0' || address === '::';
+      const peers = new Map();
+      for (const connection of connections) {
+        if (connection.local_port !== listener.host_port) continue;
+        if (!wildcard && connection.local_ip !== address) continue;
+        const peer = peers.get(connection.remote_ip) || { ip: connection.remote_ip, established: 0, time_wait: 0 };
+        peer[connection.state] += 1;
+        peers.set(connection.remote_ip, peer);
+      }
+      listener.connections = this._summarizePeers(Array.from(peers.values()));
+    }
+  }
+
+  _summarizePeers(peers) {
+    const sorted = peers.sort((a, b) => (b.established - a.established) || (b.time_wait - a.time_wait));
+    return {
+      established: peers.reduce((sum, peer) => sum + peer.established, 0),
+      time_wait: peers.reduce((sum, peer) => sum + peer.time_wait, 0),
+      clients: peers.filter(peer => peer.established > 0).length,
+      peers: sorted.slice(0, MAX_PEERS),
+      peers_truncated: sorted.length > MAX_PEERS,
+    };
+  }
+
   /** Parse /proc/net/udp and /proc/net/udp6 with proper filtering */
   async getUdpPorts(includeAll = false) {
   const ports = [];
@@ -258,6 +382,307 @@ class ProcParser {
     return ports;
   }
 
+  /**
+   * Sockets beyond TCP and UDP for the collectors: SCTP endpoints always, raw and Unix sockets
+   * when asked for
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRaw=false]
+   * @param {boolean} [options.includeUnix=false]
+   */
+  async getOtherSockets({ includeRaw = false, includeUnix = false } = {}) {
+    const sockets = await this.getSctpPorts();
+    if (includeRaw) sockets.push(...(await this.getRawSockets()));
+    if (includeUnix) sockets.push(...(await this.getUnixSockets()));
+    return sockets;
+  }
+
+  /**
+   * Parse /proc/net/sctp/eps for SCTP endpoints. The file only exists once the sctp kernel
+   * module is loaded. Ports and addresses are printed in decimal; an endpoint bound to several
+   * addresses (multi-homing, or a wildcard bind) is reported once with host_ip 0.0.0.0.
+   */
+  async getSctpPorts() {
+    const ports = [];
+    const inodeMap = await this._buildInodeMap();
+
+    let content;
+    try {
+      content = await fs.readFile(this._getNetworkFilePath(path.join('sctp', 'eps')), 'utf8');
+    } catch (err) {
+      this.logger.debug('No SCTP endpoints available:', err.message);
+      return ports;
+    }
+
+    for (const line of content.trim().split('\n').slice(1)) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length < 9) continue;
+
+      const port = parseInt(parts[5], 10);
+      if (!port || port > 65535) continue;
+
+      const addresses = parts.slice(8);
+      const inodeNum = parseInt(parts[7], 10);
+      const processInfo = inodeMap.get(inodeNum);
+
+      ports.push({
+        protocol: 'sctp',
+        host_ip: addresses.length === 1 ? addresses[0] : '0.0.0.0',
+        host_port: port,
+        inode: inodeNum,
+        pid: processInfo?.pid,
+        owner: processInfo?.name || 'unknown'
+      });
+    }
+
+    this.logger.debug(`SCTP parse complete: endpoints=${ports.length}`);
+    return ports;
+  }
+
+  /**
+   * Parse /proc/net/raw and /proc/net/raw6. Raw sockets have no port: the "port" column holds
+   * the IP protocol number (1 ICMP, 58 ICMPv6, 112 VRRP...), which is used as host_port.
+   */
+  async getRawSockets() {
+    const sockets = [];
+    const inodeMap = await this._buildInodeMap();
+
+    for (const file of ['raw', 'raw6']) {
+      try {
+        const content = await fs.readFile(this._getNetworkFilePath(file), 'utf8');
+        for (const line of content.trim().split('\n').slice(1)) {
+          const parts = line.trim().split(/\s+/);
+          if (parts.length < 10) continue;
+
+          const [addrHex, protoHex] = parts[1].split(':');
+          const ipProtocol = parseInt(protoHex, 16);
+          if (!ipProtocol) continue;
+
+          const inodeNum = parseInt(parts[9], 10);
+          const processInfo = inodeMap.get(inodeNum);
+
+          sockets.push({
+            protocol: 'raw',
+            host_ip: this._parseHexAddress(addrHex),
+            host_port: ipProtocol,
+            inode: inodeNum,
+            pid: processInfo?.pid,
+            owner: processInfo?.name || 'unknown'
+          });
+        }
+      } catch (err) {
+        this.logger.warn(`Warning reading network file ${file}:`, err.message);
+      }
+    }
+
+    this.logger.debug(`Raw socket parse complete: sockets=${sockets.length}`);
+    return sockets;
+  }
+
+  /**
+   * Parse /proc/net/unix for Unix domain sockets bound to a filesystem path: listening stream
+   * and seqpacket sockets, and bound datagram sockets. Abstract (@name) and unbound client
+   * sockets are skipped. Entries use the socket path as host_ip and 0 as host_port.
+   */
+  async getUnixSockets() {
+    const sockets = [];
+    const seenPaths = new Set();
+    const inodeMap = await this._buildInodeMap();
+    let resolvedOwners = 0;
+
+    try {
+      const content = await fs.readFile(this._getNetworkFilePath('unix'), 'utf8');
+      const lines = content.trim().split('\n').slice(1);
+
+      for (const line of lines) {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length < 8) continue;
+
+        const flags = parseInt(parts[3], 16);
+        const type = UNIX_SOCKET_TYPES[parts[4]];
+        const socketPath = parts.slice(7).join(' ');
+        if (!type || !socketPath.startsWith('/')) continue;
+
+        const listening = (flags & UNIX_ACCEPTCON) !== 0;
+        if (!listening && type !== 'dgram') continue;
+        if (seenPaths.has(socketPath)) continue;
+        seenPaths.add(socketPath);
+
+        const inodeNum = parseInt(parts[6], 10);
+        const processInfo = inodeMap.get(inodeNum);
+        if (processInfo && processInfo.name) resolvedOwners++;
+
+        sockets.push({
+          protocol: 'unix',
+          host_ip: socketPath,
+          host_port: 0,
+          socket_type: type,
+          inode: inodeNum,
+          pid: processInfo?.pid,
+          owner: processInfo?.name || 'unknown'
+        });
+      }
+    } catch (err) {
+      this.logger.warn('Warning reading network file unix:', err.message);
+    }
+
+    this.logger.debug(`Unix socket parse complete: sockets=${sockets.length}, ownersResolved=${resolvedOwners}`);
+    return sockets;
+  }
+
+  /**
+   * Find TCP listeners in network namespaces other than the host's: Podman, LXC, systemd-nspawn
+   * and Kubernetes pod namespaces, or process groups started with their own namespace. Each
+   * namespace is read once through the first process found in it (/proc/<pid>/net/tcp), and its
+   * listeners are returned as internal ports of the owning container, or of that process when
+   * no container runtime is recognised.
+   * @param {Object} [options]
+   * @param {string[]} [options.skipRuntimes=[]] - Runtimes reported elsewhere, e.g. ['docker']
+   * @returns {Promise<Array>} Port entries with owner, container_id, app_id, target and
+   *   internal set, plus namespace: { inode, runtime, id, name, pid }
+   */
+  async getNamespacePorts({ skipRuntimes = [] } = {}) {
+    const ports = [];
+    const namespaces = await this._listNetworkNamespaces();
+
+    for (const namespace of namespaces) {
+      const owner = await this._describeNamespaceOwner(namespace.pids);
+      if (skipRuntimes.includes(owner.runtime)) continue;
+
+      const label = owner.id
+        ? (owner.id.length === 64 ? owner.id.substring(0, 12) : owner.id)
+        : `netns-${namespace.inode}`;
+      const seen = new Set();
+      const listeners = await this.getTcpPorts({ pid: namespace.pids[0] });
+      for (const listener of listeners) {
+        const hostIp = listener.host_ip === '::' ? '0.0.0.0' : listener.host_ip;
+        const key = `${hostIp}:${listener.host_port}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        ports.push({
+          ...listener,
+          host_ip: hostIp,
+          owner: owner.id ? owner.name : listener.owner,
+          container_id: owner.id,
+          app_id: owner.id ? owner.name : null,
+          target: `${label}:${listener.host_port}(internal)`,
+          internal: true,
+          namespace: {
+            inode: namespace.inode,
+            runtime: owner.runtime,
+            id: owner.id,
+            name: owner.name,
+            pid: namespace.pids[0]
+          }
+        });
+      }
+    }
+
+    this.logger.debug(`Namespace parse complete: namespaces=${namespaces.length}, listeners=${ports.length}`);
+    return ports;
+  }
+
+  /**
+   * Group processes by network namespace (the inode behind /proc/<pid>/ns/net), leaving out
+   * the host namespace, i.e. the one of PID 1, or our own when PID 1 is hidden and portracker
+   * runs on the host. Reading another process's ns link needs the same
+   * access as its fd directory (root or CAP_SYS_PTRACE); unreadable processes are skipped.
+   * @returns {Promise<Array<{inode: number, pids: number[]}>>} pids in ascending order
+   */
+  async _listNetworkNamespaces() {
+    const readNamespace = async (pid) => {
+      try {
+        const link = await fs.readlink(path.join(this.procPath, String(pid), 'ns', 'net'));
+        const match = link.match(/^net:\[(\d+)\]$/);
+        return match ? parseInt(match[1], 10) : null;
+      } catch {
+        return null;
+      }
+    };
+
+    let hostInode = await readNamespace(1);
+    if (hostInode === null && !this.isContainerized) {
+      hostInode = await readNamespace('self');
+    }
+    if (hostInode === null) {
+      this.logger.debug('Cannot read the host network namespace, skipping namespace discovery');
+      return [];
+    }
+
+    let dirs;
+    try {
+      dirs = await fs.readdir(this.procPath);
+    } catch (err) {
+      this.logger.warn('Warning listing processes for namespace discovery:', err.message);
+      return [];
+    }
+
+    const byInode = new Map();
+    const pids = dirs.filter(dir => /^\d+$/.test(dir)).map(Number).sort((a, b) => a - b);
+    for (const pid of pids) {
+      const inode = await readNamespace(pid);
+      if (inode === null || inode === hostInode) continue;
+      if (!byInode.has(inode)) byInode.set(inode, []);
+      byInode.get(inode).push(pid);
+    }
+
+    return Array.from(byInode, ([inode, namespacePids]) => ({ inode, pids: namespacePids }));
+  }
+
+  /**
+   * Work out who owns a network namespace from the cgroup of its first process. Containers are
+   * named after their HOSTNAME environment variable when one of the first few processes has it
+   * (Podman and Kubernetes set it), else the short ID; LXC and systemd-nspawn names come from
+   * the cgroup path. Other namespaces belong to a process group named after its first process.
+   * @param {number[]} pids - Processes in the namespace, first one used for the cgroup
+   * @returns {Promise<{runtime: string, id: string|null, name: string}>}
+   */
+  async _describeNamespaceOwner(pids) {
+    let cgroup = '';
+    try {
+      cgroup = await fs.readFile(path.join(this.procPath, String(pids[0]), 'cgroup'), 'utf8');
+    } catch {
+      void 0;
+    }
+
+    for (const { runtime, pattern } of NAMESPACE_RUNTIMES) {
+      const match = cgroup.match(pattern);
+      if (!match) continue;
+
+      if (runtime === 'lxc' || runtime === 'nspawn') {
+        const name = match[1].replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return { runtime, id: name, name };
+      }
+
+      const id = match[1];
+      let name = null;
+      for (const pid of pids.slice(0, NAMESPACE_NAME_PROBES)) {
+        name = await this._readEnvironValue(pid, 'HOSTNAME');
+        if (name) break;
+      }
+      return { runtime, id, name: name || id.substring(0, 12) };
+    }
+
+    let name = 'unknown';
+    try {
+      name = (await fs.readFile(path.join(this.procPath, String(pids[0]), 'comm'), 'utf8')).trim() || name;
+    } catch {
+      void 0;
+    }
+    return { runtime: 'process', id: null, name };
+  }
+
+  /** Read one variable from /proc/<pid>/environ, or null when unset or unreadable */
+  async _readEnvironValue(pid, key) {
+    try {
+      const environ = await fs.readFile(path.join(this.procPath, String(pid), 'environ'), 'utf8');
+      const entry = environ.split('\0').find(line => line.startsWith(`${key}=`));
+      return entry ? entry.slice(key.length + 1) || null : null;
+    } catch {
+      return null;
+    }
+  }
+
   /** Test if /proc parsing is working effectively */
   async testProcAccess() {
     try {
@@ -330,6 +755,48 @@ class ProcParser {
 
   
 
+  /**
+   * Parse a hex address including the IPv6 part, for connection peers. IPv4-mapped IPv6
+   * addresses are returned in dotted form. The kernel prints IPv6 addresses as four 32-bit
+   * words in host (little-endian) byte order.
+   */
+  _parseFullHexAddress(hex) {
+    if (hex.length !== 32) return this._parseHexAddress(hex);
+
+    const bytes = [];
+    for (let word = 0; word < 32; word += 8) {
+      for (let i = 6; i >= 0; i -= 2) {
+        bytes.push(parseInt(hex.substr(word + i, 2), 16));
+      }
+    }
+
+    if (bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+      return bytes.slice(12).join('.');
+    }
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < groups.length; i++) {
+      if (groups[i] !== '0') continue;
+      let end = i;
+      while (end < groups.length && groups[end] === '0') end++;
+      if (end - i > bestLength && end - i > 1) {
+        bestStart = i;
+        bestLength = end - i;
+      }
+      i = end;
+    }
+    if (bestStart === -1) return groups.join(':');
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+  }
+
   /**
    * Build a cached map of socket inode -> { pid, name }
    * - Caches for a short duration to avoid repeated /proc scans
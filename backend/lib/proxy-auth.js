@@ -0,0 +1,140 @@
+/**
+ * Trusted Reverse-Proxy Authentication
+ *
+ * Lets a reverse proxy that already authenticates users (Traefik forward-auth, Caddy,
+ * oauth2-proxy, Authelia, ...) tell portracker who is signed in through a request header.
+ * The header is only trusted when the request comes directly from one of the configured
+ * proxy addresses. Requires ENABLE_AUTH=true.
+ *
+ *   AUTH_PROXY_HEADER           Header carrying the username, e.g. Remote-User or X-Forwarded-User
+ *   AUTH_PROXY_TRUSTED_CIDRS    Comma-separated proxy addresses or CIDRs, e.g. 172.18.0.0/16,127.0.0.1
+ *   AUTH_PROXY_GROUPS_HEADER    Optional header with comma-separated groups, e.g. Remote-Groups
+ *   AUTH_PROXY_ADMIN_GROUPS     Comma-separated groups that map to the admin role
+ *   AUTH_PROXY_EDITOR_GROUPS    Comma-separated groups that map to the editor role
+ *   AUTH_PROXY_DEFAULT_ROLE     Role for users without a matching group (default: viewer)
+ */
+
+const db = require('../db');
+const { Logger } = require('./logger');
+const { provisionExternalUser } = require('./external-users');
+const { recordAudit } = require('./audit-log');
+const { isTrustedProxy } = require('./trusted-proxies');
+
+const logger = new Logger('ProxyAuth', { debug: process.env.DEBUG === 'true' });
+
+let warnedUntrusted = false;
+const warnedForeignAccounts = new Set();
+
+function splitList(value) {
+  return (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Check if proxy header authentication is configured
+ */
+function isProxyAuthEnabled() {
+  return process.env.ENABLE_AUTH === 'true' &&
+    !!process.env.AUTH_PROXY_HEADER &&
+    splitList(process.env.AUTH_PROXY_TRUSTED_CIDRS).length > 0;
+}
+
+/**
+ * Returns the username asserted in the proxy header, or null when the request does not carry
+ * one or does not come from a trusted proxy.
+ */
+function getProxyUsername(req) {
+  if (!isProxyAuthEnabled()) return null;
+
+  const username = (req.get(process.env.AUTH_PROXY_HEADER) || '').trim();
+  if (!username) return null;
+
+  if (!isTrustedProxy(req)) {
+    if (!warnedUntrusted) {
+      warnedUntrusted = true;
+      logger.warn(`Ignoring ${process.env.AUTH_PROXY_HEADER} header from untrusted address ${req.socket?.remoteAddress}`);
+    }
+    return null;
+  }
+  return username;
+}
+
+function getDefaultRole() {
+  const role = process.env.AUTH_PROXY_DEFAULT_ROLE;
+  return ['admin', 'editor', 'viewer'].includes(role) ? role : 'viewer';
+}
+
+function mapGroupsToRole(req) {
+  const groupsHeader = process.env.AUTH_PROXY_GROUPS_HEADER;
+  const value = groupsHeader ? req.get(groupsHeader) : undefined;
+  if (value === undefined) return null;
+
+  const groups = new Set(splitList(value));
+  if (splitList(process.env.AUTH_PROXY_ADMIN_GROUPS).some((g) => groups.has(g))) return 'admin';
+  if (splitList(process.env.AUTH_PROXY_EDITOR_GROUPS).some((g) => groups.has(g))) return 'editor';
+  return getDefaultRole();
+}
+
+/**
+ * Resolves the user asserted by a trusted proxy.
+ * Returns undefined when proxy authentication does not apply to this request (not configured,
+ * untrusted peer or no header), null when the asserted user may not sign in, or the user row.
+ * Only accounts created through the proxy are matched. A header naming a local or single
+ * sign-on account is refused, so the proxy cannot skip that account's password and two-factor
+ * check. Unknown users are provisioned, and the very first user becomes an admin so a fresh
+ * install is manageable.
+ * @param {Object} req - Express request
+ * @param {string} [sessionUserId] - User the session is currently signed in as; a different user records a login
+ */
+function resolveProxyUser(req, sessionUserId) {
+  const username = getProxyUsername(req);
+  if (!username) return undefined;
+
+  const mappedRole = mapGroupsToRole(req);
+  const existing = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  if (existing && existing.auth_source !== 'proxy') {
+    if (!warnedForeignAccounts.has(username)) {
+      warnedForeignAccounts.add(username);
+      logger.warn(`Refusing proxy sign-in as ${existing.auth_source} account ${username}`);
+    }
+    return null;
+  }
+  if (existing) {
+    if (existing.disabled) {
+      logger.debug(`Proxy user ${username} is disabled`);
+      return null;
+    }
+    if (mappedRole && mappedRole !== existing.role) {
+      logger.info(`Role of ${username} changed by proxy groups: ${existing.role} -> ${mappedRole}`);
+      db.prepare('UPDATE users SET role = ? WHERE id = ?').run(mappedRole, existing.id);
+      existing.role = mappedRole;
+    }
+    if (existing.id !== sessionUserId) {
+      db.prepare('UPDATE users SET last_login = ? WHERE id = ?').run(Date.now(), existing.id);
+      logger.info(`User signed in via proxy header: ${username}`);
+      recordAudit(req, 'auth.login', { actor: username, details: { method: 'proxy' } });
+    }
+    return existing;
+  }
+
+  const isFirstUser = db.prepare('SELECT COUNT(*) as count FROM users').get().count === 0;
+  try {
+    const user = provisionExternalUser({
+      source: 'proxy',
+      externalId: username,
+      username,
+      role: isFirstUser ? 'admin' : mappedRole || getDefaultRole(),
+    });
+    recordAudit(req, 'auth.login', { actor: username, details: { method: 'proxy', role: user.role } });
+    return user;
+  } catch (error) {
+    logger.warn(`Failed to provision proxy user ${username}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  isProxyAuthEnabled,
+  isTrustedProxy,
+  getProxyUsername,
+  resolveProxyUser
+};
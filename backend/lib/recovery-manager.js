@@ -50,10 +50,14 @@ function capitalizeWord(word) {
   return word.charAt(0).toUpperCase() + word.slice(1);
 }
 
-function buildFriendlyKey() {
-  const adjective = capitalizeWord(ADJECTIVES[Math.floor(Math.random() * ADJECTIVES.length)]);
-  const noun = capitalizeWord(NOUNS[Math.floor(Math.random() * NOUNS.length)]);
-  const suffix = crypto.randomBytes(2).toString('hex').toUpperCase();
+/**
+ * Builds a memorable key such as "BriskOtter3F9A"
+ * @param {number} [suffixBytes=2] - Random bytes in the hex suffix
+ */
+function buildFriendlyKey(suffixBytes = 2) {
+  const adjective = capitalizeWord(ADJECTIVES[crypto.randomInt(ADJECTIVES.length)]);
+  const noun = capitalizeWord(NOUNS[crypto.randomInt(NOUNS.length)]);
+  const suffix = crypto.randomBytes(suffixBytes).toString('hex').toUpperCase();
   return `${adjective}${noun}${suffix}`;
 }
 
@@ -121,5 +125,6 @@ class RecoveryManager {
 }
 
 module.exports = new RecoveryManager();
+module.exports.buildFriendlyKey = buildFriendlyKey;
 
 
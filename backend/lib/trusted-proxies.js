@@ -0,0 +1,96 @@
+/**
+ * Trusted Proxy Addresses
+ *
+ * AUTH_PROXY_TRUSTED_CIDRS lists the reverse proxies in front of portracker, as addresses or
+ * CIDRs. A request whose direct peer is one of them may assert a user (see proxy-auth) and has
+ * its client address taken from X-Forwarded-For, so per-IP limits and the audit log see the
+ * real client instead of the proxy.
+ */
+
+const net = require('net');
+const { Logger } = require('./logger');
+
+const logger = new Logger('TrustedProxies', { debug: process.env.DEBUG === 'true' });
+
+let trustedList = null;
+let trustedListSource = null;
+let warnedUntrustedForwarding = false;
+
+function normalizeAddress(address) {
+  if (!address) return null;
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : address;
+}
+
+function getTrustedList() {
+  const source = process.env.AUTH_PROXY_TRUSTED_CIDRS || '';
+  if (trustedList && trustedListSource === source) {
+    return trustedList;
+  }
+
+  const list = new net.BlockList();
+  for (const entry of source.split(',').map((v) => v.trim()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+    if (!type) {
+      logger.warn(`Ignoring invalid AUTH_PROXY_TRUSTED_CIDRS entry: ${entry}`);
+      continue;
+    }
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, parseInt(prefix, 10), type);
+    }
+  }
+  trustedList = list;
+  trustedListSource = source;
+  return list;
+}
+
+function isTrustedAddress(address) {
+  const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+  return !!type && getTrustedList().check(address, type);
+}
+
+/**
+ * Check whether the direct peer of a request is a trusted proxy
+ */
+function isTrustedProxy(req) {
+  const address = normalizeAddress(req.socket?.remoteAddress);
+  return !!address && isTrustedAddress(address);
+}
+
+/**
+ * Returns the client address of a request, without the IPv4-mapped IPv6 prefix.
+ * While the current hop is a trusted proxy, the next address from the right of
+ * X-Forwarded-For is taken instead, so clients cannot spoof their address by sending the
+ * header themselves. The first X-Forwarded-For from an untrusted peer is logged, since behind
+ * an unlisted reverse proxy every client shares the proxy's address for login limits.
+ */
+function clientIp(req) {
+  let address = normalizeAddress(req?.socket?.remoteAddress);
+  if (!address) return null;
+
+  const hops = String(req.headers?.['x-forwarded-for'] || '')
+    .split(',')
+    .map((hop) => normalizeAddress(hop.trim()))
+    .filter(Boolean);
+  if (hops.length > 0 && !warnedUntrustedForwarding && !isTrustedAddress(address)) {
+    warnedUntrustedForwarding = true;
+    logger.warn(
+      `Ignoring X-Forwarded-For from ${address}, which is not in AUTH_PROXY_TRUSTED_CIDRS. ` +
+      'If portracker runs behind a reverse proxy, list it there; until then all clients share its address for sign-in limits and the audit log'
+    );
+  }
+  while (hops.length > 0 && isTrustedAddress(address)) {
+    const next = hops.pop();
+    if (!net.isIP(next)) break;
+    address = next;
+  }
+  return address;
+}
+
+module.exports = {
+  isTrustedProxy,
+  clientIp
+};
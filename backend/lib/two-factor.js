@@ -0,0 +1,247 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps) for local
+ * accounts, as produced by authenticator apps, plus single-use recovery codes in the same
+ * style as the recovery key. Each code step is accepted once, so a code seen over someone's
+ * shoulder cannot be replayed.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const db = require('../db');
+const { buildFriendlyKey } = require('./recovery-manager');
+const { Logger } = require('./logger');
+
+const logger = new Logger('TwoFactor', { debug: process.env.DEBUG === 'true' });
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'portracker';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random TOTP secret, base32 encoded for authenticator apps
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Computes the code for a secret at a time step (RFC 4226 dynamic truncation)
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current step and one step either side, for clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} [lastStep] - Last step accepted for this secret; it and earlier steps are refused
+ * @returns {number|null} The matching step, or null
+ */
+function verifyCode(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URL authenticator apps read from the QR code
+ */
+function buildOtpauthUrl(username, secret) {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(username)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Starts enrolment: a fresh secret with its otpauth URL and QR code (PNG data URL).
+ * Nothing is stored until the user confirms a code with enableTwoFactor.
+ * @param {string} username
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+async function createEnrolment(username) {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUrl(username, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 });
+  return { secret, otpauthUrl, qrCode };
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function hashRecoveryCode(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${normalizeRecoveryCode(code)}`).digest('hex');
+}
+
+function readRecoveryHashes(user) {
+  if (!user.totp_recovery_codes) return [];
+  try {
+    const hashes = JSON.parse(user.totp_recovery_codes);
+    return Array.isArray(hashes) ? hashes : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Replaces a user's recovery codes with a new set. Only hashes are stored.
+ * @returns {Array<string>} The new codes, to show once
+ */
+function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => buildFriendlyKey(4));
+  const hashes = codes.map((code) => hashRecoveryCode(userId, code));
+  db.prepare('UPDATE users SET totp_recovery_codes = ? WHERE id = ?').run(JSON.stringify(hashes), userId);
+  return codes;
+}
+
+/**
+ * Summarises a user row's two-factor state for API responses
+ */
+function getTwoFactorStatus(user) {
+  return {
+    enabled: !!user.totp_enabled,
+    required: !!user.totp_required,
+    recoveryCodesRemaining: user.totp_enabled ? readRecoveryHashes(user).length : 0
+  };
+}
+
+/**
+ * Turns on two-factor authentication once the user proves their app works with a code.
+ * @param {Object} user - User row
+ * @param {string} secret - Secret from createEnrolment
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Array<string>|null} New recovery codes, or null when the code is wrong
+ */
+function enableTwoFactor(user, secret, code) {
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return null;
+  }
+  db.prepare('UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_step = ? WHERE id = ?')
+    .run(secret, step, user.id);
+  logger.info(`Two-factor authentication enabled for ${user.username}`);
+  return issueRecoveryCodes(user.id);
+}
+
+/**
+ * Turns off two-factor authentication and forgets the secret and recovery codes
+ */
+function disableTwoFactor(user) {
+  db.prepare(
+    'UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, totp_recovery_codes = NULL WHERE id = ?'
+  ).run(user.id);
+  logger.info(`Two-factor authentication disabled for ${user.username}`);
+}
+
+/**
+ * Checks a sign-in code for a user with two-factor authentication on: an authenticator code,
+ * or one of their recovery codes, which is used up.
+ * @param {Object} user - User row
+ * @param {string} code
+ * @returns {{valid: boolean, method?: string, recoveryCodesRemaining?: number}}
+ */
+function verifyUserCode(user, code) {
+  if (!user.totp_enabled || !user.totp_secret) {
+    return { valid: false };
+  }
+
+  const step = verifyCode(user.totp_secret, code, user.totp_last_step);
+  if (step !== null) {
+    db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?').run(step, user.id);
+    return { valid: true, method: 'totp' };
+  }
+
+  const hashes = readRecoveryHashes(user);
+  const hash = hashRecoveryCode(user.id, code);
+  const index = hashes.indexOf(hash);
+  if (index === -1) {
+    return { valid: false };
+  }
+  hashes.splice(index, 1);
+  db.prepare('UPDATE users SET totp_recovery_codes = ? WHERE id = ?').run(JSON.stringify(hashes), user.id);
+  logger.info(`Recovery code used by ${user.username} (${hashes.length} left)`);
+  return { valid: true, method: 'recovery_code', recoveryCodesRemaining: hashes.length };
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  createEnrolment,
+  issueRecoveryCodes,
+  getTwoFactorStatus,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyUserCode
+};
@@ -5,11 +5,21 @@
  * Authentication can be enabled/disabled via ENABLE_AUTH environment variable.
  */
 
+const db = require('../db');
 const { Logger } = require('../lib/logger');
-const { validateAnyApiKey } = require('../lib/api-key-manager');
+const { validateAnyApiKey, hasScope, SCOPE_ROLES } = require('../lib/api-key-manager');
+const { resolveProxyUser } = require('../lib/proxy-auth');
+const { clientIp } = require('../lib/trusted-proxies');
 
 const logger = new Logger('AuthMiddleware', { debug: process.env.DEBUG === 'true' });
 
+/**
+ * User roles, lowest to highest. Each role can do everything the roles before it can:
+ * viewers read, editors also change notes, custom names, hidden ports and reservations,
+ * admins also manage servers, settings, integrations and users.
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
 /**
  * Check if authentication is enabled
  * Evaluated at runtime to allow dynamic configuration
@@ -26,17 +36,103 @@ function checkAuthEnabled(req, res, next) {
   next();
 }
 
+/**
+ * Signs the session in as the user asserted by a trusted reverse proxy, if any.
+ * Returns undefined when proxy header authentication does not apply to the request.
+ */
+function resolveProxySession(req) {
+  if (!isAuthEnabled() || !req.session) {
+    return undefined;
+  }
+
+  let user;
+  try {
+    user = resolveProxyUser(req, req.session.userId);
+  } catch (err) {
+    logger.error('Failed to resolve proxy user:', err.message);
+    return null;
+  }
+  if (user === undefined) {
+    return undefined;
+  }
+
+  if (user && req.session.userId !== user.id) {
+    req.session.userId = user.id;
+    req.session.username = user.username;
+  }
+  return user
+    ? { id: user.id, username: user.username, role: user.role, disabled: user.disabled, auth_source: user.auth_source }
+    : null;
+}
+
+/**
+ * Loads the user behind the current session, once per request.
+ * Returns null when there is no session or the account no longer exists or is disabled,
+ * so role changes and disabled accounts apply to existing sessions immediately.
+ * Requests from a trusted reverse proxy are signed in as the user in its header.
+ * Sessions that still have to enrol in two-factor authentication count as signed out.
+ */
+function getSessionUser(req) {
+  if (req.user !== undefined) {
+    return req.user;
+  }
+
+  const proxyUser = resolveProxySession(req);
+  if (proxyUser !== undefined) {
+    req.user = proxyUser;
+    return req.user;
+  }
+
+  if (!req.session || !req.session.userId || req.session.requireTwoFactorSetup) {
+    req.user = null;
+    return null;
+  }
+
+  let user = null;
+  try {
+    user = db.prepare('SELECT id, username, role, disabled, auth_source FROM users WHERE id = ?').get(req.session.userId) || null;
+  } catch (err) {
+    logger.error('Failed to load session user:', err.message);
+  }
+  req.user = user && !user.disabled ? user : null;
+  return req.user;
+}
+
+/**
+ * Check whether a role is at least the required role
+ */
+function hasRole(role, requiredRole) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Check whether the current request may act with the given role.
+ * Always true when auth is disabled. API keys act with the highest role their scopes map to
+ * in SCOPE_ROLES.
+ */
+function requestHasRole(req, requiredRole) {
+  if (!isAuthEnabled()) {
+    return true;
+  }
+  if (req.apiKey) {
+    return req.apiKey.scopes.some((scope) => hasRole(SCOPE_ROLES[scope], requiredRole));
+  }
+  const user = getSessionUser(req);
+  return !!user && hasRole(user.role, requiredRole);
+}
+
 /**
  * Middleware to require authentication if enabled
  * If auth is disabled, allows request through
- * If auth is enabled, checks for valid session
+ * If auth is enabled, checks for valid session of an enabled user
  */
 function requireAuth(req, res, next) {
   if (!isAuthEnabled()) {
     return next();
   }
 
-  if (req.session && req.session.userId) {
+  if (getSessionUser(req)) {
     return next();
   }
 
@@ -47,39 +143,97 @@ function requireAuth(req, res, next) {
   });
 }
 
-function requireAuthOrApiKey(req, res, next) {
-  if (!isAuthEnabled()) {
-    return next();
-  }
+/**
+ * Middleware factory accepting either a signed-in user or an API key with the given scope
+ * (keys with the admin scope are accepted everywhere). The key is exposed as req.apiKey.
+ * @param {string} scope - One of the API key scopes, e.g. 'notes:write'
+ */
+function allowApiKey(scope) {
+  return function allowApiKeyMiddleware(req, res, next) {
+    if (!isAuthEnabled()) {
+      return next();
+    }
 
-  if (req.session && req.session.userId) {
-    return next();
-  }
+    if (getSessionUser(req)) {
+      return next();
+    }
 
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey) {
-    validateAnyApiKey(apiKey).then(result => {
-      if (result.valid) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      validateAnyApiKey(apiKey, clientIp(req)).then(result => {
+        if (!result.valid) {
+          logger.debug('Invalid API key provided for:', req.path);
+          return res.status(401).json({ 
+            error: 'Authentication required',
+            authEnabled: true 
+          });
+        }
+        if (!hasScope(result.key.scopes, scope)) {
+          logger.debug(`API key ${result.key.name} lacks scope ${scope} for ${req.method} ${req.path}`);
+          return res.status(403).json({
+            error: 'Insufficient permissions',
+            details: `This API key needs the ${scope} scope`,
+            requiredScope: scope
+          });
+        }
+        req.apiKey = result.key;
         req.apiKeyServerId = result.serverId;
         return next();
-      }
-      logger.debug('Invalid API key provided for:', req.path);
-      return res.status(401).json({ 
-        error: 'Authentication required',
-        authEnabled: true 
+      }).catch(err => {
+        logger.error('API key validation error:', err.message);
+        return res.status(500).json({ error: 'Authentication error' });
       });
-    }).catch(err => {
-      logger.error('API key validation error:', err.message);
-      return res.status(500).json({ error: 'Authentication error' });
+      return;
+    }
+
+    logger.debug('Unauthorized access attempt to protected endpoint:', req.path);
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      authEnabled: true 
     });
-    return;
-  }
+  };
+}
 
-  logger.debug('Unauthorized access attempt to protected endpoint:', req.path);
-  return res.status(401).json({ 
-    error: 'Authentication required',
-    authEnabled: true 
-  });
+/**
+ * Accepts a signed-in user or an API key with the ports:read scope (peers and read-only scripts)
+ */
+const requireAuthOrApiKey = allowApiKey('ports:read');
+
+/**
+ * Middleware factory requiring at least the given role. Use after requireAuth, requireAuthOrApiKey or allowApiKey.
+ * @param {string} requiredRole - viewer, editor or admin
+ */
+function requireRole(requiredRole) {
+  return function requireRoleMiddleware(req, res, next) {
+    if (requestHasRole(req, requiredRole)) {
+      return next();
+    }
+
+    if (req.apiKey) {
+      logger.debug(`API key ${req.apiKey.name} denied ${req.method} ${req.path}, requires ${requiredRole}`);
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        details: `This API key's scopes do not grant the ${requiredRole} role`,
+        requiredRole
+      });
+    }
+
+    const user = getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        authEnabled: true
+      });
+    }
+
+    logger.debug(`User ${user.username} (${user.role}) denied ${req.method} ${req.path}, requires ${requiredRole}`);
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      details: `This action requires the ${requiredRole} role`,
+      role: user.role,
+      requiredRole
+    });
+  };
 }
 
 /**
@@ -89,7 +243,7 @@ function requireAuthOrApiKey(req, res, next) {
 function optionalAuth(req, res, next) {
   req.isAuthenticated = false;
   
-  if (isAuthEnabled() && req.session && req.session.userId) {
+  if (isAuthEnabled() && getSessionUser(req)) {
     req.isAuthenticated = true;
     req.userId = req.session.userId;
   }
@@ -104,13 +258,19 @@ function isLoggedIn(req) {
   if (!isAuthEnabled()) {
     return true;
   }
-  return !!(req.session && req.session.userId);
+  return !!getSessionUser(req);
 }
 
 module.exports = {
+  ROLES,
   checkAuthEnabled,
   requireAuth,
   requireAuthOrApiKey,
+  allowApiKey,
+  requireRole,
+  requestHasRole,
+  hasRole,
+  getSessionUser,
   optionalAuth,
   isLoggedIn,
   isAuthEnabled
@@ -0,0 +1,104 @@
+process.env.DATABASE_PATH = ":memory:";
+
+const express = require("express");
+const db = require("../../db");
+const settingsManager = require("../../lib/settings-manager");
+const settingsRoutes = require("../settings");
+const autoxposeRoutes = require("../autoxpose");
+
+/**
+ * The settings and autoxpose routers behind a stand-in for express-session: the x-test-user
+ * header picks the signed-in user
+ */
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = req.headers["x-test-user"] ? { userId: req.headers["x-test-user"] } : {};
+    next();
+  });
+  app.use("/api/settings", settingsRoutes);
+  app.use("/api/autoxpose", autoxposeRoutes);
+  return app;
+}
+
+describe("settings access", () => {
+  let server;
+  let baseUrl;
+
+  const put = (path, body, user) =>
+    fetch(`${baseUrl}${path}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json", ...(user ? { "x-test-user": user } : {}) },
+      body: JSON.stringify(body),
+    });
+  const auditCount = () => db.prepare("SELECT COUNT(*) AS count FROM audit_log").get().count;
+
+  beforeAll(async () => {
+    settingsManager.ensureSettingsTable();
+    const insertUser = db.prepare(
+      "INSERT INTO users (id, username, password_hash, created_at, role) VALUES (?, ?, 'x', 0, ?)"
+    );
+    insertUser.run("admin-1", "admin", "admin");
+    insertUser.run("viewer-1", "viewer", "viewer");
+    server = createApp().listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.ENABLE_AUTH = "true";
+    db.prepare("DELETE FROM user_settings").run();
+    db.prepare("DELETE FROM audit_log").run();
+  });
+
+  afterEach(() => {
+    delete process.env.ENABLE_AUTH;
+  });
+
+  test("refuses anonymous settings writes without recording them", async () => {
+    const res = await put("/api/settings", { theme: "dark" });
+
+    expect(res.status).toBe(401);
+    expect(settingsManager.getUserSettings(null).theme).not.toBe("dark");
+    expect(auditCount()).toBe(0);
+  });
+
+  test("writes the signed-in user's settings, not the global ones", async () => {
+    const res = await put("/api/settings", { theme: "dark" }, "viewer-1");
+
+    expect(res.status).toBe(200);
+    expect(settingsManager.getUserSettings("viewer-1").theme).toBe("dark");
+    expect(settingsManager.getUserSettings(null).theme).not.toBe("dark");
+    expect(auditCount()).toBe(1);
+  });
+
+  test("writes the global settings when auth is disabled", async () => {
+    delete process.env.ENABLE_AUTH;
+
+    const res = await put("/api/settings", { theme: "dark" });
+
+    expect(res.status).toBe(200);
+    expect(settingsManager.getUserSettings(null).theme).toBe("dark");
+  });
+
+  test.each([
+    ["/api/autoxpose/display-mode", { mode: "badge" }, "autoxposeDisplayMode"],
+    ["/api/autoxpose/url-style", { style: "full" }, "autoxposeUrlStyle"],
+  ])("only admins change %s", async (path, body, key) => {
+    expect((await put(path, body)).status).toBe(401);
+    expect((await put(path, body, "viewer-1")).status).toBe(403);
+    expect(settingsManager.getUserSettings(null)[key]).toBeUndefined();
+    expect(auditCount()).toBe(0);
+
+    expect((await put(path, body, "admin-1")).status).toBe(200);
+    expect(settingsManager.getUserSettings(null)[key]).toBe(Object.values(body)[0]);
+    expect(db.prepare("SELECT actor, actor_type FROM audit_log").all()).toEqual([
+      { actor: "admin", actor_type: "user" },
+    ]);
+  });
+});
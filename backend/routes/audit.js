@@ -0,0 +1,63 @@
+/**
+ * Audit Log Routes
+ *
+ * Read access to the audit log of user and API key actions for admins (and admin-scoped API keys).
+ */
+
+const express = require('express');
+const { Logger } = require('../lib/logger');
+const { allowApiKey, requireRole } = require('../middleware/auth');
+const auditLog = require('../lib/audit-log');
+const { parseDateParam } = require('../utils/query-params');
+
+const router = express.Router();
+const logger = new Logger('AuditRoutes', { debug: process.env.DEBUG === 'true' });
+
+router.get('/', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  try {
+    const { action, actor, target, success, limit, offset } = req.query;
+
+    const since = parseDateParam(req.query, 'since');
+    const until = parseDateParam(req.query, 'until');
+    for (const result of [since, until]) {
+      if (result.error) {
+        return res.status(400).json({ error: 'Validation failed', details: result.error, field: result.field });
+      }
+    }
+
+    let actions = null;
+    if (action) {
+      actions = String(action).split(',').map((a) => a.trim()).filter(Boolean);
+      const invalid = actions.filter((a) => !auditLog.AUDIT_ACTIONS.includes(a));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: `Unknown action(s): ${invalid.join(', ')}. Allowed: ${auditLog.AUDIT_ACTIONS.join(', ')}`,
+          field: 'action',
+        });
+      }
+    }
+
+    if (success !== undefined && success !== 'true' && success !== 'false') {
+      return res.status(400).json({ error: 'Validation failed', details: 'success must be true or false', field: 'success' });
+    }
+
+    const result = auditLog.getAuditEntries({
+      actions,
+      actor: actor || null,
+      target: target || null,
+      since: since.value,
+      until: until.value,
+      success: success === undefined ? null : success === 'true',
+      limit,
+      offset,
+    });
+    res.json({ ...result, actions: auditLog.AUDIT_ACTIONS });
+  } catch (error) {
+    logger.error('Error fetching audit log:', error.message);
+    logger.debug('Stack trace:', error.stack || '');
+    res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -10,12 +10,21 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const db = require('../db');
 const { Logger } = require('../lib/logger');
-const { isAuthEnabled } = require('../middleware/auth');
+const { isAuthEnabled, getSessionUser } = require('../middleware/auth');
 const recoveryManager = require('../lib/recovery-manager');
+const oidc = require('../lib/oidc');
+const proxyAuth = require('../lib/proxy-auth');
+const { provisionExternalUser } = require('../lib/external-users');
+const { recordAudit, clientIp } = require('../lib/audit-log');
+const twoFactor = require('../lib/two-factor');
+const loginThrottle = require('../lib/login-throttle');
 
 const router = express.Router();
 const logger = new Logger('AuthRoutes', { debug: process.env.DEBUG === 'true' });
 
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
 router.get('/status', (req, res) => {
   try {
     if (!isAuthEnabled()) {
@@ -34,18 +43,40 @@ router.get('/status', (req, res) => {
       return res.json({
         authEnabled: true,
         authenticated: false,
-        setupRequired: true
+        setupRequired: !oidc.isOidcEnabled() && !proxyAuth.isProxyAuthEnabled(),
+        oidcEnabled: oidc.isOidcEnabled()
       });
     }
 
-    const setupRequired = userCount.count === 0;
-    const authenticated = !!(req.session && req.session.userId);
+    const oidcEnabled = oidc.isOidcEnabled();
+    const setupRequired = userCount.count === 0 && !oidcEnabled && !proxyAuth.isProxyAuthEnabled();
+    const user = getSessionUser(req);
+
+    if (!user && req.session?.requireTwoFactorSetup) {
+      const pendingUser = getTwoFactorUser(req);
+      if (pendingUser) {
+        return res.json({
+          authEnabled: true,
+          authenticated: true,
+          setupRequired: false,
+          oidcEnabled,
+          username: pendingUser.username,
+          role: pendingUser.role,
+          authSource: pendingUser.auth_source,
+          requireTwoFactorSetup: true
+        });
+      }
+    }
 
     res.json({
       authEnabled: true,
-      authenticated,
+      authenticated: !!user,
       setupRequired,
-      username: authenticated ? req.session.username : null
+      oidcEnabled,
+      username: user ? user.username : null,
+      role: user ? user.role : null,
+      authSource: user ? user.auth_source || null : null,
+      proxyAuth: !!user && !!proxyAuth.getProxyUsername(req)
     });
   } catch (error) {
     logger.error('Error checking auth status:', error.message);
@@ -90,8 +121,8 @@ router.post('/setup', async (req, res) => {
     const now = Date.now();
 
     db.prepare(
-      'INSERT INTO users (id, username, password_hash, created_at, last_login) VALUES (?, ?, ?, ?, ?)'
-    ).run(userId, username.trim(), passwordHash, now, now);
+      'INSERT INTO users (id, username, password_hash, created_at, last_login, role) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(userId, username.trim(), passwordHash, now, now, 'admin');
 
     req.session.regenerate((err) => {
       if (err) {
@@ -142,7 +173,7 @@ router.post('/login', async (req, res) => {
     if (isRecoveryKey) {
       let user;
       try {
-        user = db.prepare('SELECT * FROM users LIMIT 1').get();
+        user = db.prepare("SELECT * FROM users WHERE role = 'admin' ORDER BY created_at LIMIT 1").get();
       } catch (dbError) {
         logger.error('Database error during recovery:', dbError.message);
         return res.status(500).json({ error: 'Recovery failed' });
@@ -153,6 +184,10 @@ router.post('/login', async (req, res) => {
       }
 
       recoveryManager.markAsUsed();
+      if (user.disabled) {
+        db.prepare('UPDATE users SET disabled = 0 WHERE id = ?').run(user.id);
+        logger.warn(`Recovery key re-enabled disabled admin: ${user.username}`);
+      }
 
       req.session.regenerate((err) => {
         if (err) {
@@ -171,6 +206,7 @@ router.post('/login', async (req, res) => {
           }
 
           logger.info(`Recovery key used for user: ${user.username}`);
+          recordAudit(req, 'auth.login', { actor: user.username, details: { method: 'recovery_key' } });
 
           return res.json({
             success: true,
@@ -182,53 +218,286 @@ router.post('/login', async (req, res) => {
       return;
     }
 
+    const reservation = loginThrottle.reserveLogin({ ip: clientIp(req), username: trimmedUsername });
+    if (reservation.throttled) {
+      return rejectThrottled(res, reservation.throttled);
+    }
+
     let user;
+    let isValid;
     try {
       user = db.prepare('SELECT * FROM users WHERE username = ?').get(trimmedUsername);
-    } catch (dbError) {
-      logger.error('Database error during login:', dbError.message);
-      return res.status(500).json({ error: 'Login failed' });
+      const hashToCompare = user ? user.password_hash : '$2a$10$AAAAAAAAAAAAAAAAAAAAAA.AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+      isValid = await bcrypt.compare(password, hashToCompare);
+    } finally {
+      reservation.release();
     }
 
-    const hashToCompare = user ? user.password_hash : '$2a$10$AAAAAAAAAAAAAAAAAAAAAA.AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
-    const isValid = await bcrypt.compare(password, hashToCompare);
-
     if (!user || !isValid) {
       logger.debug(`Failed login attempt for user: ${trimmedUsername}`);
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    db.prepare('UPDATE users SET last_login = ? WHERE id = ?').run(Date.now(), user.id);
-
-    req.session.regenerate((err) => {
-      if (err) {
-        logger.error('Session regeneration failed:', err.message);
-        return res.status(500).json({ error: 'Login failed' });
+      recordAudit(req, 'auth.login_failed', {
+        actor: typeof trimmedUsername === 'string' ? trimmedUsername : null,
+        details: { method: 'password', reason: 'invalid_credentials' },
+        success: false
+      });
+      const lockedOut = recordFailedAttempt(req, trimmedUsername);
+      if (lockedOut) {
+        return rejectThrottled(res, lockedOut);
       }
+      return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+    }
 
-      req.session.userId = user.id;
-      req.session.username = user.username;
+    if (user.disabled) {
+      logger.info(`Login refused for disabled user: ${user.username}`);
+      recordAudit(req, 'auth.login_failed', {
+        actor: user.username,
+        details: { method: 'password', reason: 'disabled' },
+        success: false
+      });
+      return res.status(403).json({ error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' });
+    }
 
-      req.session.save((saveErr) => {
+    if (user.totp_enabled) {
+      req.session.pendingTwoFactor = {
+        userId: user.id,
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_MS,
+        attempts: 0
+      };
+      return req.session.save((saveErr) => {
         if (saveErr) {
           logger.error('Session save failed:', saveErr.message);
           return res.status(500).json({ error: 'Login failed' });
         }
+        res.json({ success: false, twoFactorRequired: true });
+      });
+    }
 
-        logger.info(`User logged in: ${user.username}`);
+    completeLogin(req, res, user, 'password');
+  } catch (error) {
+    logger.error('Error during login:', error.message);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
 
-        res.json({
-          success: true,
-          username: user.username
-        });
+/**
+ * Second sign-in step for users with two-factor authentication: checks an authenticator
+ * or recovery code for the password already accepted by /login
+ */
+router.post('/login/2fa', (req, res) => {
+  try {
+    if (!isAuthEnabled()) {
+      return res.status(400).json({ error: 'Authentication is not enabled' });
+    }
+
+    const pending = req.session?.pendingTwoFactor;
+    if (!pending || pending.expiresAt < Date.now()) {
+      if (pending) delete req.session.pendingTwoFactor;
+      return res.status(401).json({ error: 'Sign-in expired, please enter your password again', code: 'TWO_FACTOR_EXPIRED' });
+    }
+
+    const { code } = req.body || {};
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(pending.userId);
+    if (!user || user.disabled) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({ error: 'Sign-in expired, please enter your password again', code: 'TWO_FACTOR_EXPIRED' });
+    }
+
+    const throttled = loginThrottle.checkLogin({ ip: clientIp(req), username: user.username });
+    if (throttled) {
+      return rejectThrottled(res, throttled);
+    }
+
+    const result = twoFactor.verifyUserCode(user, code);
+    if (!result.valid) {
+      pending.attempts += 1;
+      logger.debug(`Invalid two-factor code for user: ${user.username}`);
+      recordAudit(req, 'auth.login_failed', {
+        actor: user.username,
+        details: { method: 'totp', reason: 'invalid_code' },
+        success: false
       });
-    });
+      const lockedOut = recordFailedAttempt(req, user.username);
+      if (lockedOut || pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+      }
+      if (lockedOut) {
+        return rejectThrottled(res, lockedOut);
+      }
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        return res.status(401).json({ error: 'Too many invalid codes, please sign in again', code: 'TWO_FACTOR_EXPIRED' });
+      }
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'TWO_FACTOR_INVALID' });
+    }
+
+    completeLogin(req, res, user, result.method, { recoveryCodesRemaining: result.recoveryCodesRemaining });
   } catch (error) {
-    logger.error('Error during login:', error.message);
+    logger.error('Error during two-factor login:', error.message);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+/**
+ * Answers a sign-in attempt refused by the login throttle with 429, the error code and Retry-After
+ */
+function rejectThrottled(res, throttled) {
+  res.set('Retry-After', String(throttled.retryAfter));
+  return res.status(429).json({ error: throttled.error, code: throttled.code, retryAfter: throttled.retryAfter });
+}
+
+/**
+ * Counts a failed sign-in against the client IP and username and audits any lockout it starts.
+ * Returns the resulting block when this failure locked the attempt out, else null.
+ */
+function recordFailedAttempt(req, username) {
+  const ip = clientIp(req);
+  const lockouts = loginThrottle.recordLoginFailure({ ip, username });
+  for (const lockout of lockouts) {
+    recordAudit(req, 'auth.lockout', {
+      actor: typeof username === 'string' ? username : null,
+      target: `${lockout.scope} ${lockout.key}`,
+      details: { scope: lockout.scope, until: new Date(lockout.lockedUntil).toISOString() },
+      success: false
+    });
+  }
+  return lockouts.length > 0 ? loginThrottle.checkLogin({ ip, username }) : null;
+}
+
+/**
+ * Starts a fresh session for a user who passed every sign-in check. Users who must use
+ * two-factor authentication but have not enrolled yet get a session that can only enrol.
+ */
+function completeLogin(req, res, user, method, extra = {}) {
+  db.prepare('UPDATE users SET last_login = ? WHERE id = ?').run(Date.now(), user.id);
+  loginThrottle.recordLoginSuccess({ username: user.username });
+  const requireTwoFactorSetup = user.auth_source === 'local' && !!user.totp_required && !user.totp_enabled;
+
+  req.session.regenerate((err) => {
+    if (err) {
+      logger.error('Session regeneration failed:', err.message);
+      return res.status(500).json({ error: 'Login failed' });
+    }
+
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    if (requireTwoFactorSetup) {
+      req.session.requireTwoFactorSetup = true;
+    }
+
+    req.session.save((saveErr) => {
+      if (saveErr) {
+        logger.error('Session save failed:', saveErr.message);
+        return res.status(500).json({ error: 'Login failed' });
+      }
+
+      logger.info(`User logged in: ${user.username}`);
+      recordAudit(req, 'auth.login', { actor: user.username, details: { method } });
+
+      res.json({
+        success: true,
+        username: user.username,
+        role: user.role,
+        requireTwoFactorSetup,
+        ...extra
+      });
+    });
+  });
+}
+
+function redirectWithSsoError(res, message) {
+  res.redirect(`/?sso_error=${encodeURIComponent(message)}`);
+}
+
+/**
+ * Starts single sign-on: redirects to the OIDC provider with a PKCE challenge
+ */
+router.get('/oidc/login', async (req, res) => {
+  if (!isAuthEnabled() || !oidc.isOidcEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, pending } = await oidc.createAuthorizationRequest(req);
+    req.session.oidc = pending;
+    req.session.save((saveErr) => {
+      if (saveErr) {
+        logger.error('Session save failed:', saveErr.message);
+        return redirectWithSsoError(res, 'Single sign-on failed');
+      }
+      res.redirect(url);
+    });
+  } catch (error) {
+    logger.error('Failed to start single sign-on:', error.message);
+    redirectWithSsoError(res, 'Single sign-on provider is unavailable');
+  }
+});
+
+/**
+ * Completes single sign-on: verifies the provider response, maps claims to a role and
+ * provisions the user on first login
+ */
+router.get('/oidc/callback', async (req, res) => {
+  if (!isAuthEnabled() || !oidc.isOidcEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+
+  let user;
+  try {
+    const claims = await oidc.handleCallback(req.query, pending);
+    const role = oidc.mapClaimsToRole(claims);
+    const username = oidc.getUsername(claims);
+    if (!role) {
+      logger.info(`Single sign-on refused for ${username}: no role mapped from claims`);
+      recordAudit(req, 'auth.login_failed', {
+        actor: username,
+        details: { method: 'oidc', reason: 'no_role' },
+        success: false
+      });
+      return redirectWithSsoError(res, 'Your account is not permitted to use portracker');
+    }
+    user = provisionExternalUser({ source: 'oidc', externalId: claims.sub, username, role });
+  } catch (error) {
+    if (error.code === 'USER_DISABLED' || error.code === 'USERNAME_TAKEN') {
+      logger.info('Single sign-on refused:', error.message);
+      recordAudit(req, 'auth.login_failed', {
+        actor: null,
+        details: { method: 'oidc', reason: error.code.toLowerCase() },
+        success: false
+      });
+      return redirectWithSsoError(res, error.message);
+    }
+    logger.error('Single sign-on callback failed:', error.message);
+    return redirectWithSsoError(res, 'Single sign-on failed');
+  }
+
+  req.session.regenerate((err) => {
+    if (err) {
+      logger.error('Session regeneration failed:', err.message);
+      return redirectWithSsoError(res, 'Single sign-on failed');
+    }
+
+    req.session.userId = user.id;
+    req.session.username = user.username;
+
+    req.session.save((saveErr) => {
+      if (saveErr) {
+        logger.error('Session save failed:', saveErr.message);
+        return redirectWithSsoError(res, 'Single sign-on failed');
+      }
+
+      logger.info(`User logged in via single sign-on: ${user.username} (${user.role})`);
+      recordAudit(req, 'auth.login', { actor: user.username, details: { method: 'oidc', role: user.role } });
+      res.redirect('/');
+    });
+  });
+});
+
 router.post('/logout', (req, res) => {
   const username = req.session?.username;
   
@@ -240,6 +509,7 @@ router.post('/logout', (req, res) => {
 
     if (username) {
       logger.info(`User logged out: ${username}`);
+      recordAudit(req, 'auth.logout', { actor: username });
     }
 
     res.json({ success: true, message: 'Logged out successfully' });
@@ -252,7 +522,8 @@ router.post('/change-password', async (req, res) => {
       return res.status(400).json({ error: 'Authentication is not enabled' });
     }
 
-    if (!req.session || !req.session.userId) {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
@@ -274,7 +545,7 @@ router.post('/change-password', async (req, res) => {
 
     let user;
     try {
-      user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.userId);
+      user = db.prepare('SELECT * FROM users WHERE id = ?').get(sessionUser.id);
     } catch (dbError) {
       logger.error('Database error during password change:', dbError.message);
       return res.status(500).json({ error: 'Password change failed' });
@@ -287,6 +558,7 @@ router.post('/change-password', async (req, res) => {
     if (!requirePasswordChange) {
       const isValidCurrent = await bcrypt.compare(currentPassword, user.password_hash);
       if (!isValidCurrent) {
+        recordAudit(req, 'auth.password_change', { actor: user.username, target: user.username, success: false });
         return res.status(401).json({ error: 'Current password is incorrect' });
       }
     }
@@ -296,6 +568,7 @@ router.post('/change-password', async (req, res) => {
     db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, user.id);
 
     delete req.session.requirePasswordChange;
+    recordAudit(req, 'auth.password_change', { actor: user.username, target: user.username });
 
     req.session.save((saveErr) => {
       if (saveErr) {
@@ -316,4 +589,129 @@ router.post('/change-password', async (req, res) => {
   }
 });
 
+/**
+ * Loads the local user managing their own two-factor settings. Unlike getSessionUser this
+ * also accepts sessions that still have to enrol.
+ */
+function getTwoFactorUser(req) {
+  if (!req.session || !req.session.userId) {
+    return null;
+  }
+  if (!req.session.requireTwoFactorSetup && !getSessionUser(req)) {
+    return null;
+  }
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.userId);
+  return user && !user.disabled ? user : null;
+}
+
+/**
+ * Wraps the two-factor routes: checks auth is on and a local user is signed in, and
+ * passes the user row to the handler
+ */
+function withTwoFactorUser(action, handler) {
+  return async (req, res) => {
+    try {
+      if (!isAuthEnabled()) {
+        return res.status(400).json({ error: 'Authentication is not enabled' });
+      }
+      const user = getTwoFactorUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required', authEnabled: true });
+      }
+      if (user.auth_source !== 'local') {
+        return res.status(400).json({ error: 'Two-factor authentication is managed by your sign-in provider' });
+      }
+      await handler(req, res, user);
+    } catch (error) {
+      logger.error(`Error during two-factor ${action}:`, error.message);
+      logger.debug('Stack trace:', error.stack || '');
+      res.status(500).json({ error: `Failed to ${action} two-factor authentication` });
+    }
+  };
+}
+
+async function checkCurrentPassword(user, password) {
+  if (!password || typeof password !== 'string') {
+    return false;
+  }
+  return bcrypt.compare(password, user.password_hash);
+}
+
+router.get('/2fa', withTwoFactorUser('load', (req, res, user) => {
+  res.json(twoFactor.getTwoFactorStatus(user));
+}));
+
+/**
+ * Starts enrolment: returns a new secret and its QR code. The secret is kept in the session
+ * until /2fa/enable confirms a code from the authenticator app.
+ */
+router.post('/2fa/setup', withTwoFactorUser('set up', async (req, res, user) => {
+  if (user.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const enrolment = await twoFactor.createEnrolment(user.username);
+  req.session.twoFactorEnrolment = { secret: enrolment.secret, expiresAt: Date.now() + TWO_FACTOR_PENDING_MS * 2 };
+  res.json(enrolment);
+}));
+
+router.post('/2fa/enable', withTwoFactorUser('enable', (req, res, user) => {
+  const enrolment = req.session.twoFactorEnrolment;
+  if (!enrolment || enrolment.expiresAt < Date.now()) {
+    delete req.session.twoFactorEnrolment;
+    return res.status(400).json({ error: 'Setup expired, please start again' });
+  }
+
+  const { code } = req.body || {};
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Authentication code is required' });
+  }
+
+  const recoveryCodes = twoFactor.enableTwoFactor(user, enrolment.secret, code);
+  if (!recoveryCodes) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  delete req.session.twoFactorEnrolment;
+  delete req.session.requireTwoFactorSetup;
+  recordAudit(req, 'auth.2fa_enable', { actor: user.username, target: user.username });
+
+  req.session.save((saveErr) => {
+    if (saveErr) {
+      logger.error('Session save failed:', saveErr.message);
+    }
+    res.json({ success: true, recoveryCodes });
+  });
+}));
+
+router.post('/2fa/disable', withTwoFactorUser('disable', async (req, res, user) => {
+  if (!user.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (user.totp_required) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for your account' });
+  }
+  if (!(await checkCurrentPassword(user, (req.body || {}).password))) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+
+  twoFactor.disableTwoFactor(user);
+  recordAudit(req, 'auth.2fa_disable', { actor: user.username, target: user.username });
+  res.json({ success: true });
+}));
+
+router.post('/2fa/recovery-codes', withTwoFactorUser('update', async (req, res, user) => {
+  if (!user.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!(await checkCurrentPassword(user, (req.body || {}).password))) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+
+  const recoveryCodes = twoFactor.issueRecoveryCodes(user.id);
+  logger.info(`Recovery codes regenerated for ${user.username}`);
+  recordAudit(req, 'auth.2fa_recovery_codes', { actor: user.username, target: user.username });
+  res.json({ success: true, recoveryCodes });
+}));
+
 module.exports = router;
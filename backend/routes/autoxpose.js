@@ -2,7 +2,8 @@ const express = require('express');
 const { Logger } = require('../lib/logger');
 const autoxposeClient = require('../lib/autoxpose-client');
 const settingsManager = require('../lib/settings-manager');
-const { isAuthEnabled } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit-log');
+const { isAuthEnabled, requireAuth, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 const logger = new Logger('AutoxposeRoutes', { debug: process.env.DEBUG === 'true' });
@@ -26,7 +27,7 @@ router.get('/status', async (req, res) => {
   }
 });
 
-router.post('/connect', async (req, res) => {
+router.post('/connect', requireAuth, requireRole('admin'), async (req, res) => {
   try {
     const { url } = req.body;
     
@@ -48,6 +49,7 @@ router.post('/connect', async (req, res) => {
       
       logger.info(`Autoxpose connected: ${cleanUrl}`);
     }
+    recordAudit(req, 'autoxpose.connect', { target: cleanUrl, success: !!result.success });
     
     res.json(result);
   } catch (error) {
@@ -56,7 +58,7 @@ router.post('/connect', async (req, res) => {
   }
 });
 
-router.post('/disconnect', (req, res) => {
+router.post('/disconnect', requireAuth, requireRole('admin'), (req, res) => {
   try {
     const userId = isAuthEnabled() && req.session?.userId ? req.session.userId : null;
     
@@ -67,6 +69,7 @@ router.post('/disconnect', (req, res) => {
     settingsManager.deleteSetting(null, 'autoxposeUrl');
     
     logger.info('Autoxpose disconnected');
+    recordAudit(req, 'autoxpose.disconnect');
     res.json({ success: true });
   } catch (error) {
     logger.error('Error disconnecting autoxpose:', error.message);
@@ -74,7 +77,7 @@ router.post('/disconnect', (req, res) => {
   }
 });
 
-router.put('/display-mode', (req, res) => {
+router.put('/display-mode', requireAuth, requireRole('admin'), (req, res) => {
   try {
     const { mode } = req.body;
     
@@ -85,6 +88,7 @@ router.put('/display-mode', (req, res) => {
     const userId = isAuthEnabled() && req.session?.userId ? req.session.userId : null;
     settingsManager.updateUserSetting(userId, 'autoxposeDisplayMode', mode);
     settingsManager.updateUserSetting(null, 'autoxposeDisplayMode', mode);
+    recordAudit(req, 'autoxpose.update', { details: { displayMode: mode } });
     
     res.json({ success: true, displayMode: mode });
   } catch (error) {
@@ -93,7 +97,7 @@ router.put('/display-mode', (req, res) => {
   }
 });
 
-router.put('/url-style', (req, res) => {
+router.put('/url-style', requireAuth, requireRole('admin'), (req, res) => {
   try {
     const { style } = req.body;
     
@@ -104,6 +108,7 @@ router.put('/url-style', (req, res) => {
     const userId = isAuthEnabled() && req.session?.userId ? req.session.userId : null;
     settingsManager.updateUserSetting(userId, 'autoxposeUrlStyle', style);
     settingsManager.updateUserSetting(null, 'autoxposeUrlStyle', style);
+    recordAudit(req, 'autoxpose.update', { details: { urlStyle: style } });
     
     res.json({ success: true, urlStyle: style });
   } catch (error) {
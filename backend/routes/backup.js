@@ -0,0 +1,64 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+const { allowApiKey, requireRole } = require('../middleware/auth');
+const backup = require('../lib/backup');
+const { recordAudit } = require('../lib/audit-log');
+
+const router = express.Router();
+const logger = new Logger('BackupRoutes', { debug: process.env.DEBUG === 'true' });
+
+function readAppVersion() {
+  try {
+    const packageData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf8'));
+    return packageData.version || null;
+  } catch {
+    return null;
+  }
+}
+
+router.get('/backup', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  try {
+    const includeSecrets = req.query.secrets === 'true';
+    const bundle = backup.createBackup({ includeSecrets, appVersion: readAppVersion() });
+    const stamp = bundle.created_at.slice(0, 10);
+
+    logger.info(`Backup downloaded${includeSecrets ? ' (including secrets)' : ''}`);
+    res.set('Content-Disposition', `attachment; filename="portracker-backup-${stamp}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    logger.error('Error creating backup:', error.message);
+    logger.debug('Stack trace:', error.stack || '');
+    res.status(500).json({ error: 'Failed to create backup', details: error.message });
+  }
+});
+
+router.post('/restore', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  const { backup: bundle, mode = 'merge', overwrite = false, dry_run: dryRun = false } = req.body || {};
+
+  if (!backup.RESTORE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${backup.RESTORE_MODES.join(', ')}` });
+  }
+  const validationError = backup.validateBackup(bundle);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const report = backup.restoreBackup(bundle, { mode, overwrite: !!overwrite, dryRun: !!dryRun });
+    if (!dryRun) {
+      recordAudit(req, 'backup.restore', { details: { mode, overwrite: !!overwrite } });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    if (typeof error.code === 'string' && error.code.startsWith('SQLITE_CONSTRAINT')) {
+      return res.status(400).json({ error: 'Backup contains invalid rows', details: error.message });
+    }
+    logger.error('Error restoring backup:', error.message);
+    logger.debug('Stack trace:', error.stack || '');
+    res.status(500).json({ error: 'Failed to restore backup', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { Logger } = require('../lib/logger');
+const { allowApiKey, requireRole } = require('../middleware/auth');
+const notifications = require('../lib/notifications');
+const { recordAudit } = require('../lib/audit-log');
+
+const router = express.Router();
+const logger = new Logger('NotificationRoutes', { debug: process.env.DEBUG === 'true' });
+
+function parseTargetId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: 'Invalid target ID' });
+    return null;
+  }
+  return id;
+}
+
+router.get('/options', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  res.json({ types: notifications.TARGET_TYPES, triggers: notifications.TRIGGERS });
+});
+
+router.get('/targets', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  try {
+    res.json({ targets: notifications.listTargets() });
+  } catch (error) {
+    logger.error('Error fetching webhook targets:', error.message);
+    res.status(500).json({ error: 'Failed to fetch webhook targets' });
+  }
+});
+
+router.post('/targets', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  try {
+    const validationError = notifications.validateTarget(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const target = notifications.createTarget(req.body);
+    recordAudit(req, 'notification.create', { target: target.name, details: { id: target.id, type: target.type } });
+    res.status(201).json({ success: true, target });
+  } catch (error) {
+    logger.error('Error creating webhook target:', error.message);
+    res.status(500).json({ error: 'Failed to create webhook target' });
+  }
+});
+
+router.put('/targets/:id', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  const id = parseTargetId(req, res);
+  if (id === null) return;
+
+  try {
+    const validationError = notifications.validateTarget(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const target = notifications.updateTarget(id, req.body);
+    if (!target) {
+      return res.status(404).json({ error: 'Webhook target not found' });
+    }
+    recordAudit(req, 'notification.update', { target: target.name, details: { id, fields: Object.keys(req.body || {}) } });
+    res.json({ success: true, target });
+  } catch (error) {
+    logger.error('Error updating webhook target:', error.message);
+    res.status(500).json({ error: 'Failed to update webhook target' });
+  }
+});
+
+router.delete('/targets/:id', allowApiKey('admin'), requireRole('admin'), (req, res) => {
+  const id = parseTargetId(req, res);
+  if (id === null) return;
+
+  try {
+    if (!notifications.deleteTarget(id)) {
+      return res.status(404).json({ error: 'Webhook target not found' });
+    }
+    logger.info(`Webhook target deleted: ${id}`);
+    recordAudit(req, 'notification.delete', { target: String(id) });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting webhook target:', error.message);
+    res.status(500).json({ error: 'Failed to delete webhook target' });
+  }
+});
+
+router.post('/targets/:id/test', allowApiKey('admin'), requireRole('admin'), async (req, res) => {
+  const id = parseTargetId(req, res);
+  if (id === null) return;
+
+  try {
+    const result = await notifications.sendTest(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook target not found' });
+    }
+    recordAudit(req, 'notification.test', { target: String(id), success: !!result.success });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error sending test notification:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
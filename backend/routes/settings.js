@@ -1,9 +1,9 @@
 const express = require('express');
-const db = require('../db');
 const { Logger } = require('../lib/logger');
-const { requireAuth, isAuthEnabled } = require('../middleware/auth');
+const { requireAuth, requireRole, isAuthEnabled, getSessionUser } = require('../middleware/auth');
 const settingsManager = require('../lib/settings-manager');
 const apiKeyManager = require('../lib/api-key-manager');
+const { recordAudit } = require('../lib/audit-log');
 
 const router = express.Router();
 const logger = new Logger('SettingsRoutes', { debug: process.env.DEBUG === 'true' });
@@ -20,9 +20,20 @@ router.get('/', (req, res) => {
   }
 });
 
-router.put('/', (req, res) => {
+/**
+ * With auth enabled, settings are written for the signed-in user. Without it they are the
+ * global settings, which need the admin role.
+ */
+function requireSettingsWriter(req, res, next) {
+  if (isAuthEnabled()) {
+    return requireAuth(req, res, next);
+  }
+  return requireRole('admin')(req, res, next);
+}
+
+router.put('/', requireSettingsWriter, (req, res) => {
   try {
-    const userId = isAuthEnabled() && req.session?.userId ? req.session.userId : null;
+    const userId = isAuthEnabled() ? getSessionUser(req).id : null;
     const settings = req.body;
 
     if (!settings || typeof settings !== 'object') {
@@ -31,6 +42,7 @@ router.put('/', (req, res) => {
 
     settingsManager.updateUserSettings(userId, settings);
     const updated = settingsManager.getUserSettings(userId);
+    recordAudit(req, 'settings.update', { details: { keys: Object.keys(settings) } });
 
     res.json(updated);
   } catch (error) {
@@ -44,88 +56,76 @@ router.get('/defaults', (req, res) => {
   res.json(defaults);
 });
 
-router.post('/servers/:serverId/api-key', requireAuth, async (req, res) => {
+router.get('/api-keys', requireAuth, requireRole('admin'), (req, res) => {
   try {
-    const { serverId } = req.params;
-
-    if (!serverId) {
-      return res.status(400).json({ error: 'Server ID is required' });
-    }
-
-    const server = db.prepare('SELECT id, label FROM servers WHERE id = ?').get(serverId);
-    if (!server) {
-      return res.status(404).json({ error: 'Server not found' });
-    }
+    res.json({ keys: apiKeyManager.listApiKeys(), scopes: apiKeyManager.SCOPES });
+  } catch (error) {
+    logger.error('Error fetching API keys:', error.message);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
 
-    if (serverId !== 'local') {
-      return res.status(400).json({ error: 'API keys can only be generated for the local server' });
-    }
+router.post('/api-keys', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt = null } = req.body || {};
 
-    const result = await apiKeyManager.generateApiKey(serverId);
-    if (!result) {
-      return res.status(500).json({ error: 'Failed to generate API key' });
+    const validationError = apiKeyManager.validateApiKeyInput({ name, scopes, expiresAt });
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', details: validationError });
     }
 
-    logger.info(`API key generated for server: ${serverId} (${server.label})`);
+    const result = await apiKeyManager.createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: getSessionUser(req)?.username || null
+    });
 
-    res.json({
+    recordAudit(req, 'api_key.create', {
+      target: result.key.name,
+      details: { id: result.key.id, scopes: result.key.scopes, expiresAt: result.key.expiresAt }
+    });
+    res.status(201).json({
       success: true,
       apiKey: result.apiKey,
-      createdAt: result.createdAt,
-      message: 'API key generated successfully. This key will only be shown once.'
+      key: result.key,
+      message: 'API key created successfully. This key will only be shown once.'
     });
   } catch (error) {
-    logger.error('Error generating API key:', error.message);
-    res.status(500).json({ error: 'Failed to generate API key' });
+    logger.error('Error creating API key:', error.message);
+    res.status(500).json({ error: 'Failed to create API key' });
   }
 });
 
-router.get('/servers/:serverId/api-key', requireAuth, (req, res) => {
+router.post('/api-keys/:id/revoke', requireAuth, requireRole('admin'), (req, res) => {
   try {
-    const { serverId } = req.params;
-
-    if (!serverId) {
-      return res.status(400).json({ error: 'Server ID is required' });
-    }
-
-    const info = apiKeyManager.getApiKeyInfo(serverId);
-    if (!info) {
-      return res.status(404).json({ error: 'Server not found' });
+    const revoked = apiKeyManager.revokeApiKey(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
     }
 
-    res.json(info);
+    const key = apiKeyManager.getApiKey(req.params.id);
+    recordAudit(req, 'api_key.revoke', { target: key.name, details: { id: key.id } });
+    res.json({ success: true, key });
   } catch (error) {
-    logger.error('Error fetching API key info:', error.message);
-    res.status(500).json({ error: 'Failed to fetch API key info' });
+    logger.error('Error revoking API key:', error.message);
+    res.status(500).json({ error: 'Failed to revoke API key' });
   }
 });
 
-router.delete('/servers/:serverId/api-key', requireAuth, (req, res) => {
+router.delete('/api-keys/:id', requireAuth, requireRole('admin'), (req, res) => {
   try {
-    const { serverId } = req.params;
-
-    if (!serverId) {
-      return res.status(400).json({ error: 'Server ID is required' });
-    }
-
-    if (serverId !== 'local') {
-      return res.status(400).json({ error: 'Can only revoke API key for the local server' });
+    const key = apiKeyManager.getApiKey(req.params.id);
+    const deleted = apiKeyManager.deleteApiKey(req.params.id);
+    if (!deleted) {
+      return res.status(400).json({ error: 'Only revoked or expired API keys can be deleted' });
     }
+    recordAudit(req, 'api_key.delete', { target: key.name, details: { id: key.id } });
 
-    const revoked = apiKeyManager.revokeApiKey(serverId);
-    if (!revoked) {
-      return res.status(404).json({ error: 'Server not found or no API key to revoke' });
-    }
-
-    logger.info(`API key revoked for server: ${serverId}`);
-
-    res.json({
-      success: true,
-      message: 'API key revoked successfully'
-    });
+    res.json({ success: true });
   } catch (error) {
-    logger.error('Error revoking API key:', error.message);
-    res.status(500).json({ error: 'Failed to revoke API key' });
+    logger.error('Error deleting API key:', error.message);
+    res.status(500).json({ error: 'Failed to delete API key' });
   }
 });
 
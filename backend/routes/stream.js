@@ -0,0 +1,42 @@
+const express = require('express');
+const { Logger } = require('../lib/logger');
+const { requireAuthOrApiKey } = require('../middleware/auth');
+const liveUpdates = require('../lib/live-updates');
+
+const router = express.Router();
+const logger = new Logger('StreamRoutes', { debug: process.env.DEBUG === 'true' });
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Server-Sent Events stream of live dashboard updates (ports, ping, server).
+ * The ready event carries the scan scheduler state; with the scheduler off,
+ * clients keep polling alongside the stream.
+ */
+router.get('/', requireAuthOrApiKey, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ timestamp: new Date().toISOString(), scheduler: liveUpdates.getSchedulerState() })}\n\n`);
+
+  const unsubscribe = liveUpdates.subscribe((event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  logger.debug(`Stream client connected (${liveUpdates.subscriberCount()} active)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug(`Stream client disconnected (${liveUpdates.subscriberCount()} active)`);
+  });
+});
+
+module.exports = router;
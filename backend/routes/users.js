@@ -0,0 +1,213 @@
+/**
+ * User Management Routes
+ *
+ * Lets admins create accounts, change roles, reset passwords and disable users, require
+ * or reset two-factor authentication for local accounts, and see and lift sign-in lockouts.
+ * Roles: admin, editor (notes, names, hidden ports, reservations) and viewer (read-only).
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const db = require('../db');
+const { Logger } = require('../lib/logger');
+const { ROLES, requireAuth, requireRole, getSessionUser } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit-log');
+const loginThrottle = require('../lib/login-throttle');
+
+const router = express.Router();
+const logger = new Logger('UserRoutes', { debug: process.env.DEBUG === 'true' });
+
+const USER_COLUMNS = 'id, username, role, disabled, auth_source, totp_enabled, totp_required, created_at, last_login';
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    disabled: !!row.disabled,
+    auth_source: row.auth_source,
+    totp_enabled: !!row.totp_enabled,
+    totp_required: !!row.totp_required,
+    created_at: row.created_at,
+    last_login: row.last_login,
+  };
+}
+
+const CHANGED_FIELDS = {
+  password_hash: 'password',
+  totp_secret: 'two_factor_reset',
+  totp_enabled: 'two_factor_reset',
+  totp_last_step: 'two_factor_reset',
+  totp_recovery_codes: 'two_factor_reset',
+};
+
+function countActiveAdmins(excludeUserId = null) {
+  return db
+    .prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND disabled = 0 AND id != ?")
+    .get(excludeUserId || '').count;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  return null;
+}
+
+router.use(requireAuth, requireRole('admin'));
+
+router.get('/', (req, res) => {
+  try {
+    const rows = db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY created_at`).all();
+    res.json({ users: rows.map(toUser), roles: ROLES });
+  } catch (error) {
+    logger.error('Error fetching users:', error.message);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * Usernames and IPs currently locked out or slowed down after failed sign-ins
+ */
+router.get('/lockouts', (req, res) => {
+  try {
+    res.json({ lockouts: loginThrottle.listLockouts() });
+  } catch (error) {
+    logger.error('Error fetching lockouts:', error.message);
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+});
+
+router.delete('/lockouts/:scope/:key', (req, res) => {
+  try {
+    const { scope, key } = req.params;
+    if (!loginThrottle.THROTTLE_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of: ${loginThrottle.THROTTLE_SCOPES.join(', ')}` });
+    }
+    if (!loginThrottle.clearLockout(scope, key)) {
+      return res.status(404).json({ error: 'No lockout found' });
+    }
+
+    logger.info(`Sign-in lockout cleared for ${scope} ${key} by ${getSessionUser(req)?.username || 'system'}`);
+    recordAudit(req, 'auth.unlock', { target: `${scope} ${key}`, details: { scope } });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error clearing lockout:', error.message);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+
+    if (typeof username !== 'string' || username.trim().length < 3) {
+      return res.status(400).json({ error: 'Username must be at least 3 characters' });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username.trim());
+    if (existing) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const userId = crypto.randomUUID();
+    const passwordHash = await bcrypt.hash(password, 10);
+    db.prepare(
+      'INSERT INTO users (id, username, password_hash, created_at, role) VALUES (?, ?, ?, ?, ?)'
+    ).run(userId, username.trim(), passwordHash, Date.now(), role);
+
+    logger.info(`User created: ${username.trim()} (${role}) by ${getSessionUser(req)?.username || 'system'}`);
+    recordAudit(req, 'user.create', { target: username.trim(), details: { role } });
+    const row = db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(userId);
+    res.status(201).json({ user: toUser(row) });
+  } catch (error) {
+    logger.error('Error creating user:', error.message);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { role, disabled, password, totpRequired, resetTwoFactor } = req.body || {};
+    const updates = {};
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      updates.role = role;
+    }
+    if (disabled !== undefined) {
+      if (typeof disabled !== 'boolean') {
+        return res.status(400).json({ error: 'disabled must be a boolean' });
+      }
+      updates.disabled = disabled ? 1 : 0;
+    }
+    if (password !== undefined) {
+      if (user.auth_source !== 'local') {
+        return res.status(400).json({ error: 'Single sign-on users sign in through their provider and have no password' });
+      }
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+      updates.password_hash = await bcrypt.hash(password, 10);
+    }
+    if (totpRequired !== undefined || resetTwoFactor !== undefined) {
+      if (user.auth_source !== 'local') {
+        return res.status(400).json({ error: 'Single sign-on users use the two-factor settings of their provider' });
+      }
+    }
+    if (totpRequired !== undefined) {
+      if (typeof totpRequired !== 'boolean') {
+        return res.status(400).json({ error: 'totpRequired must be a boolean' });
+      }
+      updates.totp_required = totpRequired ? 1 : 0;
+    }
+    if (resetTwoFactor !== undefined) {
+      if (resetTwoFactor !== true) {
+        return res.status(400).json({ error: 'resetTwoFactor must be true' });
+      }
+      Object.assign(updates, { totp_secret: null, totp_enabled: 0, totp_last_step: null, totp_recovery_codes: null });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const losesAdmin = user.role === 'admin' && !user.disabled &&
+      ((updates.role && updates.role !== 'admin') || updates.disabled === 1);
+    if (losesAdmin && countActiveAdmins(user.id) === 0) {
+      return res.status(400).json({ error: 'At least one enabled admin is required' });
+    }
+
+    const assignments = Object.keys(updates).map((column) => `${column} = ?`).join(', ');
+    db.prepare(`UPDATE users SET ${assignments} WHERE id = ?`).run(...Object.values(updates), user.id);
+
+    const changed = [...new Set(Object.keys(updates).map((column) => CHANGED_FIELDS[column] || column))];
+    logger.info(`User ${user.username} updated (${changed.join(', ')}) by ${getSessionUser(req)?.username || 'system'}`);
+    recordAudit(req, 'user.update', {
+      target: user.username,
+      details: { changed, role: updates.role, disabled: updates.disabled === undefined ? undefined : !!updates.disabled }
+    });
+    const row = db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(user.id);
+    res.json({ user: toUser(row) });
+  } catch (error) {
+    logger.error('Error updating user:', error.message);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+module.exports = router;
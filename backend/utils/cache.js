@@ -6,6 +6,8 @@ class SimpleTTLCache {
   constructor() {
   
   this.store = new Map();
+  this.hits = 0;
+  this.misses = 0;
   }
 
   /**
@@ -15,11 +17,16 @@ class SimpleTTLCache {
    */
   get(key) {
     const entry = this.store.get(key);
-    if (!entry) return undefined;
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
     if (entry.expires !== 0 && Date.now() > entry.expires) {
       this.store.delete(key);
+      this.misses++;
       return undefined;
     }
+    this.hits++;
     return entry.value;
   }
 
@@ -56,6 +63,20 @@ class SimpleTTLCache {
 
   /** Clear entire cache */
   clear() { this.store.clear(); }
+
+  /**
+   * Lookup counters since the cache was created (not reset by clear())
+   * @returns {{hits: number, misses: number, size: number, hitRatio: number}}
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      size: this.store.size,
+      hitRatio: lookups > 0 ? this.hits / lookups : 0,
+    };
+  }
 }
 
 module.exports = { SimpleTTLCache };
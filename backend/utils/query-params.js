@@ -0,0 +1,20 @@
+/**
+ * Helpers for validating query string parameters.
+ */
+
+/**
+ * Parses an optional date query parameter into an ISO timestamp.
+ * @param {Object} query - req.query
+ * @param {string} field - Parameter name, e.g. "since"
+ * @returns {{value: string|null}|{error: string, field: string}}
+ */
+function parseDateParam(query, field) {
+  if (!query[field]) return { value: null };
+  const parsed = new Date(query[field]);
+  if (Number.isNaN(parsed.getTime())) {
+    return { error: `${field} must be a valid date`, field };
+  }
+  return { value: parsed.toISOString() };
+}
+
+module.exports = { parseDateParam };
@@ -355,6 +355,13 @@ module.exports = [
     },
   },
 
+  {
+    files: ['backend/**/__tests__/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.node, ...globals.jest },
+    },
+  },
+
   {
     files: ['backend/lib/logger.js', 'frontend/src/lib/logger.js'],
     rules: {
@@ -26,14 +26,17 @@ import { SettingsModal } from "./components/settings/SettingsModal";
 import { ApiKeyModal } from "./components/settings/ApiKeyModal";
 import { LoginPage } from "./components/auth/LoginPage";
 import { ChangePasswordPage } from "./components/auth/ChangePasswordPage";
+import { TwoFactorModal } from "./components/auth/TwoFactorModal";
 import { BarChart3 } from "lucide-react";
 import Logger from "./lib/logger";
 import { useWhatsNew } from "./lib/hooks/useWhatsNew";
 import { saveCustomServiceName, deleteCustomServiceName, getCustomServiceNames, batchCustomServiceNames } from "./lib/api/customServiceNames";
 import { batchNotes, saveNote } from "./lib/api/notes";
+import { connectLiveUpdates, applyPortDelta } from "./lib/api/stream";
+import { downloadExport } from "./lib/api/export";
 import { getAutoxposeStatus, connectAutoxpose, disconnectAutoxpose, setAutoxposeDisplayMode, setAutoxposeUrlStyle, getAutoxposeServices, getAutoxposeDomain } from "./lib/api/autoxpose";
 import { AutoxposeNudge } from "./components/autoxpose";
-import { generatePortKey } from "./lib/utils/portUtils";
+import { generatePortKey, hasPortUrl, isUnixSocket } from "./lib/utils/portUtils";
 import { formatUptime } from "@/lib/utils";
 import { useAuth } from "./contexts/AuthContext";
 import { buildAutoRefreshMessages } from "@/lib/autoRefreshMessages";
@@ -63,6 +66,7 @@ export default function App() {
   const { shouldShowButton: shouldShowWhatsNewButton, handleShow: handleShowWhatsNew, getModalProps: getWhatsNewModalProps } = useWhatsNew();
   
   const [groups, setGroups] = useState([]);
+  const groupsRef = useRef(groups);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [hostOverride, setHostOverride] = useState(null);
@@ -81,6 +85,7 @@ export default function App() {
   const [batchNotesModalOpen, setBatchNotesModalOpen] = useState(false);
   const [settingsModalOpen, setSettingsModalOpen] = useState(false);
   const [apiKeyModalOpen, setApiKeyModalOpen] = useState(false);
+  const [twoFactorModalOpen, setTwoFactorModalOpen] = useState(false);
   const [refreshInterval, setRefreshInterval] = useState(() => {
     try {
       const saved = localStorage.getItem("refreshInterval");
@@ -253,11 +258,13 @@ export default function App() {
         : {
             docker: true,
             system: false,
+            unix: false,
           };
     } catch {
       return {
         docker: true,
         system: false,
+        unix: false,
       };
     }
   });
@@ -332,6 +339,7 @@ export default function App() {
       return false;
     }
   });
+  const [liveUpdatesConnected, setLiveUpdatesConnected] = useState(false);
   const [portSuggestions, setPortSuggestions] = useState({});
 
   const [autoxposeStatus, setAutoxposeStatus] = useState({
@@ -535,7 +543,7 @@ export default function App() {
     }
   }, [autoRefreshEnabled]);
 
-  const generatePortForServer = useCallback(async (serverId) => {
+  const generatePortForServer = useCallback(async (serverId, options = {}) => {
     setPortSuggestions((prev) => ({
       ...prev,
       [serverId]: { ...(prev[serverId] || {}), loading: true, error: null },
@@ -544,6 +552,8 @@ export default function App() {
     try {
       const response = await fetch(`/api/servers/${encodeURIComponent(serverId)}/generate-port`, {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(options),
       });
 
       if (!response.ok) {
@@ -556,6 +566,7 @@ export default function App() {
         ...prev,
         [serverId]: {
           port: payload.port,
+          ports: payload.ports || [payload.port],
           meta: payload.meta || null,
           generatedAt: Date.now(),
           loading: false,
@@ -957,18 +968,64 @@ export default function App() {
     }
   }, [auth.authenticated, auth.loading, fetchAll, groups.length]);
 
+  useEffect(() => {
+    groupsRef.current = groups;
+  }, [groups]);
+
+  const applyLivePortChanges = useCallback(async (change) => {
+    const group = groupsRef.current.find((g) => g.id === change.server_id);
+    if (!group || !group.ok) return;
+
+    const merged = applyPortDelta(group.data, change, { includeUdp });
+    const transformed = await transformCollectorData({ ports: merged }, group.id, group.url || null);
+    logger.debug(`Live update for ${group.id}: +${change.added?.length || 0} -${change.removed?.length || 0}`);
+    setGroups((prev) => prev.map((g) => (g.id === group.id ? { ...g, data: transformed } : g)));
+  }, [includeUdp, transformCollectorData]);
+
+  const applyLiveServerChange = useCallback((change) => {
+    if (change.reachable) {
+      fetchAll();
+      return;
+    }
+    setGroups((prev) =>
+      prev.map((g) =>
+        g.id === change.server_id
+          ? { ...g, ok: false, error: `Peer unreachable: ${change.error || "no response"}` }
+          : g
+      )
+    );
+  }, [fetchAll]);
+
   useEffect(() => {
     if (!autoRefreshEnabled || auth.loading || (auth.authEnabled && !auth.authenticated)) {
       return;
     }
 
+    const disconnect = connectLiveUpdates({
+      onReady: ({ scheduler }) => setLiveUpdatesConnected(scheduler?.enabled !== false),
+      onUnavailable: () => setLiveUpdatesConnected(false),
+      onPorts: applyLivePortChanges,
+      onServer: applyLiveServerChange,
+    });
+
+    return () => {
+      disconnect();
+      setLiveUpdatesConnected(false);
+    };
+  }, [autoRefreshEnabled, auth.loading, auth.authEnabled, auth.authenticated, applyLivePortChanges, applyLiveServerChange]);
+
+  useEffect(() => {
+    if (!autoRefreshEnabled || liveUpdatesConnected || auth.loading || (auth.authEnabled && !auth.authenticated)) {
+      return;
+    }
+
     const intervalId = setInterval(() => {
       logger.debug('Auto-refresh triggered');
       fetchAll();
     }, refreshInterval);
 
     return () => clearInterval(intervalId);
-  }, [autoRefreshEnabled, fetchAll, auth.loading, auth.authEnabled, auth.authenticated, refreshInterval]);
+  }, [autoRefreshEnabled, liveUpdatesConnected, fetchAll, auth.loading, auth.authEnabled, auth.authenticated, refreshInterval]);
 
   useEffect(() => {
     if (!loading && groups.length > 0) {
@@ -1881,6 +1938,23 @@ export default function App() {
     return window.location.port || "4999";
   }, []);
 
+  const handleExport = useCallback(async (format) => {
+    const sources = ["docker", "system"].filter((source) => filters[source]);
+    const allServers = !selectedServer || (searchTerm && searchScope === "all");
+    try {
+      const filename = await downloadExport({
+        format,
+        serverId: allServers ? null : selectedServer,
+        sources,
+        search: searchTerm || null,
+      });
+      pushHealthToast({ type: "success", message: `Exported ${filename}` });
+    } catch (error) {
+      logger.error("Export failed:", error);
+      pushHealthToast({ type: "error", message: `Export failed: ${error.message}` });
+    }
+  }, [filters, selectedServer, searchTerm, searchScope, pushHealthToast]);
+
   const autoRefreshMessages = useMemo(() => {
     const isTrueNAS = Boolean(
       selectedServerData?.platformName?.toLowerCase().includes("truenas")
@@ -1910,13 +1984,22 @@ export default function App() {
     return <ChangePasswordPage />;
   }
 
+  if (auth.requireTwoFactorSetup) {
+    return (
+      <div className="min-h-screen bg-slate-50 dark:bg-slate-950">
+        <TwoFactorModal open requireSetup onClose={() => auth.refreshAuth()} />
+      </div>
+    );
+  }
+
   const filterPorts = (group) => {
     if (!group.ok || !group.data) return group;
 
     const filteredData = group.data.filter((port) => {
-      const matchesSourceFilter =
-        (port.source === "docker" && filters.docker) ||
-        (port.source === "system" && filters.system);
+      const matchesSourceFilter = isUnixSocket(port)
+        ? !!filters.unix
+        : (port.source === "docker" && filters.docker) ||
+          (port.source === "system" && filters.system);
 
       if (!matchesSourceFilter) return false;
 
@@ -1984,7 +2067,12 @@ export default function App() {
           }
 
           const actualProtocol = portProtocol || "http";
-          const urlToCopy = `${actualProtocol}://${hostForCopy}:${p.host_port}`;
+          let urlToCopy = `${actualProtocol}://${hostForCopy}:${p.host_port}`;
+          if (isUnixSocket(p)) {
+            urlToCopy = p.host_ip;
+          } else if (!hasPortUrl(p)) {
+            urlToCopy = `${hostForCopy}:${p.host_port}`;
+          }
 
           if (navigator.clipboard && navigator.clipboard.writeText) {
             navigator.clipboard
@@ -2123,6 +2211,7 @@ export default function App() {
           onShowWhatsNew={shouldShowWhatsNewButton ? handleShowWhatsNew : null}
           hasNewFeatures={shouldShowWhatsNewButton}
           autoRefreshEnabled={autoRefreshEnabled}
+          liveUpdatesConnected={liveUpdatesConnected}
           onAutoRefreshToggle={() => setAutoRefreshEnabled(!autoRefreshEnabled)}
           onLogoLongPress={handleLogoHealthCheck}
           hackerMode={hackerMode}
@@ -2130,8 +2219,10 @@ export default function App() {
           autoRefreshMessages={autoRefreshMessages}
           onOpenSettings={() => setSettingsModalOpen(true)}
           onOpenApiKey={() => setApiKeyModalOpen(true)}
+          onOpenTwoFactor={() => setTwoFactorModalOpen(true)}
           refreshInterval={refreshInterval}
           autoxposeStatus={autoxposeStatus}
+          onExport={handleExport}
         />
         <DashboardLayout
           isSidebarOpen={isSidebarOpen}
@@ -2302,6 +2393,11 @@ export default function App() {
         onClose={() => setApiKeyModalOpen(false)}
       />
 
+      <TwoFactorModal
+        open={twoFactorModalOpen}
+        onClose={() => setTwoFactorModalOpen(false)}
+      />
+
       <BatchOperationsBar
         selectedCount={selectedPorts.size}
         onBatchRename={handleBatchRename}
@@ -2,18 +2,55 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { KeyRound } from 'lucide-react';
 import Logo from '@/components/Logo';
 import { useAuth } from '@/contexts/AuthContext';
 import { SetupWizard } from './SetupWizard';
 
+const LOCKOUT_MESSAGES = {
+  LOGIN_THROTTLED: 'Too many failed sign-in attempts.',
+  ACCOUNT_LOCKED: 'Too many failed sign-in attempts. This account is temporarily locked.',
+  IP_LOCKED: 'Too many failed sign-in attempts from your network. Sign-in is temporarily blocked.',
+};
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 export function LoginPage() {
-  const { authEnabled, setupRequired, login } = useAuth();
+  const { authEnabled, setupRequired, oidcEnabled, login, verifyTwoFactor } = useAuth();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [error, setError] = useState(() => new URLSearchParams(window.location.search).get('sso_error') || '');
   const [loading, setLoading] = useState(false);
+  const [twoFactorStep, setTwoFactorStep] = useState(false);
+  const [code, setCode] = useState('');
+  const [errorCode, setErrorCode] = useState(null);
+  const [retryAt, setRetryAt] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
   const passwordInputRef = useRef(null);
 
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('sso_error')) {
+      params.delete('sso_error');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!retryAt) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= retryAt) {
+        clearInterval(timer);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
   useEffect(() => {
     if (error && passwordInputRef.current) {
       passwordInputRef.current.focus();
@@ -28,20 +65,69 @@ export function LoginPage() {
     return <SetupWizard />;
   }
 
+  const waitSeconds = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+  const errorMessage = LOCKOUT_MESSAGES[errorCode]
+    ? `${LOCKOUT_MESSAGES[errorCode]} ${waitSeconds > 0 ? `Try again in ${formatWait(waitSeconds)}.` : 'You can try again now.'}`
+    : error;
+
+  const showError = (result) => {
+    setError(result.error);
+    setErrorCode(result.code || null);
+    setRetryAt(result.retryAfter ? Date.now() + result.retryAfter * 1000 : null);
+    setNow(Date.now());
+  };
+
+  const clearError = () => {
+    setError('');
+    setErrorCode(null);
+    setRetryAt(null);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setError('');
+    clearError();
     setLoading(true);
 
     const result = await login(username.trim(), password);
 
+    if (result.twoFactorRequired) {
+      setTwoFactorStep(true);
+      setLoading(false);
+      return;
+    }
+
     if (!result.success) {
-      setError(result.error);
+      showError(result);
       setPassword('');
       setLoading(false);
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    clearError();
+    setLoading(true);
+
+    const result = await verifyTwoFactor(code);
+
+    if (!result.success) {
+      showError(result);
+      setCode('');
+      setLoading(false);
+      if (result.expired) {
+        setTwoFactorStep(false);
+        setPassword('');
+      }
+    }
+  };
+
+  const backToPassword = () => {
+    setTwoFactorStep(false);
+    setPassword('');
+    setCode('');
+    clearError();
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-950 p-4">
       <div className="w-full max-w-md">
@@ -54,58 +140,120 @@ export function LoginPage() {
               portracker
             </h1>
             <p className="text-sm text-slate-600 dark:text-slate-400 mt-1">
-              Sign in to continue
+              {twoFactorStep ? 'Enter the code from your authenticator app' : 'Sign in to continue'}
             </p>
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="username" className="text-slate-700 dark:text-slate-300">Username</Label>
-              <Input
-                id="username"
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                placeholder="Enter your username"
-                required
-                autoComplete="username"
-                disabled={loading}
-                className="h-10"
-              />
-            </div>
+          {twoFactorStep ? (
+            <form onSubmit={handleVerify} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="code" className="text-slate-700 dark:text-slate-300">Authentication Code</Label>
+                <Input
+                  id="code"
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="6-digit code or recovery code"
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  disabled={loading}
+                  className="h-10"
+                />
+              </div>
 
-            <div className="space-y-2">
-              <Label htmlFor="password" className="text-slate-700 dark:text-slate-300">Password</Label>
-              <Input
-                ref={passwordInputRef}
-                id="password"
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="Enter your password"
-                required
-                autoComplete="current-password"
-                disabled={loading}
-                className="h-10"
-              />
-            </div>
+              {error && (
+                <div className="p-3 rounded-md bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900">
+                  <p className="text-sm text-red-800 dark:text-red-200">
+                    {errorMessage}
+                  </p>
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                disabled={loading || !code.trim() || waitSeconds > 0}
+                className="w-full h-10 bg-indigo-600 hover:bg-indigo-700 text-white"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={backToPassword} disabled={loading} className="w-full h-10">
+                Back to sign in
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="username" className="text-slate-700 dark:text-slate-300">Username</Label>
+                <Input
+                  id="username"
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Enter your username"
+                  required
+                  autoComplete="username"
+                  disabled={loading}
+                  className="h-10"
+                />
+              </div>
 
-            {error && (
-              <div className="p-3 rounded-md bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900">
-                <p className="text-sm text-red-800 dark:text-red-200">
-                  {error}
-                </p>
+              <div className="space-y-2">
+                <Label htmlFor="password" className="text-slate-700 dark:text-slate-300">Password</Label>
+                <Input
+                  ref={passwordInputRef}
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Enter your password"
+                  required
+                  autoComplete="current-password"
+                  disabled={loading}
+                  className="h-10"
+                />
               </div>
-            )}
-
-            <Button
-              type="submit"
-              disabled={loading || !username || !password}
-              className="w-full h-10 bg-indigo-600 hover:bg-indigo-700 text-white"
-            >
-              {loading ? 'Signing in...' : 'Sign In'}
-            </Button>
-          </form>
+
+              {error && (
+                <div className="p-3 rounded-md bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900">
+                  <p className="text-sm text-red-800 dark:text-red-200">
+                    {errorMessage}
+                  </p>
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                disabled={loading || !username || !password || waitSeconds > 0}
+                className="w-full h-10 bg-indigo-600 hover:bg-indigo-700 text-white"
+              >
+                {loading ? 'Signing in...' : 'Sign In'}
+              </Button>
+            </form>
+          )}
+
+          {oidcEnabled && !twoFactorStep && (
+            <>
+              <div className="flex items-center gap-3 my-4">
+                <div className="h-px flex-1 bg-slate-200 dark:bg-slate-800" />
+                <span className="text-xs text-slate-500 dark:text-slate-400">or</span>
+                <div className="h-px flex-1 bg-slate-200 dark:bg-slate-800" />
+              </div>
+              <Button
+                type="button"
+                variant="outline"
+                disabled={loading}
+                className="w-full h-10"
+                onClick={() => {
+                  setLoading(true);
+                  window.location.href = '/api/auth/oidc/login';
+                }}
+              >
+                <KeyRound className="h-4 w-4 mr-2" />
+                Sign in with SSO
+              </Button>
+            </>
+          )}
 
           <div className="mt-6 text-center">
             <p className="text-xs text-slate-500 dark:text-slate-400">
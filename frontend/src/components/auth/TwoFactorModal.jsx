@@ -0,0 +1,270 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { AlertCircle, Check, Copy, Loader2, ShieldCheck } from 'lucide-react';
+import {
+  fetchTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '@/lib/api/two-factor';
+
+/**
+ * Enrols the signed-in user in two-factor authentication, shows recovery codes once, and turns
+ * it off again. With requireSetup the dialog cannot be dismissed until enrolment is done.
+ */
+export function TwoFactorModal({ open, onClose, requireSetup = false }) {
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setStatus(null);
+    setEnrolment(null);
+    setRecoveryCodes(null);
+    setCode('');
+    setPassword('');
+    setError('');
+    setLoading(true);
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const current = await fetchTwoFactorStatus();
+        if (cancelled) return;
+        setStatus(current);
+        if (!current.enabled) {
+          const started = await startTwoFactorSetup();
+          if (!cancelled) setEnrolment(started);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load two-factor settings');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  const runAction = async (action) => {
+    setError('');
+    setLoading(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      setRecoveryCodes(await enableTwoFactor(code.trim()));
+      setEnrolment(null);
+      setStatus((prev) => ({ ...prev, enabled: true }));
+    });
+  };
+
+  const handleRegenerate = () =>
+    runAction(async () => {
+      setRecoveryCodes(await regenerateRecoveryCodes(password));
+      setPassword('');
+    });
+
+  const handleDisable = () =>
+    runAction(async () => {
+      await disableTwoFactor(password);
+      onClose(true);
+    });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setError('Copy failed, please select the codes and copy them manually');
+    }
+  };
+
+  const locked = requireSetup && !recoveryCodes;
+
+  return (
+    <Dialog open={open} onOpenChange={locked ? undefined : () => onClose(!!recoveryCodes)}>
+      <DialogContent className="sm:max-w-md" onInteractOutside={(e) => locked && e.preventDefault()}>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ShieldCheck className="h-5 w-5" />
+            Two-Factor Authentication
+          </DialogTitle>
+          <DialogDescription>
+            {recoveryCodes
+              ? 'Save your recovery codes'
+              : status?.enabled
+                ? 'Sign-ins to your account need a code from your authenticator app'
+                : 'Protect your account with a code from an authenticator app'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {requireSetup && !recoveryCodes && (
+          <div className="flex items-start gap-3 p-3 rounded-lg bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-900">
+            <AlertCircle className="w-5 h-5 text-amber-600 dark:text-amber-400 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-amber-800 dark:text-amber-200">
+              Your administrator requires two-factor authentication. Set it up to continue.
+            </p>
+          </div>
+        )}
+
+        {loading && !status && (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <div className="space-y-4">
+            <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-900 space-y-3">
+              <p className="text-sm text-amber-800 dark:text-amber-200">
+                Each code signs you in once if you lose your authenticator. They won't be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-1 font-mono text-xs select-all">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode} className="px-2 py-1 rounded bg-white dark:bg-slate-900">
+                    {recoveryCode}
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div className="flex gap-3 justify-end">
+              <Button type="button" variant="outline" onClick={handleCopy}>
+                {copied ? <Check className="h-4 w-4 mr-2 text-green-500" /> : <Copy className="h-4 w-4 mr-2" />}
+                {copied ? 'Copied' : 'Copy'}
+              </Button>
+              <Button type="button" onClick={() => onClose(true)} className="bg-indigo-600 hover:bg-indigo-700 text-white">
+                Done
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {enrolment && !recoveryCodes && (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <div className="flex flex-col items-center gap-2">
+              <img
+                src={enrolment.qrCode}
+                alt="QR code for your authenticator app"
+                className="w-44 h-44 rounded-md bg-white p-1"
+              />
+              <p className="text-xs text-slate-500 dark:text-slate-400 text-center">
+                Scan with your authenticator app, or enter this key:
+              </p>
+              <code className="text-xs font-mono break-all select-all text-center">{enrolment.secret}</code>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="totpCode">Authentication Code</Label>
+              <Input
+                id="totpCode"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="6-digit code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                required
+                disabled={loading}
+              />
+            </div>
+
+            {error && (
+              <div className="p-3 rounded-md bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900">
+                <p className="text-sm text-red-800 dark:text-red-200">{error}</p>
+              </div>
+            )}
+
+            <div className="flex gap-3 justify-end">
+              {!requireSetup && (
+                <Button type="button" variant="outline" onClick={() => onClose(false)} disabled={loading}>
+                  Cancel
+                </Button>
+              )}
+              <Button
+                type="submit"
+                disabled={loading || code.trim().length !== 6}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white"
+              >
+                {loading ? 'Verifying...' : 'Enable'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {status?.enabled && !enrolment && !recoveryCodes && (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+              {status.required && ' Your administrator requires two-factor authentication for your account.'}
+            </p>
+
+            <div className="space-y-2">
+              <Label htmlFor="twoFactorPassword">Current Password</Label>
+              <Input
+                id="twoFactorPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Required to make changes"
+                autoComplete="current-password"
+                disabled={loading}
+              />
+            </div>
+
+            {error && (
+              <div className="p-3 rounded-md bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900">
+                <p className="text-sm text-red-800 dark:text-red-200">{error}</p>
+              </div>
+            )}
+
+            <div className="flex gap-3 justify-end">
+              <Button type="button" variant="outline" onClick={handleRegenerate} disabled={loading || !password}>
+                New Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button type="button" variant="destructive" onClick={handleDisable} disabled={loading || !password}>
+                  Turn Off
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {!status && !loading && error && (
+          <div className="p-3 rounded-md bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900">
+            <p className="text-sm text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
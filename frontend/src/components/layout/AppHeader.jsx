@@ -10,7 +10,7 @@ import {
   DropdownMenuTrigger,
   DropdownMenuItem,
 } from "@/components/ui/dropdown-menu";
-import { RefreshCw, Loader2, Search, X, Sun, Moon, Menu, SlidersHorizontal, Sparkles, LogOut, User, Timer, Settings, Key } from "lucide-react";
+import { RefreshCw, Loader2, Search, X, Sun, Moon, Menu, SlidersHorizontal, Sparkles, LogOut, User, Timer, Settings, Key, Download, ShieldCheck } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import Logo from "@/components/Logo";
@@ -18,6 +18,7 @@ import { useAuth } from "@/contexts/AuthContext";
 import { RefreshProgress } from "@/components/ui/RefreshProgress";
 import { useLongPress } from "@/lib/hooks/useLongPress";
 import { AutoxposeLogoBadge } from "@/components/autoxpose/AutoxposeLogoBadge";
+import { EXPORT_FORMATS } from "@/lib/api/export";
 
 export function AppHeader({
   loading,
@@ -38,6 +39,7 @@ export function AppHeader({
   onShowWhatsNew,
   hasNewFeatures = false,
   autoRefreshEnabled = false,
+  liveUpdatesConnected = false,
   onAutoRefreshToggle,
   onLogoLongPress,
   hackerMode = false,
@@ -45,12 +47,24 @@ export function AppHeader({
   autoRefreshMessages = [],
   onOpenSettings,
   onOpenApiKey,
+  onOpenTwoFactor,
   refreshInterval = 30000,
   autoxposeStatus = null,
+  onExport,
 }) {
   const auth = useAuth();
   const [localSearchTerm, setLocalSearchTerm] = useState(searchTerm);
   const [searching, setSearching] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      await onExport(format);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   const filterButtons = useMemo(
     () => [
@@ -72,6 +86,17 @@ export function AppHeader({
         onClick: () => onFilterChange({ ...filters, system: !filters.system }),
         title: filters.system ? "Disable System filter" : "Enable System filter",
       },
+      {
+        key: "unix",
+        label: "Unix",
+        isActive: !!filters.unix,
+        activeClass:
+          "bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300",
+        onClick: () => onFilterChange({ ...filters, unix: !filters.unix }),
+        title: filters.unix
+          ? "Hide Unix sockets"
+          : "Show Unix sockets (scans include them with INCLUDE_UNIX_SOCKETS=true)",
+      },
     ],
     [filters, onFilterChange]
   );
@@ -294,13 +319,46 @@ export function AppHeader({
                 </Button>
               </TooltipTrigger>
               <TooltipContent>
-                {autoRefreshEnabled 
+                {autoRefreshEnabled && liveUpdatesConnected
+                  ? "Live updates connected"
+                  : autoRefreshEnabled 
                   ? `Auto-refresh enabled (${refreshInterval >= 60000 ? `${refreshInterval / 60000}min` : `${refreshInterval / 1000}s`})` 
                   : "Enable auto-refresh"}
               </TooltipContent>
             </Tooltip>
           )}
 
+          {onExport && (
+            <DropdownMenu>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <DropdownMenuTrigger asChild>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      disabled={exporting}
+                      className="hover:bg-gray-100 dark:hover:bg-gray-800"
+                    >
+                      {exporting ? (
+                        <Loader2 className="h-5 w-5 animate-spin" />
+                      ) : (
+                        <Download className="h-5 w-5" />
+                      )}
+                    </Button>
+                  </DropdownMenuTrigger>
+                </TooltipTrigger>
+                <TooltipContent>Export ports (current search and filters)</TooltipContent>
+              </Tooltip>
+              <DropdownMenuContent align="end" className="w-40">
+                {EXPORT_FORMATS.map((format) => (
+                  <DropdownMenuItem key={format.value} onClick={() => handleExport(format.value)}>
+                    {format.label}
+                  </DropdownMenuItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+
           <div className="h-6 border-l border-gray-200 dark:border-gray-700 hidden sm:block"></div>
 
           {onShowWhatsNew && (
@@ -375,6 +433,9 @@ export function AppHeader({
                 <>
                   <div className="px-2 py-1.5 text-sm font-medium text-slate-900 dark:text-slate-100">
                     {auth.username}
+                    {auth.role && (
+                      <span className="block text-xs font-normal capitalize text-slate-500 dark:text-slate-400">{auth.role}</span>
+                    )}
                   </div>
                   <DropdownMenuSeparator />
                 </>
@@ -385,13 +446,19 @@ export function AppHeader({
                   Settings
                 </DropdownMenuItem>
               )}
-              {auth.authEnabled && auth.authenticated && onOpenApiKey && (
+              {auth.authEnabled && auth.authenticated && auth.role === "admin" && onOpenApiKey && (
                 <DropdownMenuItem onClick={onOpenApiKey}>
                   <Key className="mr-2 h-4 w-4" />
-                  API Key
+                  API Keys
                 </DropdownMenuItem>
               )}
-              {auth.authEnabled && auth.authenticated && (
+              {auth.authEnabled && auth.authenticated && auth.authSource === "local" && !auth.proxyAuth && onOpenTwoFactor && (
+                <DropdownMenuItem onClick={onOpenTwoFactor}>
+                  <ShieldCheck className="mr-2 h-4 w-4" />
+                  Two-Factor Auth
+                </DropdownMenuItem>
+              )}
+              {auth.authEnabled && auth.authenticated && !auth.proxyAuth && (
                 <>
                   <DropdownMenuSeparator />
                   <DropdownMenuItem onClick={auth.logout} className="text-red-600 dark:text-red-400">
@@ -406,7 +473,7 @@ export function AppHeader({
       </div>
 
       <RefreshProgress
-        active={autoRefreshEnabled && !loading}
+        active={autoRefreshEnabled && !liveUpdatesConnected && !loading}
         duration={refreshInterval}
         messages={autoRefreshMessages || []}
       />
@@ -0,0 +1,129 @@
+import { useCallback, useState } from "react";
+import { Activity, ChevronDown, RefreshCw, ArrowUpCircle, ArrowDownCircle, UserCog, Container } from "lucide-react";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import { fetchEvents } from "../../lib/api/events";
+import Logger from "../../lib/logger";
+
+const logger = new Logger("ActivityDrawer");
+
+const EVENT_META = {
+  port_opened: {
+    icon: ArrowUpCircle,
+    className: "text-emerald-600 dark:text-emerald-400",
+    describe: (e) => `opened${e.current_value ? ` by ${e.current_value}` : ""}`,
+  },
+  port_closed: {
+    icon: ArrowDownCircle,
+    className: "text-red-600 dark:text-red-400",
+    describe: (e) => `closed${e.previous_value ? ` (was ${e.previous_value})` : ""}`,
+  },
+  owner_changed: {
+    icon: UserCog,
+    className: "text-amber-600 dark:text-amber-400",
+    describe: (e) => `owner ${e.previous_value || "unknown"} → ${e.current_value || "unknown"}`,
+  },
+  container_changed: {
+    icon: Container,
+    className: "text-blue-600 dark:text-blue-400",
+    describe: (e) =>
+      `container ${(e.previous_value || "none").slice(0, 12)} → ${(e.current_value || "none").slice(0, 12)}`,
+  },
+};
+
+function formatEventTime(value) {
+  return new Date(value).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+export function ActivityDrawer({ serverId }) {
+  const [events, setEvents] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setEvents(await fetchEvents({ serverId, limit: 100 }));
+    } catch (err) {
+      logger.warn("Failed to load activity:", err.message);
+      setError(err.message || "Failed to load activity");
+    } finally {
+      setLoading(false);
+    }
+  }, [serverId]);
+
+  const handleToggle = (e) => {
+    if (e.currentTarget.open) loadEvents();
+  };
+
+  return (
+    <div className="p-4">
+      <details className="group" onToggle={handleToggle}>
+        <summary className="flex items-center cursor-pointer text-sm text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300 transition-colors">
+          <Activity className="w-4 h-4 mr-2" />
+          <span>Activity{events ? ` (${events.length})` : ""}</span>
+          <ChevronDown className="w-4 h-4 ml-auto transition-transform group-open:rotate-180" />
+        </summary>
+
+        <div className="mt-3 pl-6 border-l border-slate-200 dark:border-slate-700 ml-2">
+          <div className="mb-3 flex items-center gap-2">
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <button
+                    onClick={loadEvents}
+                    disabled={loading}
+                    className="p-1.5 rounded-lg text-slate-400 hover:text-slate-600 dark:hover:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>Reload activity</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+            <span className="text-xs text-slate-400">Changes detected between scans</span>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          {!error && events && events.length === 0 && (
+            <p className="text-sm text-slate-500 dark:text-slate-400">No changes recorded yet.</p>
+          )}
+
+          {!error && events && events.length > 0 && (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+              {events.map((event) => {
+                const meta = EVENT_META[event.event_type] || EVENT_META.owner_changed;
+                const Icon = meta.icon;
+                return (
+                  <li
+                    key={event.id}
+                    className="flex items-center justify-between gap-3 p-2 bg-slate-50 dark:bg-slate-800/50 rounded-md"
+                  >
+                    <div className="flex items-center gap-2 min-w-0 text-sm text-slate-700 dark:text-slate-300">
+                      <Icon className={`w-4 h-4 flex-shrink-0 ${meta.className}`} />
+                      <span className="font-mono">
+                        {event.host_port}/{event.protocol}
+                      </span>
+                      <span className="truncate">{meta.describe(event)}</span>
+                    </div>
+                    <span className="text-xs text-slate-400 whitespace-nowrap">
+                      {formatEventTime(event.created_at)}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import {
   TooltipProvider,
   TooltipTrigger,
 } from "@/components/ui/tooltip";
+import { hasPortUrl } from "../../lib/utils/portUtils";
 
 export function AggregatedHealthDot({
   ports,
@@ -27,6 +28,10 @@ export function AggregatedHealthDot({
     setPortStatuses({});
 
     const checkPort = async (port) => {
+      if (!hasPortUrl(port)) {
+        return { portKey: `${port.host_ip}:${port.host_port}`, color: "gray", hasWebUI: false, isInternal: true };
+      }
+
       let pingApiUrl = `/api/ping?host_ip=${encodeURIComponent(
         port.host_ip
       )}&host_port=${port.host_port}`;
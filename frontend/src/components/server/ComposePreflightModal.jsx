@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogFooter,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2, FileCheck, Upload, CheckCircle2, AlertTriangle, XCircle } from "lucide-react";
+import { runComposePreflight } from "../../lib/api/compose";
+
+const RESULT_META = {
+  pass: { icon: CheckCircle2, className: "text-emerald-600 dark:text-emerald-400" },
+  warn: { icon: AlertTriangle, className: "text-amber-600 dark:text-amber-400" },
+  fail: { icon: XCircle, className: "text-red-600 dark:text-red-400" },
+};
+
+function describeChecks(checks) {
+  const notable = checks.filter((check) => check.reason !== "free");
+  if (notable.length === 0) return "Free";
+  return notable
+    .map((check) => (checks.length > 1 && check.host_port ? `${check.host_port}: ${check.message}` : check.message))
+    .join("; ");
+}
+
+/**
+ * Modal for checking a docker-compose file's published ports against a server before deploying.
+ * The file can be pasted or uploaded; the backend reports pass, warn or fail per ports mapping.
+ */
+export function ComposePreflightModal({ isOpen, onClose, serverId, serverName }) {
+  const fileInputRef = useRef(null);
+  const [compose, setCompose] = useState("");
+  const [project, setProject] = useState("");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setReport(null);
+      setError(null);
+    }
+  }, [isOpen, serverId]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setCompose(await file.text());
+    setReport(null);
+  };
+
+  const handleCheck = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await runComposePreflight(serverId, { compose, project: project.trim() || null }));
+    } catch (err) {
+      setReport(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileCheck className="h-5 w-5" />
+            Compose Pre-flight Check
+          </DialogTitle>
+          <DialogDescription>
+            Check the published ports of a docker-compose file against {serverName} before deploying it.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label htmlFor="compose-file">docker-compose.yml</Label>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".yml,.yaml,application/yaml,text/yaml"
+                className="hidden"
+                onChange={handleFileChange}
+              />
+              <Button variant="outline" size="sm" className="h-7 text-xs" onClick={() => fileInputRef.current?.click()}>
+                <Upload className="h-3 w-3 mr-1" />
+                Upload file
+              </Button>
+            </div>
+            <textarea
+              id="compose-file"
+              value={compose}
+              onChange={(e) => {
+                setCompose(e.target.value);
+                setReport(null);
+              }}
+              placeholder={"services:\n  web:\n    image: nginx\n    ports:\n      - \"8080:80\""}
+              spellCheck={false}
+              className="w-full min-h-[180px] p-3 font-mono text-xs border border-slate-200 dark:border-slate-700 rounded-md bg-white dark:bg-slate-900 text-slate-900 dark:text-slate-100 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-vertical"
+              disabled={loading}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="compose-project">Project name (optional)</Label>
+            <Input
+              id="compose-project"
+              value={project}
+              onChange={(e) => setProject(e.target.value)}
+              placeholder="Defaults to the file's name"
+              className="h-8 text-sm"
+              disabled={loading}
+            />
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Ports held by this project&apos;s running containers pass, since redeploying frees them.
+            </p>
+          </div>
+
+          {error && (
+            <div className="text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800/60 rounded-md px-3 py-2 bg-red-50 dark:bg-red-900/20">
+              {error}
+            </div>
+          )}
+
+          {report && (
+            <div className="space-y-3">
+              <div
+                className={`flex items-center gap-2 text-sm font-medium ${
+                  report.passed ? "text-emerald-600 dark:text-emerald-400" : "text-red-600 dark:text-red-400"
+                }`}
+              >
+                {report.passed ? <CheckCircle2 className="h-4 w-4" /> : <XCircle className="h-4 w-4" />}
+                {report.passed ? "Ready to deploy" : "Deployment would fail"}
+                <span className="font-normal text-slate-500 dark:text-slate-400">
+                  · {report.summary.pass} pass · {report.summary.warn} warn · {report.summary.fail} fail
+                  {report.stale ? " · using last scan" : ""}
+                </span>
+              </div>
+
+              {report.errors.length > 0 && (
+                <ul className="text-xs text-red-600 dark:text-red-400 space-y-0.5">
+                  {report.errors.map((message) => (
+                    <li key={message}>{message}</li>
+                  ))}
+                </ul>
+              )}
+
+              {report.mappings.length === 0 ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400">No published ports found in this file.</p>
+              ) : (
+                <div className="max-h-64 overflow-y-auto border border-slate-200 dark:border-slate-700 rounded-md">
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {report.mappings.map((mapping, index) => {
+                        const meta = RESULT_META[mapping.result];
+                        const Icon = meta.icon;
+                        return (
+                          <tr key={index} className="border-b last:border-b-0 border-slate-100 dark:border-slate-800 align-top">
+                            <td className="p-2 w-6">
+                              <Icon className={`h-4 w-4 ${meta.className}`} />
+                            </td>
+                            <td className="p-2 whitespace-nowrap text-slate-700 dark:text-slate-300">{mapping.service}</td>
+                            <td className="p-2 whitespace-nowrap font-mono text-xs text-slate-600 dark:text-slate-400">
+                              {mapping.host_ip ? `${mapping.host_ip}:` : ""}
+                              {mapping.host_ports || "auto"}/{mapping.protocol}
+                            </td>
+                            <td className={`p-2 text-xs ${mapping.result === "pass" ? "text-slate-500 dark:text-slate-400" : meta.className}`}>
+                              {describeChecks(mapping.checks)}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={loading}>
+            Close
+          </Button>
+          <Button onClick={handleCheck} disabled={loading || !compose.trim()}>
+            {loading ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Checking...
+              </>
+            ) : (
+              <>
+                <FileCheck className="h-4 w-4 mr-2" />
+                Check ports
+              </>
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,5 +1,5 @@
 import React from "react";
-import { ExternalLink, Lock, Tag } from "lucide-react";
+import { ExternalLink, Lock, Plug, Tag } from "lucide-react";
 import {
   Tooltip,
   TooltipContent,
@@ -12,7 +12,7 @@ import { ActionButton } from "./ActionButton";
 import ServiceIcon from "@/components/ui/ServiceIcon";
 import { GlobeIconBadge, ExternalUrlChip } from "@/components/autoxpose";
 import { formatCreatedDate, formatCreatedTooltip } from "@/lib/utils";
-import { generatePortKey } from "../../lib/utils/portUtils";
+import { generatePortKey, describeSocket, getPortLabel, hasPortUrl, isUnixSocket } from "../../lib/utils/portUtils";
 import { getDisplayHost } from "./expanded-view-utils";
 
 export function InlinePortRow({
@@ -91,7 +91,15 @@ export function InlinePortRow({
 
       <td className="px-4 py-2">
         <div className="flex items-center gap-1.5 flex-wrap">
-          {port.internal ? (
+          {!hasPortUrl(port) ? (
+            <span
+              title={describeSocket(port)}
+              className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300 text-xs font-medium"
+            >
+              {getPortLabel(port)}
+              {isUnixSocket(port) && <Plug className="h-2.5 w-2.5" />}
+            </span>
+          ) : port.internal ? (
             <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300 text-xs font-medium">
               {port.host_port}
               <Lock className="h-2.5 w-2.5" />
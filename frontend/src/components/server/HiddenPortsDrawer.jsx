@@ -1,7 +1,7 @@
 import { Eye, EyeOff, ChevronDown } from "lucide-react";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { Button } from "@/components/ui/button";
-import { generatePortKey } from "../../lib/utils/portUtils";
+import { generatePortKey, getPortLabel } from "../../lib/utils/portUtils";
 
 export function HiddenPortsDrawer({ hiddenPorts, onUnhide, onUnhideAll, serverId }) {
   if (hiddenPorts.length === 0) return null;
@@ -42,7 +42,7 @@ export function HiddenPortsDrawer({ hiddenPorts, onUnhide, onUnhideAll, serverId
                 className="flex items-center justify-between p-2 bg-slate-50 dark:bg-slate-800/50 rounded-md"
               >
                 <div className="text-sm text-slate-700 dark:text-slate-300">
-                  <span className="font-mono">{p.host_port}</span> -{" "}
+                  <span className="font-mono">{getPortLabel(p)}</span> -{" "}
                   <span className="truncate">{p.owner}</span>
                 </div>
                 <TooltipProvider>
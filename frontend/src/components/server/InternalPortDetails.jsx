@@ -9,7 +9,7 @@ import {
   DrawerOverlay,
 } from "@/components/ui/drawer";
 import { Button } from "@/components/ui/button";
-import { Copy, ChevronDown, ChevronUp, Check, Box, Activity, Globe2, Network, Terminal, Settings2, Tag, HardDrive, Info, Gauge, Cpu, FileJson, Download, RefreshCw } from "lucide-react";
+import { Copy, ChevronDown, ChevronUp, Check, Box, Activity, Globe2, Network, Terminal, Settings2, Tag, HardDrive, Info, Gauge, Cpu, FileJson, Download, RefreshCw, Users } from "lucide-react";
 import StatsSkeleton from './parts/StatsSkeleton';
 import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuItem } from "@/components/ui/dropdown-menu";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
@@ -35,6 +35,7 @@ export function InternalPortDetails({ open, onOpenChange, containerId, serverId
   const liveRegionRef = useRef(null);
   const announceRef = useRef(null);
   const [rawState, setRawState] = useState({ loading: false, error: null, data: null });
+  const [connState, setConnState] = useState({ loading: false, error: null, data: null, reason: null, sampledAt: null });
   const statsAbortRef = useRef(null);
   const [statsLoading, setStatsLoading] = useState(false);
   const [statsError, setStatsError] = useState(null);
@@ -98,7 +99,27 @@ export function InternalPortDetails({ open, onOpenChange, containerId, serverId
       .catch(e => setRawState({ loading: false, error: e.message, data: null }));
   };
 
-  
+  const loadConnections = useCallback(() => {
+    if (!containerId) return;
+    setConnState(prev => ({ ...prev, loading: true, error: null }));
+    const qsParts = [];
+    if (serverId) qsParts.push(`server_id=${encodeURIComponent(serverId)}`);
+    qsParts.push('connections=true');
+    fetch(`/api/containers/${encodeURIComponent(containerId)}/details?${qsParts.join('&')}`)
+      .then(r => r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`)))
+      .then(json => setConnState({
+        loading: false,
+        error: null,
+        data: json.connections || null,
+        reason: json.connectionsUnavailableReason || (!json.connections ? 'unknown' : null),
+        sampledAt: json.connectionsSampledAt || null,
+      }))
+      .catch(e => setConnState(prev => ({ ...prev, loading: false, error: e.message || 'Failed to load connections' })));
+  }, [containerId, serverId]);
+
+  useEffect(() => {
+    setConnState({ loading: false, error: null, data: null, reason: null, sampledAt: null });
+  }, [containerId, serverId]);
 
   useEffect(() => {
     if (open) {
@@ -497,9 +518,76 @@ export function InternalPortDetails({ open, onOpenChange, containerId, serverId
                     </div>
                   </section>
 
-                  
+                  <DetailsPanel
+                    title={connState.data ? `Connections (${connState.data.reduce((sum, c) => sum + c.clients, 0)} clients)` : 'Connections'}
+                    icon={<Users className="w-4 h-4" />}
+                    defaultOpen={false}
+                    onToggle={(next) => { if (next && !connState.data && !connState.loading) loadConnections(); }}
+                  >
+                    <div className="space-y-2">
+                      <div className="flex items-center justify-between gap-2 text-[11px] text-slate-500">
+                        <span>
+                          {connState.loading
+                            ? 'Reading sockets…'
+                            : connState.sampledAt
+                              ? `Sampled ${new Date(connState.sampledAt).toLocaleTimeString()}`
+                              : 'Established and TIME_WAIT sockets on listening ports'}
+                        </span>
+                        <Button type="button" variant="ghost" size="icon" className="h-6 w-6" onClick={loadConnections} disabled={connState.loading} aria-label="Refresh connections">
+                          <RefreshCw className={`w-3.5 h-3.5 ${connState.loading ? 'animate-spin' : ''}`} />
+                        </Button>
+                      </div>
+                      {connState.error && <div className="text-[11px] text-red-600">{connState.error}</div>}
+                      {!connState.loading && !connState.error && connState.reason && (
+                        <div className="text-[11px] text-slate-500">
+                          {connState.reason.startsWith('container_not_running:')
+                            ? `Container state is "${connState.reason.split(':')[1]}". Connections are only visible while it runs.`
+                            : 'Could not read the container\'s sockets. portracker needs the host PID namespace (pid: host) and /proc access.'}
+                        </div>
+                      )}
+                      {connState.data && connState.data.length === 0 && (
+                        <div className="text-[11px] text-slate-500">No listening TCP ports in this container.</div>
+                      )}
+                      {connState.data && connState.data.length > 0 && (
+                        <ul className="divide-y divide-slate-200 dark:divide-slate-800 max-h-64 overflow-y-auto">
+                          {connState.data.map((c) => {
+                            const mapping = data.ports.find(p => !p.internal && p.protocol === 'tcp' && p.container_port === c.port);
+                            return (
+                              <li key={c.port} className="py-2 space-y-1">
+                                <div className="flex items-center justify-between gap-2">
+                                  <span className="font-mono">
+                                    {c.port}/tcp
+                                    {mapping && <span className="text-slate-500"> ← {mapping.host_ip}:{mapping.host_port}</span>}
+                                    {c.owner && c.owner !== 'unknown' && <span className="text-slate-500"> · {c.owner}</span>}
+                                  </span>
+                                  <span className={`inline-flex items-center px-1.5 py-0.5 rounded-full text-[10px] font-medium ${c.clients > 0 ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' : 'bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300'}`}>
+                                    {c.clients} client{c.clients === 1 ? '' : 's'}
+                                  </span>
+                                </div>
+                                <div className="text-[11px] text-slate-500">
+                                  {c.established} established · {c.time_wait} time_wait
+                                </div>
+                                {c.peers.length > 0 && (
+                                  <div className="grid gap-0.5 font-mono text-[11px]">
+                                    {c.peers.map((peer) => (
+                                      <div key={peer.ip} className="flex items-center justify-between gap-2">
+                                        <span className="break-all">{peer.ip}</span>
+                                        <span className="text-slate-500 flex-shrink-0">
+                                          {peer.established}{peer.time_wait ? ` + ${peer.time_wait} tw` : ''}
+                                        </span>
+                                      </div>
+                                    ))}
+                                    {c.peers_truncated && <div className="text-slate-500">…and more</div>}
+                                  </div>
+                                )}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      )}
+                    </div>
+                  </DetailsPanel>
 
-                  
                   <section className="border-t border-slate-200 dark:border-slate-800 pt-4">
                     <button
                       onClick={() => setShowAdvanced(!showAdvanced)}
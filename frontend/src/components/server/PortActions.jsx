@@ -1,5 +1,6 @@
-import { Copy, Edit, EyeOff, Eye } from "lucide-react";
+import { Copy, Edit, EyeOff, Eye, Users } from "lucide-react";
 import { ActionButton } from "./ActionButton";
+import { hasPortUrl, isUnixSocket } from "../../lib/utils/portUtils";
 
 export function PortActions({
   port,
@@ -8,8 +9,14 @@ export function PortActions({
   onCopy,
   onEdit,
   onHide,
+  onShowConnections,
   size,
 }) {
+  const copyTitle = isUnixSocket(port)
+    ? "Copy socket path to clipboard"
+    : hasPortUrl(port)
+      ? "Copy URL to clipboard"
+      : "Copy address to clipboard";
   return (
     <div className="flex items-center space-x-1">
       <ActionButton
@@ -18,7 +25,7 @@ export function PortActions({
         actionFeedback={actionFeedback}
         onClick={onCopy}
         icon={Copy}
-        title="Copy URL to clipboard"
+        title={copyTitle}
         size={size}
       />
       <ActionButton
@@ -30,6 +37,17 @@ export function PortActions({
         title="Edit note"
         size={size}
       />
+      {onShowConnections && (
+        <ActionButton
+          type="connections"
+          itemKey={itemKey}
+          actionFeedback={actionFeedback}
+          onClick={onShowConnections}
+          icon={Users}
+          title="Show connected clients"
+          size={size}
+        />
+      )}
       <ActionButton
         type={port.ignored ? "unhide" : "hide"}
         itemKey={itemKey}
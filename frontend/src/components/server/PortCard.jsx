@@ -1,5 +1,5 @@
 import React, { useState } from "react";
-import { ExternalLink, Lock, Tag } from "lucide-react";
+import { ExternalLink, Lock, Plug, Tag } from "lucide-react";
 import {
   Tooltip,
   TooltipContent,
@@ -10,6 +10,8 @@ import { PortStatusIndicator } from "./PortStatusIndicator";
 import { PortActions } from "./PortActions";
 import { ActionButton } from "./ActionButton";
 import { InternalPortDetails } from "./InternalPortDetails";
+import { PortConnectionsDialog } from "./PortConnectionsDialog";
+import { describeSocket, getPortLabel, hasPortUrl, isUnixSocket } from "../../lib/utils/portUtils";
 import ServiceIcon from "@/components/ui/ServiceIcon";
 import { GlobeIconBadge, ExternalUrlChip } from "@/components/autoxpose";
 import {
@@ -66,8 +68,11 @@ function PortCardComponent({
 }) {
   const [protocol, setProtocol] = useState("http");
   const [showDetails, setShowDetails] = useState(false);
+  const [showConnections, setShowConnections] = useState(false);
   const searchMatches = getSearchMatches(port, searchTerm);
   const canShowDetails = port?.source === "docker" && !!port?.container_id;
+  const canShowConnections =
+    !canShowDetails && (port?.protocol || "tcp") === "tcp" && !port?.internal && !isUnixSocket(port);
 
   const shouldHighlight = !!searchTerm;
 
@@ -119,15 +124,19 @@ function PortCardComponent({
             <TooltipProvider>
               <Tooltip>
               <TooltipTrigger asChild>
-                  {port.internal ? (
+                  {port.internal || !hasPortUrl(port) ? (
                   <span className="group/link inline-flex items-center space-x-1">
                       <span className="inline-flex items-center px-3 py-1 rounded-full bg-indigo-100 text-indigo-800 dark:bg-indigo-800/40 dark:text-indigo-200 text-lg font-medium">
                       {shouldHighlight
                         ? renderHighlightedText(
-                            highlightText(port.host_port.toString(), searchTerm)
+                            highlightText(getPortLabel(port), searchTerm)
                           )
-                        : port.host_port}
-                        <Lock className="ml-1 h-[0.8em] w-[0.8em] align-middle shrink-0" aria-hidden="true" />
+                        : getPortLabel(port)}
+                        {isUnixSocket(port) ? (
+                          <Plug className="ml-1 h-[0.8em] w-[0.8em] align-middle shrink-0" aria-hidden="true" />
+                        ) : port.internal ? (
+                          <Lock className="ml-1 h-[0.8em] w-[0.8em] align-middle shrink-0" aria-hidden="true" />
+                        ) : null}
                     </span>
                   </span>
                 ) : (
@@ -148,7 +157,9 @@ function PortCardComponent({
                   </a>
                 )}
                 </TooltipTrigger>
-                {port.internal ? (
+                {!hasPortUrl(port) ? (
+                  <TooltipContent>{describeSocket(port)}</TooltipContent>
+                ) : port.internal ? (
                   <TooltipContent>Internal only</TooltipContent>
                 ) : (
                   !port.internal && port.target && (
@@ -297,6 +308,7 @@ function PortCardComponent({
             onCopy={() => onCopy(port, protocol)}
             onEdit={() => onEdit(serverId, port)}
             onHide={() => onToggleIgnore(serverId, port)}
+            onShowConnections={canShowConnections ? () => setShowConnections(true) : undefined}
           />
         </div>
         {autoxposeData && (
@@ -316,6 +328,14 @@ function PortCardComponent({
           )
         )}
       </div>
+  {canShowConnections && (
+    <PortConnectionsDialog
+      open={showConnections}
+      onOpenChange={setShowConnections}
+      serverId={serverId}
+      port={port}
+    />
+  )}
   <InternalPortDetails
     open={forceOpenDetails || showDetails}
     onOpenChange={(next) => {
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import { RefreshCw, Users } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { fetchPortConnections } from "../../lib/api/connections";
+import Logger from "../../lib/logger";
+
+const logger = new Logger("PortConnectionsDialog");
+
+const REASON_MESSAGES = {
+  not_listening: "Nothing is listening on this port right now.",
+  proc_unavailable: "Could not read the host's sockets. portracker needs the host network namespace and /proc access.",
+};
+
+/**
+ * Connected clients of a host listener, like the Connections panel of the container details
+ * drawer but for ports that are not published by a container.
+ */
+export function PortConnectionsDialog({ open, onOpenChange, serverId, port }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const hostPort = port?.host_port;
+
+  useEffect(() => {
+    if (!open || !serverId || !hostPort) return;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    fetchPortConnections(serverId, hostPort)
+      .then((data) => {
+        if (!cancelled) setSummary(data);
+      })
+      .catch((err) => {
+        logger.warn("Failed to load port connections:", err.message);
+        if (!cancelled) setError(err.message || "Failed to load connections");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, serverId, hostPort, reloadKey]);
+
+  const connections = summary?.connections;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            Connections on {hostPort}/tcp
+          </DialogTitle>
+          <DialogDescription>
+            Established and TIME_WAIT sockets of {port?.owner && port.owner !== "unknown" ? port.owner : "this listener"}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center justify-between gap-2 text-xs text-slate-500 dark:text-slate-400">
+          <span>
+            {loading
+              ? "Reading sockets…"
+              : summary?.sampled_at
+                ? `Sampled ${new Date(summary.sampled_at).toLocaleTimeString()}`
+                : ""}
+          </span>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8"
+            onClick={() => setReloadKey((k) => k + 1)}
+            disabled={loading}
+            aria-label="Refresh connections"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+          </Button>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg text-sm text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        {!error && !loading && summary?.reason && (
+          <div className="py-4 text-center text-sm text-slate-500 dark:text-slate-400">
+            {REASON_MESSAGES[summary.reason] || "Connection summary unavailable."}
+          </div>
+        )}
+
+        {!error && connections && (
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-slate-600 dark:text-slate-300">
+                {connections.established} established · {connections.time_wait} time_wait
+              </span>
+              <span
+                className={`inline-flex items-center px-1.5 py-0.5 rounded-full text-[10px] font-medium ${
+                  connections.clients > 0
+                    ? "bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300"
+                    : "bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300"
+                }`}
+              >
+                {connections.clients} client{connections.clients === 1 ? "" : "s"}
+              </span>
+            </div>
+            {connections.peers.length > 0 ? (
+              <div className="grid gap-0.5 font-mono text-xs max-h-64 overflow-y-auto">
+                {connections.peers.map((peer) => (
+                  <div key={peer.ip} className="flex items-center justify-between gap-2">
+                    <span className="break-all">{peer.ip}</span>
+                    <span className="text-slate-500 flex-shrink-0">
+                      {peer.established}{peer.time_wait ? ` + ${peer.time_wait} tw` : ""}
+                    </span>
+                  </div>
+                ))}
+                {connections.peers_truncated && <div className="text-slate-500">…and more</div>}
+              </div>
+            ) : (
+              <div className="text-xs text-slate-500 dark:text-slate-400">No clients connected.</div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { History, RefreshCw } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import { fetchServerHistory } from "../../lib/api/history";
+import Logger from "../../lib/logger";
+
+const logger = new Logger("PortHistoryTimeline");
+
+const RANGES = [
+  { value: "24h", label: "24h", ms: 24 * 60 * 60 * 1000 },
+  { value: "7d", label: "7d", ms: 7 * 24 * 60 * 60 * 1000 },
+  { value: "30d", label: "30d", ms: 30 * 24 * 60 * 60 * 1000 },
+  { value: "all", label: "All", ms: null },
+];
+
+function formatTimestamp(value) {
+  if (!value) return "";
+  return new Date(value).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Timeline of when each port on a server was first and last observed.
+ * Each row is drawn as a bar spanning first_seen to last_seen within the selected range.
+ */
+export function PortHistoryTimeline({ open, onOpenChange, serverId, serverName }) {
+  const [range, setRange] = useState("7d");
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!open || !serverId) return;
+    let cancelled = false;
+    const selected = RANGES.find((r) => r.value === range);
+    const since = selected?.ms ? new Date(Date.now() - selected.ms).toISOString() : null;
+
+    setLoading(true);
+    setError(null);
+    fetchServerHistory(serverId, { since })
+      .then((data) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch((err) => {
+        logger.warn("Failed to load port history:", err.message);
+        if (!cancelled) setError(err.message || "Failed to load port history");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, serverId, range, reloadKey]);
+
+  const observations = useMemo(() => history?.observations || [], [history]);
+
+  const bounds = useMemo(() => {
+    if (observations.length === 0) return null;
+    const selected = RANGES.find((r) => r.value === range);
+    const end = history?.lastScan ? new Date(history.lastScan).getTime() : Date.now();
+    let start = selected?.ms ? end - selected.ms : Math.min(...observations.map((o) => new Date(o.first_seen).getTime()));
+    if (start >= end) start = end - 60 * 1000;
+    return { start, end };
+  }, [observations, history, range]);
+
+  const getBarStyle = (observation) => {
+    if (!bounds) return {};
+    const span = bounds.end - bounds.start;
+    const first = Math.max(new Date(observation.first_seen).getTime(), bounds.start);
+    const last = Math.min(new Date(observation.last_seen).getTime(), bounds.end);
+    const left = ((first - bounds.start) / span) * 100;
+    const width = Math.max(((last - first) / span) * 100, 1);
+    return { left: `${left}%`, width: `${Math.min(width, 100 - left)}%` };
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Port History
+          </DialogTitle>
+          <DialogDescription>
+            When ports on {serverName || "this server"} were first and last seen.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex gap-1">
+            {RANGES.map((option) => (
+              <Button
+                key={option.value}
+                variant={range === option.value ? "default" : "ghost"}
+                size="sm"
+                className="h-7 px-2 text-xs"
+                onClick={() => setRange(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8"
+            onClick={() => setReloadKey((k) => k + 1)}
+            disabled={loading}
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+          </Button>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg text-sm text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        {!error && !loading && observations.length === 0 && (
+          <div className="py-8 text-center text-sm text-slate-500 dark:text-slate-400">
+            No port history recorded in this range yet.
+          </div>
+        )}
+
+        {!error && observations.length > 0 && bounds && (
+          <TooltipProvider delayDuration={200}>
+            <div className="max-h-[60vh] overflow-y-auto space-y-1.5 pr-1">
+              <div className="flex justify-between pl-40 text-[10px] text-slate-400">
+                <span>{formatTimestamp(bounds.start)}</span>
+                <span>{formatTimestamp(bounds.end)}</span>
+              </div>
+              {observations.map((o) => (
+                <div
+                  key={`${o.host_ip}:${o.host_port}:${o.protocol}:${o.container_id || ""}`}
+                  className="flex items-center gap-3"
+                >
+                  <div className="w-36 flex-shrink-0 truncate text-xs">
+                    <span className="font-mono text-slate-900 dark:text-slate-100">
+                      {o.host_port}/{o.protocol}
+                    </span>{" "}
+                    <span className="text-slate-500 dark:text-slate-400">{o.owner || "unknown"}</span>
+                  </div>
+                  <div className="relative flex-1 h-3 rounded bg-slate-100 dark:bg-slate-800">
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <div
+                          className={`absolute top-0 h-3 rounded ${
+                            o.active
+                              ? "bg-emerald-500 dark:bg-emerald-400"
+                              : "bg-slate-400 dark:bg-slate-500"
+                          }`}
+                          style={getBarStyle(o)}
+                        />
+                      </TooltipTrigger>
+                      <TooltipContent side="top">
+                        <div className="text-xs space-y-0.5">
+                          <div>First seen: {formatTimestamp(o.first_seen)}</div>
+                          <div>Last seen: {formatTimestamp(o.last_seen)}</div>
+                          <div>
+                            Seen in {o.scan_count} scan{o.scan_count === 1 ? "" : "s"}
+                            {o.active ? "" : " (no longer present)"}
+                          </div>
+                        </div>
+                      </TooltipContent>
+                    </Tooltip>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </TooltipProvider>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
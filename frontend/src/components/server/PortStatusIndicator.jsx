@@ -1,10 +1,12 @@
 import { useState, useEffect } from "react";
+import { subscribePingUpdates } from "@/lib/api/stream";
 import {
   Tooltip,
   TooltipContent,
   TooltipProvider,
   TooltipTrigger,
 } from "@/components/ui/tooltip";
+import { hasPortUrl } from "../../lib/utils/portUtils";
 
 export function PortStatusIndicator({
   serverId,
@@ -14,8 +16,15 @@ export function PortStatusIndicator({
 }) {
   const [statusData, setStatusData] = useState(null);
   const [checking, setChecking] = useState(true);
+  const checkable = hasPortUrl(port);
 
   useEffect(() => {
+    if (!checkable) {
+      setStatusData({ color: "gray", title: `No health check for ${port.protocol} sockets`, hasWebUI: false });
+      setChecking(false);
+      return;
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 8000);
 
@@ -28,9 +37,10 @@ export function PortStatusIndicator({
       if (port.container_id) {
         pingApiUrl += `&container_id=${encodeURIComponent(port.container_id)}`;
       }
-      if (serverId) {
-        pingApiUrl += `&server_id=${encodeURIComponent(serverId)}`;
-      }
+    }
+
+    if (serverId) {
+      pingApiUrl += `&server_id=${encodeURIComponent(serverId)}`;
     }
     
     if (port.owner) {
@@ -76,7 +86,23 @@ export function PortStatusIndicator({
       clearTimeout(timeoutId);
       controller.abort();
     };
-  }, [port.host_ip, port.host_port, port.owner, port.internal, port.container_id, port.source, serverId, serverUrl, onProtocolChange]);
+  }, [checkable, port.protocol, port.host_ip, port.host_port, port.owner, port.internal, port.container_id, port.source, serverId, serverUrl, onProtocolChange]);
+
+  useEffect(() => subscribePingUpdates((update) => {
+    if (
+      update.server_id !== (serverId || "local") ||
+      update.host_ip !== port.host_ip ||
+      update.host_port !== parseInt(port.host_port, 10)
+    ) {
+      return;
+    }
+    setStatusData((prev) => ({
+      ...(prev || {}),
+      reachable: update.color !== "red",
+      color: update.color,
+      title: update.title || prev?.title,
+    }));
+  }), [serverId, port.host_ip, port.host_port]);
 
   const getDotState = () => {
     if (checking) {
@@ -0,0 +1,259 @@
+import { useCallback, useEffect, useState } from "react";
+import { Bookmark, ChevronDown, RefreshCw, Trash2, Plus, AlertTriangle, CheckCircle2, Clock, CircleDashed } from "lucide-react";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { fetchReservations, createReservation, deleteReservation } from "../../lib/api/reservations";
+import Logger from "../../lib/logger";
+
+const logger = new Logger("ReservationsDrawer");
+
+const STATUS_META = {
+  reserved: {
+    icon: CircleDashed,
+    className: "text-blue-600 dark:text-blue-400",
+    label: () => "Not listening yet",
+  },
+  in_use: {
+    icon: CheckCircle2,
+    className: "text-emerald-600 dark:text-emerald-400",
+    label: (r) => `In use by ${r.listener?.owner || "owner"}`,
+  },
+  conflict: {
+    icon: AlertTriangle,
+    className: "text-red-600 dark:text-red-400",
+    label: (r) => `Taken by ${r.listener?.owner || "another service"}`,
+  },
+  expired: {
+    icon: Clock,
+    className: "text-slate-400",
+    label: () => "Expired",
+  },
+  unknown: {
+    icon: CircleDashed,
+    className: "text-slate-400",
+    label: () => "Waiting for next scan",
+  },
+};
+
+const EMPTY_FORM = { host_port: "", protocol: "tcp", owner: "", purpose: "", days: "" };
+
+function formatExpiry(value) {
+  return new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+/**
+ * Lists the ports reserved on a server next to its live ports. Reservations whose port is
+ * now used by something other than the reservation owner are flagged as conflicts.
+ * refreshKey reloads the list when the live ports or reservations change elsewhere.
+ */
+export function ReservationsDrawer({ serverId, refreshKey }) {
+  const [reservations, setReservations] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const loadReservations = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReservations(await fetchReservations({ serverId }));
+    } catch (err) {
+      logger.warn("Failed to load reservations:", err.message);
+      setError(err.message || "Failed to load reservations");
+    } finally {
+      setLoading(false);
+    }
+  }, [serverId]);
+
+  useEffect(() => {
+    loadReservations();
+  }, [loadReservations, refreshKey]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const days = parseInt(form.days, 10);
+      await createReservation({
+        server_id: serverId,
+        host_port: parseInt(form.host_port, 10),
+        protocol: form.protocol,
+        owner: form.owner,
+        purpose: form.purpose || null,
+        expires_at: days > 0 ? new Date(Date.now() + days * 86400000).toISOString() : null,
+      });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await loadReservations();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRelease = async (id) => {
+    try {
+      await deleteReservation(id);
+      setReservations((prev) => (prev || []).filter((r) => r.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const conflictCount = (reservations || []).filter((r) => r.status === "conflict").length;
+
+  return (
+    <div className="p-4">
+      <details className="group">
+        <summary className="flex items-center cursor-pointer text-sm text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300 transition-colors">
+          <Bookmark className="w-4 h-4 mr-2" />
+          <span>Reserved Ports{reservations ? ` (${reservations.length})` : ""}</span>
+          {conflictCount > 0 && (
+            <span className="ml-2 inline-flex items-center text-xs text-red-600 dark:text-red-400">
+              <AlertTriangle className="w-3 h-3 mr-1" />
+              {conflictCount} conflict{conflictCount === 1 ? "" : "s"}
+            </span>
+          )}
+          <ChevronDown className="w-4 h-4 ml-auto transition-transform group-open:rotate-180" />
+        </summary>
+
+        <div className="mt-3 pl-6 border-l border-slate-200 dark:border-slate-700 ml-2">
+          <div className="mb-3 flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={() => setShowForm((v) => !v)} className="text-xs h-7">
+              <Plus className="w-3 h-3 mr-1" />
+              Reserve port
+            </Button>
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <button
+                    onClick={loadReservations}
+                    disabled={loading}
+                    className="p-1.5 rounded-lg text-slate-400 hover:text-slate-600 dark:hover:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>Reload reservations</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          </div>
+
+          {showForm && (
+            <form onSubmit={handleCreate} className="mb-3 space-y-2 p-2 rounded-md border border-slate-200 dark:border-slate-700">
+              <div className="flex gap-2">
+                <Input
+                  type="number"
+                  min="1"
+                  max="65535"
+                  placeholder="Port"
+                  value={form.host_port}
+                  onChange={(e) => setForm((f) => ({ ...f, host_port: e.target.value }))}
+                  className="h-8 text-sm w-24"
+                  required
+                />
+                <select
+                  value={form.protocol}
+                  onChange={(e) => setForm((f) => ({ ...f, protocol: e.target.value }))}
+                  className="h-8 rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-2 text-sm"
+                >
+                  <option value="tcp">TCP</option>
+                  <option value="udp">UDP</option>
+                </select>
+                <Input
+                  placeholder="Owner (service or team)"
+                  value={form.owner}
+                  onChange={(e) => setForm((f) => ({ ...f, owner: e.target.value }))}
+                  className="h-8 text-sm flex-1"
+                  required
+                />
+              </div>
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Purpose (optional)"
+                  value={form.purpose}
+                  onChange={(e) => setForm((f) => ({ ...f, purpose: e.target.value }))}
+                  className="h-8 text-sm flex-1"
+                />
+                <Input
+                  type="number"
+                  min="1"
+                  placeholder="Days"
+                  title="Expire after this many days (optional)"
+                  value={form.days}
+                  onChange={(e) => setForm((f) => ({ ...f, days: e.target.value }))}
+                  className="h-8 text-sm w-20"
+                />
+                <Button type="submit" size="sm" className="h-8" disabled={saving}>
+                  {saving ? <RefreshCw className="w-3 h-3 animate-spin" /> : "Save"}
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {error && (
+            <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          {reservations && reservations.length === 0 && (
+            <p className="text-sm text-slate-500 dark:text-slate-400">No ports reserved on this server.</p>
+          )}
+
+          {reservations && reservations.length > 0 && (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+              {reservations.map((reservation) => {
+                const meta = STATUS_META[reservation.status] || STATUS_META.unknown;
+                const Icon = meta.icon;
+                return (
+                  <li
+                    key={reservation.id}
+                    className={`flex items-center justify-between gap-3 p-2 rounded-md ${
+                      reservation.status === "conflict"
+                        ? "bg-red-50 dark:bg-red-900/20"
+                        : "bg-slate-50 dark:bg-slate-800/50"
+                    }`}
+                  >
+                    <div className="min-w-0 text-sm text-slate-700 dark:text-slate-300">
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono">
+                          {reservation.host_port}/{reservation.protocol}
+                        </span>
+                        <span className="truncate font-medium">{reservation.owner}</span>
+                      </div>
+                      <div className="flex items-center gap-1 text-xs text-slate-500 dark:text-slate-400">
+                        <Icon className={`w-3 h-3 flex-shrink-0 ${meta.className}`} />
+                        <span className={reservation.status === "conflict" ? meta.className : ""}>{meta.label(reservation)}</span>
+                        {reservation.purpose && <span className="truncate">· {reservation.purpose}</span>}
+                        {reservation.expires_at && !reservation.expired && (
+                          <span className="whitespace-nowrap">· until {formatExpiry(reservation.expires_at)}</span>
+                        )}
+                      </div>
+                    </div>
+                    <TooltipProvider>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <button
+                            onClick={() => handleRelease(reservation.id)}
+                            className="p-1.5 rounded-lg text-slate-400 hover:text-red-600 dark:hover:text-red-400 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </TooltipTrigger>
+                        <TooltipContent>Release reservation</TooltipContent>
+                      </Tooltip>
+                    </TooltipProvider>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+}
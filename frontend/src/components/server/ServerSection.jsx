@@ -21,12 +21,19 @@ import {
   Layers,
   Eye,
   EyeOff,
+  History,
+  Bookmark,
+  FileCheck,
 } from "lucide-react";
 import { PortCard } from "./PortCard";
 import { PortGridItem } from "./PortGridItem";
 import { PortTable } from "./PortTable";
 import { ServiceCard } from "./ServiceCard";
 import { HiddenPortsDrawer } from "./HiddenPortsDrawer";
+import { ActivityDrawer } from "./ActivityDrawer";
+import { ReservationsDrawer } from "./ReservationsDrawer";
+import { ComposePreflightModal } from "./ComposePreflightModal";
+import { PortHistoryTimeline } from "./PortHistoryTimeline";
 import { SystemInfoCard } from "./SystemInfoCard";
 import Logger from "../../lib/logger";
 import { VMsCard } from "./VMsCard";
@@ -45,6 +52,8 @@ import {
 } from "@/components/ui/dropdown-menu";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { useClipboard } from "@/lib/hooks/useClipboard";
+import { createReservation } from "@/lib/api/reservations";
+import { Input } from "@/components/ui/input";
 import {
   Dialog,
   DialogContent,
@@ -107,7 +116,20 @@ function ServerSectionComponent({
   const suggestionPort = portSuggestion?.port;
   const suggestionLoading = !!portSuggestion?.loading;
   const suggestionError = portSuggestion?.error;
+  const suggestionPorts = useMemo(
+    () => portSuggestion?.ports || (suggestionPort ? [suggestionPort] : []),
+    [portSuggestion, suggestionPort]
+  );
+  const suggestionLabel =
+    suggestionPorts.length > 1 ? `${suggestionPorts[0]}-${suggestionPorts[suggestionPorts.length - 1]}` : suggestionPort;
   const [showPortModal, setShowPortModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showPreflight, setShowPreflight] = useState(false);
+  const [reserveOwner, setReserveOwner] = useState("");
+  const [reserveState, setReserveState] = useState({ saving: false, error: null, reservedPort: null });
+  const [reservationsVersion, setReservationsVersion] = useState(0);
+  const [suggestCategory, setSuggestCategory] = useState("");
+  const [suggestCount, setSuggestCount] = useState("1");
   
   const [sortConfig, setSortConfig] = useState(() => {
     try {
@@ -149,6 +171,11 @@ function ServerSectionComponent({
     () => (data ? data.filter((p) => !p.ignored && (showInternal || !p.internal)) : []),
     [data, showInternal]
   );
+  const portsSignature = useMemo(
+    () => (Array.isArray(data) ? data.map((p) => `${p.host_port}/${p.protocol}:${p.owner}`).join(",") : ""),
+    [data]
+  );
+
   const hiddenPorts = useMemo(
     () => (data ? data.filter((p) => p.ignored) : []),
     [data]
@@ -345,19 +372,46 @@ function ServerSectionComponent({
 
   const handleCopySuggestedPort = useCallback(async () => {
     if (!suggestionPort) return;
-    await copy(`suggested-port-${id}`, suggestionPort.toString());
-  }, [copy, id, suggestionPort]);
+    await copy(`suggested-port-${id}`, suggestionLabel.toString());
+  }, [copy, id, suggestionLabel, suggestionPort]);
+
+  const suggestOptions = useMemo(() => {
+    const options = {};
+    const count = parseInt(suggestCount, 10);
+    if (suggestCategory) options.category = suggestCategory;
+    if (count > 1) options.count = count;
+    return options;
+  }, [suggestCategory, suggestCount]);
 
   const handleOpenPortModal = useCallback(() => {
     setShowPortModal(true);
     if (!suggestionPort && !suggestionLoading) {
-      onGeneratePort?.(id);
+      onGeneratePort?.(id, suggestOptions);
     }
-  }, [id, onGeneratePort, suggestionLoading, suggestionPort]);
+  }, [id, onGeneratePort, suggestOptions, suggestionLoading, suggestionPort]);
 
   const handleRegenerate = useCallback(() => {
-    onGeneratePort?.(id);
-  }, [id, onGeneratePort]);
+    onGeneratePort?.(id, suggestOptions);
+  }, [id, onGeneratePort, suggestOptions]);
+
+  useEffect(() => {
+    setReserveState({ saving: false, error: null, reservedPort: null });
+  }, [suggestionPort]);
+
+  const handleReserveSuggestedPort = useCallback(async () => {
+    if (!suggestionPort || !reserveOwner.trim()) return;
+    setReserveState({ saving: true, error: null, reservedPort: null });
+    try {
+      for (const port of suggestionPorts) {
+        await createReservation({ server_id: id, host_port: port, protocol: "tcp", owner: reserveOwner.trim() });
+      }
+      setReserveState({ saving: false, error: null, reservedPort: suggestionPort });
+      setReservationsVersion((v) => v + 1);
+    } catch (error) {
+      logger.warn("Failed to reserve suggested port:", error.message);
+      setReserveState({ saving: false, error: error.message, reservedPort: null });
+    }
+  }, [id, logger, reserveOwner, suggestionPort, suggestionPorts]);
 
   return (
     <div className="space-y-8">
@@ -587,6 +641,36 @@ function ServerSectionComponent({
                 </Tooltip>
               </TooltipProvider>
 
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <button
+                      onClick={() => setShowPreflight(true)}
+                      className="inline-flex items-center px-2 sm:px-3 py-2 border border-slate-300 dark:border-slate-700 rounded-lg text-sm font-medium text-slate-700 dark:text-slate-300 bg-white dark:bg-slate-800 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
+                    >
+                      <FileCheck className="h-4 w-4 mr-2" />
+                      Compose check
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>Check a docker-compose file&apos;s ports before deploying</TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <button
+                      onClick={() => setShowHistory(true)}
+                      className="inline-flex items-center px-2 sm:px-3 py-2 border border-slate-300 dark:border-slate-700 rounded-lg text-sm font-medium text-slate-700 dark:text-slate-300 bg-white dark:bg-slate-800 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors"
+                    >
+                      <History className="h-4 w-4 mr-2" />
+                      History
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>When ports were first and last seen</TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+
               <TooltipProvider>
                 <Tooltip>
                   <TooltipTrigger asChild>
@@ -1219,6 +1303,29 @@ function ServerSectionComponent({
               <DialogTitle>Available Port Generator</DialogTitle>
             </DialogHeader>
             <div className="space-y-4 py-2">
+              <div className="flex gap-2">
+                <select
+                  value={suggestCategory}
+                  onChange={(e) => setSuggestCategory(e.target.value)}
+                  title="Prefer the port block configured for this kind of service"
+                  className="h-9 flex-1 rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-2 text-sm"
+                >
+                  <option value="">Any service</option>
+                  <option value="web">Web</option>
+                  <option value="db">Database</option>
+                  <option value="monitoring">Monitoring</option>
+                </select>
+                <Input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={suggestCount}
+                  onChange={(e) => setSuggestCount(e.target.value)}
+                  title="Number of contiguous ports"
+                  className="h-9 text-sm w-24"
+                />
+              </div>
+
               {suggestionLoading && (
                 <div className="flex items-center gap-3 text-sm text-slate-600 dark:text-slate-300">
                   <RefreshCw className="h-4 w-4 animate-spin" />
@@ -1235,7 +1342,7 @@ function ServerSectionComponent({
               {suggestionPort && !suggestionLoading && (
                 <div className="space-y-3">
                   <div className="flex items-center justify-between gap-3 p-3 rounded-lg border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800/50">
-                    <span className="text-2xl font-mono font-semibold text-slate-900 dark:text-slate-100">{suggestionPort}</span>
+                    <span className="text-2xl font-mono font-semibold text-slate-900 dark:text-slate-100">{suggestionLabel}</span>
                     <TooltipProvider>
                       <Tooltip>
                         <TooltipTrigger asChild>
@@ -1254,6 +1361,32 @@ function ServerSectionComponent({
                       </Tooltip>
                     </TooltipProvider>
                   </div>
+                  {reserveState.reservedPort === suggestionPort ? (
+                    <p className="flex items-center gap-2 text-sm text-emerald-600 dark:text-emerald-400">
+                      <Bookmark className="h-4 w-4" />
+                      Reserved for {reserveOwner.trim()}. The generator will skip {suggestionPorts.length > 1 ? "them" : "it"} until released.
+                    </p>
+                  ) : (
+                    <div className="flex gap-2">
+                      <Input
+                        placeholder="Reserve for (service or team)"
+                        value={reserveOwner}
+                        onChange={(e) => setReserveOwner(e.target.value)}
+                        className="h-9 text-sm"
+                      />
+                      <Button
+                        variant="outline"
+                        onClick={handleReserveSuggestedPort}
+                        disabled={reserveState.saving || !reserveOwner.trim()}
+                      >
+                        <Bookmark className="h-4 w-4 mr-2" />
+                        Reserve
+                      </Button>
+                    </div>
+                  )}
+                  {reserveState.error && (
+                    <p className="text-sm text-red-600 dark:text-red-400">{reserveState.error}</p>
+                  )}
                 </div>
               )}
             </div>
@@ -1280,16 +1413,32 @@ function ServerSectionComponent({
           </DialogContent>
         </Dialog>
 
-        {hiddenPorts.length > 0 && (
-          <div className="border-t border-slate-200 dark:border-slate-700/50">
+        <ComposePreflightModal
+          isOpen={showPreflight}
+          onClose={() => setShowPreflight(false)}
+          serverId={id}
+          serverName={server}
+        />
+
+        <PortHistoryTimeline
+          open={showHistory}
+          onOpenChange={setShowHistory}
+          serverId={id}
+          serverName={server}
+        />
+
+        <div className="border-t border-slate-200 dark:border-slate-700/50 grid grid-cols-1 md:grid-cols-2">
+          {hiddenPorts.length > 0 && (
             <HiddenPortsDrawer
               hiddenPorts={hiddenPorts}
               onUnhide={(p) => onToggleIgnore(id, p)}
               onUnhideAll={(ports) => ports.forEach(p => onToggleIgnore(id, p))}
               serverId={id}
             />
-          </div>
-        )}
+          )}
+          <ActivityDrawer serverId={id} />
+          <ReservationsDrawer serverId={id} refreshKey={`${reservationsVersion}:${portsSignature}`} />
+        </div>
       </div>
     </div>
   );
@@ -45,6 +45,7 @@ export function SystemInfoCard({ systemInfo, platformName }) {
     memory: systemInfo.physmem || systemInfo.total_mem || systemInfo.memory,
     uptime: systemInfo.uptime_seconds,
     dockerVersion: systemInfo.docker_version,
+    podmanVersion: systemInfo.podman_version,
     containersRunning: systemInfo.containers_running,
     containersTotal: systemInfo.containers_total,
   };
@@ -125,7 +126,11 @@ export function SystemInfoCard({ systemInfo, platformName }) {
             label="Containers"
             value={containerInfoValue()}
           />
-          <InfoItem icon={Package} label="Docker" value={info.dockerVersion} />
+          <InfoItem
+            icon={Package}
+            label={info.podmanVersion ? "Podman" : "Docker"}
+            value={info.podmanVersion || info.dockerVersion}
+          />
         </div>
       </div>
     </div>
@@ -1,13 +1,17 @@
 import React, { useState } from 'react';
 import { ChevronDown, ChevronUp } from 'lucide-react';
 
-export function DetailsPanel({ title, children, icon, defaultOpen=true }) {
+export function DetailsPanel({ title, children, icon, defaultOpen=true, onToggle }) {
   const [open, setOpen] = useState(defaultOpen);
+  const toggle = () => {
+    setOpen(!open);
+    if (onToggle) onToggle(!open);
+  };
   return (
     <div className="rounded-lg border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900/40">
       <button
         type="button"
-        onClick={() => setOpen(!open)}
+        onClick={toggle}
         className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-slate-50 dark:hover:bg-slate-800/50 rounded-t-lg"
       >
         <span className="flex items-center gap-2 text-sm font-medium text-slate-700 dark:text-slate-200">
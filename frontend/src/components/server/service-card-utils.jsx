@@ -1,11 +1,12 @@
 import React from "react";
-import { ExternalLink } from "lucide-react";
+import { ExternalLink, Plug } from "lucide-react";
 import {
   Tooltip,
   TooltipContent,
   TooltipProvider,
   TooltipTrigger,
 } from "@/components/ui/tooltip";
+import { describeSocket, getPortLabel, hasPortUrl, isUnixSocket } from "../../lib/utils/portUtils";
 
 export function getHostForPort(port, serverId, serverUrl, hostOverride) {
   if (port.host_ip === "0.0.0.0" || port.host_ip === "127.0.0.1") {
@@ -24,6 +25,22 @@ export function getHostForPort(port, serverId, serverUrl, hostOverride) {
 }
 
 export function ClickablePortBadge({ port, serverId, serverUrl, hostOverride }) {
+  if (!hasPortUrl(port)) {
+    return (
+      <TooltipProvider>
+        <Tooltip>
+          <TooltipTrigger asChild>
+            <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-800 dark:bg-indigo-800/40 dark:text-indigo-200 text-xs font-medium">
+              {getPortLabel(port)}
+              {isUnixSocket(port) && <Plug className="h-3 w-3" aria-hidden="true" />}
+            </span>
+          </TooltipTrigger>
+          <TooltipContent>{describeSocket(port)}</TooltipContent>
+        </Tooltip>
+      </TooltipProvider>
+    );
+  }
+
   const host = getHostForPort(port, serverId, serverUrl, hostOverride);
   const url = `http://${host}:${port.host_port}`;
 
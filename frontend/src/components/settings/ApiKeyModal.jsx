@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import {
   Dialog,
   DialogContent,
@@ -7,7 +7,8 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
-import { Copy, Check, RefreshCw, Loader2, Key, AlertTriangle } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Copy, Check, Loader2, Key, AlertTriangle, Plus, Ban, Trash2 } from "lucide-react";
 import {
   Tooltip,
   TooltipContent,
@@ -23,84 +24,119 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from "@/components/ui/alert-dialog";
+import { listApiKeys, createApiKey, revokeApiKey, deleteApiKey } from "@/lib/api/api-keys";
+
+const SCOPES = [
+  { value: "ports:read", label: "Read ports", description: "Ports, scans, history and exports. Enough for a peer instance" },
+  { value: "notes:write", label: "Write notes", description: "Notes, custom service names and hidden ports" },
+  { value: "ports:generate", label: "Generate port", description: "Suggest free ports (reserving also needs Write notes)" },
+  { value: "admin", label: "Admin", description: "Servers, port policies, backups and notifications. Implies all scopes" },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: 0, label: "Never expires" },
+  { value: 30, label: "30 days" },
+  { value: 90, label: "90 days" },
+  { value: 365, label: "1 year" },
+];
+
+const EMPTY_DRAFT = { name: "", scopes: ["ports:read"], expiresInDays: 0 };
+
+const STATUS_STYLES = {
+  active: "bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400",
+  expired: "bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400",
+  revoked: "bg-slate-200 text-slate-600 dark:bg-slate-700 dark:text-slate-300",
+};
 
 export function ApiKeyModal({ isOpen, onClose }) {
   const [apiKey, setApiKey] = useState(null);
-  const [keyInfo, setKeyInfo] = useState(null);
+  const [keys, setKeys] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
   const [copied, setCopied] = useState(false);
   const [error, setError] = useState(null);
-  const [showRegenerateConfirm, setShowRegenerateConfirm] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [revokeTarget, setRevokeTarget] = useState(null);
   const inputRef = useRef(null);
 
+  const fetchKeys = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setKeys(await listApiKeys());
+    } catch (err) {
+      setError(err.message || "Failed to fetch API keys");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   useEffect(() => {
     if (isOpen) {
-      fetchKeyInfo();
+      fetchKeys();
     } else {
       setApiKey(null);
+      setDraft(null);
       setCopied(false);
       setError(null);
     }
-  }, [isOpen]);
+  }, [isOpen, fetchKeys]);
+
+  const toggleScope = (scope) => {
+    setDraft((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((s) => s !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
 
-  const fetchKeyInfo = async () => {
+  const handleCreate = async () => {
     try {
-      setLoading(true);
+      setSaving(true);
       setError(null);
-      const response = await fetch("/api/settings/servers/local/api-key", {
-        credentials: "include",
-      });
-      if (response.ok) {
-        const data = await response.json();
-        setKeyInfo(data);
-      } else {
-        setError("Failed to fetch API key info");
-      }
+      const expiresAt = draft.expiresInDays
+        ? new Date(Date.now() + draft.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+      const result = await createApiKey({ name: draft.name.trim(), scopes: draft.scopes, expiresAt });
+      setApiKey(result.apiKey);
+      setKeys((prev) => [result.key, ...prev]);
+      setDraft(null);
     } catch (err) {
-      setError("Network error");
+      setError(err.message || "Failed to create API key");
     } finally {
-      setLoading(false);
+      setSaving(false);
     }
   };
 
-  const generateKey = async () => {
+  const confirmRevoke = async () => {
+    const target = revokeTarget;
+    setRevokeTarget(null);
     try {
-      setLoading(true);
       setError(null);
-      const response = await fetch("/api/settings/servers/local/api-key", {
-        method: "POST",
-        credentials: "include",
-      });
-      if (response.ok) {
-        const data = await response.json();
-        setApiKey(data.apiKey);
-        setKeyInfo({ hasApiKey: true, createdAt: data.createdAt });
-      } else {
-        const data = await response.json();
-        setError(data.error || "Failed to generate API key");
-      }
+      const revoked = await revokeApiKey(target.id);
+      setKeys((prev) => prev.map((k) => (k.id === revoked.id ? revoked : k)));
     } catch (err) {
-      setError("Network error");
-    } finally {
-      setLoading(false);
+      setError(err.message || "Failed to revoke API key");
     }
   };
 
-  const handleRegenerate = () => {
-    setShowRegenerateConfirm(true);
-  };
-
-  const confirmRegenerate = async () => {
-    setShowRegenerateConfirm(false);
-    await generateKey();
+  const handleDelete = async (key) => {
+    try {
+      setError(null);
+      await deleteApiKey(key.id);
+      setKeys((prev) => prev.filter((k) => k.id !== key.id));
+    } catch (err) {
+      setError(err.message || "Failed to delete API key");
+    }
   };
 
   const handleCopy = () => {
     if (!apiKey || !inputRef.current) return;
-    
+
     inputRef.current.select();
     inputRef.current.setSelectionRange(0, apiKey.length);
-    
+
     try {
       const successful = document.execCommand("copy");
       if (successful) {
@@ -119,24 +155,33 @@ export function ApiKeyModal({ isOpen, onClose }) {
       year: "numeric",
       month: "short",
       day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
     });
   };
 
+  const describeKey = (key) => {
+    const parts = [`Created ${formatDate(key.createdAt)}`];
+    if (key.revokedAt) {
+      parts.push(`revoked ${formatDate(key.revokedAt)}`);
+    } else if (key.expiresAt) {
+      parts.push(`${key.status === "expired" ? "expired" : "expires"} ${formatDate(key.expiresAt)}`);
+    }
+    parts.push(key.lastUsedAt ? `last used ${formatDate(key.lastUsedAt)}` : "never used");
+    return parts.join(" · ");
+  };
+
   return (
     <>
       <Dialog open={isOpen} onOpenChange={onClose}>
-        <DialogContent className="sm:max-w-sm">
+        <DialogContent className="sm:max-w-md">
           <DialogHeader>
             <DialogTitle className="flex items-center gap-2">
               <Key className="h-5 w-5" />
-              API Key
+              API Keys
             </DialogTitle>
           </DialogHeader>
 
-          <div className="py-2">
-            {loading && !apiKey && (
+          <div className="py-2 space-y-3 max-h-[60vh] overflow-y-auto">
+            {loading && (
               <div className="flex items-center justify-center py-6">
                 <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
               </div>
@@ -148,87 +193,165 @@ export function ApiKeyModal({ isOpen, onClose }) {
               </div>
             )}
 
-            {!loading && !error && apiKey && (
-              <div className="space-y-3">
-                <div className="p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg">
-                  <div className="flex items-start gap-2 mb-2">
-                    <AlertTriangle className="h-4 w-4 text-amber-600 dark:text-amber-400 mt-0.5 flex-shrink-0" />
-                    <p className="text-xs text-amber-700 dark:text-amber-300">
-                      Copy this key now. It won't be shown again.
-                    </p>
+            {apiKey && (
+              <div className="p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg">
+                <div className="flex items-start gap-2 mb-2">
+                  <AlertTriangle className="h-4 w-4 text-amber-600 dark:text-amber-400 mt-0.5 flex-shrink-0" />
+                  <p className="text-xs text-amber-700 dark:text-amber-300">
+                    Copy this key now. It won't be shown again.
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    ref={inputRef}
+                    type="text"
+                    readOnly
+                    value={apiKey}
+                    onClick={(e) => e.target.select()}
+                    className="flex-1 text-xs font-mono bg-white dark:bg-slate-900 p-2 rounded border border-amber-200 dark:border-amber-800 outline-none focus:ring-2 focus:ring-amber-300"
+                  />
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 flex-shrink-0"
+                        onClick={handleCopy}
+                      >
+                        {copied ? (
+                          <Check className="h-4 w-4 text-green-500" />
+                        ) : (
+                          <Copy className="h-4 w-4" />
+                        )}
+                      </Button>
+                    </TooltipTrigger>
+                    <TooltipContent>{copied ? "Copied!" : "Copy"}</TooltipContent>
+                  </Tooltip>
+                </div>
+              </div>
+            )}
+
+            {!loading && keys.length === 0 && !draft && (
+              <p className="text-sm text-slate-600 dark:text-slate-400">
+                Create an API key for each peer instance or automation script, so each one can be revoked on its own.
+              </p>
+            )}
+
+            {keys.map((key) => (
+              <div key={key.id} className="p-2 rounded-md bg-slate-50 dark:bg-slate-800/50 space-y-1">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0 flex items-center gap-2">
+                    <span className={`text-sm font-medium truncate ${key.status === "active" ? "" : "text-slate-400"}`}>
+                      {key.name}
+                    </span>
+                    <span className={`text-[10px] px-1.5 py-0.5 rounded capitalize ${STATUS_STYLES[key.status]}`}>
+                      {key.status}
+                    </span>
                   </div>
-                  <div className="flex items-center gap-2">
-                    <input
-                      ref={inputRef}
-                      type="text"
-                      readOnly
-                      value={apiKey}
-                      onClick={(e) => e.target.select()}
-                      className="flex-1 text-xs font-mono bg-white dark:bg-slate-900 p-2 rounded border border-amber-200 dark:border-amber-800 outline-none focus:ring-2 focus:ring-amber-300"
-                    />
+                  {key.status === "active" ? (
                     <Tooltip>
                       <TooltipTrigger asChild>
-                        <Button
-                          variant="ghost"
-                          size="icon"
-                          className="h-8 w-8 flex-shrink-0"
-                          onClick={handleCopy}
-                        >
-                          {copied ? (
-                            <Check className="h-4 w-4 text-green-500" />
-                          ) : (
-                            <Copy className="h-4 w-4" />
-                          )}
+                        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => setRevokeTarget(key)}>
+                          <Ban className="h-3.5 w-3.5" />
                         </Button>
                       </TooltipTrigger>
-                      <TooltipContent>{copied ? "Copied!" : "Copy"}</TooltipContent>
+                      <TooltipContent side="top">Revoke</TooltipContent>
                     </Tooltip>
-                  </div>
+                  ) : (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => handleDelete(key)}>
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent side="top">Delete</TooltipContent>
+                    </Tooltip>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {key.prefix && (
+                    <span className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-slate-200 dark:bg-slate-700 text-slate-600 dark:text-slate-300">
+                      {key.prefix}…
+                    </span>
+                  )}
+                  {key.scopes.map((scope) => (
+                    <span
+                      key={scope}
+                      className="text-[10px] px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300"
+                    >
+                      {SCOPES.find((s) => s.value === scope)?.label || scope}
+                    </span>
+                  ))}
                 </div>
+                <p className="text-xs text-slate-500 dark:text-slate-400">{describeKey(key)}</p>
               </div>
-            )}
+            ))}
 
-            {!loading && !error && !apiKey && keyInfo && (
-              <div className="space-y-4">
-                {keyInfo.hasApiKey ? (
-                  <div className="space-y-3">
-                    <div className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
-                      <p className="text-sm text-slate-600 dark:text-slate-400">
-                        API key generated on
-                      </p>
-                      <p className="text-sm font-medium text-slate-900 dark:text-slate-100">
-                        {formatDate(keyInfo.createdAt)}
-                      </p>
-                    </div>
-                    <p className="text-xs text-slate-500 dark:text-slate-400">
-                      The key is hidden for security. Regenerate to create a new one.
-                    </p>
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={handleRegenerate}
-                      className="w-full"
-                    >
-                      <RefreshCw className="h-4 w-4 mr-2" />
-                      Regenerate Key
-                    </Button>
-                  </div>
-                ) : (
-                  <div className="space-y-3">
-                    <p className="text-sm text-slate-600 dark:text-slate-400">
-                      Generate an API key to allow other Portracker instances to scan this server.
-                    </p>
-                    <Button onClick={generateKey} className="w-full" disabled={loading}>
-                      {loading ? (
-                        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                      ) : (
-                        <Key className="h-4 w-4 mr-2" />
-                      )}
-                      Generate API Key
-                    </Button>
-                  </div>
-                )}
+            {draft ? (
+              <div className="space-y-2 p-2 rounded-md border border-slate-200 dark:border-slate-700">
+                <Input
+                  placeholder="Name, e.g. nas-peer or backup-script"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  className="h-8 text-sm"
+                />
+                <div className="space-y-1">
+                  {SCOPES.map((scope) => (
+                    <label key={scope.value} className="flex items-start gap-2 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={draft.scopes.includes(scope.value)}
+                        onChange={() => toggleScope(scope.value)}
+                        className="mt-1"
+                      />
+                      <span>
+                        {scope.label}
+                        <span className="block text-xs text-slate-500 dark:text-slate-400">{scope.description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <select
+                  value={draft.expiresInDays}
+                  onChange={(e) => setDraft({ ...draft, expiresInDays: parseInt(e.target.value, 10) })}
+                  className="h-8 w-full rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-2 text-sm"
+                >
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" className="flex-1" onClick={() => setDraft(null)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    size="sm"
+                    className="flex-1"
+                    onClick={handleCreate}
+                    disabled={saving || !draft.name.trim() || draft.scopes.length === 0}
+                  >
+                    {saving ? <Loader2 className="h-3 w-3 mr-2 animate-spin" /> : null}
+                    Create key
+                  </Button>
+                </div>
               </div>
+            ) : (
+              !loading && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="w-full"
+                  onClick={() => {
+                    setApiKey(null);
+                    setDraft({ ...EMPTY_DRAFT });
+                  }}
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  New API Key
+                </Button>
+              )
             )}
           </div>
 
@@ -240,18 +363,18 @@ export function ApiKeyModal({ isOpen, onClose }) {
         </DialogContent>
       </Dialog>
 
-      <AlertDialog open={showRegenerateConfirm} onOpenChange={setShowRegenerateConfirm}>
+      <AlertDialog open={!!revokeTarget} onOpenChange={(open) => !open && setRevokeTarget(null)}>
         <AlertDialogContent>
           <AlertDialogHeader>
-            <AlertDialogTitle>Regenerate API Key?</AlertDialogTitle>
+            <AlertDialogTitle>Revoke API Key?</AlertDialogTitle>
             <AlertDialogDescription>
-              This will invalidate the current API key. Any external systems using the old key will no longer be able to access this server.
+              Anything using "{revokeTarget?.name}" will no longer be able to access this server. This cannot be undone.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
             <AlertDialogCancel>Cancel</AlertDialogCancel>
-            <AlertDialogAction onClick={confirmRegenerate}>
-              Regenerate
+            <AlertDialogAction onClick={confirmRevoke}>
+              Revoke
             </AlertDialogAction>
           </AlertDialogFooter>
         </AlertDialogContent>
@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Loader2, RefreshCw, XCircle, Key } from "lucide-react";
+import { fetchAuditLog } from "@/lib/api/audit";
+
+const PAGE_SIZE = 25;
+
+const ACTION_LABELS = {
+  "auth.login": "Signed in",
+  "auth.login_failed": "Failed sign-in",
+  "auth.logout": "Signed out",
+  "auth.lockout": "Sign-in locked",
+  "auth.unlock": "Lifted sign-in lockout",
+  "auth.2fa_enable": "Enabled two-factor",
+  "auth.2fa_disable": "Disabled two-factor",
+  "auth.2fa_recovery_codes": "New recovery codes",
+  "auth.password_change": "Changed password",
+  "server.create": "Added server",
+  "server.update": "Updated server",
+  "server.delete": "Deleted server",
+  "note.update": "Edited note",
+  "service.rename": "Renamed service",
+  "port.hide": "Hid port",
+  "port.unhide": "Unhid port",
+  "settings.update": "Changed settings",
+  "port_policy.update": "Changed port policy",
+  "reservation.create": "Reserved port",
+  "reservation.update": "Updated reservation",
+  "reservation.delete": "Released reservation",
+  "notification.create": "Added webhook",
+  "notification.update": "Updated webhook",
+  "notification.delete": "Deleted webhook",
+  "notification.test": "Tested webhook",
+  "autoxpose.connect": "Connected autoxpose",
+  "autoxpose.disconnect": "Disconnected autoxpose",
+  "autoxpose.update": "Changed autoxpose display",
+  "api_key.create": "Created API key",
+  "api_key.revoke": "Revoked API key",
+  "api_key.delete": "Deleted API key",
+  "user.create": "Created user",
+  "user.update": "Updated user",
+  "backup.restore": "Restored backup",
+};
+
+function formatTime(value) {
+  return new Date(value).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+function describeDetails(entry) {
+  const details = entry.details;
+  if (!details) return null;
+  if (entry.action === "note.update") return details.note ? `"${details.note}"` : "cleared";
+  if (entry.action === "service.rename") return details.name ? `→ ${details.name}` : "reset to original";
+  if (entry.action === "settings.update") return details.keys?.join(", ");
+  if (details.reason) return `${details.method} · ${details.reason.replace(/_/g, " ")}`;
+  if (details.method) return details.method;
+  if (details.label) return details.label;
+  if (details.scopes) return details.scopes.join(", ");
+  if (details.changed) return details.changed.join(", ");
+  return null;
+}
+
+/**
+ * Shows the audit log inside the settings modal, with filters for action, actor and failures.
+ * Entries load when the section is first expanded.
+ */
+export function AuditLogSettings({ active }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState(Object.keys(ACTION_LABELS));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [action, setAction] = useState("");
+  const [actor, setActor] = useState("");
+  const [appliedActor, setAppliedActor] = useState("");
+  const [failuresOnly, setFailuresOnly] = useState(false);
+
+  const load = useCallback(
+    async (offset = 0) => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await fetchAuditLog({
+          actions: action ? [action] : null,
+          actor: appliedActor || null,
+          success: failuresOnly ? false : null,
+          limit: PAGE_SIZE,
+          offset,
+        });
+        setEntries((prev) => (offset === 0 ? data.entries : [...prev, ...data.entries]));
+        setTotal(data.total);
+        if (Array.isArray(data.actions)) setActions(data.actions);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [action, appliedActor, failuresOnly]
+  );
+
+  useEffect(() => {
+    if (active) load(0);
+  }, [active, load]);
+
+  const applyActor = () => {
+    if (actor.trim() === appliedActor) {
+      load(0);
+    } else {
+      setAppliedActor(actor.trim());
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <select
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          className="h-8 flex-1 min-w-0 rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-2 text-xs"
+        >
+          <option value="">All actions</option>
+          {actions.map((value) => (
+            <option key={value} value={value}>
+              {ACTION_LABELS[value] || value}
+            </option>
+          ))}
+        </select>
+        <Input
+          placeholder="User or key"
+          value={actor}
+          onChange={(e) => setActor(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && applyActor()}
+          className="h-8 text-xs flex-1 min-w-0"
+        />
+        <Button variant="ghost" size="icon" className="h-8 w-8 flex-shrink-0" onClick={applyActor} disabled={loading}>
+          <RefreshCw className={`h-3.5 w-3.5 ${loading ? "animate-spin" : ""}`} />
+        </Button>
+      </div>
+
+      <label className="flex items-center justify-between text-xs text-slate-600 dark:text-slate-400">
+        Failed actions only
+        <Switch checked={failuresOnly} onCheckedChange={setFailuresOnly} />
+      </label>
+
+      {error && (
+        <p className="text-xs text-red-500 flex items-center gap-1">
+          <XCircle className="h-3 w-3" />
+          {error}
+        </p>
+      )}
+
+      {!loading && !error && entries.length === 0 && (
+        <p className="text-xs text-slate-500 dark:text-slate-400">No matching entries.</p>
+      )}
+
+      <div className="space-y-1 max-h-72 overflow-y-auto">
+        {entries.map((entry) => (
+          <div key={entry.id} className="p-2 rounded-md bg-slate-50 dark:bg-slate-800/50 text-xs space-y-0.5">
+            <div className="flex items-center justify-between gap-2">
+              <span className={`font-medium ${entry.success ? "" : "text-red-600 dark:text-red-400"}`}>
+                {ACTION_LABELS[entry.action] || entry.action}
+              </span>
+              <span className="text-slate-400 flex-shrink-0">{formatTime(entry.created_at)}</span>
+            </div>
+            <div className="flex items-center gap-1 text-slate-600 dark:text-slate-300 min-w-0">
+              {entry.actor_type === "api_key" && <Key className="h-3 w-3 flex-shrink-0" />}
+              <span className="truncate">{entry.actor || "anonymous"}</span>
+              {entry.ip && <span className="text-slate-400 flex-shrink-0">· {entry.ip}</span>}
+            </div>
+            {(entry.target || describeDetails(entry)) && (
+              <div className="text-slate-500 dark:text-slate-400 truncate">
+                {[entry.target, describeDetails(entry)].filter(Boolean).join(" ")}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {loading && entries.length === 0 && (
+        <div className="flex justify-center py-2">
+          <Loader2 className="h-4 w-4 animate-spin text-slate-400" />
+        </div>
+      )}
+
+      {entries.length < total && (
+        <Button variant="outline" size="sm" className="w-full" onClick={() => load(entries.length)} disabled={loading}>
+          {loading ? <Loader2 className="h-3 w-3 mr-2 animate-spin" /> : null}
+          Load more ({total - entries.length} older)
+        </Button>
+      )}
+    </div>
+  );
+}
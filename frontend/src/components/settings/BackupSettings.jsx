@@ -0,0 +1,235 @@
+import React, { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { Download, Upload, Loader2, XCircle, CheckCircle, AlertTriangle } from "lucide-react";
+import { downloadBackup, restoreBackup } from "@/lib/api/backup";
+
+const TABLE_LABELS = {
+  servers: "Servers",
+  notes: "Notes",
+  ignores: "Hidden ports",
+  custom_service_names: "Custom names",
+  user_settings: "Settings",
+  webhook_targets: "Webhooks",
+};
+
+function ReportSummary({ report }) {
+  return (
+    <div className="space-y-1">
+      {Object.entries(report.tables).map(([table, counts]) => (
+        <div key={table}>
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-slate-600 dark:text-slate-300">{TABLE_LABELS[table] || table}</span>
+            <span className="text-slate-500 dark:text-slate-400">
+              +{counts.inserted} · ~{counts.updated} · ={counts.unchanged}
+              {counts.conflict_count > 0 && (
+                <span className="text-amber-600 dark:text-amber-400"> · {counts.conflict_count} conflict{counts.conflict_count === 1 ? "" : "s"}</span>
+              )}
+            </span>
+          </div>
+          {counts.conflicts.length > 0 && (
+            <ul className="mt-1 mb-2 pl-2 space-y-0.5 max-h-24 overflow-y-auto">
+              {counts.conflicts.map((conflict) => (
+                <li key={conflict.key} className="text-[11px] text-slate-500 dark:text-slate-400 truncate">
+                  <span className="font-mono">{conflict.key}</span>:{" "}
+                  {conflict.fields.map((f) => `${f.field} "${f.current ?? ""}" → "${f.incoming ?? ""}"`).join(", ")}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Download a configuration backup or restore one, previewing the changes with a dry run first.
+ */
+export function BackupSettings() {
+  const fileInputRef = useRef(null);
+  const [includeSecrets, setIncludeSecrets] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [bundle, setBundle] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [overwrite, setOverwrite] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError(null);
+    try {
+      await downloadBackup({ includeSecrets });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const runPreview = async (nextBundle, nextMode, nextOverwrite) => {
+    setWorking(true);
+    setError(null);
+    setResult(null);
+    try {
+      setPreview(await restoreBackup(nextBundle, { mode: nextMode, overwrite: nextOverwrite, dryRun: true }));
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      setBundle(parsed);
+      setFileName(file.name);
+      await runPreview(parsed, mode, overwrite);
+    } catch (err) {
+      setBundle(null);
+      setPreview(null);
+      setError(err instanceof SyntaxError ? "File is not valid JSON" : err.message);
+    }
+  };
+
+  const handleModeChange = (nextMode) => {
+    setMode(nextMode);
+    if (bundle) runPreview(bundle, nextMode, overwrite);
+  };
+
+  const handleOverwriteChange = (checked) => {
+    setOverwrite(checked);
+    if (bundle) runPreview(bundle, mode, checked);
+  };
+
+  const handleRestore = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      setResult(await restoreBackup(bundle, { mode, overwrite }));
+      setPreview(null);
+      setBundle(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-sm">Include secrets</div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">Peer API keys and webhook tokens</div>
+          </div>
+          <Switch checked={includeSecrets} onCheckedChange={setIncludeSecrets} />
+        </div>
+        <Button variant="outline" size="sm" className="w-full" onClick={handleDownload} disabled={downloading}>
+          {downloading ? <Loader2 className="h-3 w-3 mr-2 animate-spin" /> : <Download className="h-3 w-3 mr-2" />}
+          Download backup
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFileChange} />
+        <Button variant="outline" size="sm" className="w-full" onClick={() => fileInputRef.current?.click()} disabled={working}>
+          <Upload className="h-3 w-3 mr-2" />
+          {bundle ? `Restore from ${fileName}` : "Restore from file..."}
+        </Button>
+
+        {bundle && (
+          <div className="space-y-3 p-2 rounded-md border border-slate-200 dark:border-slate-700">
+            <div className="flex gap-1">
+              {["merge", "replace"].map((value) => (
+                <Button
+                  key={value}
+                  variant={mode === value ? "default" : "ghost"}
+                  size="sm"
+                  className="h-7 px-2 text-xs flex-1"
+                  onClick={() => handleModeChange(value)}
+                  disabled={working}
+                >
+                  {value === "merge" ? "Merge" : "Replace"}
+                </Button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {mode === "merge"
+                ? "Adds missing entries and keeps existing ones unless overwriting conflicts."
+                : "Removes current servers, notes, names, hidden ports, settings and webhooks before restoring."}
+            </p>
+            {mode === "merge" && (
+              <label className="flex items-center gap-2 text-xs cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={overwrite}
+                  onChange={(e) => handleOverwriteChange(e.target.checked)}
+                  className="h-3.5 w-3.5 rounded border-slate-300 dark:border-slate-600"
+                />
+                Overwrite conflicting entries
+              </label>
+            )}
+            {bundle.includes_secrets === false && (
+              <p className="text-xs text-slate-500 dark:text-slate-400">
+                This backup has no secrets; existing API keys and tokens are kept.
+              </p>
+            )}
+
+            {working && !preview && (
+              <div className="flex justify-center py-2">
+                <Loader2 className="h-4 w-4 animate-spin text-slate-400" />
+              </div>
+            )}
+            {preview && <ReportSummary report={preview} />}
+
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" className="flex-1" onClick={() => { setBundle(null); setPreview(null); }}>
+                Cancel
+              </Button>
+              <Button
+                size="sm"
+                className={`flex-1 ${mode === "replace" ? "bg-red-600 hover:bg-red-700 text-white" : ""}`}
+                onClick={handleRestore}
+                disabled={working || !preview}
+              >
+                {working ? <Loader2 className="h-3 w-3 mr-2 animate-spin" /> : mode === "replace" ? <AlertTriangle className="h-3 w-3 mr-2" /> : null}
+                Restore
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {result && (
+          <div className="space-y-2 p-2 rounded-md bg-slate-50 dark:bg-slate-800/50">
+            <p className="text-xs text-emerald-600 dark:text-emerald-400 flex items-center gap-1">
+              <CheckCircle className="h-3 w-3" />
+              Restore complete. Reload to see the restored data.
+            </p>
+            <ReportSummary report={result} />
+            <Button variant="outline" size="sm" className="w-full" onClick={() => window.location.reload()}>
+              Reload
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-500 flex items-center gap-1">
+          <XCircle className="h-3 w-3" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { Loader2, Plus, Send, Trash2, XCircle, CheckCircle } from "lucide-react";
+import {
+  listWebhookTargets,
+  createWebhookTarget,
+  updateWebhookTarget,
+  deleteWebhookTarget,
+  testWebhookTarget,
+} from "@/lib/api/notifications";
+
+const TARGET_TYPES = [
+  { value: "generic", label: "JSON" },
+  { value: "slack", label: "Slack" },
+  { value: "discord", label: "Discord" },
+  { value: "ntfy", label: "ntfy" },
+  { value: "gotify", label: "Gotify" },
+];
+
+const TRIGGERS = [
+  { value: "port_opened", label: "Port appears" },
+  { value: "port_closed", label: "Port disappears" },
+  { value: "peer_unreachable", label: "Peer unreachable" },
+  { value: "ping_red", label: "Health turns red" },
+];
+
+const EMPTY_DRAFT = {
+  name: "",
+  type: "generic",
+  url: "",
+  token: "",
+  triggers: ["port_closed", "peer_unreachable"],
+};
+
+/**
+ * Manages webhook notification targets inside the settings modal.
+ * Targets load when the section is first expanded.
+ */
+export function NotificationSettings({ active }) {
+  const [targets, setTargets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(null);
+  const [testResult, setTestResult] = useState({});
+
+  const loadTargets = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setTargets(await listWebhookTargets());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (active) loadTargets();
+  }, [active, loadTargets]);
+
+  const toggleDraftTrigger = (trigger) => {
+    setDraft((prev) => ({
+      ...prev,
+      triggers: prev.triggers.includes(trigger)
+        ? prev.triggers.filter((t) => t !== trigger)
+        : [...prev.triggers, trigger],
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const payload = { ...draft };
+      if (!payload.token) delete payload.token;
+      const created = await createWebhookTarget(payload);
+      setTargets((prev) => [...prev, created]);
+      setDraft(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (target) => {
+    try {
+      const updated = await updateWebhookTarget(target.id, { enabled: !target.enabled });
+      setTargets((prev) => prev.map((t) => (t.id === target.id ? updated : t)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    try {
+      await deleteWebhookTarget(target.id);
+      setTargets((prev) => prev.filter((t) => t.id !== target.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleTest = async (target) => {
+    setTesting(target.id);
+    try {
+      const result = await testWebhookTarget(target.id);
+      setTestResult((prev) => ({ ...prev, [target.id]: result }));
+    } catch (err) {
+      setTestResult((prev) => ({ ...prev, [target.id]: { success: false, error: err.message } }));
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  const needsToken = draft && (draft.type === "gotify" || draft.type === "ntfy" || draft.type === "generic");
+
+  return (
+    <div className="space-y-3">
+      {loading && (
+        <div className="flex justify-center py-2">
+          <Loader2 className="h-4 w-4 animate-spin text-slate-400" />
+        </div>
+      )}
+
+      {error && (
+        <p className="text-xs text-red-500 flex items-center gap-1">
+          <XCircle className="h-3 w-3" />
+          {error}
+        </p>
+      )}
+
+      {!loading && targets.length === 0 && !draft && (
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          No webhooks yet. Add one to get notified about port and peer changes.
+        </p>
+      )}
+
+      {targets.map((target) => {
+        const result = testResult[target.id];
+        return (
+          <div
+            key={target.id}
+            className="flex items-center justify-between gap-2 p-2 rounded-md bg-slate-50 dark:bg-slate-800/50"
+          >
+            <div className="min-w-0">
+              <div className="text-sm font-medium truncate">{target.name}</div>
+              <div className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                {TARGET_TYPES.find((t) => t.value === target.type)?.label || target.type}
+                {" · "}
+                {target.triggers.length} trigger{target.triggers.length === 1 ? "" : "s"}
+                {target.last_status === "error" && (
+                  <span className="text-red-500"> · {target.last_error}</span>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center gap-1 flex-shrink-0">
+              {result && (
+                result.success ? (
+                  <CheckCircle className="h-3.5 w-3.5 text-emerald-500" />
+                ) : (
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <XCircle className="h-3.5 w-3.5 text-red-500" />
+                    </TooltipTrigger>
+                    <TooltipContent side="top">{result.error}</TooltipContent>
+                  </Tooltip>
+                )
+              )}
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    onClick={() => handleTest(target)}
+                    disabled={testing === target.id}
+                  >
+                    {testing === target.id ? (
+                      <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                    ) : (
+                      <Send className="h-3.5 w-3.5" />
+                    )}
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent side="top">Send test</TooltipContent>
+              </Tooltip>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 text-slate-400 hover:text-red-500"
+                    onClick={() => handleDelete(target)}
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent side="top">Delete</TooltipContent>
+              </Tooltip>
+              <Switch checked={target.enabled} onCheckedChange={() => handleToggleEnabled(target)} />
+            </div>
+          </div>
+        );
+      })}
+
+      {draft ? (
+        <div className="space-y-2 p-2 rounded-md border border-slate-200 dark:border-slate-700">
+          <Input
+            placeholder="Name"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            className="h-8 text-sm"
+          />
+          <div className="flex gap-1 flex-wrap">
+            {TARGET_TYPES.map((type) => (
+              <Button
+                key={type.value}
+                variant={draft.type === type.value ? "default" : "ghost"}
+                size="sm"
+                className="h-7 px-2 text-xs"
+                onClick={() => setDraft({ ...draft, type: type.value })}
+              >
+                {type.label}
+              </Button>
+            ))}
+          </div>
+          <Input
+            type="url"
+            placeholder={draft.type === "ntfy" ? "https://ntfy.sh/your-topic" : draft.type === "gotify" ? "https://gotify.example.com" : "https://hooks.example.com/..."}
+            value={draft.url}
+            onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+            className="h-8 text-sm"
+          />
+          {needsToken && (
+            <Input
+              type="password"
+              placeholder={draft.type === "gotify" ? "App token" : "Bearer token (optional)"}
+              value={draft.token}
+              onChange={(e) => setDraft({ ...draft, token: e.target.value })}
+              className="h-8 text-sm"
+            />
+          )}
+          <div className="grid grid-cols-2 gap-1">
+            {TRIGGERS.map((trigger) => (
+              <label key={trigger.value} className="flex items-center gap-2 text-xs cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={draft.triggers.includes(trigger.value)}
+                  onChange={() => toggleDraftTrigger(trigger.value)}
+                  className="h-3.5 w-3.5 rounded border-slate-300 dark:border-slate-600"
+                />
+                {trigger.label}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" className="flex-1" onClick={() => setDraft(null)}>
+              Cancel
+            </Button>
+            <Button
+              size="sm"
+              className="flex-1"
+              onClick={handleSave}
+              disabled={saving || !draft.name.trim() || !draft.url.trim() || draft.triggers.length === 0}
+            >
+              {saving ? <Loader2 className="h-3 w-3 mr-2 animate-spin" /> : null}
+              Save
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button variant="outline" size="sm" className="w-full" onClick={() => setDraft({ ...EMPTY_DRAFT })}>
+          <Plus className="h-3 w-3 mr-2" />
+          Add webhook
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2, XCircle, CheckCircle, RotateCcw } from "lucide-react";
+import { fetchPortPolicy, savePortPolicy } from "@/lib/api/port-policy";
+
+const CATEGORIES = [
+  { value: "web", label: "Web" },
+  { value: "db", label: "Database" },
+  { value: "monitoring", label: "Monitoring" },
+];
+
+const EMPTY_FORM = {
+  mode: "random",
+  allowed: "",
+  excluded: "",
+  sequentialStart: "",
+  categories: { web: "", db: "", monitoring: "" },
+};
+
+function formatRanges(ranges) {
+  return (ranges || []).map((r) => (r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`)).join(", ");
+}
+
+function parseRanges(text, label) {
+  return text
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+      if (!match) throw new Error(`${label}: "${part}" is not a port or range like 30000-39999`);
+      const start = parseInt(match[1], 10);
+      return { start, end: match[2] ? parseInt(match[2], 10) : start };
+    });
+}
+
+function policyToForm(policy) {
+  if (!policy) return EMPTY_FORM;
+  return {
+    mode: policy.mode || "random",
+    allowed: formatRanges(policy.allowed_ranges),
+    excluded: formatRanges(policy.excluded_ranges),
+    sequentialStart: policy.sequential_start ? String(policy.sequential_start) : "",
+    categories: Object.fromEntries(
+      CATEGORIES.map(({ value }) => [value, policy.categories?.[value] ? formatRanges([policy.categories[value]]) : ""])
+    ),
+  };
+}
+
+function formToPolicy(form) {
+  const policy = { mode: form.mode };
+  const allowed = parseRanges(form.allowed, "Allowed ranges");
+  const excluded = parseRanges(form.excluded, "Excluded ranges");
+  if (allowed.length > 0) policy.allowed_ranges = allowed;
+  if (excluded.length > 0) policy.excluded_ranges = excluded;
+  if (form.sequentialStart.trim()) policy.sequential_start = parseInt(form.sequentialStart, 10);
+
+  const categories = {};
+  for (const { value, label } of CATEGORIES) {
+    const ranges = parseRanges(form.categories[value], label);
+    if (ranges.length > 1) throw new Error(`${label}: use a single block like 8000-8099`);
+    if (ranges.length === 1) categories[value] = ranges[0];
+  }
+  if (Object.keys(categories).length > 0) policy.categories = categories;
+  return policy;
+}
+
+/**
+ * Edits the port suggestion policy of each server: allowed and excluded ranges, random or
+ * sequential suggestions, and a preferred port block per service category.
+ * Servers load when the section is first expanded.
+ */
+export function PortPolicySettings({ active }) {
+  const [servers, setServers] = useState([]);
+  const [serverId, setServerId] = useState("local");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [defaultRange, setDefaultRange] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (!active) return;
+    fetch("/api/servers", { credentials: "include" })
+      .then((r) => (r.ok ? r.json() : []))
+      .then((list) => setServers(Array.isArray(list) ? list : []))
+      .catch(() => setServers([]));
+  }, [active]);
+
+  const loadPolicy = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setSaved(false);
+    try {
+      const data = await fetchPortPolicy(serverId);
+      setForm(policyToForm(data.policy));
+      setDefaultRange(data.policy?.allowed_ranges?.length ? null : formatRanges(data.effective.allowed_ranges));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [serverId]);
+
+  useEffect(() => {
+    if (active) loadPolicy();
+  }, [active, loadPolicy]);
+
+  const update = (field, value) => {
+    setSaved(false);
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateCategory = (category, value) => {
+    setSaved(false);
+    setForm((prev) => ({ ...prev, categories: { ...prev.categories, [category]: value } }));
+  };
+
+  const persist = async (policy) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await savePortPolicy(serverId, policy);
+      setForm(policyToForm(data.policy));
+      setDefaultRange(data.policy?.allowed_ranges?.length ? null : formatRanges(data.effective.allowed_ranges));
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    let policy;
+    try {
+      policy = formToPolicy(form);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    persist(policy);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <Label htmlFor="port-policy-server" className="text-sm w-20 flex-shrink-0">Server</Label>
+        <select
+          id="port-policy-server"
+          value={serverId}
+          onChange={(e) => setServerId(e.target.value)}
+          className="h-8 flex-1 rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-2 text-sm"
+        >
+          {servers.length === 0 && <option value="local">Local</option>}
+          {servers.map((server) => (
+            <option key={server.id} value={server.id}>
+              {server.label || server.id}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-2">
+          <Loader2 className="h-4 w-4 animate-spin text-slate-400" />
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center gap-2">
+            <Label className="text-sm w-20 flex-shrink-0">Suggest</Label>
+            <div className="flex rounded-md border border-slate-200 dark:border-slate-700 overflow-hidden text-xs">
+              {["random", "sequential"].map((mode) => (
+                <button
+                  key={mode}
+                  onClick={() => update("mode", mode)}
+                  className={`px-3 py-1.5 capitalize transition-colors ${
+                    form.mode === mode
+                      ? "bg-slate-900 text-white dark:bg-slate-100 dark:text-slate-900"
+                      : "text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800"
+                  }`}
+                >
+                  {mode}
+                </button>
+              ))}
+            </div>
+            {form.mode === "sequential" && (
+              <Input
+                type="number"
+                min="1"
+                max="65535"
+                placeholder="After port"
+                value={form.sequentialStart}
+                onChange={(e) => update("sequentialStart", e.target.value)}
+                className="h-8 text-sm w-28"
+              />
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <Label htmlFor="port-policy-allowed" className="text-xs text-slate-500 dark:text-slate-400">Allowed ranges</Label>
+            <Input
+              id="port-policy-allowed"
+              placeholder={defaultRange ? `Default: ${defaultRange}` : "30000-39999, 45000-45999"}
+              value={form.allowed}
+              onChange={(e) => update("allowed", e.target.value)}
+              className="h-8 text-sm font-mono"
+            />
+          </div>
+
+          <div className="space-y-1">
+            <Label htmlFor="port-policy-excluded" className="text-xs text-slate-500 dark:text-slate-400">Excluded ranges</Label>
+            <Input
+              id="port-policy-excluded"
+              placeholder="32000-32767"
+              value={form.excluded}
+              onChange={(e) => update("excluded", e.target.value)}
+              className="h-8 text-sm font-mono"
+            />
+          </div>
+
+          <div className="space-y-1">
+            <span className="text-xs text-slate-500 dark:text-slate-400">Preferred blocks</span>
+            <div className="grid grid-cols-3 gap-2">
+              {CATEGORIES.map(({ value, label }) => (
+                <Input
+                  key={value}
+                  placeholder={label}
+                  title={`${label} services try this block first`}
+                  value={form.categories[value]}
+                  onChange={(e) => updateCategory(value, e.target.value)}
+                  className="h-8 text-xs font-mono"
+                />
+              ))}
+            </div>
+          </div>
+
+          {error && (
+            <p className="text-xs text-red-500 flex items-center gap-1">
+              <XCircle className="h-3 w-3" />
+              {error}
+            </p>
+          )}
+
+          <div className="flex items-center gap-2">
+            <Button size="sm" className="h-8" onClick={handleSave} disabled={saving}>
+              {saving ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : "Save policy"}
+            </Button>
+            <Button variant="outline" size="sm" className="h-8" onClick={() => persist(null)} disabled={saving}>
+              <RotateCcw className="h-3.5 w-3.5 mr-1" />
+              Use defaults
+            </Button>
+            {saved && <CheckCircle className="h-4 w-4 text-emerald-500" />}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
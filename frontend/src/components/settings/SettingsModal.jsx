@@ -25,8 +25,19 @@ import {
   CheckCircle,
   XCircle,
   Loader2,
+  Bell,
+  Archive,
+  Shuffle,
+  Users,
+  ScrollText,
 } from "lucide-react";
 import { AutoxposeLogo } from "@/components/autoxpose";
+import { NotificationSettings } from "./NotificationSettings";
+import { BackupSettings } from "./BackupSettings";
+import { PortPolicySettings } from "./PortPolicySettings";
+import { UserSettings } from "./UserSettings";
+import { AuditLogSettings } from "./AuditLogSettings";
+import { useAuth } from "@/contexts/AuthContext";
 import {
   Tooltip,
   TooltipContent,
@@ -71,6 +82,16 @@ export function SettingsModal({
   const [localDisableCache, setLocalDisableCache] = useState(disableCache || false);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [showAutoxpose, setShowAutoxpose] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showPortPolicy, setShowPortPolicy] = useState(false);
+  const [showUsers, setShowUsers] = useState(false);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const auth = useAuth();
+  const canManageUsers = auth.authEnabled && auth.role === "admin";
+  const canViewAuditLog = !auth.authEnabled || auth.role === "admin";
+  const canManageNotifications = !auth.authEnabled || auth.role === "admin";
+  const canManageAutoxpose = !auth.authEnabled || auth.role === "admin";
   const [autoxposeUrl, setAutoxposeUrl] = useState("");
   const [autoxposeConnecting, setAutoxposeConnecting] = useState(false);
   const [autoxposeError, setAutoxposeError] = useState(null);
@@ -226,156 +247,279 @@ export function SettingsModal({
             </div>
           </div>
 
-          <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
-            <button
-              onClick={() => setShowAutoxpose(!showAutoxpose)}
-              className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
-            >
-              <div className="flex items-center gap-2">
-                <AutoxposeLogo size={16} className="text-slate-600 dark:text-slate-300" />
-                <a 
-                  href="https://github.com/mostafa-wahied/autoxpose"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  onClick={(e) => e.stopPropagation()}
-                  className="hover:underline hover:text-indigo-600 dark:hover:text-indigo-400"
-                >
-                  autoxpose
-                </a>
-                {autoxposeStatus?.connected && (
-                  <span className="flex items-center gap-1 text-xs text-emerald-600 dark:text-emerald-400">
-                    <CheckCircle className="h-3 w-3" />
-                    connected
-                  </span>
+          {canManageAutoxpose && (
+            <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
+              <button
+                onClick={() => setShowAutoxpose(!showAutoxpose)}
+                className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
+              >
+                <div className="flex items-center gap-2">
+                  <AutoxposeLogo size={16} className="text-slate-600 dark:text-slate-300" />
+                  <a 
+                    href="https://github.com/mostafa-wahied/autoxpose"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={(e) => e.stopPropagation()}
+                    className="hover:underline hover:text-indigo-600 dark:hover:text-indigo-400"
+                  >
+                    autoxpose
+                  </a>
+                  {autoxposeStatus?.connected && (
+                    <span className="flex items-center gap-1 text-xs text-emerald-600 dark:text-emerald-400">
+                      <CheckCircle className="h-3 w-3" />
+                      connected
+                    </span>
+                  )}
+                </div>
+                {showAutoxpose ? (
+                  <ChevronUp className="h-4 w-4" />
+                ) : (
+                  <ChevronDown className="h-4 w-4" />
                 )}
-              </div>
-              {showAutoxpose ? (
-                <ChevronUp className="h-4 w-4" />
-              ) : (
-                <ChevronDown className="h-4 w-4" />
-              )}
-            </button>
+              </button>
 
-            {showAutoxpose && (
-              <div className="mt-3 space-y-3 pl-1">
-                {!autoxposeStatus?.connected ? (
-                  <>
-                    <div className="space-y-2">
-                      <Input
-                        type="url"
-                        placeholder="http://autoxpose:3000"
-                        value={autoxposeUrl}
-                        onChange={(e) => setAutoxposeUrl(e.target.value)}
-                        className="h-8 text-sm"
-                      />
-                      {autoxposeError && (
-                        <p className="text-xs text-red-500 flex items-center gap-1">
-                          <XCircle className="h-3 w-3" />
-                          {autoxposeError}
-                        </p>
-                      )}
-                    </div>
-                    <Button
-                      size="sm"
-                      className="w-full"
-                      onClick={handleAutoxposeConnect}
-                      disabled={autoxposeConnecting}
-                    >
-                      {autoxposeConnecting ? (
-                        <>
-                          <Loader2 className="h-3 w-3 mr-2 animate-spin" />
-                          Connecting...
-                        </>
-                      ) : (
-                        "Connect"
-                      )}
-                    </Button>
-                  </>
-                ) : (
-                  <>
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center gap-2">
-                        <AutoxposeLogo size={14} className="text-slate-400" />
-                        <span className="text-sm">Display</span>
-                      </div>
-                      <div className="flex gap-1">
-                        <Tooltip>
-                          <TooltipTrigger asChild>
-                            <Button
-                              variant={autoxposeDisplayMode === "url" ? "default" : "ghost"}
-                              size="icon"
-                              className="h-8 w-8"
-                              onClick={() => onAutoxposeDisplayModeChange?.("url")}
-                            >
-                              <Link2 className="h-4 w-4" />
-                            </Button>
-                          </TooltipTrigger>
-                          <TooltipContent side="bottom">Show URL</TooltipContent>
-                        </Tooltip>
-                        <Tooltip>
-                          <TooltipTrigger asChild>
-                            <Button
-                              variant={autoxposeDisplayMode === "badge" ? "default" : "ghost"}
-                              size="icon"
-                              className="h-8 w-8"
-                              onClick={() => onAutoxposeDisplayModeChange?.("badge")}
-                            >
-                              <Tag className="h-4 w-4" />
-                            </Button>
-                          </TooltipTrigger>
-                          <TooltipContent side="bottom">Show Badge</TooltipContent>
-                        </Tooltip>
+              {showAutoxpose && (
+                <div className="mt-3 space-y-3 pl-1">
+                  {!autoxposeStatus?.connected ? (
+                    <>
+                      <div className="space-y-2">
+                        <Input
+                          type="url"
+                          placeholder="http://autoxpose:3000"
+                          value={autoxposeUrl}
+                          onChange={(e) => setAutoxposeUrl(e.target.value)}
+                          className="h-8 text-sm"
+                        />
+                        {autoxposeError && (
+                          <p className="text-xs text-red-500 flex items-center gap-1">
+                            <XCircle className="h-3 w-3" />
+                            {autoxposeError}
+                          </p>
+                        )}
                       </div>
-                    </div>
-                    {autoxposeDisplayMode === "url" && (
-                      <div className="flex items-center justify-between pl-6">
-                        <span className="text-sm text-slate-500">Style</span>
+                      <Button
+                        size="sm"
+                        className="w-full"
+                        onClick={handleAutoxposeConnect}
+                        disabled={autoxposeConnecting}
+                      >
+                        {autoxposeConnecting ? (
+                          <>
+                            <Loader2 className="h-3 w-3 mr-2 animate-spin" />
+                            Connecting...
+                          </>
+                        ) : (
+                          "Connect"
+                        )}
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                          <AutoxposeLogo size={14} className="text-slate-400" />
+                          <span className="text-sm">Display</span>
+                        </div>
                         <div className="flex gap-1">
                           <Tooltip>
                             <TooltipTrigger asChild>
                               <Button
-                                variant={autoxposeUrlStyle === "compact" ? "default" : "ghost"}
-                                size="sm"
-                                className="h-7 px-2 text-xs"
-                                onClick={() => onAutoxposeUrlStyleChange?.("compact")}
+                                variant={autoxposeDisplayMode === "url" ? "default" : "ghost"}
+                                size="icon"
+                                className="h-8 w-8"
+                                onClick={() => onAutoxposeDisplayModeChange?.("url")}
                               >
-                                Compact
+                                <Link2 className="h-4 w-4" />
                               </Button>
                             </TooltipTrigger>
-                            <TooltipContent side="bottom">Show subdomain only</TooltipContent>
+                            <TooltipContent side="bottom">Show URL</TooltipContent>
                           </Tooltip>
                           <Tooltip>
                             <TooltipTrigger asChild>
                               <Button
-                                variant={autoxposeUrlStyle === "full" ? "default" : "ghost"}
-                                size="sm"
-                                className="h-7 px-2 text-xs"
-                                onClick={() => onAutoxposeUrlStyleChange?.("full")}
+                                variant={autoxposeDisplayMode === "badge" ? "default" : "ghost"}
+                                size="icon"
+                                className="h-8 w-8"
+                                onClick={() => onAutoxposeDisplayModeChange?.("badge")}
                               >
-                                Full
+                                <Tag className="h-4 w-4" />
                               </Button>
                             </TooltipTrigger>
-                            <TooltipContent side="bottom">Show full hostname</TooltipContent>
+                            <TooltipContent side="bottom">Show Badge</TooltipContent>
                           </Tooltip>
                         </div>
                       </div>
-                    )}
-                    <div className="pt-2">
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        className="w-full text-slate-500"
-                        onClick={handleAutoxposeDisconnect}
-                      >
-                        Disconnect
-                      </Button>
-                    </div>
-                  </>
+                      {autoxposeDisplayMode === "url" && (
+                        <div className="flex items-center justify-between pl-6">
+                          <span className="text-sm text-slate-500">Style</span>
+                          <div className="flex gap-1">
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button
+                                  variant={autoxposeUrlStyle === "compact" ? "default" : "ghost"}
+                                  size="sm"
+                                  className="h-7 px-2 text-xs"
+                                  onClick={() => onAutoxposeUrlStyleChange?.("compact")}
+                                >
+                                  Compact
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent side="bottom">Show subdomain only</TooltipContent>
+                            </Tooltip>
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button
+                                  variant={autoxposeUrlStyle === "full" ? "default" : "ghost"}
+                                  size="sm"
+                                  className="h-7 px-2 text-xs"
+                                  onClick={() => onAutoxposeUrlStyleChange?.("full")}
+                                >
+                                  Full
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent side="bottom">Show full hostname</TooltipContent>
+                            </Tooltip>
+                          </div>
+                        </div>
+                      )}
+                      <div className="pt-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="w-full text-slate-500"
+                          onClick={handleAutoxposeDisconnect}
+                        >
+                          Disconnect
+                        </Button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {canManageNotifications && (
+            <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
+              <button
+                onClick={() => setShowNotifications(!showNotifications)}
+                className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
+              >
+                <div className="flex items-center gap-2">
+                  <Bell className="h-4 w-4" />
+                  <span>Notifications</span>
+                </div>
+                {showNotifications ? (
+                  <ChevronUp className="h-4 w-4" />
+                ) : (
+                  <ChevronDown className="h-4 w-4" />
                 )}
+              </button>
+
+              {showNotifications && (
+                <div className="mt-3 pl-1">
+                  <NotificationSettings active={showNotifications} />
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
+            <button
+              onClick={() => setShowBackup(!showBackup)}
+              className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
+            >
+              <div className="flex items-center gap-2">
+                <Archive className="h-4 w-4" />
+                <span>Backup &amp; Restore</span>
+              </div>
+              {showBackup ? (
+                <ChevronUp className="h-4 w-4" />
+              ) : (
+                <ChevronDown className="h-4 w-4" />
+              )}
+            </button>
+
+            {showBackup && (
+              <div className="mt-3 pl-1">
+                <BackupSettings />
+              </div>
+            )}
+          </div>
+
+          <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
+            <button
+              onClick={() => setShowPortPolicy(!showPortPolicy)}
+              className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
+            >
+              <div className="flex items-center gap-2">
+                <Shuffle className="h-4 w-4" />
+                <span>Port Suggestions</span>
+              </div>
+              {showPortPolicy ? (
+                <ChevronUp className="h-4 w-4" />
+              ) : (
+                <ChevronDown className="h-4 w-4" />
+              )}
+            </button>
+
+            {showPortPolicy && (
+              <div className="mt-3 pl-1">
+                <PortPolicySettings active={showPortPolicy} />
               </div>
             )}
           </div>
 
+          {canManageUsers && (
+            <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
+              <button
+                onClick={() => setShowUsers(!showUsers)}
+                className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
+              >
+                <div className="flex items-center gap-2">
+                  <Users className="h-4 w-4" />
+                  <span>Users</span>
+                </div>
+                {showUsers ? (
+                  <ChevronUp className="h-4 w-4" />
+                ) : (
+                  <ChevronDown className="h-4 w-4" />
+                )}
+              </button>
+
+              {showUsers && (
+                <div className="mt-3 pl-1">
+                  <UserSettings active={showUsers} currentUsername={auth.username} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {canViewAuditLog && (
+            <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
+              <button
+                onClick={() => setShowAuditLog(!showAuditLog)}
+                className="flex items-center justify-between w-full text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200 transition-colors"
+              >
+                <div className="flex items-center gap-2">
+                  <ScrollText className="h-4 w-4" />
+                  <span>Audit Log</span>
+                </div>
+                {showAuditLog ? (
+                  <ChevronUp className="h-4 w-4" />
+                ) : (
+                  <ChevronDown className="h-4 w-4" />
+                )}
+              </button>
+
+              {showAuditLog && (
+                <div className="mt-3 pl-1">
+                  <AuditLogSettings active={showAuditLog} />
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="border-t border-slate-200 dark:border-slate-800 pt-3">
             <button
               onClick={() => setShowAdvanced(!showAdvanced)}
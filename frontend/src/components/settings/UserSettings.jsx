@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { Loader2, Plus, KeyRound, XCircle, ShieldCheck, ShieldOff, Lock, Unlock } from "lucide-react";
+import { listUsers, createUser, updateUser, listLockouts, clearLockout } from "@/lib/api/users";
+
+const ROLES = [
+  { value: "admin", label: "Admin", description: "Full access, including servers, settings and users" },
+  { value: "editor", label: "Editor", description: "Can change notes, names, hidden ports and reservations" },
+  { value: "viewer", label: "Viewer", description: "Read-only" },
+];
+
+const EMPTY_DRAFT = { username: "", password: "", role: "viewer" };
+
+function formatRetry(seconds) {
+  if (seconds >= 90) return `${Math.ceil(seconds / 60)} min`;
+  return `${seconds}s`;
+}
+
+function formatLastLogin(value) {
+  if (!value) return "Never signed in";
+  return `Last sign-in ${new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })}`;
+}
+
+/**
+ * Manages user accounts and their roles inside the settings modal, and lists sign-in lockouts
+ * so they can be lifted early. Only shown to admins.
+ * Users load when the section is first expanded.
+ */
+export function UserSettings({ active, currentUsername }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [resetting, setResetting] = useState(null);
+  const [newPassword, setNewPassword] = useState("");
+  const [lockouts, setLockouts] = useState([]);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [loadedUsers, loadedLockouts] = await Promise.all([listUsers(), listLockouts()]);
+      setUsers(loadedUsers);
+      setLockouts(loadedLockouts);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (active) loadUsers();
+  }, [active, loadUsers]);
+
+  const applyUpdate = async (user, changes) => {
+    setError(null);
+    try {
+      const updated = await updateUser(user.id, changes);
+      setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await createUser({ ...draft, username: draft.username.trim() });
+      setUsers((prev) => [...prev, created]);
+      setDraft(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnlock = async (lockout) => {
+    setError(null);
+    try {
+      await clearLockout(lockout.scope, lockout.key);
+      setLockouts((prev) => prev.filter((l) => !(l.scope === lockout.scope && l.key === lockout.key)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    if (await applyUpdate(user, { password: newPassword })) {
+      setResetting(null);
+      setNewPassword("");
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {loading && (
+        <div className="flex justify-center py-2">
+          <Loader2 className="h-4 w-4 animate-spin text-slate-400" />
+        </div>
+      )}
+
+      {error && (
+        <p className="text-xs text-red-500 flex items-center gap-1">
+          <XCircle className="h-3 w-3" />
+          {error}
+        </p>
+      )}
+
+      {users.map((user) => (
+        <div key={user.id} className="p-2 rounded-md bg-slate-50 dark:bg-slate-800/50 space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <div className="min-w-0">
+              <div className={`text-sm font-medium truncate ${user.disabled ? "text-slate-400 line-through" : ""}`}>
+                {user.username}
+                {user.username === currentUsername && (
+                  <span className="ml-1 text-xs font-normal text-slate-500 dark:text-slate-400">(you)</span>
+                )}
+              </div>
+              <div className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                {user.auth_source === "oidc" ? "SSO · " : user.auth_source === "proxy" ? "Proxy · " : ""}
+                {user.totp_enabled ? "2FA · " : user.totp_required ? "2FA pending · " : ""}
+                {formatLastLogin(user.last_login)}
+              </div>
+            </div>
+            <div className="flex items-center gap-1 flex-shrink-0">
+              <select
+                value={user.role}
+                onChange={(e) => applyUpdate(user, { role: e.target.value })}
+                title={ROLES.find((r) => r.value === user.role)?.description}
+                className="h-7 rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-1 text-xs"
+              >
+                {ROLES.map((role) => (
+                  <option key={role.value} value={role.value}>
+                    {role.label}
+                  </option>
+                ))}
+              </select>
+              {user.auth_source === "local" && (
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7"
+                      onClick={() => {
+                        setResetting(resetting === user.id ? null : user.id);
+                        setNewPassword("");
+                      }}
+                    >
+                      <KeyRound className="h-3.5 w-3.5" />
+                    </Button>
+                  </TooltipTrigger>
+                  <TooltipContent side="top">Reset password</TooltipContent>
+                </Tooltip>
+              )}
+              {user.auth_source === "local" && (
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className={`h-7 w-7 ${user.totp_required ? "text-indigo-600 dark:text-indigo-400" : "text-slate-400"}`}
+                      onClick={() => applyUpdate(user, { totpRequired: !user.totp_required })}
+                    >
+                      <ShieldCheck className="h-3.5 w-3.5" />
+                    </Button>
+                  </TooltipTrigger>
+                  <TooltipContent side="top">
+                    {user.totp_required ? "Two-factor required (click to make optional)" : "Require two-factor"}
+                  </TooltipContent>
+                </Tooltip>
+              )}
+              {user.totp_enabled && (
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7"
+                      onClick={() => applyUpdate(user, { resetTwoFactor: true })}
+                    >
+                      <ShieldOff className="h-3.5 w-3.5" />
+                    </Button>
+                  </TooltipTrigger>
+                  <TooltipContent side="top">Reset two-factor (lost authenticator)</TooltipContent>
+                </Tooltip>
+              )}
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <span>
+                    <Switch
+                      checked={!user.disabled}
+                      onCheckedChange={(enabled) => applyUpdate(user, { disabled: !enabled })}
+                      disabled={user.username === currentUsername}
+                    />
+                  </span>
+                </TooltipTrigger>
+                <TooltipContent side="top">{user.disabled ? "Disabled" : "Enabled"}</TooltipContent>
+              </Tooltip>
+            </div>
+          </div>
+          {resetting === user.id && (
+            <div className="flex gap-2">
+              <Input
+                type="password"
+                placeholder="New password (min. 8 characters)"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className="h-8 text-sm"
+              />
+              <Button size="sm" className="h-8" onClick={() => handleResetPassword(user)} disabled={newPassword.length < 8}>
+                Set
+              </Button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {lockouts.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs font-medium text-slate-600 dark:text-slate-400">Sign-in lockouts</div>
+          {lockouts.map((lockout) => (
+            <div
+              key={`${lockout.scope}:${lockout.key}`}
+              className="flex items-center justify-between gap-2 p-2 rounded-md bg-amber-50 dark:bg-amber-900/20 text-xs"
+            >
+              <div className="flex items-center gap-1.5 min-w-0">
+                <Lock className="h-3 w-3 flex-shrink-0 text-amber-600 dark:text-amber-400" />
+                <span className="truncate">
+                  {lockout.scope === "ip" ? `IP ${lockout.key}` : lockout.key}
+                </span>
+                <span className="text-slate-500 dark:text-slate-400 flex-shrink-0">
+                  · {lockout.failures} failed · {lockout.code === "LOGIN_THROTTLED" ? "slowed" : "locked"} for {formatRetry(lockout.retryAfter)}
+                </span>
+              </div>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button variant="ghost" size="icon" className="h-6 w-6 flex-shrink-0" onClick={() => handleUnlock(lockout)}>
+                    <Unlock className="h-3 w-3" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent side="top">Unlock</TooltipContent>
+              </Tooltip>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft ? (
+        <div className="space-y-2 p-2 rounded-md border border-slate-200 dark:border-slate-700">
+          <Input
+            placeholder="Username"
+            value={draft.username}
+            onChange={(e) => setDraft({ ...draft, username: e.target.value })}
+            className="h-8 text-sm"
+          />
+          <Input
+            type="password"
+            placeholder="Password (min. 8 characters)"
+            value={draft.password}
+            onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+            className="h-8 text-sm"
+          />
+          <div className="flex gap-1">
+            {ROLES.map((role) => (
+              <Button
+                key={role.value}
+                variant={draft.role === role.value ? "default" : "ghost"}
+                size="sm"
+                className="h-7 px-2 text-xs"
+                title={role.description}
+                onClick={() => setDraft({ ...draft, role: role.value })}
+              >
+                {role.label}
+              </Button>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            {ROLES.find((r) => r.value === draft.role)?.description}
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" className="flex-1" onClick={() => setDraft(null)}>
+              Cancel
+            </Button>
+            <Button
+              size="sm"
+              className="flex-1"
+              onClick={handleCreate}
+              disabled={saving || draft.username.trim().length < 3 || draft.password.length < 8}
+            >
+              {saving ? <Loader2 className="h-3 w-3 mr-2 animate-spin" /> : null}
+              Create user
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button variant="outline" size="sm" className="w-full" onClick={() => setDraft({ ...EMPTY_DRAFT })}>
+          <Plus className="h-3 w-3 mr-2" />
+          Add user
+        </Button>
+      )}
+    </div>
+  );
+}
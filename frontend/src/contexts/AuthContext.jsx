@@ -20,7 +20,12 @@ export function AuthProvider({ children }) {
     authenticated: false,
     setupRequired: false,
     username: null,
-    requirePasswordChange: false
+    role: null,
+    oidcEnabled: false,
+    proxyAuth: false,
+    authSource: null,
+    requirePasswordChange: false,
+    requireTwoFactorSetup: false
   });
 
   const checkAuthStatus = useCallback(async () => {
@@ -49,7 +54,12 @@ export function AuthProvider({ children }) {
         authenticated: data.authenticated,
         setupRequired: data.setupRequired,
         username: data.username,
-        requirePasswordChange: data.requirePasswordChange || false
+        role: data.role || null,
+        oidcEnabled: data.oidcEnabled || false,
+        proxyAuth: data.proxyAuth || false,
+        authSource: data.authSource || null,
+        requirePasswordChange: data.requirePasswordChange || false,
+        requireTwoFactorSetup: data.requireTwoFactorSetup || false
       });
 
       logger.debug('Auth status:', data);
@@ -82,7 +92,7 @@ export function AuthProvider({ children }) {
       const data = await response.json();
 
       if (!response.ok) {
-        return { success: false, error: data.error || 'Login failed' };
+        return { success: false, error: data.error || 'Login failed', code: data.code, retryAfter: data.retryAfter };
       }
 
       if (data.requirePasswordChange) {
@@ -90,11 +100,16 @@ export function AuthProvider({ children }) {
           ...prev,
           requirePasswordChange: true,
           authenticated: true,
-          username: data.username
+          username: data.username,
+          role: data.role || null
         }));
         return { success: true, requirePasswordChange: true };
       }
 
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true };
+      }
+
       await new Promise(resolve => setTimeout(resolve, 800));
 
       await checkAuthStatus();
@@ -105,6 +120,35 @@ export function AuthProvider({ children }) {
     }
   }, [checkAuthStatus]);
 
+  const verifyTwoFactor = useCallback(async (code) => {
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code: code.trim() })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        return {
+          success: false,
+          error: data.error || 'Verification failed',
+          code: data.code,
+          retryAfter: data.retryAfter,
+          expired: data.code === 'TWO_FACTOR_EXPIRED'
+        };
+      }
+
+      await checkAuthStatus();
+      return { success: true };
+    } catch (error) {
+      logger.error('Two-factor verification error:', error.message);
+      return { success: false, error: 'Network error' };
+    }
+  }, [checkAuthStatus]);
+
   const logout = useCallback(async () => {
     try {
       const response = await fetch('/api/auth/logout', {
@@ -117,14 +161,18 @@ export function AuthProvider({ children }) {
         return;
       }
 
-      setAuthState({
+      setAuthState(prev => ({
+        ...prev,
         loading: false,
         authEnabled: true,
         authenticated: false,
         setupRequired: false,
         username: null,
-        requirePasswordChange: false
-      });
+        role: null,
+        authSource: null,
+        requirePasswordChange: false,
+        requireTwoFactorSetup: false
+      }));
     } catch (error) {
       logger.error('Logout error:', error.message);
     }
@@ -185,6 +233,7 @@ export function AuthProvider({ children }) {
   const value = {
     ...authState,
     login,
+    verifyTwoFactor,
     logout,
     setup,
     changePassword,
@@ -0,0 +1,62 @@
+/**
+ * API client for named API keys
+ * Scopes: ports:read, notes:write, ports:generate and admin (implies all others)
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Lists all API keys, including revoked and expired ones
+ * @returns {Promise<Array>}
+ */
+export async function listApiKeys() {
+  const data = await request("/api/settings/api-keys");
+  return data.keys || [];
+}
+
+/**
+ * Creates an API key
+ * @param {Object} key - { name, scopes, expiresAt }
+ * @returns {Promise<{apiKey: string, key: Object}>} The plain key (shown once) and its details
+ */
+export async function createApiKey(key) {
+  return request("/api/settings/api-keys", {
+    method: "POST",
+    body: JSON.stringify(key),
+  });
+}
+
+/**
+ * Revokes an API key
+ * @param {string} id - Key ID
+ * @returns {Promise<Object>} The revoked key
+ */
+export async function revokeApiKey(id) {
+  const data = await request(`/api/settings/api-keys/${encodeURIComponent(id)}/revoke`, {
+    method: "POST",
+  });
+  return data.key;
+}
+
+/**
+ * Deletes a revoked or expired API key
+ * @param {string} id - Key ID
+ */
+export async function deleteApiKey(id) {
+  await request(`/api/settings/api-keys/${encodeURIComponent(id)}`, {
+    method: "DELETE",
+  });
+}
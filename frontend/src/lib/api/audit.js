@@ -0,0 +1,48 @@
+/**
+ * API client for the audit log
+ * Reads who (user or API key) changed servers, notes, names, hidden ports, settings and accounts, and sign-ins
+ */
+
+/**
+ * Fetches audit log entries
+ * @param {Object} filters - Optional filters
+ * @param {Array<string>} filters.actions - Only these actions, e.g. ["auth.login_failed"]
+ * @param {string} filters.actor - Only entries by this username or API key name
+ * @param {string} filters.target - Only entries whose target contains this text
+ * @param {string} filters.since - Only entries at or after this ISO timestamp
+ * @param {string} filters.until - Only entries at or before this ISO timestamp
+ * @param {boolean} filters.success - Only successful (true) or failed (false) actions
+ * @param {number} filters.limit - Maximum number of entries to return
+ * @param {number} filters.offset - Number of entries to skip
+ * @returns {Promise<{entries: Array, total: number, actions: Array<string>}>} Entries, newest first
+ */
+export async function fetchAuditLog({
+  actions = null,
+  actor = null,
+  target = null,
+  since = null,
+  until = null,
+  success = null,
+  limit = null,
+  offset = null,
+} = {}) {
+  const params = new URLSearchParams();
+  if (Array.isArray(actions) && actions.length > 0) params.set("action", actions.join(","));
+  if (actor) params.set("actor", actor);
+  if (target) params.set("target", target);
+  if (since) params.set("since", since);
+  if (until) params.set("until", until);
+  if (success !== null) params.set("success", String(success));
+  if (limit != null) params.set("limit", String(limit));
+  if (offset != null) params.set("offset", String(offset));
+
+  const query = params.toString();
+  const response = await fetch(`/api/audit${query ? `?${query}` : ""}`, { credentials: "include" });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
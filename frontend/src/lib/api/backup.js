@@ -0,0 +1,59 @@
+/**
+ * API client for configuration backup and restore
+ * Backups are versioned JSON bundles of servers, notes, ignores, custom names, settings and webhooks
+ */
+
+/**
+ * Downloads a backup bundle through a temporary download link
+ * @param {Object} options
+ * @param {boolean} options.includeSecrets - Include API keys and webhook tokens
+ * @returns {Promise<string>} The downloaded file name
+ */
+export async function downloadBackup({ includeSecrets = false } = {}) {
+  const response = await fetch(`/api/backup${includeSecrets ? "?secrets=true" : ""}`);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+  const filename = match ? match[1] : "portracker-backup.json";
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  return filename;
+}
+
+/**
+ * Restores a backup bundle
+ * @param {Object} backup - Parsed backup file
+ * @param {Object} options
+ * @param {string} options.mode - merge or replace
+ * @param {boolean} options.overwrite - In merge mode, apply incoming values to conflicting rows
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Promise<Object>} Restore report with per-table counts and conflicts
+ */
+export async function restoreBackup(backup, { mode = "merge", overwrite = false, dryRun = false } = {}) {
+  const response = await fetch("/api/restore", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ backup, mode, overwrite, dry_run: dryRun }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.report;
+}
@@ -0,0 +1,30 @@
+/**
+ * API client for docker-compose port pre-flight checks
+ * Parses a compose file on the backend and checks its published ports against a server
+ */
+
+/**
+ * Runs a pre-flight check of a compose file's ports
+ * @param {string} serverId - Server to check against
+ * @param {Object} options
+ * @param {string} options.compose - docker-compose.yml contents
+ * @param {string} options.project - Compose project name (defaults to the file's name)
+ * @param {Object} options.env - Variables for ${VAR} interpolation
+ * @returns {Promise<Object>} Report with passed, summary, errors and one entry per ports mapping
+ */
+export async function runComposePreflight(serverId, { compose, project = null, env = undefined }) {
+  const response = await fetch(`/api/servers/${encodeURIComponent(serverId)}/compose-preflight`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ compose, project: project || undefined, env }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(
+      errorData.details ? `${errorData.error}: ${errorData.details}` : errorData.error || `HTTP ${response.status}: ${response.statusText}`
+    );
+  }
+
+  return response.json();
+}
@@ -0,0 +1,23 @@
+/**
+ * API client for client connection summaries of host listeners
+ * Sampled from the server's socket tables on demand
+ */
+
+/**
+ * Fetches the connection summary of a listening TCP port
+ * @param {string} serverId - The server ID
+ * @param {number} port - Host port of the listener
+ * @returns {Promise<Object>} { server_id, port, connections, reason, sampled_at }
+ */
+export async function fetchPortConnections(serverId, port) {
+  const response = await fetch(
+    `/api/servers/${encodeURIComponent(serverId)}/ports/${encodeURIComponent(port)}/connections`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
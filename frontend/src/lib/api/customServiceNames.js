@@ -8,7 +8,7 @@
  * @param {string} serverId - The server ID
  * @param {string} hostIp - The host IP address
  * @param {number} hostPort - The host port number
- * @param {string} protocol - The protocol (tcp or udp)
+ * @param {string} protocol - The protocol (tcp, udp, sctp, raw or unix)
  * @param {string} customName - The custom service name
  * @param {string} originalName - The original service name (for reset functionality)
  * @param {string} serverUrl - Optional server URL for peer servers
@@ -58,7 +58,7 @@ export async function saveCustomServiceName(serverId, hostIp, hostPort, protocol
  * @param {string} serverId - The server ID
  * @param {string} hostIp - The host IP address
  * @param {number} hostPort - The host port number
- * @param {string} protocol - The protocol (tcp or udp)
+ * @param {string} protocol - The protocol (tcp, udp, sctp, raw or unix)
  * @param {string} serverUrl - Optional server URL for peer servers
  * @param {string} containerId - Optional container ID for internal ports
  * @param {boolean} internal - Whether this is an internal port
@@ -0,0 +1,34 @@
+/**
+ * API client for the port activity log
+ * Reads port_opened/port_closed/owner_changed/container_changed events recorded on each scan
+ */
+
+/**
+ * Fetches activity events
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.serverId - Only events for this server
+ * @param {string} filters.since - Only events at or after this ISO timestamp
+ * @param {string} filters.until - Only events at or before this ISO timestamp
+ * @param {Array<string>} filters.types - Only these event types
+ * @param {number} filters.limit - Maximum number of events to return
+ * @returns {Promise<Array>} List of events, newest first
+ */
+export async function fetchEvents({ serverId = null, since = null, until = null, types = null, limit = null } = {}) {
+  const params = new URLSearchParams();
+  if (serverId) params.set("server_id", serverId);
+  if (since) params.set("since", since);
+  if (until) params.set("until", until);
+  if (Array.isArray(types) && types.length > 0) params.set("type", types.join(","));
+  if (limit != null) params.set("limit", String(limit));
+
+  const query = params.toString();
+  const response = await fetch(`/api/events${query ? `?${query}` : ""}`);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.events || [];
+}
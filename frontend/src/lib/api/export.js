@@ -0,0 +1,49 @@
+/**
+ * API client for inventory exports
+ * Downloads the port inventory as CSV, JSON, Markdown or YAML
+ */
+
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "md", label: "Markdown" },
+  { value: "yaml", label: "YAML" },
+];
+
+/**
+ * Requests an export and saves it through a temporary download link
+ * @param {Object} options
+ * @param {string} options.format - csv, json, md or yaml
+ * @param {string} options.serverId - Only export this server (all servers when omitted)
+ * @param {Array<string>} options.sources - Only include these port sources (docker, system)
+ * @param {string} options.search - Only include ports matching this search term
+ * @returns {Promise<string>} The downloaded file name
+ */
+export async function downloadExport({ format, serverId = null, sources = null, search = null }) {
+  const params = new URLSearchParams({ format });
+  if (serverId) params.set("server_id", serverId);
+  if (Array.isArray(sources)) params.set("sources", sources.join(","));
+  if (search) params.set("search", search);
+
+  const response = await fetch(`/api/export?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+  const filename = match ? match[1] : `portracker-export.${format}`;
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  return filename;
+}
@@ -0,0 +1,32 @@
+/**
+ * API client for port history operations
+ * Reads first-seen/last-seen observations recorded on each scan
+ */
+
+/**
+ * Fetches the recorded port history for a server
+ * @param {string} serverId - The server ID
+ * @param {Object} options - Optional filters
+ * @param {string} options.since - Only include ports seen at or after this ISO timestamp
+ * @param {number} options.port - Only include observations for this host port
+ * @param {number} options.limit - Maximum number of observations to return
+ * @returns {Promise<Object>} { server_id, lastScan, observations }
+ */
+export async function fetchServerHistory(serverId, { since = null, port = null, limit = null } = {}) {
+  const params = new URLSearchParams();
+  if (since) params.set("since", since);
+  if (port != null) params.set("port", String(port));
+  if (limit != null) params.set("limit", String(limit));
+
+  const query = params.toString();
+  const response = await fetch(
+    `/api/servers/${encodeURIComponent(serverId)}/history${query ? `?${query}` : ""}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
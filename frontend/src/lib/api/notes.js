@@ -8,7 +8,7 @@
  * @param {string} serverId - The server ID
  * @param {string} hostIp - The host IP address
  * @param {number} hostPort - The host port number
- * @param {string} protocol - The protocol (tcp or udp)
+ * @param {string} protocol - The protocol (tcp, udp, sctp, raw or unix)
  * @param {string} note - The note content
  * @param {string} serverUrl - Optional server URL for peer servers
  * @param {string} containerId - Optional container ID for internal ports
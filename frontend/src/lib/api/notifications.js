@@ -0,0 +1,72 @@
+/**
+ * API client for webhook notification targets
+ * Handles CRUD and test delivery for Slack/Discord/ntfy/Gotify/generic webhooks
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Lists configured webhook targets
+ * @returns {Promise<Array>} Targets (tokens are never returned, only hasToken)
+ */
+export async function listWebhookTargets() {
+  const data = await request("/api/notifications/targets");
+  return data.targets || [];
+}
+
+/**
+ * Creates a webhook target
+ * @param {Object} target - { name, type, url, token?, triggers, enabled? }
+ * @returns {Promise<Object>} The created target
+ */
+export async function createWebhookTarget(target) {
+  const data = await request("/api/notifications/targets", {
+    method: "POST",
+    body: JSON.stringify(target),
+  });
+  return data.target;
+}
+
+/**
+ * Updates a webhook target; omitted fields are left unchanged
+ * @param {number} id - Target ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} The updated target
+ */
+export async function updateWebhookTarget(id, changes) {
+  const data = await request(`/api/notifications/targets/${id}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+  return data.target;
+}
+
+/**
+ * Deletes a webhook target
+ * @param {number} id - Target ID
+ */
+export async function deleteWebhookTarget(id) {
+  return request(`/api/notifications/targets/${id}`, { method: "DELETE" });
+}
+
+/**
+ * Sends a test notification to a target
+ * @param {number} id - Target ID
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function testWebhookTarget(id) {
+  return request(`/api/notifications/targets/${id}/test`, { method: "POST" });
+}
@@ -0,0 +1,41 @@
+/**
+ * API client for per-server port suggestion policies
+ * A policy restricts the port generator to allowed ranges and can prefer a block per service category
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches a server's policy
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} { policy, effective } where policy is null when the defaults apply
+ */
+export async function fetchPortPolicy(serverId) {
+  return request(`/api/servers/${encodeURIComponent(serverId)}/port-policy`);
+}
+
+/**
+ * Saves a server's policy
+ * @param {string} serverId - Server ID
+ * @param {Object|null} policy - The policy, or null to reset to the defaults
+ * @returns {Promise<Object>} { policy, effective }
+ */
+export async function savePortPolicy(serverId, policy) {
+  return request(`/api/servers/${encodeURIComponent(serverId)}/port-policy`, {
+    method: "PUT",
+    body: JSON.stringify({ policy }),
+  });
+}
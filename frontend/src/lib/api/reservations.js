@@ -0,0 +1,66 @@
+/**
+ * API client for port reservations
+ * Reserved ports are skipped by the port generator and compared with live ports to flag conflicts
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches reservations with their status (reserved, in_use, conflict, expired, unknown)
+ * @param {Object} filters
+ * @param {string} filters.serverId - Only reservations for this server
+ * @returns {Promise<Array>}
+ */
+export async function fetchReservations({ serverId = null } = {}) {
+  const query = serverId ? `?server_id=${encodeURIComponent(serverId)}` : "";
+  const data = await request(`/api/reservations${query}`);
+  return data.reservations || [];
+}
+
+/**
+ * Reserves a port
+ * @param {Object} reservation - { server_id, host_port, protocol, owner, purpose, expires_at }
+ * @returns {Promise<Object>} The created reservation
+ */
+export async function createReservation(reservation) {
+  const data = await request("/api/reservations", {
+    method: "POST",
+    body: JSON.stringify(reservation),
+  });
+  return data.reservation;
+}
+
+/**
+ * Updates a reservation
+ * @param {number} id - Reservation ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} The updated reservation
+ */
+export async function updateReservation(id, changes) {
+  const data = await request(`/api/reservations/${id}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+  return data.reservation;
+}
+
+/**
+ * Releases a reservation
+ * @param {number} id - Reservation ID
+ */
+export async function deleteReservation(id) {
+  await request(`/api/reservations/${id}`, { method: "DELETE" });
+}
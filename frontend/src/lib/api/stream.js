@@ -0,0 +1,98 @@
+/**
+ * API client for the live update stream (Server-Sent Events on /api/stream)
+ * Delivers incremental port changes, ping colour changes and peer reachability changes
+ */
+import Logger from "../logger";
+
+const logger = new Logger("LiveStream");
+
+const pingListeners = new Set();
+
+/**
+ * Builds the identity used by the backend to match a port across scans
+ * @param {Object} port - Port entry with host_ip, host_port, protocol, internal and container_id
+ * @returns {string}
+ */
+export function livePortKey(port) {
+  const base = `${port.host_ip}:${parseInt(port.host_port, 10)}:${port.protocol || "tcp"}`;
+  return port.internal ? `${base}:internal:${port.container_id || ""}` : base;
+}
+
+/**
+ * Applies a ports event to a list of port entries
+ * @param {Array} ports - Current port entries of the server
+ * @param {Object} change - { added, removed } from a ports event
+ * @param {Object} options
+ * @param {boolean} options.includeUdp - Keep added UDP entries
+ * @returns {Array} New list of port entries
+ */
+export function applyPortDelta(ports, { added = [], removed = [] }, { includeUdp = false } = {}) {
+  const removedKeys = new Set(removed.map(livePortKey));
+  const kept = (ports || []).filter((port) => !removedKeys.has(livePortKey(port)));
+  const keptKeys = new Set(kept.map(livePortKey));
+  const additions = added.filter(
+    (port) => (includeUdp || port.protocol !== "udp") && !keptKeys.has(livePortKey(port))
+  );
+  return [...kept, ...additions];
+}
+
+/**
+ * Subscribes to ping colour changes pushed by the stream
+ * @param {Function} listener - Receives { server_id, host_ip, host_port, previous, color, title }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribePingUpdates(listener) {
+  pingListeners.add(listener);
+  return () => pingListeners.delete(listener);
+}
+
+function parseEventData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    logger.warn(`Ignoring malformed ${event.type} event:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Opens the live update stream. The browser reconnects automatically after errors;
+ * onUnavailable fires whenever the stream drops so callers can fall back to polling.
+ * @param {Object} handlers
+ * @param {Function} handlers.onReady - Stream (re)connected, receives { timestamp, scheduler: { enabled, intervalMs } }
+ * @param {Function} handlers.onUnavailable - Stream not supported or disconnected
+ * @param {Function} handlers.onPorts - Receives { server_id, added, removed }
+ * @param {Function} handlers.onServer - Receives { server_id, reachable, error }
+ * @returns {Function} Closes the stream
+ */
+export function connectLiveUpdates({ onReady, onUnavailable, onPorts, onServer } = {}) {
+  if (typeof window === "undefined" || typeof window.EventSource === "undefined") {
+    onUnavailable?.();
+    return () => {};
+  }
+
+  const source = new EventSource("/api/stream");
+
+  source.addEventListener("ready", (event) => {
+    logger.debug("Live update stream connected");
+    onReady?.(parseEventData(event) || {});
+  });
+  source.addEventListener("ports", (event) => {
+    const data = parseEventData(event);
+    if (data) onPorts?.(data);
+  });
+  source.addEventListener("server", (event) => {
+    const data = parseEventData(event);
+    if (data) onServer?.(data);
+  });
+  source.addEventListener("ping", (event) => {
+    const data = parseEventData(event);
+    if (data) pingListeners.forEach((listener) => listener(data));
+  });
+  source.onerror = () => {
+    logger.debug("Live update stream unavailable, falling back to polling");
+    onUnavailable?.();
+  };
+
+  return () => source.close();
+}
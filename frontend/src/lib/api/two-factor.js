@@ -0,0 +1,72 @@
+/**
+ * API client for two-factor authentication of the signed-in local user
+ * Codes come from an authenticator app (TOTP); recovery codes are shown once when issued
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetches the two-factor state of the signed-in user
+ * @returns {Promise<{enabled: boolean, required: boolean, recoveryCodesRemaining: number}>}
+ */
+export async function fetchTwoFactorStatus() {
+  return request("/api/auth/2fa");
+}
+
+/**
+ * Starts enrolment with a new secret
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} qrCode is a PNG data URL
+ */
+export async function startTwoFactorSetup() {
+  return request("/api/auth/2fa/setup", { method: "POST" });
+}
+
+/**
+ * Confirms enrolment with a code from the authenticator app
+ * @param {string} code - Current 6-digit code
+ * @returns {Promise<Array<string>>} Recovery codes
+ */
+export async function enableTwoFactor(code) {
+  const data = await request("/api/auth/2fa/enable", {
+    method: "POST",
+    body: JSON.stringify({ code }),
+  });
+  return data.recoveryCodes || [];
+}
+
+/**
+ * Turns two-factor authentication off
+ * @param {string} password - Current password
+ */
+export async function disableTwoFactor(password) {
+  return request("/api/auth/2fa/disable", {
+    method: "POST",
+    body: JSON.stringify({ password }),
+  });
+}
+
+/**
+ * Replaces the recovery codes with a new set
+ * @param {string} password - Current password
+ * @returns {Promise<Array<string>>} The new recovery codes
+ */
+export async function regenerateRecoveryCodes(password) {
+  const data = await request("/api/auth/2fa/recovery-codes", {
+    method: "POST",
+    body: JSON.stringify({ password }),
+  });
+  return data.recoveryCodes || [];
+}
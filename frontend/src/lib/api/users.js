@@ -0,0 +1,75 @@
+/**
+ * API client for user management
+ * Roles: admin, editor (notes, names, hidden ports, reservations) and viewer (read-only)
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: "Request failed" }));
+    throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Lists all users
+ * @returns {Promise<Array>}
+ */
+export async function listUsers() {
+  const data = await request("/api/users");
+  return data.users || [];
+}
+
+/**
+ * Creates a user
+ * @param {Object} user - { username, password, role }
+ * @returns {Promise<Object>} The created user
+ */
+export async function createUser(user) {
+  const data = await request("/api/users", {
+    method: "POST",
+    body: JSON.stringify(user),
+  });
+  return data.user;
+}
+
+/**
+ * Updates a user's role, disabled flag or password
+ * @param {string} id - User ID
+ * @param {Object} changes - { role, disabled, password, totpRequired, resetTwoFactor }
+ * @returns {Promise<Object>} The updated user
+ */
+export async function updateUser(id, changes) {
+  const data = await request(`/api/users/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+  return data.user;
+}
+
+/**
+ * Lists usernames and IPs locked out or slowed down after failed sign-ins
+ * @returns {Promise<Array<{scope: string, key: string, code: string, failures: number, lockedUntil: number|null, retryAfter: number}>>}
+ */
+export async function listLockouts() {
+  const data = await request("/api/users/lockouts");
+  return data.lockouts || [];
+}
+
+/**
+ * Lifts a sign-in lockout
+ * @param {string} scope - "user" or "ip"
+ * @param {string} key - Username or IP
+ */
+export async function clearLockout(scope, key) {
+  return request(`/api/users/lockouts/${encodeURIComponent(scope)}/${encodeURIComponent(key)}`, {
+    method: "DELETE",
+  });
+}
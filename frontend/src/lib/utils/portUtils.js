@@ -60,4 +60,64 @@ export function getAutoxposeData(autoxposePorts, port) {
   if (!autoxposePorts) return null;
   const key = getAutoxposeKey(port);
   return key ? autoxposePorts.get(key) : null;
-}
\ No newline at end of file
+}
+const NON_URL_PROTOCOLS = ['sctp', 'raw', 'unix'];
+
+const RAW_PROTOCOL_NAMES = {
+  1: 'ICMP',
+  2: 'IGMP',
+  47: 'GRE',
+  50: 'ESP',
+  58: 'ICMPv6',
+  89: 'OSPF',
+  112: 'VRRP',
+  255: 'RAW',
+};
+
+/**
+ * Whether a port entry is a Unix domain socket. Those carry the socket path in
+ * host_ip and 0 as host_port.
+ * @param {Object} port - The port object
+ * @returns {boolean}
+ */
+export function isUnixSocket(port) {
+  return port?.protocol === 'unix';
+}
+
+/**
+ * Whether a port can be opened in the browser and health-checked over TCP.
+ * SCTP, raw and Unix sockets cannot.
+ * @param {Object} port - The port object
+ * @returns {boolean}
+ */
+export function hasPortUrl(port) {
+  return !NON_URL_PROTOCOLS.includes(port?.protocol);
+}
+
+/**
+ * Label shown in the port badge: the port number, the file name of a Unix socket,
+ * or the IP protocol of a raw socket
+ * @param {Object} port - The port object
+ * @returns {string}
+ */
+export function getPortLabel(port) {
+  if (isUnixSocket(port)) {
+    return port.host_ip.split('/').pop() || port.host_ip;
+  }
+  if (port.protocol === 'raw') {
+    return RAW_PROTOCOL_NAMES[port.host_port] || `proto ${port.host_port}`;
+  }
+  return String(port.host_port);
+}
+
+/**
+ * Describes a port without a URL, for tooltips
+ * @param {Object} port - The port object
+ * @returns {string|null} null for TCP and UDP ports
+ */
+export function describeSocket(port) {
+  if (isUnixSocket(port)) return `Unix socket: ${port.host_ip}`;
+  if (port.protocol === 'raw') return `Raw socket for IP protocol ${port.host_port} on ${port.host_ip}`;
+  if (port.protocol === 'sctp') return `SCTP endpoint on ${port.host_ip}:${port.host_port}`;
+  return null;
+}